@@ -0,0 +1,17 @@
+// Importar dotenv para leer la configuración del archivado
+import dotenv from 'dotenv';
+import { readIntegerEnv } from '../utils/env.js';
+
+// Cargar variables de entorno
+dotenv.config();
+
+/**
+ * Configuración del archivado automático de tareas completadas
+ *
+ * - AUTO_ARCHIVE_DAYS: Días después de completarse en que una tarea se archiva
+ *   automáticamente (0 o sin definir = desactivado)
+ */
+export const AUTO_ARCHIVE_DAYS = readIntegerEnv('AUTO_ARCHIVE_DAYS', 0, 0);
+
+// Cada cuántos minutos se buscan tareas para archivar
+export const AUTO_ARCHIVE_INTERVAL_MINUTES = 60;
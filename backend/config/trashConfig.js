@@ -0,0 +1,26 @@
+// Importar dotenv para leer la configuración de la papelera
+import dotenv from 'dotenv';
+import { readIntegerEnv } from '../utils/env.js';
+
+// Cargar variables de entorno
+dotenv.config();
+
+/**
+ * Configuración de la papelera de tareas
+ *
+ * - TRASH_RETENTION_DAYS: Días que una tarea eliminada se conserva en la papelera
+ *   antes de borrarse definitivamente (por defecto 30)
+ * - TRASH_PURGE_INTERVAL_MINUTES: Cada cuántos minutos se buscan tareas vencidas
+ *   en la papelera para borrarlas (por defecto 60)
+ */
+export const TRASH_RETENTION_DAYS = readIntegerEnv('TRASH_RETENTION_DAYS', 30);
+export const TRASH_PURGE_INTERVAL_MINUTES = readIntegerEnv('TRASH_PURGE_INTERVAL_MINUTES', 60);
+
+/**
+ * Calcular cuándo se borrará definitivamente una tarea de la papelera
+ *
+ * @param {string} deletedAt - Fecha de eliminación (ISO 8601)
+ * @returns {string} Fecha de borrado definitivo (ISO 8601)
+ */
+export const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
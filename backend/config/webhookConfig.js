@@ -0,0 +1,48 @@
+// Importar dotenv para leer la configuración de los webhooks
+import dotenv from 'dotenv';
+import { readIntegerEnv } from '../utils/env.js';
+
+// Cargar variables de entorno
+dotenv.config();
+
+/**
+ * Configuración de los webhooks salientes
+ *
+ * - WEBHOOK_MAX_ATTEMPTS: Intentos de entrega de cada evento, contando el primero
+ *   (por defecto 5)
+ * - WEBHOOK_TIMEOUT_SECONDS: Segundos que se espera la respuesta del destino
+ *   (por defecto 10)
+ */
+export const WEBHOOK_MAX_ATTEMPTS = readIntegerEnv('WEBHOOK_MAX_ATTEMPTS', 5);
+export const WEBHOOK_TIMEOUT_SECONDS = readIntegerEnv('WEBHOOK_TIMEOUT_SECONDS', 10);
+
+// Espera antes del primer reintento; se duplica en cada intento fallido (1, 2, 4, 8... minutos)
+export const WEBHOOK_RETRY_BASE_SECONDS = 60;
+
+// Cada cuántos segundos se buscan entregas pendientes de reintentar
+export const WEBHOOK_RETRY_INTERVAL_SECONDS = 30;
+
+// Margen sobre WEBHOOK_TIMEOUT_SECONDS que se reserva una entrega mientras se envía
+const WEBHOOK_LEASE_MARGIN_SECONDS = 60;
+
+/**
+ * Calcular cuándo se reintenta una entrega (espera exponencial)
+ *
+ * @param {number} attempts - Intentos ya hechos (1 tras el primer fallo)
+ * @param {Date} now - Fecha del último intento (por defecto, ahora)
+ * @returns {string} Fecha del próximo intento (ISO 8601)
+ */
+export const getWebhookRetryDate = (attempts, now = new Date()) =>
+  new Date(now.getTime() + WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1)).toISOString();
+
+/**
+ * Calcular hasta cuándo se reserva una entrega que se está enviando
+ * Mientras tanto el job de reintentos no la toma (no se envía dos veces); si el
+ * envío no llega a registrar su resultado (p. ej. el servidor se reinicia), se
+ * reintenta al vencer la reserva. Siempre es posterior al timeout del envío.
+ *
+ * @param {Date} now - Fecha en que empieza el envío (por defecto, ahora)
+ * @returns {string} Fecha en que vence la reserva (ISO 8601)
+ */
+export const getWebhookLeaseDate = (now = new Date()) =>
+  new Date(now.getTime() + (WEBHOOK_TIMEOUT_SECONDS + WEBHOOK_LEASE_MARGIN_SECONDS) * 1000).toISOString();
@@ -0,0 +1,107 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+import { getTodoAccess } from '../utils/listAccess.js';
+
+/**
+ * Controlador del historial de actividad de las tareas
+ * Las entradas las registran los controladores de tareas (ver utils/activityLog.js);
+ * aquí solo se consultan (ruta /api/todos/:id/activity).
+ */
+
+// Entradas por página del historial
+const DEFAULT_ACTIVITY_LIMIT = 50;
+const MAX_ACTIVITY_LIMIT = 100;
+
+/**
+ * Obtener el historial de una tarea (la entrada más reciente primero)
+ * GET /api/todos/:id/activity
+ *
+ * Query params opcionales:
+ * - limit: Máximo de entradas (por defecto 50, máximo 100)
+ * - before: Solo entradas anteriores a esta fecha ISO (created_at de la última recibida)
+ */
+export const getTodoActivity = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { before } = req.query;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de tarea inválido',
+        field: 'id'
+      });
+    }
+
+    let limit = DEFAULT_ACTIVITY_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ACTIVITY_LIMIT) {
+        return res.status(400).json({
+          error: `limit debe ser un número entre 1 y ${MAX_ACTIVITY_LIMIT}`,
+          field: 'limit'
+        });
+      }
+    }
+
+    if (before !== undefined && Number.isNaN(new Date(before).getTime())) {
+      return res.status(400).json({
+        error: 'before debe ser una fecha en formato ISO 8601',
+        field: 'before'
+      });
+    }
+
+    // El historial lo ve cualquiera que pueda ver la tarea (también en la papelera)
+    const access = await getTodoAccess(userId);
+    const { data: todo, error: todoError } = await supabase
+      .from('todos')
+      .select('id')
+      .eq('id', id)
+      .or(access.read)
+      .maybeSingle();
+
+    if (todoError) throw todoError;
+
+    if (!todo) {
+      return res.status(404).json({
+        error: 'Tarea no encontrada o no tienes permisos para verla'
+      });
+    }
+
+    // Pedir una entrada de más para saber si hay otra página
+    let query = supabase
+      .from('todo_activity')
+      .select('*')
+      .eq('todo_id', id)
+      .order('created_at', { ascending: false })
+      .limit(limit + 1);
+    if (before !== undefined) query = query.lt('created_at', new Date(before).toISOString());
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error al obtener actividad:', error);
+      return res.status(500).json({
+        error: 'Error al obtener el historial de la tarea',
+        details: error.message
+      });
+    }
+
+    const entries = data.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      hasMore: data.length > limit
+    });
+
+  } catch (error) {
+    console.error('Error en getTodoActivity:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
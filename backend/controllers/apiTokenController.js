@@ -0,0 +1,198 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+import { API_TOKEN_SCOPES, generateApiToken } from '../utils/apiTokens.js';
+
+/**
+ * Controlador de los tokens de acceso personal
+ * Cada usuario crea tokens para sus scripts (ver utils/apiTokens.js) y los
+ * revoca cuando ya no los necesita. Las rutas exigen la sesión del usuario.
+ */
+
+// Máximo de tokens activos por usuario (lo aplica también el trigger enforce_api_tokens_limit)
+const MAX_TOKENS_PER_USER = 20;
+
+// Columnas que se devuelven (nunca el hash)
+const TOKEN_COLUMNS = 'id, name, token_prefix, scope, last_used_at, created_at';
+
+/**
+ * Obtener los tokens activos del usuario autenticado (el más reciente primero)
+ * GET /api/tokens
+ */
+export const getApiTokens = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: tokens, error } = await supabase
+      .from('api_tokens')
+      .select(TOKEN_COLUMNS)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error al obtener tokens:', error);
+      return res.status(500).json({
+        error: 'Error al obtener los tokens',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tokens,
+      count: tokens.length
+    });
+
+  } catch (error) {
+    console.error('Error en getApiTokens:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Crear un token de acceso personal
+ * El token completo solo se devuelve en esta respuesta.
+ * POST /api/tokens
+ */
+export const createApiToken = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, scope = 'read' } = req.body ?? {};
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        error: 'El nombre del token es requerido',
+        field: 'name'
+      });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        error: 'El nombre no puede exceder 100 caracteres',
+        field: 'name'
+      });
+    }
+
+    if (!API_TOKEN_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: `Alcance inválido. Valores válidos: ${API_TOKEN_SCOPES.join(', ')}`,
+        field: 'scope'
+      });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('api_tokens')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (countError) throw countError;
+
+    if (count >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({
+        error: `No puedes tener más de ${MAX_TOKENS_PER_USER} tokens activos`
+      });
+    }
+
+    const { token, tokenHash, tokenPrefix } = generateApiToken();
+
+    const { data: apiToken, error } = await supabase
+      .from('api_tokens')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        scope,
+        token_hash: tokenHash,
+        token_prefix: tokenPrefix
+      })
+      .select(TOKEN_COLUMNS)
+      .single();
+
+    // El trigger enforce_api_tokens_limit rechaza el token si otra petición
+    // simultánea ya completó el límite
+    if (error?.code === '23514') {
+      return res.status(400).json({
+        error: `No puedes tener más de ${MAX_TOKENS_PER_USER} tokens activos`
+      });
+    }
+
+    if (error) {
+      console.error('Error al crear token:', error);
+      return res.status(500).json({
+        error: 'Error al crear el token',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiToken, token },
+      message: 'Token creado exitosamente. Cópialo ahora: no se volverá a mostrar'
+    });
+
+  } catch (error) {
+    console.error('Error en createApiToken:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Revocar un token de acceso personal (deja de aceptarse inmediatamente)
+ * DELETE /api/tokens/:id
+ */
+export const revokeApiToken = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de token inválido',
+        field: 'id'
+      });
+    }
+
+    const { data: apiToken, error } = await supabase
+      .from('api_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select(TOKEN_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al revocar token:', error);
+      return res.status(500).json({
+        error: 'Error al revocar el token',
+        details: error.message
+      });
+    }
+
+    if (!apiToken) {
+      return res.status(404).json({
+        error: 'Token no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiToken,
+      message: 'Token revocado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en revokeApiToken:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,280 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+import { getTodoAccess } from '../utils/listAccess.js';
+
+/**
+ * Controlador para los comentarios de las tareas
+ * Cada tarea tiene una conversación (rutas /api/todos/:id/comments): la ve y
+ * la comenta cualquiera que vea la tarea, y cada autor edita o elimina solo
+ * sus comentarios.
+ */
+
+// Longitud máxima de un comentario (coincide con el CHECK de la tabla comments)
+const COMMENT_MAX_LENGTH = 2000;
+
+/**
+ * Validar los IDs de la ruta y verificar que el usuario pueda ver la tarea
+ *
+ * @param {Object} params - Parámetros de la ruta (id y, opcionalmente, commentId)
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Promise<{ todo: Object }|{ status: number, body: Object }>} Tarea o respuesta de error
+ */
+const findCommentedTodo = async ({ id, commentId }, userId) => {
+  if (!isValidUUID(id)) {
+    return { status: 400, body: { error: 'ID de tarea inválido', field: 'id' } };
+  }
+
+  if (commentId !== undefined && !isValidUUID(commentId)) {
+    return { status: 400, body: { error: 'ID de comentario inválido', field: 'commentId' } };
+  }
+
+  const access = await getTodoAccess(userId);
+
+  const { data: todo, error } = await supabase
+    .from('todos')
+    .select('id')
+    .eq('id', id)
+    .or(access.read)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!todo) {
+    return {
+      status: 404,
+      body: { error: 'Tarea no encontrada o no tienes permisos para verla' }
+    };
+  }
+
+  return { todo };
+};
+
+/**
+ * Validar el texto de un comentario
+ *
+ * @param {*} body - Texto recibido
+ * @returns {{ body: string }|{ error: string }} Texto limpio o mensaje de error
+ */
+const validateCommentBody = (body) => {
+  if (typeof body !== 'string' || body.trim() === '') {
+    return { error: 'El comentario no puede estar vacío' };
+  }
+
+  const cleanBody = body.trim();
+  if (cleanBody.length > COMMENT_MAX_LENGTH) {
+    return { error: `El comentario no puede exceder ${COMMENT_MAX_LENGTH} caracteres` };
+  }
+
+  return { body: cleanBody };
+};
+
+/**
+ * Obtener los comentarios de una tarea (el más antiguo primero)
+ * GET /api/todos/:id/comments
+ */
+export const getComments = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parent = await findCommentedTodo(req.params, userId);
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const { data: comments, error } = await supabase
+      .from('comments')
+      .select('*')
+      .eq('todo_id', parent.todo.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error al obtener comentarios:', error);
+      return res.status(500).json({
+        error: 'Error al obtener los comentarios',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: comments,
+      count: comments.length
+    });
+
+  } catch (error) {
+    console.error('Error en getComments:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Comentar una tarea
+ * POST /api/todos/:id/comments
+ */
+export const createComment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parent = await findCommentedTodo(req.params, userId);
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const validation = validateCommentBody(req.body.body);
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        field: 'body'
+      });
+    }
+
+    // author_email lo completa el trigger set_comment_author_email
+    const { data: newComment, error } = await supabase
+      .from('comments')
+      .insert([
+        {
+          todo_id: parent.todo.id,
+          user_id: userId,
+          body: validation.body
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al crear comentario:', error);
+      return res.status(500).json({
+        error: 'Error al crear el comentario',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: newComment,
+      message: 'Comentario creado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en createComment:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Editar un comentario propio
+ * PATCH /api/todos/:id/comments/:commentId
+ */
+export const updateComment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parent = await findCommentedTodo(req.params, userId);
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const validation = validateCommentBody(req.body.body);
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        field: 'body'
+      });
+    }
+
+    const { data: updatedComment, error } = await supabase
+      .from('comments')
+      .update({ body: validation.body })
+      .eq('id', req.params.commentId)
+      .eq('todo_id', parent.todo.id)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al actualizar comentario:', error);
+      return res.status(500).json({
+        error: 'Error al actualizar el comentario',
+        details: error.message
+      });
+    }
+
+    if (!updatedComment) {
+      return res.status(404).json({
+        error: 'Comentario no encontrado o no tienes permisos para modificarlo'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updatedComment,
+      message: 'Comentario actualizado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en updateComment:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Eliminar un comentario propio
+ * DELETE /api/todos/:id/comments/:commentId
+ */
+export const deleteComment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parent = await findCommentedTodo(req.params, userId);
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const { data: deletedComment, error } = await supabase
+      .from('comments')
+      .delete()
+      .eq('id', req.params.commentId)
+      .eq('todo_id', parent.todo.id)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al eliminar comentario:', error);
+      return res.status(500).json({
+        error: 'Error al eliminar el comentario',
+        details: error.message
+      });
+    }
+
+    if (!deletedComment) {
+      return res.status(404).json({
+        error: 'Comentario no encontrado o no tienes permisos para eliminarlo'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deletedComment,
+      message: 'Comentario eliminado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en deleteComment:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
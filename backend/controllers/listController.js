@@ -0,0 +1,352 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+import { checkListRole } from '../utils/listAccess.js';
+
+/**
+ * Controlador para operaciones CRUD de listas (proyectos)
+ * Cada usuario puede organizar sus tareas en varias listas con nombre y
+ * compartirlas con otros usuarios (ver listShareController.js)
+ */
+
+// Columnas devueltas para una lista: conteo de tareas y miembros con su rol
+const LIST_SELECT = '*, todos(count), list_members(user_id, email, role)';
+
+// Formato permitido para el color de una lista (hexadecimal #RRGGBB)
+const COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validar los campos editables de una lista (name, color)
+ * Solo procesa los campos presentes en el body
+ *
+ * @param {Object} body - Body de la petición
+ * @param {boolean} requireName - Si el nombre es obligatorio (creación)
+ * @returns {{ fields: Object }|{ error: string, field: string }} Campos normalizados o error de validación
+ */
+const validateListFields = (body, requireName) => {
+  const fields = {};
+  const { name, color } = body;
+
+  if (name !== undefined || requireName) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return { error: 'El nombre de la lista es requerido', field: 'name' };
+    }
+    const cleanName = name.trim();
+    if (cleanName.length > 100) {
+      return { error: 'El nombre no puede exceder 100 caracteres', field: 'name' };
+    }
+    fields.name = cleanName;
+  }
+
+  if (color !== undefined) {
+    if (color !== null && !COLOR_REGEX.test(color)) {
+      return { error: 'El color debe tener el formato #RRGGBB', field: 'color' };
+    }
+    fields.color = color;
+  }
+
+  return { fields };
+};
+
+/**
+ * Dar formato a una lista para la respuesta
+ * Supabase devuelve el conteo agregado como todos: [{ count }]; se agregan
+ * también los miembros y el rol del usuario autenticado en la lista
+ *
+ * @param {Object} list - Lista con el conteo y los miembros de Supabase
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Object} Lista con todo_count, members y role
+ */
+const formatList = ({ todos, list_members: members = [], ...list }, userId) => ({
+  ...list,
+  todo_count: todos?.[0]?.count ?? 0,
+  members,
+  role: members.find(member => member.user_id === userId)?.role ?? null
+});
+
+/**
+ * Obtener todas las listas del usuario autenticado (propias y compartidas con él)
+ * GET /api/lists
+ */
+export const getLists = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Listas de las que el usuario es miembro (el owner también lo es)
+    const { data: memberships, error: membershipsError } = await supabase
+      .from('list_members')
+      .select('list_id')
+      .eq('user_id', userId);
+
+    if (membershipsError) throw membershipsError;
+
+    const { data: lists, error } = await supabase
+      .from('lists')
+      .select(LIST_SELECT)
+      .in('id', memberships.map(membership => membership.list_id))
+      .is('todos.deleted_at', null) // No contar las tareas de la papelera ni las archivadas
+      .is('todos.archived_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error al obtener listas:', error);
+      return res.status(500).json({
+        error: 'Error al obtener las listas',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lists.map(list => formatList(list, userId)),
+      count: lists.length
+    });
+
+  } catch (error) {
+    console.error('Error en getLists:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Obtener una lista específica por ID
+ * GET /api/lists/:id
+ */
+export const getListById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de lista inválido',
+        field: 'id'
+      });
+    }
+
+    const access = await checkListRole(id, userId, 'viewer', 'verla');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: list, error } = await supabase
+      .from('lists')
+      .select(LIST_SELECT)
+      .eq('id', id)
+      .is('todos.deleted_at', null)
+      .is('todos.archived_at', null)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al obtener lista:', error);
+      return res.status(500).json({
+        error: 'Error al obtener la lista',
+        details: error.message
+      });
+    }
+
+    if (!list) {
+      return res.status(404).json({
+        error: 'Lista no encontrada o no tienes permisos para verla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatList(list, userId)
+    });
+
+  } catch (error) {
+    console.error('Error en getListById:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Crear una nueva lista
+ * POST /api/lists
+ */
+export const createList = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const validation = validateListFields(req.body, true);
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        field: validation.field
+      });
+    }
+
+    // El trigger add_list_owner_member agrega al creador como owner de la lista
+    const { data: newList, error } = await supabase
+      .from('lists')
+      .insert([{ ...validation.fields, user_id: userId }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al crear lista:', error);
+      return res.status(500).json({
+        error: 'Error al crear la lista',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...newList,
+        todo_count: 0,
+        members: [{ user_id: userId, email: req.user.email, role: 'owner' }],
+        role: 'owner'
+      },
+      message: 'Lista creada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en createList:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Actualizar una lista existente (renombrar o cambiar color)
+ * PUT /api/lists/:id
+ */
+export const updateList = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de lista inválido',
+        field: 'id'
+      });
+    }
+
+    const validation = validateListFields(req.body, false);
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        field: validation.field
+      });
+    }
+
+    if (Object.keys(validation.fields).length === 0) {
+      return res.status(400).json({
+        error: 'No hay campos para actualizar',
+        fields: ['name', 'color']
+      });
+    }
+
+    // Solo los owner pueden renombrar la lista o cambiar su color
+    const access = await checkListRole(id, userId, 'owner', 'modificarla');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: updatedList, error } = await supabase
+      .from('lists')
+      .update(validation.fields)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al actualizar lista:', error);
+      return res.status(500).json({
+        error: 'Error al actualizar la lista',
+        details: error.message
+      });
+    }
+
+    if (!updatedList) {
+      return res.status(404).json({
+        error: 'Lista no encontrada o no tienes permisos para modificarla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updatedList,
+      message: 'Lista actualizada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en updateList:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Eliminar una lista
+ * Las tareas de la lista se eliminan en cascada (ON DELETE CASCADE)
+ * DELETE /api/lists/:id
+ */
+export const deleteList = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de lista inválido',
+        field: 'id'
+      });
+    }
+
+    // Solo los owner pueden eliminar la lista (con las tareas de todos sus miembros)
+    const access = await checkListRole(id, userId, 'owner', 'eliminarla');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: deletedList, error } = await supabase
+      .from('lists')
+      .delete()
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al eliminar lista:', error);
+      return res.status(500).json({
+        error: 'Error al eliminar la lista',
+        details: error.message
+      });
+    }
+
+    if (!deletedList) {
+      return res.status(404).json({
+        error: 'Lista no encontrada o no tienes permisos para eliminarla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deletedList,
+      message: 'Lista eliminada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en deleteList:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
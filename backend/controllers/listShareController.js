@@ -0,0 +1,652 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+import { LIST_ROLES, checkListRole } from '../utils/listAccess.js';
+import { recordTodoChanges } from '../utils/activityLog.js';
+import { publishTodoEvents } from '../utils/todoEventBus.js';
+import { dispatchTodoWebhooksForAll } from '../utils/webhooks.js';
+
+/**
+ * Controlador para compartir listas
+ * Miembros de una lista (rutas /api/lists/:id/members), invitaciones que
+ * gestiona el owner (/api/lists/:id/invitations) e invitaciones recibidas por
+ * el usuario autenticado (/api/invitations)
+ */
+
+// Formato básico de un email (la verificación real la hace Supabase Auth al registrarse)
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Código de Postgres para violación de restricción UNIQUE
+const UNIQUE_VIOLATION = '23505';
+
+// Columnas de las tareas que se envían en los eventos (las mismas que todoController)
+const TODO_SELECT = '*, subtasks(*), tags(*)';
+
+/**
+ * Validar un rol de lista recibido en el body
+ *
+ * @param {*} role - Rol recibido
+ * @returns {string|null} Mensaje de error, o null si es válido
+ */
+const validateRole = (role) =>
+  LIST_ROLES.includes(role) ? null : `El rol debe ser uno de: ${LIST_ROLES.join(', ')}`;
+
+/**
+ * Contar los owners de una lista
+ *
+ * @param {string} listId - ID de la lista
+ * @returns {Promise<number>} Cantidad de owners
+ */
+const countOwners = async (listId) => {
+  const { count, error } = await supabase
+    .from('list_members')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('list_id', listId)
+    .eq('role', 'owner');
+
+  if (error) throw error;
+  return count;
+};
+
+/**
+ * Obtener los miembros de una lista
+ * GET /api/lists/:id/members
+ */
+export const getListMembers = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de lista inválido',
+        field: 'id'
+      });
+    }
+
+    const access = await checkListRole(id, userId, 'viewer', 'verla');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: members, error } = await supabase
+      .from('list_members')
+      .select('*')
+      .eq('list_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error al obtener miembros:', error);
+      return res.status(500).json({
+        error: 'Error al obtener los miembros de la lista',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: members,
+      count: members.length
+    });
+
+  } catch (error) {
+    console.error('Error en getListMembers:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Cambiar el rol de un miembro de la lista (solo owners)
+ * PATCH /api/lists/:id/members/:userId
+ */
+export const updateListMember = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, userId: memberId } = req.params;
+    const { role } = req.body;
+
+    if (!isValidUUID(id) || !isValidUUID(memberId)) {
+      return res.status(400).json({
+        error: 'ID de lista o de miembro inválido',
+        field: isValidUUID(id) ? 'userId' : 'id'
+      });
+    }
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({
+        error: roleError,
+        field: 'role'
+      });
+    }
+
+    const access = await checkListRole(id, userId, 'owner', 'gestionar sus miembros');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: member, error: memberError } = await supabase
+      .from('list_members')
+      .select('role')
+      .eq('list_id', id)
+      .eq('user_id', memberId)
+      .maybeSingle();
+
+    if (memberError) throw memberError;
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'El usuario no es miembro de la lista'
+      });
+    }
+
+    // La lista debe conservar al menos un owner (el trigger ensure_list_members_owner también lo impide)
+    if (member.role === 'owner' && role !== 'owner' && await countOwners(id) <= 1) {
+      return res.status(409).json({
+        error: 'La lista debe tener al menos un owner',
+        field: 'role'
+      });
+    }
+
+    const { data: updatedMember, error } = await supabase
+      .from('list_members')
+      .update({ role })
+      .eq('list_id', id)
+      .eq('user_id', memberId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al actualizar miembro:', error);
+      return res.status(500).json({
+        error: 'Error al cambiar el rol del miembro',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updatedMember,
+      message: 'Rol actualizado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en updateListMember:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Quitar a un miembro de la lista
+ * Los owners pueden quitar a cualquiera; cada miembro puede salir de la lista.
+ * Las tareas de la lista asignadas al miembro quedan sin asignar.
+ * DELETE /api/lists/:id/members/:userId
+ */
+export const removeListMember = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, userId: memberId } = req.params;
+
+    if (!isValidUUID(id) || !isValidUUID(memberId)) {
+      return res.status(400).json({
+        error: 'ID de lista o de miembro inválido',
+        field: isValidUUID(id) ? 'userId' : 'id'
+      });
+    }
+
+    const isSelf = memberId === userId;
+    const access = await checkListRole(id, userId, isSelf ? 'viewer' : 'owner', 'gestionar sus miembros');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: member, error: memberError } = await supabase
+      .from('list_members')
+      .select('role')
+      .eq('list_id', id)
+      .eq('user_id', memberId)
+      .maybeSingle();
+
+    if (memberError) throw memberError;
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'El usuario no es miembro de la lista'
+      });
+    }
+
+    if (member.role === 'owner' && await countOwners(id) <= 1) {
+      return res.status(409).json({
+        error: isSelf
+          ? 'Eres el único owner: nombra a otro owner o elimina la lista antes de salir'
+          : 'La lista debe tener al menos un owner'
+      });
+    }
+
+    // Sin membresía la asignación le seguiría dando acceso a la tarea
+    const { data: unassignedTodos, error: unassignError } = await supabase
+      .from('todos')
+      .update({ assignee_id: null })
+      .eq('list_id', id)
+      .eq('assignee_id', memberId)
+      .select(TODO_SELECT);
+
+    if (unassignError) throw unassignError;
+
+    const { error } = await supabase
+      .from('list_members')
+      .delete()
+      .eq('list_id', id)
+      .eq('user_id', memberId);
+
+    if (error) {
+      console.error('Error al quitar miembro:', error);
+      return res.status(500).json({
+        error: 'Error al quitar al miembro de la lista',
+        details: error.message
+      });
+    }
+
+    if (unassignedTodos.length > 0) {
+      const previousTodos = unassignedTodos.map(todo => ({ ...todo, assignee_id: memberId }));
+      await recordTodoChanges(req.user, previousTodos, unassignedTodos);
+      publishTodoEvents('updated', unassignedTodos, previousTodos);
+      dispatchTodoWebhooksForAll(req.user, 'updated', unassignedTodos, previousTodos);
+    }
+
+    res.json({
+      success: true,
+      data: { list_id: id, user_id: memberId },
+      message: isSelf ? 'Has salido de la lista' : 'Miembro quitado de la lista'
+    });
+
+  } catch (error) {
+    console.error('Error en removeListMember:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Obtener las invitaciones pendientes de una lista (solo owners)
+ * GET /api/lists/:id/invitations
+ */
+export const getListInvitations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de lista inválido',
+        field: 'id'
+      });
+    }
+
+    const access = await checkListRole(id, userId, 'owner', 'ver sus invitaciones');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: invitations, error } = await supabase
+      .from('list_invitations')
+      .select('*')
+      .eq('list_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error al obtener invitaciones:', error);
+      return res.status(500).json({
+        error: 'Error al obtener las invitaciones',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invitations,
+      count: invitations.length
+    });
+
+  } catch (error) {
+    console.error('Error en getListInvitations:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Invitar a un usuario a la lista por email (solo owners)
+ * POST /api/lists/:id/invitations
+ */
+export const createListInvitation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { email, role = 'viewer' } = req.body;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de lista inválido',
+        field: 'id'
+      });
+    }
+
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) {
+      return res.status(400).json({
+        error: 'Debes indicar un email válido',
+        field: 'email'
+      });
+    }
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({
+        error: roleError,
+        field: 'role'
+      });
+    }
+
+    const access = await checkListRole(id, userId, 'owner', 'invitar a otros usuarios');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const cleanEmail = email.trim().toLowerCase();
+
+    // No invitar a quien ya es miembro
+    const { data: existingMember, error: memberError } = await supabase
+      .from('list_members')
+      .select('user_id')
+      .eq('list_id', id)
+      .eq('email', cleanEmail)
+      .maybeSingle();
+
+    if (memberError) throw memberError;
+
+    if (existingMember) {
+      return res.status(409).json({
+        error: 'Ese usuario ya es miembro de la lista',
+        field: 'email'
+      });
+    }
+
+    const { data: invitation, error } = await supabase
+      .from('list_invitations')
+      .insert([{ list_id: id, email: cleanEmail, role, invited_by: userId }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          error: 'Ya hay una invitación pendiente para ese email',
+          field: 'email'
+        });
+      }
+      console.error('Error al crear invitación:', error);
+      return res.status(500).json({
+        error: 'Error al crear la invitación',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      message: 'Invitación enviada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en createListInvitation:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Cancelar una invitación pendiente (solo owners)
+ * DELETE /api/lists/:id/invitations/:invitationId
+ */
+export const deleteListInvitation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, invitationId } = req.params;
+
+    if (!isValidUUID(id) || !isValidUUID(invitationId)) {
+      return res.status(400).json({
+        error: 'ID de lista o de invitación inválido',
+        field: isValidUUID(id) ? 'invitationId' : 'id'
+      });
+    }
+
+    const access = await checkListRole(id, userId, 'owner', 'cancelar sus invitaciones');
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: deletedInvitation, error } = await supabase
+      .from('list_invitations')
+      .delete()
+      .eq('id', invitationId)
+      .eq('list_id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al cancelar invitación:', error);
+      return res.status(500).json({
+        error: 'Error al cancelar la invitación',
+        details: error.message
+      });
+    }
+
+    if (!deletedInvitation) {
+      return res.status(404).json({
+        error: 'Invitación no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deletedInvitation,
+      message: 'Invitación cancelada'
+    });
+
+  } catch (error) {
+    console.error('Error en deleteListInvitation:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Obtener las invitaciones pendientes dirigidas al usuario autenticado
+ * Incluye el nombre y color de cada lista
+ * GET /api/invitations
+ */
+export const getMyInvitations = async (req, res) => {
+  try {
+    const email = req.user.email?.toLowerCase() ?? '';
+
+    const { data: invitations, error } = await supabase
+      .from('list_invitations')
+      .select('*, lists(name, color)')
+      .eq('email', email)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error al obtener invitaciones:', error);
+      return res.status(500).json({
+        error: 'Error al obtener las invitaciones',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invitations,
+      count: invitations.length
+    });
+
+  } catch (error) {
+    console.error('Error en getMyInvitations:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Buscar una invitación dirigida al email del usuario autenticado
+ *
+ * @param {string} invitationId - ID de la invitación
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>} Invitación o null si no existe o es para otro email
+ */
+const findOwnInvitation = async (invitationId, user) => {
+  const { data, error } = await supabase
+    .from('list_invitations')
+    .select('*')
+    .eq('id', invitationId)
+    .eq('email', user.email?.toLowerCase() ?? '')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Aceptar una invitación: el usuario pasa a ser miembro de la lista con el rol indicado
+ * Si ya era miembro conserva su rol. La invitación se borra.
+ * POST /api/invitations/:id/accept
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de invitación inválido',
+        field: 'id'
+      });
+    }
+
+    const invitation = await findOwnInvitation(id, req.user);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitación no encontrada'
+      });
+    }
+
+    const { error: memberError } = await supabase
+      .from('list_members')
+      .upsert(
+        [{ list_id: invitation.list_id, user_id: userId, email: invitation.email, role: invitation.role }],
+        { onConflict: 'list_id,user_id', ignoreDuplicates: true }
+      );
+
+    if (memberError) {
+      console.error('Error al aceptar invitación:', memberError);
+      return res.status(500).json({
+        error: 'Error al aceptar la invitación',
+        details: memberError.message
+      });
+    }
+
+    const { error } = await supabase
+      .from('list_invitations')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    const { data: member, error: fetchError } = await supabase
+      .from('list_members')
+      .select('*')
+      .eq('list_id', invitation.list_id)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    res.json({
+      success: true,
+      data: member,
+      message: 'Invitación aceptada'
+    });
+
+  } catch (error) {
+    console.error('Error en acceptInvitation:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Rechazar una invitación (se borra sin agregar al usuario a la lista)
+ * DELETE /api/invitations/:id
+ */
+export const declineInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de invitación inválido',
+        field: 'id'
+      });
+    }
+
+    const invitation = await findOwnInvitation(id, req.user);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitación no encontrada'
+      });
+    }
+
+    const { error } = await supabase
+      .from('list_invitations')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('Error al rechazar invitación:', error);
+      return res.status(500).json({
+        error: 'Error al rechazar la invitación',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invitation,
+      message: 'Invitación rechazada'
+    });
+
+  } catch (error) {
+    console.error('Error en declineInvitation:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
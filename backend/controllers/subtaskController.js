@@ -0,0 +1,306 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+import { getTodoAccess } from '../utils/listAccess.js';
+
+/**
+ * Controlador para operaciones CRUD de subtareas
+ * Las subtareas forman un checklist dentro de una tarea (rutas /api/todos/:id/subtasks)
+ */
+
+/**
+ * Validar los IDs de la ruta y verificar que el usuario tenga acceso a la tarea padre
+ *
+ * @param {Object} params - Parámetros de la ruta (id y, opcionalmente, subtaskId)
+ * @param {string} userId - ID del usuario autenticado
+ * @param {'read'|'write'} permission - Permiso necesario sobre la tarea (ver getTodoAccess)
+ * @returns {Promise<{ todo: Object }|{ status: number, body: Object }>} Tarea padre o respuesta de error
+ */
+const findParentTodo = async ({ id, subtaskId }, userId, permission = 'write') => {
+  if (!isValidUUID(id)) {
+    return { status: 400, body: { error: 'ID de tarea inválido', field: 'id' } };
+  }
+
+  if (subtaskId !== undefined && !isValidUUID(subtaskId)) {
+    return { status: 400, body: { error: 'ID de subtarea inválido', field: 'subtaskId' } };
+  }
+
+  const access = await getTodoAccess(userId);
+
+  const { data: todo, error } = await supabase
+    .from('todos')
+    .select('id')
+    .eq('id', id)
+    .or(access[permission])
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!todo) {
+    return {
+      status: 404,
+      body: { error: 'Tarea no encontrada o no tienes permisos para verla' }
+    };
+  }
+
+  return { todo };
+};
+
+/**
+ * Validar el título de una subtarea
+ *
+ * @param {*} title - Título recibido
+ * @returns {{ title: string }|{ error: string }} Título limpio o mensaje de error
+ */
+const validateSubtaskTitle = (title) => {
+  if (typeof title !== 'string' || title.trim() === '') {
+    return { error: 'El título de la subtarea es requerido' };
+  }
+
+  const cleanTitle = title.trim();
+  if (cleanTitle.length > 255) {
+    return { error: 'El título no puede exceder 255 caracteres' };
+  }
+
+  return { title: cleanTitle };
+};
+
+/**
+ * Obtener las subtareas de una tarea
+ * GET /api/todos/:id/subtasks
+ */
+export const getSubtasks = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parent = await findParentTodo(req.params, userId, 'read');
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const { data: subtasks, error } = await supabase
+      .from('subtasks')
+      .select('*')
+      .eq('todo_id', parent.todo.id)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error al obtener subtareas:', error);
+      return res.status(500).json({
+        error: 'Error al obtener las subtareas',
+        details: error.message
+      });
+    }
+
+    const completed = subtasks.filter(subtask => subtask.completed).length;
+
+    res.json({
+      success: true,
+      data: subtasks,
+      count: subtasks.length,
+      completed
+    });
+
+  } catch (error) {
+    console.error('Error en getSubtasks:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Crear una subtarea al final del checklist
+ * POST /api/todos/:id/subtasks
+ */
+export const createSubtask = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parent = await findParentTodo(req.params, userId);
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const validation = validateSubtaskTitle(req.body.title);
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        field: 'title'
+      });
+    }
+
+    // Calcular la posición: después de la última subtarea
+    const { data: last, error: positionError } = await supabase
+      .from('subtasks')
+      .select('position')
+      .eq('todo_id', parent.todo.id)
+      .order('position', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (positionError) throw positionError;
+
+    const { data: newSubtask, error } = await supabase
+      .from('subtasks')
+      .insert([
+        {
+          todo_id: parent.todo.id,
+          user_id: userId,
+          title: validation.title,
+          position: last ? last.position + 1 : 0
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al crear subtarea:', error);
+      return res.status(500).json({
+        error: 'Error al crear la subtarea',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: newSubtask,
+      message: 'Subtarea creada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en createSubtask:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Actualizar una subtarea (título o estado de completado)
+ * PATCH /api/todos/:id/subtasks/:subtaskId
+ */
+export const updateSubtask = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { title, completed } = req.body;
+
+    const parent = await findParentTodo(req.params, userId);
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const updates = {};
+
+    if (title !== undefined) {
+      const validation = validateSubtaskTitle(title);
+      if (validation.error) {
+        return res.status(400).json({
+          error: validation.error,
+          field: 'title'
+        });
+      }
+      updates.title = validation.title;
+    }
+
+    if (completed !== undefined) {
+      updates.completed = Boolean(completed);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'No hay campos para actualizar',
+        fields: ['title', 'completed']
+      });
+    }
+
+    const { data: updatedSubtask, error } = await supabase
+      .from('subtasks')
+      .update(updates)
+      .eq('id', req.params.subtaskId)
+      .eq('todo_id', parent.todo.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al actualizar subtarea:', error);
+      return res.status(500).json({
+        error: 'Error al actualizar la subtarea',
+        details: error.message
+      });
+    }
+
+    if (!updatedSubtask) {
+      return res.status(404).json({
+        error: 'Subtarea no encontrada o no tienes permisos para modificarla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updatedSubtask,
+      message: 'Subtarea actualizada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en updateSubtask:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Eliminar una subtarea
+ * DELETE /api/todos/:id/subtasks/:subtaskId
+ */
+export const deleteSubtask = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const parent = await findParentTodo(req.params, userId);
+    if (!parent.todo) {
+      return res.status(parent.status).json(parent.body);
+    }
+
+    const { data: deletedSubtask, error } = await supabase
+      .from('subtasks')
+      .delete()
+      .eq('id', req.params.subtaskId)
+      .eq('todo_id', parent.todo.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al eliminar subtarea:', error);
+      return res.status(500).json({
+        error: 'Error al eliminar la subtarea',
+        details: error.message
+      });
+    }
+
+    if (!deletedSubtask) {
+      return res.status(404).json({
+        error: 'Subtarea no encontrada o no tienes permisos para eliminarla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deletedSubtask,
+      message: 'Subtarea eliminada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en deleteSubtask:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
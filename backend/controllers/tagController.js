@@ -0,0 +1,270 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+
+/**
+ * Controlador para operaciones CRUD de etiquetas
+ * Las etiquetas se asignan a las tareas mediante la tabla todo_tags (muchos a muchos)
+ */
+
+// Formato permitido para el color de una etiqueta (hexadecimal #RRGGBB)
+const COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+
+// Código de Postgres para violación de restricción UNIQUE
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Validar los campos editables de una etiqueta (name, color)
+ * Solo procesa los campos presentes en el body
+ *
+ * @param {Object} body - Body de la petición
+ * @param {boolean} requireName - Si el nombre es obligatorio (creación)
+ * @returns {{ fields: Object }|{ error: string, field: string }} Campos normalizados o error de validación
+ */
+const validateTagFields = (body, requireName) => {
+  const fields = {};
+  const { name, color } = body;
+
+  if (name !== undefined || requireName) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return { error: 'El nombre de la etiqueta es requerido', field: 'name' };
+    }
+    const cleanName = name.trim();
+    if (cleanName.length > 30) {
+      return { error: 'El nombre no puede exceder 30 caracteres', field: 'name' };
+    }
+    fields.name = cleanName;
+  }
+
+  if (color !== undefined) {
+    if (color !== null && !COLOR_REGEX.test(color)) {
+      return { error: 'El color debe tener el formato #RRGGBB', field: 'color' };
+    }
+    fields.color = color;
+  }
+
+  return { fields };
+};
+
+/**
+ * Obtener todas las etiquetas del usuario autenticado
+ * GET /api/tags
+ */
+export const getTags = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: tags, error } = await supabase
+      .from('tags')
+      .select('*, todo_tags(count)')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Error al obtener etiquetas:', error);
+      return res.status(500).json({
+        error: 'Error al obtener las etiquetas',
+        details: error.message
+      });
+    }
+
+    // Supabase devuelve el conteo agregado como todo_tags: [{ count }]
+    const data = tags.map(({ todo_tags: usage, ...tag }) => ({
+      ...tag,
+      todo_count: usage?.[0]?.count ?? 0
+    }));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Error en getTags:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Crear una nueva etiqueta
+ * POST /api/tags
+ */
+export const createTag = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const validation = validateTagFields(req.body, true);
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        field: validation.field
+      });
+    }
+
+    const { data: newTag, error } = await supabase
+      .from('tags')
+      .insert([{ ...validation.fields, user_id: userId }])
+      .select()
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'Ya tienes una etiqueta con ese nombre',
+        field: 'name'
+      });
+    }
+
+    if (error) {
+      console.error('Error al crear etiqueta:', error);
+      return res.status(500).json({
+        error: 'Error al crear la etiqueta',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: newTag,
+      message: 'Etiqueta creada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en createTag:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Actualizar una etiqueta (renombrar o cambiar color)
+ * PUT /api/tags/:id
+ */
+export const updateTag = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de etiqueta inválido',
+        field: 'id'
+      });
+    }
+
+    const validation = validateTagFields(req.body, false);
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        field: validation.field
+      });
+    }
+
+    if (Object.keys(validation.fields).length === 0) {
+      return res.status(400).json({
+        error: 'No hay campos para actualizar',
+        fields: ['name', 'color']
+      });
+    }
+
+    const { data: updatedTag, error } = await supabase
+      .from('tags')
+      .update(validation.fields)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'Ya tienes una etiqueta con ese nombre',
+        field: 'name'
+      });
+    }
+
+    if (error) {
+      console.error('Error al actualizar etiqueta:', error);
+      return res.status(500).json({
+        error: 'Error al actualizar la etiqueta',
+        details: error.message
+      });
+    }
+
+    if (!updatedTag) {
+      return res.status(404).json({
+        error: 'Etiqueta no encontrada o no tienes permisos para modificarla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updatedTag,
+      message: 'Etiqueta actualizada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en updateTag:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Eliminar una etiqueta (se quita automáticamente de todas las tareas)
+ * DELETE /api/tags/:id
+ */
+export const deleteTag = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de etiqueta inválido',
+        field: 'id'
+      });
+    }
+
+    const { data: deletedTag, error } = await supabase
+      .from('tags')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al eliminar etiqueta:', error);
+      return res.status(500).json({
+        error: 'Error al eliminar la etiqueta',
+        details: error.message
+      });
+    }
+
+    if (!deletedTag) {
+      return res.status(404).json({
+        error: 'Etiqueta no encontrada o no tienes permisos para eliminarla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deletedTag,
+      message: 'Etiqueta eliminada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en deleteTag:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
@@ -1,26 +1,473 @@
 // Importar el cliente de Supabase
 import { supabase } from '../config/supabaseClient.js';
+import { parseOptionalDate, isValidUUID } from '../utils/validators.js';
+import { normalizeRecurrence, getNextOccurrence } from '../utils/recurrence.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, quoteFilterValue } from '../utils/pagination.js';
+import { TRASH_RETENTION_DAYS, getPurgeDate } from '../config/trashConfig.js';
+import { getListRole, getTodoAccess, hasListRole, canWriteTodo, isValidAssignee } from '../utils/listAccess.js';
+import { recordTodoAction, recordTodoCreated, recordTodoChanges } from '../utils/activityLog.js';
+import { publishTodoEvent, publishTodoEvents } from '../utils/todoEventBus.js';
+import { dispatchTodoWebhooks, dispatchTodoWebhooksForAll } from '../utils/webhooks.js';
 
 /**
  * Controlador para operaciones CRUD de tareas
  * Maneja todas las operaciones relacionadas con las tareas del usuario
  */
 
+// Prioridades permitidas para una tarea
+const VALID_PRIORITIES = ['high', 'medium', 'low'];
+
+// Longitud máxima del título y la descripción (el frontend usa los mismos límites)
+const MAX_TITLE_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Columnas devueltas para una tarea: incluye sus subtareas (checklist) y etiquetas
+const TODO_SELECT = '*, subtasks(*), tags(*)';
+
+// Máximo de tareas que se pueden reordenar o modificar en lote en una sola petición
+const MAX_BATCH_SIZE = 500;
+
+// Acciones permitidas en POST /api/todos/bulk
+const BULK_ACTIONS = ['complete', 'uncomplete', 'delete', 'move', 'add_tags', 'remove_tags', 'archive', 'unarchive'];
+
+// Tamaño de página de GET /api/todos (por defecto y máximo)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Campos por los que se puede ordenar GET /api/todos, con su dirección por defecto
+const SORT_FIELDS = {
+  position: 'asc',
+  created_at: 'desc',
+  updated_at: 'desc',
+  due_at: 'asc',
+  title: 'asc',
+  archived_at: 'desc'
+};
+
+// Valores de archived en GET /api/todos y GET /api/todos/stats:
+// false (por defecto, sin archivadas), true (solo archivadas) o all (todas)
+const ARCHIVED_FILTERS = ['false', 'true', 'all'];
+
+// Longitud máxima del texto de búsqueda (q)
+const MAX_QUERY_LENGTH = 100;
+
+// Resultados de GET /api/todos/search (por defecto y máximo)
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Aplicar el filtro de archivado a una consulta de tareas
+ *
+ * @param {Object} query - Consulta de Supabase sobre todos
+ * @param {string} archived - 'false' (sin archivadas), 'true' (solo archivadas) o 'all'
+ * @returns {Object} Consulta con el filtro aplicado
+ */
+const applyArchivedFilter = (query, archived) => {
+  if (archived === 'all') return query;
+  return archived === 'true'
+    ? query.not('archived_at', 'is', null)
+    : query.is('archived_at', null);
+};
+
+/**
+ * Validar los campos de fecha de una tarea (due_at, remind_at)
+ * Solo procesa los campos presentes en el body; al actualizar, el que no se envía
+ * se compara con el valor guardado
+ *
+ * @param {Object} body - Body de la petición
+ * @param {Object} current - Tarea actual (al actualizar), con due_at y remind_at guardados
+ * @returns {{ dates: Object }|{ error: string, field: string }} Fechas normalizadas o error de validación
+ */
+const validateDateFields = (body, current = {}) => {
+  const dates = {};
+
+  for (const field of ['due_at', 'remind_at']) {
+    if (body[field] === undefined) continue;
+
+    const result = parseOptionalDate(body[field]);
+    if (result.error) {
+      return { error: result.error, field };
+    }
+    dates[field] = result.value;
+  }
+
+  // El recordatorio no puede ser posterior a la fecha límite
+  const dueAt = dates.due_at !== undefined ? dates.due_at : current.due_at;
+  const remindAt = dates.remind_at !== undefined ? dates.remind_at : current.remind_at;
+  if (dueAt && remindAt && new Date(remindAt) > new Date(dueAt)) {
+    return {
+      error: 'El recordatorio no puede ser posterior a la fecha límite',
+      field: dates.remind_at !== undefined ? 'remind_at' : 'due_at'
+    };
+  }
+
+  return { dates };
+};
+
+/**
+ * Validar el campo list_id de una tarea
+ * Verifica que la lista exista y que el usuario pueda agregarle tareas
+ *
+ * @param {*} listId - Valor recibido (UUID, null / '' para quitar la lista, undefined si no se envió)
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Promise<{ listId: string|null|undefined }|{ status: number, error: string, field: string }>}
+ */
+const validateListField = async (listId, userId) => {
+  if (listId === undefined) return { listId: undefined };
+  if (listId === null || listId === '') return { listId: null };
+
+  if (!isValidUUID(listId)) {
+    return { status: 400, error: 'ID de lista inválido', field: 'list_id' };
+  }
+
+  // Solo se pueden agregar tareas a las listas donde el usuario es editor u owner
+  const role = await getListRole(listId, userId);
+
+  if (!hasListRole(role, 'editor')) {
+    return { status: 404, error: 'Lista no encontrada o no tienes permisos para usarla', field: 'list_id' };
+  }
+
+  return { listId };
+};
+
+/**
+ * Validar el campo assignee_id de una tarea
+ * Verifica que el usuario asignado pueda colaborar en la tarea (ver isValidAssignee)
+ *
+ * @param {*} assigneeId - Valor recibido (UUID, null / '' para quitar la asignación, undefined si no se envió)
+ * @param {string|null} listId - Lista en la que quedará la tarea (null = sin lista)
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Promise<{ assigneeId: string|null|undefined }|{ status: number, error: string, field: string }>}
+ */
+const validateAssigneeField = async (assigneeId, listId, userId) => {
+  if (assigneeId === undefined) return { assigneeId: undefined };
+  if (assigneeId === null || assigneeId === '') return { assigneeId: null };
+
+  if (!isValidUUID(assigneeId)) {
+    return { status: 400, error: 'ID de usuario asignado inválido', field: 'assignee_id' };
+  }
+
+  if (!await isValidAssignee(assigneeId, listId, userId)) {
+    return {
+      status: 404,
+      error: listId
+        ? 'El usuario asignado no es miembro de la lista de la tarea'
+        : 'Solo puedes asignar la tarea a colaboradores de tus listas',
+      field: 'assignee_id'
+    };
+  }
+
+  return { assigneeId };
+};
+
+/**
+ * Validar el filtro assignee de los listados y estadísticas
+ *
+ * @param {*} assignee - 'me' (tareas asignadas al usuario) o el ID de un usuario (undefined = sin filtro)
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {{ assigneeId: string|undefined }|{ error: string, field: string }} ID a filtrar o error de validación
+ */
+const parseAssigneeFilter = (assignee, userId) => {
+  if (assignee === undefined) return { assigneeId: undefined };
+  if (assignee === 'me') return { assigneeId: userId };
+  if (!isValidUUID(assignee)) {
+    return { error: "assignee debe ser 'me' o un ID de usuario válido", field: 'assignee' };
+  }
+  return { assigneeId: assignee };
+};
+
+/**
+ * Validar el campo tag_ids de una tarea
+ * Verifica que todas las etiquetas existan y pertenezcan al usuario
+ *
+ * @param {*} tagIds - Arreglo de UUIDs de etiquetas (undefined si no se envió)
+ * @param {string} userId - ID del usuario autenticado
+ * @returns {Promise<{ tagIds: string[]|undefined }|{ status: number, error: string, field: string }>}
+ */
+const validateTagIds = async (tagIds, userId) => {
+  if (tagIds === undefined) return { tagIds: undefined };
+
+  if (!Array.isArray(tagIds) || !tagIds.every(isValidUUID)) {
+    return { status: 400, error: 'tag_ids debe ser un arreglo de IDs de etiqueta válidos', field: 'tag_ids' };
+  }
+
+  const uniqueIds = [...new Set(tagIds)];
+  if (uniqueIds.length === 0) return { tagIds: [] };
+
+  const { data: tags, error } = await supabase
+    .from('tags')
+    .select('id')
+    .eq('user_id', userId)
+    .in('id', uniqueIds);
+
+  if (error) throw error;
+
+  if (tags.length !== uniqueIds.length) {
+    return { status: 404, error: 'Alguna etiqueta no existe o no tienes permisos para usarla', field: 'tag_ids' };
+  }
+
+  return { tagIds: uniqueIds };
+};
+
+/**
+ * Reemplazar las etiquetas del usuario en una tarea por las indicadas
+ * Las etiquetas que pusieron otros colaboradores en una tarea compartida se conservan.
+ *
+ * @param {string} todoId - ID de la tarea
+ * @param {string} userId - ID del usuario que etiqueta
+ * @param {string[]} tagIds - IDs de las etiquetas (ya validadas, todas del usuario)
+ */
+const replaceTodoTags = async (todoId, userId, tagIds) => {
+  const { error: deleteError } = await supabase
+    .from('todo_tags')
+    .delete()
+    .eq('todo_id', todoId)
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+  if (tagIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('todo_tags')
+    .insert(tagIds.map(tagId => ({ todo_id: todoId, tag_id: tagId, user_id: userId })));
+
+  if (error) throw error;
+};
+
+/**
+ * Obtener una tarea con sus subtareas y etiquetas
+ *
+ * @param {string} id - ID de la tarea
+ * @param {string|null} accessFilter - Filtro de getTodoAccess que debe cumplir la tarea
+ *                                     (null si los permisos ya se comprobaron)
+ * @returns {Promise<Object|null>} Tarea encontrada o null
+ */
+const fetchTodo = async (id, accessFilter = null) => {
+  let query = supabase
+    .from('todos')
+    .select(TODO_SELECT)
+    .eq('id', id)
+    .is('deleted_at', null); // Las tareas en la papelera no se pueden leer ni modificar
+
+  if (accessFilter) query = query.or(accessFilter);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Crear la siguiente repetición de una tarea recurrente que se acaba de completar
+ * Copia título, descripción, prioridad, lista, etiquetas y checklist (pendiente),
+ * con la próxima fecha límite y el recordatorio desplazado lo mismo.
+ * La nueva tarea sigue siendo del creador de la serie aunque la complete un
+ * colaborador, y cada etiqueta y subtarea conserva a su autor.
+ *
+ * @param {Object} todo - Tarea completada (con sus subtareas y etiquetas)
+ * @returns {Promise<Object|null>} Nueva tarea, o null si la serie terminó
+ */
+const createNextOccurrence = async (todo) => {
+  const next = getNextOccurrence(todo.recurrence, todo.due_at);
+  if (!next) return null;
+
+  // Mantener la misma antelación del recordatorio respecto a la fecha límite
+  let remindAt = null;
+  if (todo.remind_at && todo.due_at) {
+    const offset = new Date(todo.due_at) - new Date(todo.remind_at);
+    remindAt = new Date(new Date(next.dueAt).getTime() - offset).toISOString();
+  }
+
+  const { data: nextTodo, error } = await supabase
+    .from('todos')
+    .insert([
+      {
+        title: todo.title,
+        description: todo.description,
+        priority: todo.priority,
+        list_id: todo.list_id,
+        due_at: next.dueAt,
+        remind_at: remindAt,
+        recurrence: next.recurrence,
+        assignee_id: todo.assignee_id ?? null,
+        user_id: todo.user_id
+      }
+    ])
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  if (todo.tags?.length > 0) {
+    // Cada etiqueta es de quien la creó (solo se etiqueta con etiquetas propias)
+    const { error: tagsError } = await supabase
+      .from('todo_tags')
+      .insert(todo.tags.map(tag => ({ todo_id: nextTodo.id, tag_id: tag.id, user_id: tag.user_id })));
+
+    if (tagsError) throw tagsError;
+  }
+
+  if (todo.subtasks?.length > 0) {
+    const { error: subtasksError } = await supabase
+      .from('subtasks')
+      .insert(todo.subtasks.map(subtask => ({
+        todo_id: nextTodo.id,
+        user_id: subtask.user_id,
+        title: subtask.title,
+        position: subtask.position
+      })));
+
+    if (subtasksError) throw subtasksError;
+  }
+
+  return await fetchTodo(nextTodo.id);
+};
+
+/**
+ * Validar los query params de GET /api/todos
+ *
+ * @param {Object} query - req.query
+ * @param {string} userId - ID del usuario autenticado (para assignee=me)
+ * @returns {{ params: Object }|{ error: string, field: string }} Parámetros normalizados o error de validación
+ */
+const parseTodoQuery = (query, userId) => {
+  const params = {};
+
+  const assignee = parseAssigneeFilter(query.assignee, userId);
+  if (assignee.error) return assignee;
+  params.assigneeId = assignee.assigneeId;
+
+  if (query.list_id !== undefined) {
+    if (!isValidUUID(query.list_id)) {
+      return { error: 'ID de lista inválido', field: 'list_id' };
+    }
+    params.listId = query.list_id;
+  }
+
+  params.limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    params.limit = Number(query.limit);
+    if (!Number.isInteger(params.limit) || params.limit < 1 || params.limit > MAX_PAGE_SIZE) {
+      return { error: `limit debe ser un número entero entre 1 y ${MAX_PAGE_SIZE}`, field: 'limit' };
+    }
+  }
+
+  if (query.completed !== undefined) {
+    if (query.completed !== 'true' && query.completed !== 'false') {
+      return { error: 'completed debe ser true o false', field: 'completed' };
+    }
+    params.completed = query.completed === 'true';
+  }
+
+  params.archived = query.archived ?? 'false';
+  if (!ARCHIVED_FILTERS.includes(params.archived)) {
+    return { error: 'archived debe ser true, false o all', field: 'archived' };
+  }
+
+  if (query.q !== undefined) {
+    if (typeof query.q !== 'string' || query.q.trim().length > MAX_QUERY_LENGTH) {
+      return { error: `La búsqueda no puede exceder ${MAX_QUERY_LENGTH} caracteres`, field: 'q' };
+    }
+    params.q = query.q.trim() || undefined;
+  }
+
+  params.sort = query.sort ?? 'position';
+  if (typeof params.sort !== 'string' || !Object.hasOwn(SORT_FIELDS, params.sort)) {
+    return { error: `sort debe ser uno de: ${Object.keys(SORT_FIELDS).join(', ')}`, field: 'sort' };
+  }
+
+  params.order = query.order ?? SORT_FIELDS[params.sort];
+  if (params.order !== 'asc' && params.order !== 'desc') {
+    return { error: 'order debe ser asc o desc', field: 'order' };
+  }
+
+  for (const [field, key] of [['created_after', 'createdAfter'], ['created_before', 'createdBefore']]) {
+    if (query[field] === undefined) continue;
+    const { value, error } = parseOptionalDate(query[field]);
+    if (error || value === null) {
+      return { error: error || 'La fecha no puede estar vacía', field };
+    }
+    params[key] = value;
+  }
+
+  if (params.createdAfter && params.createdBefore && params.createdAfter > params.createdBefore) {
+    return { error: 'created_after debe ser anterior a created_before', field: 'created_after' };
+  }
+
+  if (query.cursor !== undefined) {
+    const { cursor, error } = decodeCursor(String(query.cursor), params.sort, params.order);
+    if (error) {
+      return { error, field: 'cursor' };
+    }
+    params.cursor = cursor;
+  }
+
+  return { params };
+};
+
 /**
- * Obtener todas las tareas del usuario autenticado
+ * Obtener las tareas del usuario autenticado, paginadas por cursor
  * GET /api/todos
+ * 
+ * Query params opcionales:
+ * - list_id: Solo devolver las tareas de esa lista
+ * - completed: true / false para filtrar por estado
+ * - assignee: me (asignadas al usuario) o el ID de un usuario
+ * - archived: false (por defecto, sin archivadas), true (solo archivadas) o all
+ * - q: Texto a buscar en el título o la descripción
+ * - created_after / created_before: Rango de fechas de creación (ISO 8601)
+ * - sort: position (por defecto), created_at, updated_at, due_at, title o archived_at
+ * - order: asc / desc (por defecto depende de sort)
+ * - limit: Tareas por página (1-100, por defecto 50)
+ * - cursor: nextCursor devuelto por la página anterior
  */
 export const getTodos = async (req, res) => {
   try {
     const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const { params, error: validationError, field } = parseTodoQuery(req.query, userId);
 
-    // Obtener todas las tareas del usuario desde Supabase
-    const { data: todos, error } = await supabase
-      .from('todos')
-      .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
+    if (validationError) {
+      return res.status(400).json({ 
+        error: validationError,
+        field
+      });
+    }
+
+    // Aplicar los filtros comunes a la página y al conteo total
+    const applyFilters = (query) => {
+      // Las tareas eliminadas (en la papelera) no se listan
+      query = applyArchivedFilter(query.or(access.read).is('deleted_at', null), params.archived);
+      if (params.listId) query = query.eq('list_id', params.listId);
+      if (params.completed !== undefined) query = query.eq('completed', params.completed);
+      if (params.assigneeId) query = query.eq('assignee_id', params.assigneeId);
+      if (params.createdAfter) query = query.gte('created_at', params.createdAfter);
+      if (params.createdBefore) query = query.lte('created_at', params.createdBefore);
+      if (params.q) {
+        // Escapar los comodines de LIKE para buscar el texto literal
+        const pattern = quoteFilterValue(`%${params.q.replace(/[\\%_]/g, '\\$&')}%`);
+        query = query.or(`title.ilike.${pattern},description.ilike.${pattern}`);
+      }
+      return query;
+    };
+
+    const ascending = params.order === 'asc';
+
+    let pageQuery = applyFilters(supabase.from('todos').select(TODO_SELECT));
+    if (params.cursor) {
+      pageQuery = pageQuery.or(buildCursorFilter(params.sort, ascending, params.cursor));
+    }
+
+    // Pedir una tarea de más para saber si hay otra página; el id desempata el orden
+    const [page, count] = await Promise.all([
+      pageQuery
+        .order(params.sort, { ascending, nullsFirst: false })
+        .order('id', { ascending })
+        .limit(params.limit + 1),
+      applyFilters(supabase.from('todos').select('id', { count: 'exact', head: true }))
+    ]);
 
+    const error = page.error || count.error;
     if (error) {
       console.error('Error al obtener tareas:', error);
       return res.status(500).json({ 
@@ -29,10 +476,15 @@ export const getTodos = async (req, res) => {
       });
     }
 
+    const todos = page.data.slice(0, params.limit);
+    const hasMore = page.data.length > params.limit;
+
     res.json({
       success: true,
       data: todos,
-      count: todos.length
+      count: todos.length,
+      total: count.count,
+      nextCursor: hasMore ? encodeCursor(todos[todos.length - 1], params.sort, params.order) : null
     });
 
   } catch (error) {
@@ -47,11 +499,22 @@ export const getTodos = async (req, res) => {
 /**
  * Crear una nueva tarea
  * POST /api/todos
+ *
+ * Body opcional: id (UUID generado por el cliente). Reenviar la misma creación
+ * con el mismo id (p. ej. al sincronizar tras perder la conexión) devuelve la
+ * tarea ya creada en lugar de duplicarla.
  */
 export const createTodo = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { title, description } = req.body;
+    const { id, title, description } = req.body;
+
+    if (id !== undefined && !isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'El ID de la tarea debe ser un UUID válido',
+        field: 'id'
+      });
+    }
 
     // Validar datos de entrada
     if (!title || title.trim() === '') {
@@ -63,29 +526,111 @@ export const createTodo = async (req, res) => {
 
     // Limpiar y validar el título
     const cleanTitle = title.trim();
-    if (cleanTitle.length > 255) {
+    if (cleanTitle.length > MAX_TITLE_LENGTH) {
       return res.status(400).json({ 
-        error: 'El título no puede exceder 255 caracteres',
+        error: `El título no puede exceder ${MAX_TITLE_LENGTH} caracteres`,
         field: 'title'
       });
     }
 
-    // Limpiar la descripción (opcional)
-    const cleanDescription = description ? description.trim() : '';
+    // Limpiar y validar la descripción (opcional)
+    const cleanDescription = description ? String(description).trim() : '';
+    if (cleanDescription.length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ 
+        error: `La descripción no puede exceder ${MAX_DESCRIPTION_LENGTH} caracteres`,
+        field: 'description'
+      });
+    }
+
+    // Validar fechas límite y de recordatorio (opcionales)
+    const dateValidation = validateDateFields(req.body);
+    if (dateValidation.error) {
+      return res.status(400).json({
+        error: dateValidation.error,
+        field: dateValidation.field
+      });
+    }
+
+    // Validar la lista a la que pertenece la tarea (opcional)
+    const listValidation = await validateListField(req.body.list_id, userId);
+    if (listValidation.error) {
+      return res.status(listValidation.status).json({
+        error: listValidation.error,
+        field: listValidation.field
+      });
+    }
+
+    // Validar el usuario asignado (opcional)
+    const assigneeValidation = await validateAssigneeField(req.body.assignee_id, listValidation.listId ?? null, userId);
+    if (assigneeValidation.error) {
+      return res.status(assigneeValidation.status).json({
+        error: assigneeValidation.error,
+        field: assigneeValidation.field
+      });
+    }
+
+    // Validar la prioridad (opcional, por defecto 'medium')
+    const priority = req.body.priority ?? 'medium';
+    if (!VALID_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: `La prioridad debe ser una de: ${VALID_PRIORITIES.join(', ')}`,
+        field: 'priority'
+      });
+    }
+
+    // Validar las etiquetas (opcionales)
+    const tagValidation = await validateTagIds(req.body.tag_ids, userId);
+    if (tagValidation.error) {
+      return res.status(tagValidation.status).json({
+        error: tagValidation.error,
+        field: tagValidation.field
+      });
+    }
+
+    // Validar la regla de recurrencia (opcional)
+    const recurrence = normalizeRecurrence(req.body.recurrence ?? null);
+    if (recurrence.error) {
+      return res.status(400).json({
+        error: recurrence.error,
+        field: 'recurrence'
+      });
+    }
 
     // Crear la nueva tarea en Supabase
-    const { data: newTodo, error } = await supabase
+    let { data: newTodo, error } = await supabase
       .from('todos')
       .insert([
         { 
+          ...(id !== undefined && { id }),
           title: cleanTitle, 
           description: cleanDescription,
+          priority,
+          list_id: listValidation.listId ?? null,
+          assignee_id: assigneeValidation.assigneeId ?? null,
+          recurrence: recurrence.value,
+          ...dateValidation.dates,
           user_id: userId 
         }
       ])
-      .select()
+      .select(TODO_SELECT)
       .single();
 
+    // El ID ya existe: es un reintento de una creación que sí llegó a guardarse
+    if (error?.code === '23505' && id !== undefined) {
+      const existingTodo = await fetchTodo(id, `user_id.eq.${userId}`);
+      if (!existingTodo) {
+        return res.status(409).json({
+          error: 'Ya existe una tarea con ese ID',
+          field: 'id'
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        data: existingTodo,
+        message: 'La tarea ya estaba creada'
+      });
+    }
+
     if (error) {
       console.error('Error al crear tarea:', error);
       return res.status(500).json({ 
@@ -94,6 +639,17 @@ export const createTodo = async (req, res) => {
       });
     }
 
+    // Asignar etiquetas y devolver la tarea con ellas
+    if (tagValidation.tagIds?.length > 0) {
+      await replaceTodoTags(newTodo.id, userId, tagValidation.tagIds);
+      newTodo = await fetchTodo(newTodo.id);
+    }
+
+    await recordTodoCreated(req.user, newTodo);
+    publishTodoEvent('created', newTodo);
+    // Sin esperar: los webhooks no retrasan la respuesta
+    dispatchTodoWebhooks(req.user, 'created', newTodo);
+
     res.status(201).json({
       success: true,
       data: newTodo,
@@ -116,12 +672,12 @@ export const createTodo = async (req, res) => {
 export const updateTodo = async (req, res) => {
   try {
     const userId = req.user.id;
+    const access = await getTodoAccess(userId);
     const { id } = req.params;
-    const { title, description, completed } = req.body;
+    const { title, description, completed, priority } = req.body;
 
     // Validar que el ID sea un UUID válido
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(id)) {
+    if (!isValidUUID(id)) {
       return res.status(400).json({ 
         error: 'ID de tarea inválido',
         field: 'id'
@@ -139,9 +695,9 @@ export const updateTodo = async (req, res) => {
         });
       }
       const cleanTitle = title.trim();
-      if (cleanTitle.length > 255) {
+      if (cleanTitle.length > MAX_TITLE_LENGTH) {
         return res.status(400).json({ 
-          error: 'El título no puede exceder 255 caracteres',
+          error: `El título no puede exceder ${MAX_TITLE_LENGTH} caracteres`,
           field: 'title'
         });
       }
@@ -149,45 +705,151 @@ export const updateTodo = async (req, res) => {
     }
 
     if (description !== undefined) {
-      updates.description = description ? description.trim() : '';
+      updates.description = description ? String(description).trim() : '';
+      if (updates.description.length > MAX_DESCRIPTION_LENGTH) {
+        return res.status(400).json({ 
+          error: `La descripción no puede exceder ${MAX_DESCRIPTION_LENGTH} caracteres`,
+          field: 'description'
+        });
+      }
     }
 
     if (completed !== undefined) {
       updates.completed = Boolean(completed);
     }
 
+    if (priority !== undefined) {
+      if (!VALID_PRIORITIES.includes(priority)) {
+        return res.status(400).json({
+          error: `La prioridad debe ser una de: ${VALID_PRIORITIES.join(', ')}`,
+          field: 'priority'
+        });
+      }
+      updates.priority = priority;
+    }
+
+    // Versión actual de la tarea (para el historial y para validar las fechas y la asignación)
+    const currentTodo = await fetchTodo(id, access.write);
+
+    const dateValidation = validateDateFields(req.body, currentTodo ?? {});
+    if (dateValidation.error) {
+      return res.status(400).json({
+        error: dateValidation.error,
+        field: dateValidation.field
+      });
+    }
+    Object.assign(updates, dateValidation.dates);
+
+    // Mover la tarea a otra lista (o quitarla de su lista con null)
+    const listValidation = await validateListField(req.body.list_id, userId);
+    if (listValidation.error) {
+      return res.status(listValidation.status).json({
+        error: listValidation.error,
+        field: listValidation.field
+      });
+    }
+    if (listValidation.listId !== undefined) {
+      updates.list_id = listValidation.listId;
+    }
+
+    // Asignar la tarea a un colaborador (null para quitar la asignación)
+    if (req.body.assignee_id !== undefined) {
+      let targetListId = listValidation.listId;
+      if (targetListId === undefined && req.body.assignee_id) {
+        // Sin cambio de lista: el asignado debe poder colaborar en la lista actual
+        targetListId = currentTodo?.list_id ?? null;
+      }
+
+      const assigneeValidation = await validateAssigneeField(req.body.assignee_id, targetListId ?? null, userId);
+      if (assigneeValidation.error) {
+        return res.status(assigneeValidation.status).json({
+          error: assigneeValidation.error,
+          field: assigneeValidation.field
+        });
+      }
+      updates.assignee_id = assigneeValidation.assigneeId;
+    } else if (
+      listValidation.listId !== undefined &&
+      currentTodo?.assignee_id &&
+      !await isValidAssignee(currentTodo.assignee_id, listValidation.listId, userId)
+    ) {
+      // Al mover la tarea se quita la asignación si el asignado no colabora en la nueva lista
+      updates.assignee_id = null;
+    }
+
+    // Cambiar la regla de recurrencia (null para que deje de repetirse)
+    if (req.body.recurrence !== undefined) {
+      const recurrence = normalizeRecurrence(req.body.recurrence);
+      if (recurrence.error) {
+        return res.status(400).json({
+          error: recurrence.error,
+          field: 'recurrence'
+        });
+      }
+      updates.recurrence = recurrence.value;
+    }
+
+    // Reemplazar las etiquetas de la tarea (arreglo vacío para quitarlas todas)
+    const tagValidation = await validateTagIds(req.body.tag_ids, userId);
+    if (tagValidation.error) {
+      return res.status(tagValidation.status).json({
+        error: tagValidation.error,
+        field: tagValidation.field
+      });
+    }
+
     // Verificar que hay al menos un campo para actualizar
-    if (Object.keys(updates).length === 0) {
+    const hasFieldUpdates = Object.keys(updates).length > 0;
+    if (!hasFieldUpdates && tagValidation.tagIds === undefined) {
       return res.status(400).json({ 
         error: 'No hay campos para actualizar',
-        fields: ['title', 'description', 'completed']
+        fields: ['title', 'description', 'completed', 'priority', 'due_at', 'remind_at', 'list_id', 'assignee_id', 'tag_ids', 'recurrence']
       });
     }
 
-    // Actualizar la tarea en Supabase
-    const { data: updatedTodo, error } = await supabase
-      .from('todos')
-      .update(updates)
-      .eq('id', id)
-      .eq('user_id', userId) // Asegurar que solo actualice tareas del usuario
-      .select()
-      .single();
+    let updatedTodo;
+    if (hasFieldUpdates) {
+      // Actualizar la tarea en Supabase
+      const { data, error } = await supabase
+        .from('todos')
+        .update(updates)
+        .eq('id', id)
+        .or(access.write) // Solo tareas que el usuario puede modificar
+        .is('deleted_at', null)
+        .select(TODO_SELECT)
+        .maybeSingle();
 
-    if (error) {
-      console.error('Error al actualizar tarea:', error);
-      return res.status(500).json({ 
-        error: 'Error al actualizar la tarea',
-        details: error.message 
-      });
+      if (error) {
+        console.error('Error al actualizar tarea:', error);
+        return res.status(500).json({ 
+          error: 'Error al actualizar la tarea',
+          details: error.message 
+        });
+      }
+      updatedTodo = data;
+    } else {
+      // Solo cambian las etiquetas: verificar que el usuario puede modificar la tarea
+      updatedTodo = await fetchTodo(id, access.write);
     }
 
-    // Si no se encontró la tarea, significa que no existe o no pertenece al usuario
+    // Si no se encontró la tarea, significa que no existe o el usuario no tiene permisos sobre ella
     if (!updatedTodo) {
       return res.status(404).json({ 
         error: 'Tarea no encontrada o no tienes permisos para modificarla'
       });
     }
 
+    if (tagValidation.tagIds !== undefined) {
+      await replaceTodoTags(id, userId, tagValidation.tagIds);
+      updatedTodo = await fetchTodo(id);
+    }
+
+    if (currentTodo) {
+      await recordTodoChanges(req.user, [currentTodo], [updatedTodo]);
+    }
+    publishTodoEvent('updated', updatedTodo, currentTodo);
+    dispatchTodoWebhooks(req.user, 'updated', updatedTodo, currentTodo);
+
     res.json({
       success: true,
       data: updatedTodo,
@@ -204,31 +866,35 @@ export const updateTodo = async (req, res) => {
 };
 
 /**
- * Eliminar una tarea
+ * Eliminar una tarea (la mueve a la papelera)
  * DELETE /api/todos/:id
+ * 
+ * Marca la tarea con deleted_at; deja de aparecer en los listados, las búsquedas
+ * y las estadísticas, y se puede recuperar con POST /api/todos/:id/restore.
  */
 export const deleteTodo = async (req, res) => {
   try {
     const userId = req.user.id;
+    const access = await getTodoAccess(userId);
     const { id } = req.params;
 
     // Validar que el ID sea un UUID válido
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(id)) {
+    if (!isValidUUID(id)) {
       return res.status(400).json({ 
         error: 'ID de tarea inválido',
         field: 'id'
       });
     }
 
-    // Eliminar la tarea de Supabase
+    // Marcar la tarea como eliminada en Supabase
     const { data: deletedTodo, error } = await supabase
       .from('todos')
-      .delete()
+      .update({ deleted_at: new Date().toISOString() })
       .eq('id', id)
-      .eq('user_id', userId) // Asegurar que solo elimine tareas del usuario
+      .or(access.write) // Solo tareas que el usuario puede modificar
+      .is('deleted_at', null)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) {
       console.error('Error al eliminar tarea:', error);
@@ -238,13 +904,17 @@ export const deleteTodo = async (req, res) => {
       });
     }
 
-    // Si no se encontró la tarea, significa que no existe o no pertenece al usuario
+    // Si no se encontró la tarea, significa que no existe, ya estaba eliminada o el usuario no tiene permisos sobre ella
     if (!deletedTodo) {
       return res.status(404).json({ 
         error: 'Tarea no encontrada o no tienes permisos para eliminarla'
       });
     }
 
+    await recordTodoAction(req.user, 'deleted', [deletedTodo.id]);
+    publishTodoEvent('deleted', deletedTodo);
+    dispatchTodoWebhooks(req.user, 'deleted', deletedTodo);
+
     res.json({
       success: true,
       data: deletedTodo,
@@ -261,73 +931,59 @@ export const deleteTodo = async (req, res) => {
 };
 
 /**
- * Alternar el estado de completado de una tarea
- * PATCH /api/todos/:id/toggle
+ * Restaurar una tarea eliminada
+ * POST /api/todos/:id/restore
  */
-export const toggleTodo = async (req, res) => {
+export const restoreTodo = async (req, res) => {
   try {
     const userId = req.user.id;
+    const access = await getTodoAccess(userId);
     const { id } = req.params;
 
     // Validar que el ID sea un UUID válido
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(id)) {
+    if (!isValidUUID(id)) {
       return res.status(400).json({ 
         error: 'ID de tarea inválido',
         field: 'id'
       });
     }
 
-    // Primero obtener la tarea actual para conocer su estado
-    const { data: currentTodo, error: fetchError } = await supabase
+    // Quitar la marca de eliminada (solo si la tarea está en la papelera)
+    const { data: restoredTodo, error } = await supabase
       .from('todos')
-      .select('completed')
+      .update({ deleted_at: null })
       .eq('id', id)
-      .eq('user_id', userId)
-      .single();
+      .or(access.write)
+      .not('deleted_at', 'is', null)
+      .select(TODO_SELECT)
+      .maybeSingle();
 
-    if (fetchError) {
-      console.error('Error al obtener tarea:', fetchError);
+    if (error) {
+      console.error('Error al restaurar tarea:', error);
       return res.status(500).json({ 
-        error: 'Error al obtener la tarea',
-        details: fetchError.message 
+        error: 'Error al restaurar la tarea',
+        details: error.message 
       });
     }
 
-    if (!currentTodo) {
+    if (!restoredTodo) {
       return res.status(404).json({ 
-        error: 'Tarea no encontrada o no tienes permisos para modificarla'
+        error: 'La tarea no está en la papelera o no tienes permisos para restaurarla'
       });
     }
 
-    // Alternar el estado de completado
-    const newCompletedState = !currentTodo.completed;
-
-    // Actualizar la tarea con el nuevo estado
-    const { data: updatedTodo, error } = await supabase
-      .from('todos')
-      .update({ completed: newCompletedState })
-      .eq('id', id)
-      .eq('user_id', userId)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error al alternar estado de tarea:', error);
-      return res.status(500).json({ 
-        error: 'Error al actualizar el estado de la tarea',
-        details: error.message 
-      });
-    }
+    await recordTodoAction(req.user, 'restored', [restoredTodo.id]);
+    publishTodoEvent('updated', restoredTodo);
+    dispatchTodoWebhooks(req.user, 'updated', restoredTodo);
 
     res.json({
       success: true,
-      data: updatedTodo,
-      message: `Tarea ${newCompletedState ? 'completada' : 'marcada como pendiente'}`
+      data: restoredTodo,
+      message: 'Tarea restaurada exitosamente'
     });
 
   } catch (error) {
-    console.error('Error en toggleTodo:', error);
+    console.error('Error en restoreTodo:', error);
     res.status(500).json({ 
       error: 'Error interno del servidor',
       details: error.message 
@@ -336,31 +992,958 @@ export const toggleTodo = async (req, res) => {
 };
 
 /**
- * Obtener una tarea específica por ID
- * GET /api/todos/:id
+ * Obtener las tareas de la papelera
+ * GET /api/todos/trash
+ * 
+ * Devuelve las tareas eliminadas (la más reciente primero) con la fecha en que
+ * se borrarán definitivamente (purge_at).
  */
-export const getTodoById = async (req, res) => {
+export const getTrash = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { id } = req.params;
+    const access = await getTodoAccess(userId);
 
-    // Validar que el ID sea un UUID válido
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(id)) {
-      return res.status(400).json({ 
-        error: 'ID de tarea inválido',
-        field: 'id'
+    const { data: todos, error } = await supabase
+      .from('todos')
+      .select(TODO_SELECT)
+      .or(access.write)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+
+    if (error) {
+      console.error('Error al obtener la papelera:', error);
+      return res.status(500).json({ 
+        error: 'Error al obtener las tareas de la papelera',
+        details: error.message 
       });
     }
 
-    // Obtener la tarea específica desde Supabase
-    const { data: todo, error } = await supabase
+    res.json({
+      success: true,
+      data: todos.map(todo => ({ ...todo, purge_at: getPurgeDate(todo.deleted_at) })),
+      count: todos.length,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Error en getTrash:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Vaciar la papelera (borrar definitivamente todas las tareas eliminadas)
+ * DELETE /api/todos/trash
+ */
+export const emptyTrash = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+
+    const { data: purgedTodos, error } = await supabase
       .from('todos')
-      .select('*')
+      .delete()
+      .or(access.write)
+      .not('deleted_at', 'is', null)
+      .select('id');
+
+    if (error) {
+      console.error('Error al vaciar la papelera:', error);
+      return res.status(500).json({ 
+        error: 'Error al vaciar la papelera',
+        details: error.message 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: purgedTodos.map(todo => todo.id),
+      count: purgedTodos.length,
+      message: `${purgedTodos.length} tarea(s) eliminada(s) definitivamente`
+    });
+
+  } catch (error) {
+    console.error('Error en emptyTrash:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Eliminar definitivamente una tarea de la papelera
+ * DELETE /api/todos/:id/permanent
+ * 
+ * Solo se pueden borrar tareas que ya estén en la papelera; sus subtareas y
+ * etiquetas asignadas se borran en cascada. No se puede deshacer.
+ */
+export const permanentDeleteTodo = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const { id } = req.params;
+
+    // Validar que el ID sea un UUID válido
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ 
+        error: 'ID de tarea inválido',
+        field: 'id'
+      });
+    }
+
+    const { data: purgedTodo, error } = await supabase
+      .from('todos')
+      .delete()
+      .eq('id', id)
+      .or(access.write)
+      .not('deleted_at', 'is', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al eliminar tarea definitivamente:', error);
+      return res.status(500).json({ 
+        error: 'Error al eliminar la tarea definitivamente',
+        details: error.message 
+      });
+    }
+
+    if (!purgedTodo) {
+      return res.status(404).json({ 
+        error: 'La tarea no está en la papelera o no tienes permisos para eliminarla'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: purgedTodo.id },
+      message: 'Tarea eliminada definitivamente'
+    });
+
+  } catch (error) {
+    console.error('Error en permanentDeleteTodo:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Alternar el estado de completado de una tarea
+ * PATCH /api/todos/:id/toggle
+ * 
+ * Body opcional:
+ * - completed: Estado deseado (true / false); si no se indica, se alterna el actual
+ * - complete_subtasks: Si es true y la tarea pasa a completada, completa también sus subtareas
+ */
+export const toggleTodo = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const { id } = req.params;
+    const completeSubtasks = Boolean(req.body?.complete_subtasks);
+    const requestedState = req.body?.completed;
+
+    // Validar que el ID sea un UUID válido
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ 
+        error: 'ID de tarea inválido',
+        field: 'id'
+      });
+    }
+
+    if (requestedState !== undefined && typeof requestedState !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'completed debe ser true o false',
+        field: 'completed'
+      });
+    }
+
+    // Primero obtener la tarea actual para conocer su estado (y copiarla si es recurrente)
+    const { data: currentTodo, error: fetchError } = await supabase
+      .from('todos')
+      .select(TODO_SELECT)
       .eq('id', id)
-      .eq('user_id', userId)
+      .or(access.toggle)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error al obtener tarea:', fetchError);
+      return res.status(500).json({ 
+        error: 'Error al obtener la tarea',
+        details: fetchError.message 
+      });
+    }
+
+    if (!currentTodo) {
+      return res.status(404).json({ 
+        error: 'Tarea no encontrada o no tienes permisos para modificarla'
+      });
+    }
+
+    // Usar el estado pedido o, si no se indica, alternar el actual
+    const newCompletedState = requestedState ?? !currentTodo.completed;
+    const shouldCompleteSubtasks = newCompletedState && completeSubtasks;
+
+    // Completar el checklist modifica la tarea: el asignado que solo es lector no puede
+    if (shouldCompleteSubtasks && !canWriteTodo(access, currentTodo)) {
+      return res.status(403).json({ 
+        error: 'No tienes permisos para completar las subtareas de esta tarea',
+        field: 'complete_subtasks'
+      });
+    }
+
+    // Al completar una tarea recurrente, la regla pasa a la siguiente repetición
+    // (la tarea completada deja de repetirse para no generar duplicados si se reabre).
+    // El asignado que no puede editar la lista solo completa la tarea: no crea repeticiones.
+    // Completar una tarea ya completada (doble clic, reenvío sin conexión) tampoco
+    const isRecurringCompletion = newCompletedState
+      && !currentTodo.completed
+      && Boolean(currentTodo.recurrence)
+      && canWriteTodo(access, currentTodo);
+    const updates = isRecurringCompletion
+      ? { completed: true, recurrence: null }
+      : { completed: newCompletedState };
+
+    // Actualizar la tarea con el nuevo estado
+    const { data: updatedTodo, error } = await supabase
+      .from('todos')
+      .update(updates)
+      .eq('id', id)
+      .or(access.toggle)
+      .is('deleted_at', null)
+      .select(TODO_SELECT)
       .single();
 
+    if (error) {
+      console.error('Error al alternar estado de tarea:', error);
+      return res.status(500).json({ 
+        error: 'Error al actualizar el estado de la tarea',
+        details: error.message 
+      });
+    }
+
+    // Completar también el checklist si se solicitó (solo si la tarea ya se actualizó).
+    // Si falla, la tarea sigue completada (y la serie avanza) con las subtareas como estaban
+    let subtasksFailed = false;
+    if (shouldCompleteSubtasks) {
+      const { data: completedSubtasks, error: subtasksError } = await supabase
+        .from('subtasks')
+        .update({ completed: true })
+        .eq('todo_id', id)
+        .eq('completed', false)
+        .select();
+
+      if (subtasksError) {
+        console.error('Error al completar subtareas:', subtasksError);
+        subtasksFailed = true;
+      } else {
+        const completedById = new Map(completedSubtasks.map(subtask => [subtask.id, subtask]));
+        updatedTodo.subtasks = (updatedTodo.subtasks || []).map(subtask => completedById.get(subtask.id) ?? subtask);
+      }
+    }
+
+    // Generar la siguiente repetición
+    const nextTodo = isRecurringCompletion
+      ? await createNextOccurrence(currentTodo)
+      : null;
+
+    await recordTodoChanges(req.user, [currentTodo], [updatedTodo]);
+    if (nextTodo) await recordTodoCreated(req.user, nextTodo);
+    publishTodoEvent('updated', updatedTodo, currentTodo);
+    dispatchTodoWebhooks(req.user, 'updated', updatedTodo, currentTodo);
+    if (nextTodo) publishTodoEvent('created', nextTodo);
+    if (nextTodo) dispatchTodoWebhooks(req.user, 'created', nextTodo);
+
+    res.json({
+      success: true,
+      data: updatedTodo,
+      next: nextTodo,
+      message: [
+        nextTodo
+          ? 'Tarea completada. Se creó la siguiente repetición'
+          : `Tarea ${newCompletedState ? 'completada' : 'marcada como pendiente'}`,
+        subtasksFailed && 'No se pudieron completar las subtareas'
+      ].filter(Boolean).join('. ')
+    });
+
+  } catch (error) {
+    console.error('Error en toggleTodo:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Guardar el orden manual de varias tareas
+ * PATCH /api/todos/reorder
+ */
+export const reorderTodos = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const items = req.body?.items;
+
+    // Validar el lote de posiciones
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Debes enviar un arreglo items con al menos una tarea',
+        field: 'items'
+      });
+    }
+
+    if (items.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: `No se pueden reordenar más de ${MAX_BATCH_SIZE} tareas a la vez`,
+        field: 'items'
+      });
+    }
+
+    const invalidItem = items.find(item =>
+      !isValidUUID(item?.id) || typeof item.position !== 'number' || !Number.isFinite(item.position)
+    );
+    if (invalidItem) {
+      return res.status(400).json({
+        error: 'Cada elemento debe tener un id de tarea válido y una position numérica',
+        field: 'items'
+      });
+    }
+
+    const ids = [...new Set(items.map(item => item.id))];
+    if (ids.length !== items.length) {
+      return res.status(400).json({
+        error: 'Una tarea no puede aparecer más de una vez en items',
+        field: 'items'
+      });
+    }
+
+    // Verificar que el usuario puede modificar todas las tareas
+    const { data: owned, error: ownedError } = await supabase
+      .from('todos')
+      .select('id')
+      .or(access.write)
+      .is('deleted_at', null)
+      .in('id', ids);
+
+    if (ownedError) {
+      console.error('Error al verificar tareas a reordenar:', ownedError);
+      return res.status(500).json({
+        error: 'Error al reordenar las tareas',
+        details: ownedError.message
+      });
+    }
+
+    if (owned.length !== ids.length) {
+      return res.status(404).json({
+        error: 'Alguna tarea no existe o no tienes permisos para modificarla',
+        field: 'items'
+      });
+    }
+
+    // Una sola actualización (reorder_todos en dbquery.sql): o se guardan todas las
+    // posiciones o ninguna, sin dejar la lista a medio renumerar
+    const { data: reorderedTodos, error } = await supabase.rpc('reorder_todos', {
+      p_items: items.map(({ id, position }) => ({ id, position }))
+    });
+
+    if (error) {
+      console.error('Error al reordenar tareas:', error);
+      return res.status(500).json({
+        error: 'Error al reordenar las tareas',
+        details: error.message
+      });
+    }
+
+    publishTodoEvents('updated', reorderedTodos);
+    dispatchTodoWebhooksForAll(req.user, 'updated', reorderedTodos);
+
+    res.json({
+      success: true,
+      data: items.map(({ id, position }) => ({ id, position })),
+      count: items.length,
+      message: 'Orden de tareas actualizado'
+    });
+
+  } catch (error) {
+    console.error('Error en reorderTodos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Aplicar una acción a varias tareas a la vez
+ * POST /api/todos/bulk
+ *
+ * Body:
+ * - ids: IDs de las tareas
+ * - action: 'complete' | 'uncomplete' | 'delete' | 'move' | 'add_tags' | 'remove_tags'
+ * - list_id: Lista destino (solo 'move'; null para quitarlas de su lista)
+ * - tag_ids: Etiquetas a agregar o quitar (solo 'add_tags' / 'remove_tags')
+ */
+export const bulkTodos = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const { ids, action } = req.body ?? {};
+
+    // Validar la acción
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: `La acción debe ser una de: ${BULK_ACTIONS.join(', ')}`,
+        field: 'action'
+      });
+    }
+
+    // Validar los IDs con la misma comprobación que el resto del controlador
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        error: 'Debes enviar un arreglo ids con al menos una tarea',
+        field: 'ids'
+      });
+    }
+
+    if (ids.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: `No se pueden modificar más de ${MAX_BATCH_SIZE} tareas a la vez`,
+        field: 'ids'
+      });
+    }
+
+    if (!ids.every(isValidUUID)) {
+      return res.status(400).json({
+        error: 'Todos los IDs de tarea deben ser válidos',
+        field: 'ids'
+      });
+    }
+
+    const uniqueIds = [...new Set(ids)];
+
+    // Verificar que el usuario puede modificar todas las tareas
+    const { data: owned, error: ownedError } = await supabase
+      .from('todos')
+      .select(TODO_SELECT)
+      .or(access.write)
+      .is('deleted_at', null)
+      .in('id', uniqueIds);
+
+    if (ownedError) throw ownedError;
+
+    if (owned.length !== uniqueIds.length) {
+      return res.status(404).json({
+        error: 'Alguna tarea no existe o no tienes permisos para modificarla',
+        field: 'ids'
+      });
+    }
+
+    // Eliminar (mover a la papelera): no hay tareas que devolver
+    if (action === 'delete') {
+      const { error } = await supabase
+        .from('todos')
+        .update({ deleted_at: new Date().toISOString() })
+        .or(access.write)
+        .in('id', uniqueIds);
+
+      if (error) {
+        console.error('Error al eliminar tareas en lote:', error);
+        return res.status(500).json({
+          error: 'Error al eliminar las tareas',
+          details: error.message
+        });
+      }
+
+      await recordTodoAction(req.user, 'deleted', uniqueIds);
+      const deletedAt = new Date().toISOString();
+      const deletedTodos = owned.map(todo => ({ ...todo, deleted_at: deletedAt }));
+      publishTodoEvents('deleted', deletedTodos);
+      dispatchTodoWebhooksForAll(req.user, 'deleted', deletedTodos);
+
+      return res.json({
+        success: true,
+        data: uniqueIds,
+        count: uniqueIds.length,
+        message: `${uniqueIds.length} tarea(s) eliminada(s)`
+      });
+    }
+
+    const nextTodos = [];
+
+    if (action === 'complete' || action === 'uncomplete') {
+      const completed = action === 'complete';
+
+      // Las tareas recurrentes que se completan generan su siguiente repetición
+      const recurring = completed
+        ? owned.filter(todo => !todo.completed && todo.recurrence)
+        : [];
+
+      const { error } = await supabase
+        .from('todos')
+        .update({ completed })
+        .or(access.write)
+        .in('id', uniqueIds);
+
+      if (error) {
+        console.error('Error al actualizar tareas en lote:', error);
+        return res.status(500).json({
+          error: 'Error al actualizar las tareas',
+          details: error.message
+        });
+      }
+
+      if (recurring.length > 0) {
+        const { error: recurrenceError } = await supabase
+          .from('todos')
+          .update({ recurrence: null })
+          .or(access.write)
+          .in('id', recurring.map(todo => todo.id));
+
+        if (recurrenceError) throw recurrenceError;
+
+        for (const todo of recurring) {
+          const nextTodo = await createNextOccurrence(todo);
+          if (nextTodo) nextTodos.push(nextTodo);
+        }
+      }
+    }
+
+    if (action === 'move') {
+      if (req.body.list_id === undefined) {
+        return res.status(400).json({
+          error: 'Debes indicar list_id (null para quitarlas de su lista)',
+          field: 'list_id'
+        });
+      }
+
+      const listValidation = await validateListField(req.body.list_id, userId);
+      if (listValidation.error) {
+        return res.status(listValidation.status).json({
+          error: listValidation.error,
+          field: listValidation.field
+        });
+      }
+
+      const { error } = await supabase
+        .from('todos')
+        .update({ list_id: listValidation.listId })
+        .or(access.write)
+        .in('id', uniqueIds);
+
+      if (error) {
+        console.error('Error al mover tareas en lote:', error);
+        return res.status(500).json({
+          error: 'Error al mover las tareas',
+          details: error.message
+        });
+      }
+
+      // Quitar la asignación de las tareas cuyo asignado no colabora en la nueva lista
+      const assigneeIds = [...new Set(owned.map(todo => todo.assignee_id).filter(Boolean))];
+      const removedAssignees = [];
+      for (const assigneeId of assigneeIds) {
+        if (!await isValidAssignee(assigneeId, listValidation.listId, userId)) {
+          removedAssignees.push(assigneeId);
+        }
+      }
+
+      if (removedAssignees.length > 0) {
+        const { error: assigneeError } = await supabase
+          .from('todos')
+          .update({ assignee_id: null })
+          .or(access.write)
+          .in('id', uniqueIds)
+          .in('assignee_id', removedAssignees);
+
+        if (assigneeError) throw assigneeError;
+      }
+    }
+
+    if (action === 'archive' || action === 'unarchive') {
+      const { error } = await supabase
+        .from('todos')
+        .update({ archived_at: action === 'archive' ? new Date().toISOString() : null })
+        .or(access.write)
+        .in('id', uniqueIds);
+
+      if (error) {
+        console.error('Error al archivar tareas en lote:', error);
+        return res.status(500).json({
+          error: action === 'archive' ? 'Error al archivar las tareas' : 'Error al desarchivar las tareas',
+          details: error.message
+        });
+      }
+    }
+
+    if (action === 'add_tags' || action === 'remove_tags') {
+      const tagValidation = await validateTagIds(req.body.tag_ids, userId);
+      if (tagValidation.error || !tagValidation.tagIds?.length) {
+        return res.status(tagValidation.status ?? 400).json({
+          error: tagValidation.error ?? 'Debes indicar al menos una etiqueta en tag_ids',
+          field: 'tag_ids'
+        });
+      }
+
+      const { error } = action === 'add_tags'
+        ? await supabase
+          .from('todo_tags')
+          .upsert(
+            uniqueIds.flatMap(todoId =>
+              tagValidation.tagIds.map(tagId => ({ todo_id: todoId, tag_id: tagId, user_id: userId }))
+            ),
+            { onConflict: 'todo_id,tag_id', ignoreDuplicates: true }
+          )
+        : await supabase
+          .from('todo_tags')
+          .delete()
+          .eq('user_id', userId)
+          .in('todo_id', uniqueIds)
+          .in('tag_id', tagValidation.tagIds);
+
+      if (error) {
+        console.error('Error al actualizar etiquetas en lote:', error);
+        return res.status(500).json({
+          error: 'Error al actualizar las etiquetas',
+          details: error.message
+        });
+      }
+    }
+
+    // Devolver las tareas actualizadas
+    const { data: updatedTodos, error: fetchError } = await supabase
+      .from('todos')
+      .select(TODO_SELECT)
+      .or(access.write)
+      .in('id', uniqueIds);
+
+    if (fetchError) throw fetchError;
+
+    await recordTodoChanges(req.user, owned, updatedTodos);
+    for (const nextTodo of nextTodos) {
+      await recordTodoCreated(req.user, nextTodo);
+    }
+    publishTodoEvents('updated', updatedTodos, owned);
+    publishTodoEvents('created', nextTodos);
+    dispatchTodoWebhooksForAll(req.user, 'updated', updatedTodos, owned)
+      .then(() => dispatchTodoWebhooksForAll(req.user, 'created', nextTodos));
+
+    res.json({
+      success: true,
+      data: updatedTodos,
+      next: nextTodos,
+      count: updatedTodos.length,
+      message: `${updatedTodos.length} tarea(s) actualizada(s)`
+    });
+
+  } catch (error) {
+    console.error('Error en bulkTodos:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Archivar todas las tareas completadas
+ * POST /api/todos/archive-completed
+ * 
+ * Body opcional:
+ * - list_id: Archivar solo las completadas de esa lista
+ */
+export const archiveCompleted = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const listId = req.body?.list_id;
+
+    if (listId !== undefined && listId !== null && !isValidUUID(listId)) {
+      return res.status(400).json({ 
+        error: 'ID de lista inválido',
+        field: 'list_id'
+      });
+    }
+
+    let query = supabase
+      .from('todos')
+      .update({ archived_at: new Date().toISOString() })
+      .or(access.write)
+      .eq('completed', true)
+      .is('archived_at', null)
+      .is('deleted_at', null);
+    if (listId) query = query.eq('list_id', listId);
+
+    const { data: archivedTodos, error } = await query.select();
+
+    if (error) {
+      console.error('Error al archivar tareas completadas:', error);
+      return res.status(500).json({ 
+        error: 'Error al archivar las tareas completadas',
+        details: error.message 
+      });
+    }
+
+    await recordTodoAction(req.user, 'archived', archivedTodos.map(todo => todo.id));
+    publishTodoEvents('updated', archivedTodos);
+    dispatchTodoWebhooksForAll(req.user, 'updated', archivedTodos);
+
+    res.json({
+      success: true,
+      data: archivedTodos.map(todo => todo.id),
+      count: archivedTodos.length,
+      message: `${archivedTodos.length} tarea(s) archivada(s)`
+    });
+
+  } catch (error) {
+    console.error('Error en archiveCompleted:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Obtener las estadísticas de las tareas del usuario
+ * GET /api/todos/stats
+ * 
+ * Query params opcionales:
+ * - list_id: Solo contar las tareas de esa lista
+ * - assignee: me (asignadas al usuario) o el ID de un usuario
+ * - archived: false (por defecto, sin archivadas), true (solo archivadas) o all
+ */
+export const getTodoStats = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const { list_id: listId, archived = 'false' } = req.query;
+
+    if (listId !== undefined && !isValidUUID(listId)) {
+      return res.status(400).json({ 
+        error: 'ID de lista inválido',
+        field: 'list_id'
+      });
+    }
+
+    if (!ARCHIVED_FILTERS.includes(archived)) {
+      return res.status(400).json({ 
+        error: 'archived debe ser true, false o all',
+        field: 'archived'
+      });
+    }
+
+    const { assigneeId, error: assigneeError, field } = parseAssigneeFilter(req.query.assignee, userId);
+    if (assigneeError) {
+      return res.status(400).json({ 
+        error: assigneeError,
+        field
+      });
+    }
+
+    // Contar sin descargar las filas (head: true)
+    const countTodos = (apply = (query) => query) => {
+      let query = applyArchivedFilter(supabase
+        .from('todos')
+        .select('id', { count: 'exact', head: true })
+        .or(access.read)
+        .is('deleted_at', null), archived);
+      if (listId) query = query.eq('list_id', listId);
+      if (assigneeId) query = query.eq('assignee_id', assigneeId);
+      return apply(query);
+    };
+
+    const [totalResult, completedResult, overdueResult] = await Promise.all([
+      countTodos(),
+      countTodos(query => query.eq('completed', true)),
+      countTodos(query => query.eq('completed', false).lt('due_at', new Date().toISOString()))
+    ]);
+
+    const error = totalResult.error || completedResult.error || overdueResult.error;
+    if (error) {
+      console.error('Error al obtener estadísticas:', error);
+      return res.status(500).json({ 
+        error: 'Error al obtener las estadísticas',
+        details: error.message 
+      });
+    }
+
+    const total = totalResult.count;
+    const completed = completedResult.count;
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        completed,
+        pending: total - completed,
+        overdue: overdueResult.count,
+        completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getTodoStats:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Buscar tareas por texto completo en título y descripción
+ * GET /api/todos/search
+ * 
+ * Query params:
+ * - q: Texto a buscar (requerido). Cada palabra se busca como prefijo
+ * - list_id: Solo buscar en esa lista (opcional)
+ * - limit: Máximo de resultados (1-50, por defecto 20)
+ * 
+ * Los resultados se ordenan por relevancia e incluyen rank y los fragmentos
+ * resaltados (highlight.title / highlight.description), con las coincidencias
+ * entre los caracteres \u0002 (inicio) y \u0003 (fin).
+ */
+export const searchTodos = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const { q, list_id: listId } = req.query;
+
+    if (typeof q !== 'string' || q.trim() === '') {
+      return res.status(400).json({ 
+        error: 'El texto de búsqueda es requerido',
+        field: 'q'
+      });
+    }
+
+    if (q.trim().length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ 
+        error: `La búsqueda no puede exceder ${MAX_QUERY_LENGTH} caracteres`,
+        field: 'q'
+      });
+    }
+
+    if (listId !== undefined && !isValidUUID(listId)) {
+      return res.status(400).json({ 
+        error: 'ID de lista inválido',
+        field: 'list_id'
+      });
+    }
+
+    let limit = DEFAULT_SEARCH_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+        return res.status(400).json({ 
+          error: `limit debe ser un número entero entre 1 y ${MAX_SEARCH_LIMIT}`,
+          field: 'limit'
+        });
+      }
+    }
+
+    // Buscar con la función search_todos (tsvector + ts_rank + ts_headline)
+    const { data: matches, error: searchError } = await supabase.rpc('search_todos', {
+      p_user_id: userId,
+      p_query: q.trim(),
+      p_list_id: listId ?? null,
+      p_limit: limit
+    });
+
+    if (searchError) {
+      console.error('Error al buscar tareas:', searchError);
+      return res.status(500).json({ 
+        error: 'Error al buscar las tareas',
+        details: searchError.message 
+      });
+    }
+
+    if (matches.length === 0) {
+      return res.json({
+        success: true,
+        data: [],
+        count: 0
+      });
+    }
+
+    // Obtener las tareas completas (con subtareas y etiquetas) de los resultados
+    const { data: todos, error } = await supabase
+      .from('todos')
+      .select(TODO_SELECT)
+      .or(access.read)
+      .is('deleted_at', null)
+      .in('id', matches.map(match => match.id));
+
+    if (error) {
+      console.error('Error al obtener tareas de la búsqueda:', error);
+      return res.status(500).json({ 
+        error: 'Error al buscar las tareas',
+        details: error.message 
+      });
+    }
+
+    // Conservar el orden por relevancia de la búsqueda
+    const todosById = new Map(todos.map(todo => [todo.id, todo]));
+    const results = matches
+      .filter(match => todosById.has(match.id))
+      .map(match => ({
+        ...todosById.get(match.id),
+        rank: match.rank,
+        highlight: {
+          title: match.title_highlight,
+          description: match.description_highlight
+        }
+      }));
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length
+    });
+
+  } catch (error) {
+    console.error('Error en searchTodos:', error);
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: error.message 
+    });
+  }
+};
+
+/**
+ * Obtener una tarea específica por ID
+ * GET /api/todos/:id
+ */
+export const getTodoById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await getTodoAccess(userId);
+    const { id } = req.params;
+
+    // Validar que el ID sea un UUID válido
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ 
+        error: 'ID de tarea inválido',
+        field: 'id'
+      });
+    }
+
+    // Obtener la tarea específica desde Supabase (las de la papelera no se muestran)
+    const { data: todo, error } = await supabase
+      .from('todos')
+      .select(TODO_SELECT)
+      .eq('id', id)
+      .or(access.read)
+      .is('deleted_at', null)
+      .maybeSingle();
+
     if (error) {
       console.error('Error al obtener tarea:', error);
       return res.status(500).json({ 
@@ -0,0 +1,125 @@
+// Importar los permisos y el bus de eventos de tareas
+import { getTodoAccess, canReadTodo } from '../utils/listAccess.js';
+import { getTodoEventsSince, getLastTodoEventId, subscribeToTodoEvents } from '../utils/todoEventBus.js';
+
+/**
+ * Controlador del stream de cambios de tareas (Server-Sent Events)
+ * Para clientes que no usan Supabase Realtime: scripts y consumidores de la API.
+ * Los eventos los publican los controladores de tareas (ver utils/todoEventBus.js).
+ */
+
+// Cada cuánto se envía un comentario para mantener viva la conexión (ms)
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Espera que se sugiere al cliente antes de reconectarse (ms)
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Escribir un evento en formato SSE
+ *
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} event - Evento del bus ({ id, type, todo })
+ */
+const writeTodoEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ todo: event.todo })}\n\n`);
+};
+
+/**
+ * Escribir como borrado el cambio de una tarea que el usuario deja de ver
+ * Solo se envía el ID: el usuario ya no tiene acceso a su contenido.
+ *
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} event - Evento del bus ({ id, type, todo })
+ */
+const writeTodoRemoval = (res, event) => {
+  res.write(`id: ${event.id}\nevent: deleted\ndata: ${JSON.stringify({ todo: { id: event.todo.id } })}\n\n`);
+};
+
+/**
+ * Escuchar los cambios de las tareas del usuario
+ * GET /api/todos/stream
+ *
+ * Eventos:
+ * - created / updated / deleted: { todo } de las tareas que el usuario puede ver
+ *   (las que deja de ver, p. ej. al moverlas a otra lista, llegan como deleted
+ *   con solo { todo: { id } })
+ * - ready: { lastEventId } al terminar de enviar los eventos pendientes
+ * - resync: no se pueden reanudar los eventos desde Last-Event-ID; hay que recargar las tareas
+ *
+ * Headers opcionales:
+ * - Last-Event-ID: Último ID recibido (lo envía EventSource al reconectarse);
+ *   también se acepta el query param lastEventId
+ */
+export const streamTodos = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const lastEventIdParam = req.get('Last-Event-ID') ?? req.query.lastEventId;
+
+    if (lastEventIdParam !== undefined && !/^\d+$/.test(lastEventIdParam)) {
+      return res.status(400).json({
+        error: 'Last-Event-ID debe ser un número entero',
+        field: 'Last-Event-ID'
+      });
+    }
+
+    let access = await getTodoAccess(userId);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Evitar que un proxy (nginx) acumule los eventos
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    // Quien podía ver la tarea antes del cambio y ya no la ve recibe solo su borrado
+    const sendEvent = (event) => {
+      if (canReadTodo(access, event.todo)) {
+        writeTodoEvent(res, event);
+      } else if (event.previous && canReadTodo(access, event.previous)) {
+        writeTodoRemoval(res, event);
+      }
+    };
+
+    // Reanudar desde el último evento recibido (sin await hasta suscribirse: no se pierde ninguno)
+    if (lastEventIdParam !== undefined) {
+      const missedEvents = getTodoEventsSince(Number(lastEventIdParam));
+      if (missedEvents) {
+        missedEvents.forEach(sendEvent);
+      } else {
+        res.write(`id: ${getLastTodoEventId()}\nevent: resync\ndata: {}\n\n`);
+      }
+    }
+
+    const unsubscribe = subscribeToTodoEvents(sendEvent);
+    res.write(`event: ready\ndata: ${JSON.stringify({ lastEventId: getLastTodoEventId() })}\n\n`);
+
+    // Heartbeat; de paso se actualizan los permisos (listas compartidas con el usuario o que dejó)
+    const heartbeat = setInterval(async () => {
+      res.write(': heartbeat\n\n');
+      try {
+        access = await getTodoAccess(userId);
+      } catch (error) {
+        console.error('Error al actualizar los permisos del stream:', error);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+  } catch (error) {
+    console.error('Error en streamTodos:', error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,466 @@
+// Importar el cliente de Supabase
+import { supabase } from '../config/supabaseClient.js';
+import { isValidUUID } from '../utils/validators.js';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_TEST_EVENT,
+  generateWebhookSecret,
+  assertPublicWebhookUrl,
+  createDelivery,
+  attemptDelivery
+} from '../utils/webhooks.js';
+
+/**
+ * Controlador de los webhooks salientes del usuario
+ * Cada usuario configura URLs que reciben un POST firmado cuando cambian las
+ * tareas que puede ver (ver utils/webhooks.js); aquí se gestionan, se consulta
+ * su registro de entregas y se envía un evento de prueba.
+ */
+
+// Máximo de webhooks por usuario
+const MAX_WEBHOOKS_PER_USER = 10;
+
+// Entregas por página del registro
+const DEFAULT_DELIVERIES_LIMIT = 20;
+const MAX_DELIVERIES_LIMIT = 100;
+
+/**
+ * Validar los campos editables de un webhook (url, events, description, active)
+ * Solo procesa los campos presentes en el body
+ *
+ * @param {Object} body - Body de la petición
+ * @param {boolean} isCreate - Si url y events son obligatorios (creación)
+ * @returns {{ fields: Object }|{ error: string, field: string }} Campos normalizados o error de validación
+ */
+const validateWebhookFields = (body, isCreate) => {
+  const fields = {};
+  const { url, events, description, active } = body;
+
+  if (url !== undefined || isCreate) {
+    let parsedUrl = null;
+    try {
+      parsedUrl = typeof url === 'string' ? new URL(url.trim()) : null;
+    } catch {
+      parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return { error: 'La URL debe ser una dirección http:// o https:// válida', field: 'url' };
+    }
+    if (parsedUrl.username || parsedUrl.password) {
+      return { error: 'La URL no puede incluir usuario ni contraseña', field: 'url' };
+    }
+    if (parsedUrl.href.length > 2000) {
+      return { error: 'La URL no puede exceder 2000 caracteres', field: 'url' };
+    }
+    fields.url = parsedUrl.href;
+  }
+
+  if (events !== undefined || isCreate) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return { error: 'Debes elegir al menos un evento', field: 'events' };
+    }
+    const invalidEvent = events.find(event => !WEBHOOK_EVENTS.includes(event));
+    if (invalidEvent !== undefined) {
+      return { error: `Evento inválido: ${invalidEvent}. Eventos válidos: ${WEBHOOK_EVENTS.join(', ')}`, field: 'events' };
+    }
+    fields.events = [...new Set(events)];
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      return { error: 'La descripción debe ser texto', field: 'description' };
+    }
+    const cleanDescription = description?.trim() || null;
+    if (cleanDescription && cleanDescription.length > 200) {
+      return { error: 'La descripción no puede exceder 200 caracteres', field: 'description' };
+    }
+    fields.description = cleanDescription;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return { error: 'active debe ser true o false', field: 'active' };
+    }
+    fields.active = active;
+  }
+
+  return { fields };
+};
+
+/**
+ * Comprobar que la URL de un webhook apunta a una dirección pública
+ * (resuelve el host: no se aceptan loopback, redes privadas ni link-local)
+ *
+ * @param {string} url - URL normalizada
+ * @returns {Promise<{ error: string, field: string }|null>} Error de validación, o null si es válida
+ */
+const checkWebhookTarget = async (url) => {
+  try {
+    await assertPublicWebhookUrl(url);
+    return null;
+  } catch (error) {
+    if (error.code !== 'WEBHOOK_BLOCKED_TARGET') throw error;
+    return { error: error.message, field: 'url' };
+  }
+};
+
+/**
+ * Obtener un webhook del usuario
+ *
+ * @param {string} id - ID del webhook
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object|null>} Webhook, o null si no existe o es de otro usuario
+ */
+const findOwnWebhook = async (id, userId) => {
+  const { data, error } = await supabase
+    .from('webhooks')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Obtener los webhooks del usuario autenticado
+ * GET /api/webhooks
+ */
+export const getWebhooks = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: webhooks, error } = await supabase
+      .from('webhooks')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error al obtener webhooks:', error);
+      return res.status(500).json({
+        error: 'Error al obtener los webhooks',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length,
+      events: WEBHOOK_EVENTS
+    });
+
+  } catch (error) {
+    console.error('Error en getWebhooks:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Crear un webhook
+ * POST /api/webhooks
+ */
+export const createWebhook = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const validation = validateWebhookFields(req.body ?? {}, true);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error, field: validation.field });
+    }
+
+    const targetError = await checkWebhookTarget(validation.fields.url);
+    if (targetError) {
+      return res.status(400).json(targetError);
+    }
+
+    const { count, error: countError } = await supabase
+      .from('webhooks')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (countError) throw countError;
+
+    if (count >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({
+        error: `No puedes tener más de ${MAX_WEBHOOKS_PER_USER} webhooks`
+      });
+    }
+
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
+      .insert({
+        ...validation.fields,
+        user_id: userId,
+        secret: generateWebhookSecret()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error al crear webhook:', error);
+      return res.status(500).json({
+        error: 'Error al crear el webhook',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: webhook,
+      message: 'Webhook creado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en createWebhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Actualizar un webhook (url, events, description, active)
+ * PATCH /api/webhooks/:id
+ */
+export const updateWebhook = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de webhook inválido',
+        field: 'id'
+      });
+    }
+
+    const validation = validateWebhookFields(req.body ?? {}, false);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error, field: validation.field });
+    }
+
+    if (Object.keys(validation.fields).length === 0) {
+      return res.status(400).json({
+        error: 'No hay campos para actualizar'
+      });
+    }
+
+    if (validation.fields.url) {
+      const targetError = await checkWebhookTarget(validation.fields.url);
+      if (targetError) {
+        return res.status(400).json(targetError);
+      }
+    }
+
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
+      .update(validation.fields)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al actualizar webhook:', error);
+      return res.status(500).json({
+        error: 'Error al actualizar el webhook',
+        details: error.message
+      });
+    }
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+      message: 'Webhook actualizado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en updateWebhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Eliminar un webhook (y su registro de entregas)
+ * DELETE /api/webhooks/:id
+ */
+export const deleteWebhook = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de webhook inválido',
+        field: 'id'
+      });
+    }
+
+    const { data: webhook, error } = await supabase
+      .from('webhooks')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error al eliminar webhook:', error);
+      return res.status(500).json({
+        error: 'Error al eliminar el webhook',
+        details: error.message
+      });
+    }
+
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook,
+      message: 'Webhook eliminado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error en deleteWebhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Obtener el registro de entregas de un webhook (la más reciente primero)
+ * GET /api/webhooks/:id/deliveries
+ *
+ * Query params opcionales:
+ * - limit: Máximo de entregas (por defecto 20, máximo 100)
+ */
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de webhook inválido',
+        field: 'id'
+      });
+    }
+
+    let limit = DEFAULT_DELIVERIES_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERIES_LIMIT) {
+        return res.status(400).json({
+          error: `limit debe ser un número entre 1 y ${MAX_DELIVERIES_LIMIT}`,
+          field: 'limit'
+        });
+      }
+    }
+
+    const webhook = await findOwnWebhook(id, userId);
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    const { data: deliveries, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('webhook_id', id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error al obtener entregas del webhook:', error);
+      return res.status(500).json({
+        error: 'Error al obtener el registro de entregas',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+
+  } catch (error) {
+    console.error('Error en getWebhookDeliveries:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Enviar un evento de prueba (webhook.test) y esperar la respuesta del destino
+ * Se envía aunque el webhook esté desactivado y no se reintenta si falla.
+ * POST /api/webhooks/:id/test
+ */
+export const testWebhook = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({
+        error: 'ID de webhook inválido',
+        field: 'id'
+      });
+    }
+
+    const webhook = await findOwnWebhook(id, userId);
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    const delivery = await createDelivery(
+      webhook,
+      WEBHOOK_TEST_EVENT,
+      { message: 'Evento de prueba enviado desde los ajustes de webhooks', webhook_id: webhook.id },
+      req.user
+    );
+    const result = await attemptDelivery(delivery, webhook, { retry: false });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.status === 'success'
+        ? `El destino respondió ${result.response_status}`
+        : `La entrega falló: ${result.error}`
+    });
+
+  } catch (error) {
+    console.error('Error en testWebhook:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: error.message
+    });
+  }
+};
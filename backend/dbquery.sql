@@ -4,55 +4,523 @@
 -- ============================================
 
 -- ============================================
--- 1. CREAR TABLA DE TAREAS (TODOS)
+-- 1. CREAR TABLAS DE LISTAS Y TAREAS (TODOS)
 -- ============================================
 
+-- Crear tabla de listas (proyectos) para agrupar tareas
+CREATE TABLE lists (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT,                               -- Color en formato #RRGGBB (opcional)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Crear índice para búsquedas rápidas de listas por usuario
+CREATE INDEX lists_user_id_idx ON lists(user_id);
+
 -- Crear tabla de tareas
 CREATE TABLE todos (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  list_id UUID REFERENCES lists(id) ON DELETE CASCADE,  -- Lista a la que pertenece (NULL = sin lista)
+  -- Usuario al que se asignó la tarea (NULL = sin asignar); puede verla y completarla
+  assignee_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
   title TEXT NOT NULL,
   description TEXT,
   completed BOOLEAN DEFAULT false,
+  priority TEXT DEFAULT 'medium' NOT NULL
+    CHECK (priority IN ('high', 'medium', 'low')), -- Prioridad de la tarea
+  due_at TIMESTAMP WITH TIME ZONE,          -- Fecha límite (opcional)
+  remind_at TIMESTAMP WITH TIME ZONE,       -- Fecha del recordatorio (opcional)
+  recurrence TEXT,                          -- Regla de repetición RRULE (NULL = no se repite)
+  -- Orden manual (menor = más arriba). Por defecto las tareas nuevas quedan primero
+  position DOUBLE PRECISION DEFAULT (-extract(epoch from now())) NOT NULL,
+  completed_at TIMESTAMP WITH TIME ZONE,    -- Fecha en que se completó (la asigna un trigger)
+  archived_at TIMESTAMP WITH TIME ZONE,     -- Fecha de archivado (NULL = no está archivada)
+  deleted_at TIMESTAMP WITH TIME ZONE,      -- Fecha de eliminación (NULL = no está en la papelera)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  -- El recordatorio no puede ser posterior a la fecha límite
+  CONSTRAINT todos_remind_before_due CHECK (remind_at IS NULL OR due_at IS NULL OR remind_at <= due_at)
 );
 
 -- Crear índice para búsquedas rápidas por usuario
 CREATE INDEX todos_user_id_idx ON todos(user_id);
 
+-- Crear índice para obtener las tareas de una lista
+CREATE INDEX todos_list_id_idx ON todos(list_id);
+
+-- Crear índice parcial para la vista "Asignadas a mí"
+CREATE INDEX todos_assignee_id_idx ON todos(assignee_id) WHERE assignee_id IS NOT NULL;
+
+-- Crear índice para el orden manual de las tareas
+CREATE INDEX todos_position_idx ON todos(user_id, position);
+
 -- Crear índice para búsquedas por estado
 CREATE INDEX todos_completed_idx ON todos(completed);
 
+-- Crear índice parcial para las tareas eliminadas (papelera)
+CREATE INDEX todos_deleted_at_idx ON todos(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Crear índice parcial para las tareas archivadas
+CREATE INDEX todos_archived_at_idx ON todos(user_id, archived_at) WHERE archived_at IS NOT NULL;
+
+-- Crear índice parcial para el archivado automático de tareas completadas
+CREATE INDEX todos_completed_at_idx ON todos(completed_at)
+  WHERE completed_at IS NOT NULL AND archived_at IS NULL AND deleted_at IS NULL;
+
+-- Crear tabla de subtareas (checklist dentro de una tarea)
+CREATE TABLE subtasks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  todo_id UUID REFERENCES todos(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  title TEXT NOT NULL,
+  completed BOOLEAN DEFAULT false,
+  position INTEGER DEFAULT 0 NOT NULL,       -- Orden dentro de la tarea
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Crear índice para obtener las subtareas de una tarea
+CREATE INDEX subtasks_todo_id_idx ON subtasks(todo_id, position);
+
+-- Crear tabla de comentarios (conversación sobre una tarea)
+CREATE TABLE comments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  todo_id UUID REFERENCES todos(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  author_email TEXT NOT NULL,               -- Email del autor (lo completa el trigger set_comment_author_email)
+  body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 2000),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Crear índice para obtener los comentarios de una tarea en orden
+CREATE INDEX comments_todo_id_idx ON comments(todo_id, created_at);
+
+-- Crear tabla del historial de actividad de las tareas
+-- Solo la escribe el backend (service_role) y no se modifica: no hay políticas de escritura
+CREATE TABLE todo_activity (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  todo_id UUID REFERENCES todos(id) ON DELETE CASCADE NOT NULL,
+  actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- Quién hizo el cambio
+  actor_email TEXT,                         -- Email del autor (se conserva si se borra su cuenta)
+  action TEXT NOT NULL
+    CHECK (action IN ('created', 'updated', 'completed', 'reopened', 'archived', 'unarchived', 'deleted', 'restored')),
+  changes JSONB DEFAULT '{}'::jsonb NOT NULL, -- Cambios por campo: { "title": { "from": ..., "to": ... } }
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Crear índice para obtener el historial de una tarea (el más reciente primero)
+CREATE INDEX todo_activity_todo_id_idx ON todo_activity(todo_id, created_at DESC);
+
+-- Crear tabla de etiquetas (labels) del usuario
+CREATE TABLE tags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT,                               -- Color en formato #RRGGBB (opcional)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (user_id, name)                    -- Un usuario no puede repetir nombres de etiqueta
+);
+
+-- Crear tabla intermedia tareas <-> etiquetas (muchos a muchos)
+CREATE TABLE todo_tags (
+  todo_id UUID REFERENCES todos(id) ON DELETE CASCADE NOT NULL,
+  tag_id UUID REFERENCES tags(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (todo_id, tag_id)
+);
+
+-- Crear índice para buscar las tareas de una etiqueta
+CREATE INDEX todo_tags_tag_id_idx ON todo_tags(tag_id);
+
+-- Crear índice para consultas por fecha límite (vencidas, hoy, próximas)
+CREATE INDEX todos_due_at_idx ON todos(user_id, due_at);
+
+-- Crear índice para filtrar y ordenar por prioridad
+CREATE INDEX todos_priority_idx ON todos(user_id, priority);
+
+-- Crear índice de búsqueda de texto completo sobre título y descripción
+-- (la expresión debe coincidir con la usada en search_todos para aprovecharlo)
+CREATE INDEX todos_search_idx ON todos
+  USING GIN (to_tsvector('spanish', coalesce(title, '') || ' ' || coalesce(description, '')));
+
+-- Crear tabla de miembros de las listas (listas compartidas)
+-- El creador de la lista se agrega como owner automáticamente (ver trigger add_list_owner_member)
+CREATE TABLE list_members (
+  list_id UUID REFERENCES lists(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  email TEXT NOT NULL,                      -- Email del miembro (para mostrarlo sin consultar auth.users)
+  -- viewer: solo ver | editor: crear y modificar tareas | owner: además gestionar la lista y sus miembros
+  role TEXT DEFAULT 'viewer' NOT NULL
+    CHECK (role IN ('viewer', 'editor', 'owner')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (list_id, user_id)
+);
+
+-- Crear índice para obtener las listas de un usuario
+CREATE INDEX list_members_user_id_idx ON list_members(user_id);
+
+-- Crear tabla de invitaciones pendientes a listas compartidas
+-- Al aceptarla, el usuario con ese email pasa a ser miembro y la invitación se borra
+CREATE TABLE list_invitations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  list_id UUID REFERENCES lists(id) ON DELETE CASCADE NOT NULL,
+  email TEXT NOT NULL,                      -- Email invitado (en minúsculas)
+  role TEXT DEFAULT 'viewer' NOT NULL
+    CHECK (role IN ('viewer', 'editor', 'owner')),
+  invited_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (list_id, email)                   -- Una invitación pendiente por email y lista
+);
+
+-- Crear índice para obtener las invitaciones de un usuario
+CREATE INDEX list_invitations_email_idx ON list_invitations(email);
+
+-- Crear tabla de webhooks salientes del usuario (avisos HTTP al cambiar sus tareas)
+-- Solo la gestiona el backend (/api/webhooks): el cliente solo puede leer los suyos
+CREATE TABLE webhooks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  url TEXT NOT NULL CHECK (url ~ '^https?://'),
+  description TEXT CHECK (char_length(description) <= 200),
+  secret TEXT NOT NULL,                     -- Clave para firmar las entregas (HMAC-SHA256)
+  events TEXT[] NOT NULL
+    CHECK (cardinality(events) > 0 AND events <@ ARRAY['todo.created', 'todo.updated', 'todo.completed', 'todo.reopened', 'todo.deleted']),
+  active BOOLEAN DEFAULT TRUE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Crear índice para obtener los webhooks de un usuario
+CREATE INDEX webhooks_user_id_idx ON webhooks(user_id);
+
+-- Crear tabla del registro de entregas de los webhooks (una fila por evento enviado)
+CREATE TABLE webhook_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE NOT NULL,
+  event TEXT NOT NULL,                      -- todo.created, ..., o webhook.test
+  payload JSONB NOT NULL,                   -- Cuerpo enviado (el mismo en cada reintento)
+  status TEXT DEFAULT 'pending' NOT NULL
+    CHECK (status IN ('pending', 'success', 'failed')),
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  response_status INTEGER,                  -- Código HTTP del último intento
+  error TEXT,                               -- Error del último intento (timeout, conexión...)
+  next_attempt_at TIMESTAMP WITH TIME ZONE, -- Próximo reintento o fin de la reserva mientras se envía (NULL si ya terminó)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  delivered_at TIMESTAMP WITH TIME ZONE     -- Cuándo respondió con éxito
+);
+
+-- Crear índice para el registro de entregas de un webhook (la más reciente primero)
+CREATE INDEX webhook_deliveries_webhook_id_idx ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- Crear índice parcial para los reintentos pendientes
+CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+-- Crear tabla de tokens de acceso personal (para scripts y tareas programadas)
+-- Solo guarda el hash del token: el token completo se muestra una única vez al crearlo
+CREATE TABLE api_tokens (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+  token_hash TEXT NOT NULL UNIQUE,          -- SHA-256 (hex) del token
+  token_prefix TEXT NOT NULL,               -- Inicio del token para reconocerlo (tdl_ab12...)
+  scope TEXT NOT NULL CHECK (scope IN ('read', 'write')),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,      -- NULL = activo
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Crear índice para obtener los tokens de un usuario
+CREATE INDEX api_tokens_user_id_idx ON api_tokens(user_id);
+
 
 -- ============================================
 -- 2. CONFIGURAR ROW LEVEL SECURITY (RLS)
 -- ============================================
 
 -- Habilitar RLS
+ALTER TABLE lists ENABLE ROW LEVEL SECURITY;
 ALTER TABLE todos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subtasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE todo_activity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE todo_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE list_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE list_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+-- api_tokens no tiene políticas: solo la consulta el backend (service_role)
+ALTER TABLE api_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Funciones de permisos de las listas compartidas
+-- SECURITY DEFINER: consultan list_members / todos sin volver a aplicar sus políticas
+-- (evita la recursión infinita entre políticas)
+
+-- Rol del usuario actual en una lista (NULL si no es miembro)
+CREATE OR REPLACE FUNCTION list_role(p_list_id UUID)
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT role FROM list_members WHERE list_id = p_list_id AND user_id = auth.uid();
+$$;
+
+-- El usuario actual puede ver la lista y sus tareas (cualquier rol)
+CREATE OR REPLACE FUNCTION can_view_list(p_list_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT list_role(p_list_id) IS NOT NULL;
+$$;
+
+-- El usuario actual puede crear y modificar tareas de la lista (editor u owner)
+CREATE OR REPLACE FUNCTION can_edit_list(p_list_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT coalesce(list_role(p_list_id) IN ('editor', 'owner'), false);
+$$;
+
+-- El usuario actual puede gestionar la lista y sus miembros (owner)
+CREATE OR REPLACE FUNCTION is_list_owner(p_list_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT coalesce(list_role(p_list_id) = 'owner', false);
+$$;
 
--- Policy: Los usuarios solo pueden ver sus propias tareas
-CREATE POLICY "Users can view their own todos"
+-- El usuario actual puede ver la tarea: propia sin lista, de una lista en la que es
+-- miembro o asignada a él
+CREATE OR REPLACE FUNCTION can_view_todo(p_todo_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM todos t
+    WHERE t.id = p_todo_id
+      AND ((t.list_id IS NULL AND t.user_id = auth.uid())
+        OR can_view_list(t.list_id)
+        OR t.assignee_id = auth.uid())
+  );
+$$;
+
+-- El usuario actual puede modificar la tarea: propia sin lista, o de una lista que puede editar
+CREATE OR REPLACE FUNCTION can_edit_todo(p_todo_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM todos t
+    WHERE t.id = p_todo_id
+      AND ((t.list_id IS NULL AND t.user_id = auth.uid()) OR can_edit_list(t.list_id))
+  );
+$$;
+
+-- Policy: Los usuarios ven sus listas y las compartidas con ellos
+CREATE POLICY "Users can view their own and shared lists"
+  ON lists FOR SELECT
+  USING (
+    auth.uid() = user_id
+    OR can_view_list(id)
+    -- El invitado ve la lista (nombre y color) mientras decide si acepta
+    OR EXISTS (
+      SELECT 1 FROM list_invitations i
+       WHERE i.list_id = lists.id AND lower(i.email) = lower(auth.jwt() ->> 'email')
+    )
+  );
+
+-- Policy: Los usuarios solo pueden crear sus propias listas
+CREATE POLICY "Users can create their own lists"
+  ON lists FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Solo los owners pueden actualizar una lista
+CREATE POLICY "Owners can update lists"
+  ON lists FOR UPDATE
+  USING (is_list_owner(id));
+
+-- Policy: Solo los owners pueden eliminar una lista
+CREATE POLICY "Owners can delete lists"
+  ON lists FOR DELETE
+  USING (is_list_owner(id));
+
+-- Policy: Los usuarios ven sus tareas sin lista, las tareas de las listas de las que son
+-- miembros y las que tienen asignadas
+CREATE POLICY "Users can view their own, shared and assigned todos"
   ON todos FOR SELECT
-  USING (auth.uid() = user_id);
+  USING (
+    (list_id IS NULL AND auth.uid() = user_id)
+    OR can_view_list(list_id)
+    OR auth.uid() = assignee_id
+  );
 
--- Policy: Los usuarios solo pueden crear sus propias tareas
-CREATE POLICY "Users can create their own todos"
+-- Policy: Los usuarios crean tareas a su nombre, sin lista o en listas que pueden editar
+CREATE POLICY "Users can create todos in editable lists"
   ON todos FOR INSERT
-  WITH CHECK (auth.uid() = user_id);
+  WITH CHECK (
+    auth.uid() = user_id
+    AND (list_id IS NULL OR can_edit_list(list_id))
+  );
 
--- Policy: Los usuarios solo pueden actualizar sus propias tareas
-CREATE POLICY "Users can update their own todos"
+-- Policy: Los usuarios modifican sus tareas sin lista y las de listas que pueden editar
+-- (y solo pueden moverlas a listas que pueden editar). El asignado también puede
+-- actualizar su tarea, pero el trigger restrict_todos_assignee_update solo le deja
+-- completarla o reabrirla
+CREATE POLICY "Users can update their own, shared and assigned todos"
   ON todos FOR UPDATE
-  USING (auth.uid() = user_id);
+  USING ((list_id IS NULL AND auth.uid() = user_id) OR can_edit_list(list_id) OR auth.uid() = assignee_id)
+  WITH CHECK ((list_id IS NULL AND auth.uid() = user_id) OR can_edit_list(list_id) OR auth.uid() = assignee_id);
 
--- Policy: Los usuarios solo pueden eliminar sus propias tareas
-CREATE POLICY "Users can delete their own todos"
+-- Policy: Los usuarios eliminan sus tareas sin lista y las de listas que pueden editar
+CREATE POLICY "Users can delete their own and shared todos"
   ON todos FOR DELETE
+  USING ((list_id IS NULL AND auth.uid() = user_id) OR can_edit_list(list_id));
+
+
+-- Policy: Las subtareas se ven si se ve su tarea
+CREATE POLICY "Users can view subtasks of visible todos"
+  ON subtasks FOR SELECT
+  USING (can_view_todo(todo_id));
+
+-- Policy: Las subtareas se crean a nombre propio en tareas que se pueden modificar
+CREATE POLICY "Users can create subtasks in editable todos"
+  ON subtasks FOR INSERT
+  WITH CHECK (auth.uid() = user_id AND can_edit_todo(todo_id));
+
+-- Policy: Las subtareas se actualizan si se puede modificar su tarea
+CREATE POLICY "Users can update subtasks of editable todos"
+  ON subtasks FOR UPDATE
+  USING (can_edit_todo(todo_id));
+
+-- Policy: Las subtareas se eliminan si se puede modificar su tarea
+CREATE POLICY "Users can delete subtasks of editable todos"
+  ON subtasks FOR DELETE
+  USING (can_edit_todo(todo_id));
+
+
+-- Policy: Los comentarios se ven si se ve su tarea
+CREATE POLICY "Users can view comments of visible todos"
+  ON comments FOR SELECT
+  USING (can_view_todo(todo_id));
+
+-- Policy: Cualquiera que vea la tarea (también los lectores) puede comentar a su nombre
+CREATE POLICY "Users can comment on visible todos"
+  ON comments FOR INSERT
+  WITH CHECK (auth.uid() = user_id AND can_view_todo(todo_id));
+
+-- Policy: Cada usuario edita solo sus comentarios
+CREATE POLICY "Users can update their own comments"
+  ON comments FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Cada usuario elimina solo sus comentarios
+CREATE POLICY "Users can delete their own comments"
+  ON comments FOR DELETE
   USING (auth.uid() = user_id);
 
 
+-- Policy: El historial de una tarea lo ve quien ve la tarea
+CREATE POLICY "Users can view activity of visible todos"
+  ON todo_activity FOR SELECT
+  USING (can_view_todo(todo_id));
+
+
+-- Policy: Los usuarios ven sus etiquetas y las asignadas a tareas que pueden ver
+-- (las tareas compartidas muestran las etiquetas de quien las puso; la subconsulta
+-- sobre todo_tags ya aplica su política y solo ve las de tareas visibles)
+CREATE POLICY "Users can view their own and shared tags"
+  ON tags FOR SELECT
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (SELECT 1 FROM todo_tags WHERE todo_tags.tag_id = tags.id)
+  );
+
+-- Policy: Los usuarios solo pueden crear sus propias etiquetas
+CREATE POLICY "Users can create their own tags"
+  ON tags FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Los usuarios solo pueden actualizar sus propias etiquetas
+CREATE POLICY "Users can update their own tags"
+  ON tags FOR UPDATE
+  USING (auth.uid() = user_id);
+
+-- Policy: Los usuarios solo pueden eliminar sus propias etiquetas
+CREATE POLICY "Users can delete their own tags"
+  ON tags FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Policy: Las etiquetas asignadas se ven si se ve la tarea
+CREATE POLICY "Users can view tags of visible todos"
+  ON todo_tags FOR SELECT
+  USING (can_view_todo(todo_id));
+
+-- Policy: Los usuarios etiquetan tareas que pueden modificar, solo con sus etiquetas
+CREATE POLICY "Users can tag editable todos"
+  ON todo_tags FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND can_edit_todo(todo_id)
+    AND EXISTS (SELECT 1 FROM tags WHERE tags.id = tag_id AND tags.user_id = auth.uid())
+  );
+
+-- Policy: Los usuarios quitan etiquetas de tareas que pueden modificar
+CREATE POLICY "Users can untag editable todos"
+  ON todo_tags FOR DELETE
+  USING (can_edit_todo(todo_id));
+
+
+-- Policy: Los miembros de una lista ven a los demás miembros
+CREATE POLICY "Members can view list members"
+  ON list_members FOR SELECT
+  USING (can_view_list(list_id));
+
+-- Policy: Los owners cambian el rol de los miembros
+-- (los miembros se agregan al aceptar una invitación, con accept_list_invitation)
+CREATE POLICY "Owners can update list members"
+  ON list_members FOR UPDATE
+  USING (is_list_owner(list_id));
+
+-- Policy: Los owners quitan miembros y cada miembro puede salir de la lista
+CREATE POLICY "Owners can remove members and members can leave"
+  ON list_members FOR DELETE
+  USING (is_list_owner(list_id) OR auth.uid() = user_id);
+
+-- Policy: Los owners ven las invitaciones de su lista y cada usuario las dirigidas a su email
+CREATE POLICY "Owners and invitees can view invitations"
+  ON list_invitations FOR SELECT
+  USING (is_list_owner(list_id) OR lower(email) = lower(auth.jwt() ->> 'email'));
+
+-- Policy: Solo los owners invitan a su lista
+CREATE POLICY "Owners can invite to lists"
+  ON list_invitations FOR INSERT
+  WITH CHECK (is_list_owner(list_id) AND auth.uid() = invited_by);
+
+-- Policy: Los owners cancelan invitaciones y el invitado puede rechazarlas
+CREATE POLICY "Owners and invitees can delete invitations"
+  ON list_invitations FOR DELETE
+  USING (is_list_owner(list_id) OR lower(email) = lower(auth.jwt() ->> 'email'));
+
+
+-- Policy: Cada usuario ve solo sus webhooks (los crea y modifica el backend)
+CREATE POLICY "Users can view their own webhooks"
+  ON webhooks FOR SELECT
+  USING (auth.uid() = user_id);
+
+
+-- Policy: Las entregas de un webhook las ve su dueño
+CREATE POLICY "Users can view deliveries of their webhooks"
+  ON webhook_deliveries FOR SELECT
+  USING (EXISTS (SELECT 1 FROM webhooks w WHERE w.id = webhook_id AND w.user_id = auth.uid()));
+
+
 -- ============================================
 -- 3. CREAR TRIGGERS PARA AUTO-UPDATE
 -- ============================================
@@ -72,14 +540,353 @@ CREATE TRIGGER update_todos_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+-- Trigger para lists
+CREATE TRIGGER update_lists_updated_at
+  BEFORE UPDATE ON lists
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger para subtasks
+CREATE TRIGGER update_subtasks_updated_at
+  BEFORE UPDATE ON subtasks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger para comments
+CREATE TRIGGER update_comments_updated_at
+  BEFORE UPDATE ON comments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger para webhooks
+CREATE TRIGGER update_webhooks_updated_at
+  BEFORE UPDATE ON webhooks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Función para guardar el email del autor de un comentario
+-- SECURITY DEFINER: lee el email de auth.users (el cliente no puede consultarla)
+CREATE OR REPLACE FUNCTION set_comment_author_email()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  SELECT lower(u.email) INTO NEW.author_email
+    FROM auth.users u
+   WHERE u.id = NEW.user_id;
+  RETURN NEW;
+END;
+$$;
+
+-- Trigger para comments (al crearlo; el autor no puede cambiarse)
+CREATE TRIGGER set_comments_author_email
+  BEFORE INSERT ON comments
+  FOR EACH ROW
+  EXECUTE FUNCTION set_comment_author_email();
+
+-- Función para registrar cuándo se completa una tarea (se usa para el archivado automático)
+CREATE OR REPLACE FUNCTION set_todo_completed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NOT coalesce(NEW.completed, false) THEN
+    NEW.completed_at = NULL;
+  ELSIF TG_OP = 'INSERT' OR NOT coalesce(OLD.completed, false) THEN
+    NEW.completed_at = timezone('utc'::text, now());
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger para todos (al crear o al cambiar el estado de completado)
+CREATE TRIGGER set_todos_completed_at
+  BEFORE INSERT OR UPDATE OF completed ON todos
+  FOR EACH ROW
+  EXECUTE FUNCTION set_todo_completed_at();
+
+-- Función para que el asignado de una tarea, si no puede editarla, solo la complete o reabra
+-- (las peticiones del backend usan la service_role, sin auth.uid(), y las valida el controlador;
+-- los cambios que hacen otros triggers, como unassign_removed_list_member, no se restringen)
+CREATE OR REPLACE FUNCTION restrict_assignee_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL
+     OR pg_trigger_depth() > 1
+     OR (OLD.list_id IS NULL AND OLD.user_id = auth.uid())
+     OR coalesce(can_edit_list(OLD.list_id), false) THEN
+    RETURN NEW;
+  END IF;
+
+  IF (to_jsonb(NEW) - ARRAY['completed', 'completed_at', 'updated_at'])
+     IS DISTINCT FROM (to_jsonb(OLD) - ARRAY['completed', 'completed_at', 'updated_at']) THEN
+    RAISE EXCEPTION 'Solo puedes completar o reabrir las tareas que te asignaron';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- Trigger para todos (se ejecuta antes que set_todos_completed_at y update_todos_updated_at)
+CREATE TRIGGER restrict_todos_assignee_update
+  BEFORE UPDATE ON todos
+  FOR EACH ROW
+  EXECUTE FUNCTION restrict_assignee_update();
+
+
+-- Función para quitar la asignación al mover una tarea a una lista en la que el asignado
+-- no colabora (como isValidAssignee en el backend; sin lista, cuenta el creador de la tarea)
+CREATE OR REPLACE FUNCTION clear_invalid_todo_assignee()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NEW.assignee_id IS NOT NULL
+     AND NEW.list_id IS DISTINCT FROM OLD.list_id
+     AND NOT (
+       CASE WHEN NEW.list_id IS NOT NULL THEN
+         EXISTS (SELECT 1 FROM list_members WHERE list_id = NEW.list_id AND user_id = NEW.assignee_id)
+       ELSE
+         NEW.assignee_id = NEW.user_id
+         OR EXISTS (
+           SELECT 1 FROM list_members mine
+             JOIN list_members theirs ON theirs.list_id = mine.list_id
+            WHERE mine.user_id = NEW.user_id AND theirs.user_id = NEW.assignee_id
+         )
+       END
+     ) THEN
+    NEW.assignee_id := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- Trigger para todos (al cambiar de lista)
+CREATE TRIGGER clear_todos_invalid_assignee
+  BEFORE UPDATE OF list_id ON todos
+  FOR EACH ROW
+  EXECUTE FUNCTION clear_invalid_todo_assignee();
+
+-- Función para agregar al creador de una lista como su owner
+-- SECURITY DEFINER: lee el email de auth.users y escribe en list_members sin políticas de INSERT
+CREATE OR REPLACE FUNCTION add_list_owner_member()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO list_members (list_id, user_id, email, role)
+  SELECT NEW.id, NEW.user_id, lower(u.email), 'owner'
+    FROM auth.users u
+   WHERE u.id = NEW.user_id;
+  RETURN NEW;
+END;
+$$;
+
+-- Trigger para lists (al crearla)
+CREATE TRIGGER add_lists_owner_member
+  AFTER INSERT ON lists
+  FOR EACH ROW
+  EXECUTE FUNCTION add_list_owner_member();
+
+-- Función para impedir que una lista se quede sin owners
+-- (salvo cuando se está eliminando la propia lista)
+CREATE OR REPLACE FUNCTION ensure_list_has_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.role = 'owner'
+     AND (TG_OP = 'DELETE' OR NEW.role <> 'owner')
+     AND EXISTS (SELECT 1 FROM lists WHERE id = OLD.list_id)
+     AND NOT EXISTS (
+       SELECT 1 FROM list_members
+        WHERE list_id = OLD.list_id AND role = 'owner' AND user_id <> OLD.user_id
+     ) THEN
+    RAISE EXCEPTION 'La lista debe tener al menos un owner';
+  END IF;
+  RETURN coalesce(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger para list_members (al cambiar el rol o quitar un miembro)
+CREATE TRIGGER ensure_list_members_owner
+  BEFORE UPDATE OF role OR DELETE ON list_members
+  FOR EACH ROW
+  EXECUTE FUNCTION ensure_list_has_owner();
+
+-- Función para quitar la asignación de las tareas de una lista a quien deja de ser miembro
+-- (la asignación le seguiría dando acceso a la tarea). SECURITY DEFINER: también cuando
+-- sale de la lista un viewer, que no puede modificar sus tareas
+CREATE OR REPLACE FUNCTION unassign_removed_list_member()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  UPDATE todos
+     SET assignee_id = NULL
+   WHERE list_id = OLD.list_id
+     AND assignee_id = OLD.user_id
+     -- Al eliminar la propia lista sus tareas se eliminan en cascada
+     AND EXISTS (SELECT 1 FROM lists WHERE id = OLD.list_id);
+  RETURN OLD;
+END;
+$$;
+
+-- Trigger para list_members (al quitar un miembro o salir de la lista)
+CREATE TRIGGER unassign_list_members_removed
+  AFTER DELETE ON list_members
+  FOR EACH ROW
+  EXECUTE FUNCTION unassign_removed_list_member();
+
+-- Aceptar una invitación dirigida al email del usuario actual
+-- Lo agrega como miembro con el rol de la invitación (si ya lo era, conserva su rol)
+-- y borra la invitación.
+CREATE OR REPLACE FUNCTION accept_list_invitation(p_invitation_id UUID)
+RETURNS SETOF list_members
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_invitation list_invitations;
+  v_email TEXT := lower(auth.jwt() ->> 'email');
+BEGIN
+  SELECT * INTO v_invitation
+    FROM list_invitations
+   WHERE id = p_invitation_id AND lower(email) = v_email;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invitación no encontrada' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO list_members (list_id, user_id, email, role)
+  VALUES (v_invitation.list_id, auth.uid(), v_email, v_invitation.role)
+  ON CONFLICT (list_id, user_id) DO NOTHING;
+
+  DELETE FROM list_invitations WHERE id = p_invitation_id;
+
+  RETURN QUERY
+  SELECT * FROM list_members WHERE list_id = v_invitation.list_id AND user_id = auth.uid();
+END;
+$$;
+
+-- Guardar el orden manual de varias tareas en una sola sentencia (todas o ninguna)
+-- p_items: [{ "id": "uuid", "position": 1000 }, ...]
+-- SECURITY INVOKER: desde el cliente RLS solo deja mover las tareas que puede modificar
+CREATE OR REPLACE FUNCTION reorder_todos(p_items JSONB)
+RETURNS SETOF todos
+LANGUAGE sql SECURITY INVOKER
+AS $$
+  UPDATE todos t
+     SET position = i.position
+    FROM jsonb_to_recordset(p_items) AS i(id UUID, position DOUBLE PRECISION)
+   WHERE t.id = i.id
+     AND t.deleted_at IS NULL
+  RETURNING t.*;
+$$;
+
+-- Limitar los tokens de acceso activos por usuario (MAX_TOKENS_PER_USER en apiTokenController.js)
+-- El bloqueo por usuario serializa las creaciones simultáneas: dos peticiones a la vez
+-- no pueden pasar las dos el conteo y superar el límite
+CREATE OR REPLACE FUNCTION enforce_api_tokens_limit()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('api_tokens:' || NEW.user_id::text));
+
+  IF (SELECT count(*) FROM api_tokens
+       WHERE user_id = NEW.user_id AND revoked_at IS NULL) >= 20 THEN
+    RAISE EXCEPTION 'No puedes tener más de 20 tokens activos' USING ERRCODE = 'check_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger para api_tokens (al crear un token)
+CREATE TRIGGER enforce_api_tokens_limit
+  BEFORE INSERT ON api_tokens
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_api_tokens_limit();
+
+
+-- ============================================
+-- 4. FUNCIÓN DE BÚSQUEDA DE TEXTO COMPLETO
+-- ============================================
+
+-- Buscar tareas por título y descripción, ordenadas por relevancia
+-- Cada palabra buscada se trata como prefijo ("reun" encuentra "reunión") y deben
+-- aparecer todas. Los fragmentos resaltados marcan las coincidencias entre los
+-- caracteres de control chr(2) (inicio) y chr(3) (fin), que la interfaz convierte
+-- en resaltado sin interpretar HTML.
+-- SECURITY INVOKER: desde el cliente se aplican las políticas RLS de todos
+CREATE OR REPLACE FUNCTION search_todos(
+  p_user_id UUID,
+  p_query TEXT,
+  p_list_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  id UUID,
+  rank REAL,
+  title_highlight TEXT,
+  description_highlight TEXT
+)
+LANGUAGE plpgsql STABLE SECURITY INVOKER
+AS $$
+DECLARE
+  v_query tsquery;
+BEGIN
+  -- Quitar los signos (evita errores de sintaxis de tsquery) y unir las palabras como prefijos
+  SELECT to_tsquery('spanish', string_agg(word || ':*', ' & '))
+    INTO v_query
+    FROM regexp_split_to_table(
+      trim(regexp_replace(coalesce(p_query, ''), '[^[:alnum:][:space:]]', ' ', 'g')),
+      '\s+'
+    ) AS word
+   WHERE word <> '';
+
+  -- Sin palabras válidas (o solo palabras vacías del idioma) no hay resultados
+  IF v_query IS NULL OR numnode(v_query) = 0 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    t.id,
+    ts_rank(
+      setweight(to_tsvector('spanish', coalesce(t.title, '')), 'A') ||
+      setweight(to_tsvector('spanish', coalesce(t.description, '')), 'B'),
+      v_query
+    ) AS rank,
+    ts_headline('spanish', t.title, v_query,
+      'HighlightAll=true, StartSel=' || chr(2) || ', StopSel=' || chr(3)) AS title_highlight,
+    CASE WHEN t.description IS NULL OR t.description = '' THEN NULL
+    ELSE ts_headline('spanish', t.description, v_query,
+      'MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … ", StartSel=' || chr(2) || ', StopSel=' || chr(3))
+    END AS description_highlight
+  FROM todos t
+  WHERE ((t.list_id IS NULL AND t.user_id = p_user_id)
+      OR EXISTS (SELECT 1 FROM list_members m WHERE m.list_id = t.list_id AND m.user_id = p_user_id)
+      OR t.assignee_id = p_user_id)
+    AND t.deleted_at IS NULL
+    AND t.archived_at IS NULL
+    AND (p_list_id IS NULL OR t.list_id = p_list_id)
+    AND to_tsvector('spanish', coalesce(t.title, '') || ' ' || coalesce(t.description, '')) @@ v_query
+  ORDER BY 2 DESC, t.updated_at DESC  -- 2 = rank (evita la ambigüedad con la columna de salida rank)
+  LIMIT least(greatest(coalesce(p_limit, 20), 1), 50);
+END;
+$$;
+
 
 -- ============================================
--- 4. VERIFICACIÓN (OPCIONAL)
+-- 5. VERIFICACIÓN (OPCIONAL)
 -- ============================================
 
 -- Para verificar que todo se creó correctamente, ejecuta:
 -- SELECT * FROM todos;
--- SELECT tablename, policyname FROM pg_policies WHERE tablename = 'todos';
+-- SELECT * FROM lists;
+-- SELECT * FROM subtasks;
+-- SELECT * FROM comments;
+-- SELECT * FROM todo_activity;
+-- SELECT * FROM tags;
+-- SELECT * FROM webhooks;
+-- SELECT * FROM webhook_deliveries;
+-- SELECT id, user_id, name, token_prefix, scope, last_used_at, revoked_at FROM api_tokens;
+-- SELECT tablename, policyname FROM pg_policies WHERE tablename IN ('todos', 'lists', 'subtasks', 'comments', 'todo_activity', 'tags', 'todo_tags', 'webhooks', 'webhook_deliveries');
 
 
 -- ============================================
@@ -87,8 +894,64 @@ CREATE TRIGGER update_todos_updated_at
 -- ============================================
 -- 1. Este script debe ejecutarse en el SQL Editor de Supabase
 -- 2. Supabase Auth ya proporciona la tabla auth.users por defecto
--- 3. Las políticas RLS aseguran que cada usuario solo vea sus propias tareas
+-- 3. Las políticas RLS aseguran que cada usuario solo vea sus propias tareas y las de
+--    las listas compartidas con él (ver nota 14)
 -- 4. El trigger actualiza automáticamente el campo updated_at
 -- 5. Los índices mejoran el rendimiento de las consultas
+-- 6. Al eliminar una lista se eliminan también sus tareas (ON DELETE CASCADE)
+-- 7. Al eliminar una tarea se eliminan también sus subtareas (ON DELETE CASCADE)
+-- 8. Al eliminar una etiqueta se quita de todas las tareas (todo_tags en cascada)
+-- 9. recurrence guarda un subconjunto de RRULE (FREQ, INTERVAL, BYDAY, BYMONTHDAY,
+--    UNTIL, COUNT). Al completar una tarea recurrente la aplicación crea la siguiente
+--    repetición y deja la tarea completada con recurrence = NULL
+-- 10. position usa orden fraccionario: al mover una tarea se le asigna un valor entre
+--    sus vecinas, y solo cuando el hueco se agota se renumeran todas (PATCH /api/todos/reorder,
+--    que guarda el lote en una sola sentencia con reorder_todos)
+-- 11. search_todos usa la configuración 'spanish' de texto completo: reduce las palabras a
+--    su raíz (plurales, conjugaciones) e ignora las palabras vacías; el título pesa más
+--    que la descripción en la relevancia
+-- 12. Eliminar una tarea solo la marca con deleted_at (papelera): se excluye de listados,
+--    búsquedas y estadísticas, y se puede restaurar (POST /api/todos/:id/restore).
+--    El backend borra definitivamente las tareas con más de TRASH_RETENTION_DAYS días
+--    en la papelera (backend/jobs/purgeTrash.js)
+-- 13. Las tareas archivadas (archived_at) no aparecen en los listados, las búsquedas ni
+--    las estadísticas por defecto. Si AUTO_ARCHIVE_DAYS está configurado, el backend
+--    archiva las tareas completadas hace más de esos días (backend/jobs/autoArchive.js)
+-- 14. Listas compartidas: el acceso a una lista y a sus tareas lo da list_members (el
+--    creador es owner). viewer solo ve, editor crea y modifica tareas, owner además
+--    gestiona la lista, los miembros y las invitaciones. Las tareas sin lista siguen
+--    siendo solo de su creador. Las invitaciones se hacen por email y se aceptan con
+--    accept_list_invitation (el email de la sesión debe coincidir)
+-- 15. assignee_id asigna una tarea a un colaborador (un miembro de su lista o, si no
+--    tiene lista, de alguna lista compartida con el creador). El asignado ve la tarea
+--    aunque no sea miembro de la lista y puede completarla o reabrirla, pero solo la
+--    modifica si además es editor. Si el asignado no puede editar la lista, al
+--    completar una tarea recurrente no se crea la siguiente repetición. Al quitar a un
+--    miembro de la lista (o al salir de ella) sus tareas asignadas de esa lista quedan
+--    sin asignar (trigger unassign_list_members_removed), igual que al mover una tarea a
+--    una lista en la que el asignado no colabora (trigger clear_todos_invalid_assignee)
+-- 16. comments guarda la conversación de cada tarea: la ve y la comenta cualquiera que
+--    vea la tarea, y cada autor edita o elimina solo sus comentarios. Para recibir los
+--    comentarios nuevos en tiempo real, la tabla debe estar en la publicación de Realtime:
+--    ALTER PUBLICATION supabase_realtime ADD TABLE comments;
+-- 17. todo_activity es el historial de cada tarea (quién y cuándo la creó, modificó,
+--    completó, reabrió, archivó, eliminó o restauró, con los campos cambiados). Lo
+--    registra el backend en las operaciones de /api/todos, así que los cambios hechos
+--    consultando Supabase directamente desde el cliente no quedan en el historial.
+--    Se borra junto con la tarea al eliminarla definitivamente
+-- 18. webhooks guarda los avisos HTTP de cada usuario: el backend envía un POST firmado
+--    (header X-Webhook-Signature: sha256=HMAC del "timestamp.cuerpo" con secret) al
+--    crear, modificar, completar, reabrir o eliminar una tarea que el dueño puede ver,
+--    a través de /api/todos. Cada envío queda en webhook_deliveries; los fallidos se
+--    reintentan con espera exponencial (backend/jobs/webhookRetries.js) hasta
+--    WEBHOOK_MAX_ATTEMPTS intentos. Solo se envía a direcciones públicas (no loopback,
+--    redes privadas ni link-local) y de la respuesta solo se guarda el código HTTP
+-- 19. api_tokens guarda los tokens de acceso personal (tdl_...) que authMiddleware acepta
+--    además de la sesión de Supabase. Solo se guarda su hash SHA-256; revocar un token
+--    rellena revoked_at y deja de aceptarse. Un token de alcance 'read' solo puede hacer
+--    peticiones GET, y los tokens no pueden gestionar otros tokens (/api/tokens) ni los
+--    webhooks (/api/webhooks, cuyas respuestas incluyen el secret de firma).
+--    El trigger enforce_api_tokens_limit impide tener más de 20 tokens activos
+--    (si se cambia, actualizar también MAX_TOKENS_PER_USER en el backend)
 -- ============================================
 
@@ -0,0 +1,75 @@
+// Importar el cliente de Supabase y la configuración del archivado
+import { supabase } from '../config/supabaseClient.js';
+import { AUTO_ARCHIVE_DAYS, AUTO_ARCHIVE_INTERVAL_MINUTES } from '../config/archiveConfig.js';
+import { publishTodoEvents } from '../utils/todoEventBus.js';
+import { dispatchTodoWebhooksForAll } from '../utils/webhooks.js';
+
+/**
+ * Tarea programada: archivar tareas completadas
+ *
+ * Archiva las tareas que se completaron hace más de AUTO_ARCHIVE_DAYS días
+ * (de todos los usuarios), para que dejen de aparecer en la lista. Solo se
+ * activa si AUTO_ARCHIVE_DAYS está configurado.
+ */
+
+/**
+ * Archivar las tareas completadas hace más de AUTO_ARCHIVE_DAYS días
+ *
+ * @param {Date} now - Fecha de referencia (por defecto, ahora)
+ * @returns {Promise<number>} Cantidad de tareas archivadas
+ * @throws {Error} Si Supabase devuelve un error
+ */
+export const autoArchiveCompleted = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - AUTO_ARCHIVE_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('todos')
+    .update({ archived_at: now.toISOString() })
+    .eq('completed', true)
+    .lt('completed_at', cutoff.toISOString())
+    .is('archived_at', null)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  // Avisar a los streams SSE abiertos y a los webhooks (sin esperar las entregas)
+  publishTodoEvents('updated', data);
+  dispatchTodoWebhooksForAll(null, 'updated', data);
+
+  return data.length;
+};
+
+/**
+ * Iniciar el archivado automático periódico
+ * Se ejecuta una vez al arrancar y luego cada AUTO_ARCHIVE_INTERVAL_MINUTES minutos.
+ *
+ * @returns {Function|null} Función para detener la tarea programada (null si está desactivada)
+ */
+export const startAutoArchiveJob = () => {
+  if (AUTO_ARCHIVE_DAYS === 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const archived = await autoArchiveCompleted();
+      if (archived > 0) {
+        console.log(`📦 Archivo: ${archived} tarea(s) completada(s) archivada(s)`);
+      }
+    } catch (error) {
+      console.error('Error al archivar tareas completadas:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, AUTO_ARCHIVE_INTERVAL_MINUTES * 60 * 1000);
+  // No mantener vivo el proceso solo por esta tarea
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export default startAutoArchiveJob;
@@ -0,0 +1,62 @@
+// Importar el cliente de Supabase y la configuración de la papelera
+import { supabase } from '../config/supabaseClient.js';
+import { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MINUTES } from '../config/trashConfig.js';
+
+/**
+ * Tarea programada: vaciar la papelera
+ *
+ * Borra definitivamente las tareas que llevan en la papelera más de
+ * TRASH_RETENTION_DAYS días (de todos los usuarios). Sus subtareas y
+ * etiquetas asignadas se borran en cascada.
+ */
+
+/**
+ * Borrar las tareas de la papelera que superaron el tiempo de retención
+ *
+ * @param {Date} now - Fecha de referencia (por defecto, ahora)
+ * @returns {Promise<number>} Cantidad de tareas borradas
+ * @throws {Error} Si Supabase devuelve un error
+ */
+export const purgeTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('todos')
+    .delete()
+    .lt('deleted_at', cutoff.toISOString()) // Las tareas sin deleted_at nunca cumplen la condición
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return data.length;
+};
+
+/**
+ * Iniciar la limpieza periódica de la papelera
+ * Se ejecuta una vez al arrancar y luego cada TRASH_PURGE_INTERVAL_MINUTES minutos.
+ *
+ * @returns {Function} Función para detener la tarea programada
+ */
+export const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeTrash();
+      if (purged > 0) {
+        console.log(`🗑️  Papelera: ${purged} tarea(s) borrada(s) definitivamente`);
+      }
+    } catch (error) {
+      console.error('Error al vaciar la papelera:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  // No mantener vivo el proceso solo por esta tarea
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export default startTrashPurgeJob;
@@ -0,0 +1,114 @@
+// Importar el cliente de Supabase, la configuración y el envío de webhooks
+import { supabase } from '../config/supabaseClient.js';
+import { WEBHOOK_RETRY_INTERVAL_SECONDS, getWebhookLeaseDate } from '../config/webhookConfig.js';
+import { attemptDelivery } from '../utils/webhooks.js';
+
+/**
+ * Tarea programada: reintentar entregas de webhooks
+ *
+ * Vuelve a enviar las entregas pendientes cuyo próximo intento ya llegó (las que
+ * fallaron y las que no llegaron a registrar su primer envío). Cada fallo duplica
+ * la espera hasta agotar WEBHOOK_MAX_ATTEMPTS intentos (ver utils/webhooks.js).
+ */
+
+// Entregas que se reintentan en cada ejecución
+const RETRY_BATCH_SIZE = 50;
+
+/**
+ * Reservar una entrega antes de reintentarla (la misma reserva que al crearla)
+ * Solo la reserva si nadie la tomó desde que se consultó.
+ *
+ * @param {Object} delivery - Entrega consultada
+ * @returns {Promise<Object|null>} Entrega reservada, o null si ya la tomó otro proceso
+ * @throws {Error} Si Supabase devuelve un error
+ */
+const claimDelivery = async (delivery) => {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update({ next_attempt_at: getWebhookLeaseDate() })
+    .eq('id', delivery.id)
+    .eq('status', 'pending')
+    .eq('next_attempt_at', delivery.next_attempt_at)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Reintentar las entregas pendientes que ya toca enviar
+ * Las de webhooks desactivados se dan por fallidas sin enviarlas.
+ *
+ * @param {Date} now - Fecha de referencia (por defecto, ahora)
+ * @returns {Promise<number>} Cantidad de entregas reintentadas
+ * @throws {Error} Si Supabase devuelve un error
+ */
+export const retryWebhookDeliveries = async (now = new Date()) => {
+  const { data: deliveries, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook:webhooks(*)')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now.toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(RETRY_BATCH_SIZE);
+
+  if (error) {
+    throw error;
+  }
+
+  let retried = 0;
+  for (const { webhook, ...delivery } of deliveries) {
+    if (!webhook.active) {
+      const { error: updateError } = await supabase
+        .from('webhook_deliveries')
+        .update({ status: 'failed', error: 'El webhook está desactivado', next_attempt_at: null })
+        .eq('id', delivery.id);
+      if (updateError) throw updateError;
+      continue;
+    }
+
+    const claimed = await claimDelivery(delivery);
+    if (!claimed) continue;
+
+    await attemptDelivery(claimed, webhook);
+    retried += 1;
+  }
+
+  return retried;
+};
+
+/**
+ * Iniciar los reintentos periódicos de webhooks
+ * Se ejecuta una vez al arrancar y luego cada WEBHOOK_RETRY_INTERVAL_SECONDS segundos;
+ * una ejecución no empieza mientras la anterior sigue enviando.
+ *
+ * @returns {Function} Función para detener la tarea programada
+ */
+export const startWebhookRetryJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const retried = await retryWebhookDeliveries();
+      if (retried > 0) {
+        console.log(`🔁 Webhooks: ${retried} entrega(s) reintentada(s)`);
+      }
+    } catch (error) {
+      console.error('Error al reintentar webhooks:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, WEBHOOK_RETRY_INTERVAL_SECONDS * 1000);
+  // No mantener vivo el proceso solo por esta tarea
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+export default startWebhookRetryJob;
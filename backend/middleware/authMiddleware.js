@@ -1,10 +1,13 @@
 // Importar el cliente de Supabase
 import { supabase } from '../config/supabaseClient.js';
+import { isApiToken, authenticateApiToken, scopeAllowsMethod } from '../utils/apiTokens.js';
 
 /**
  * Middleware de autenticación
- * Verifica el token JWT en el header Authorization
- * Extrae el usuario del token y lo agrega al objeto request
+ * Verifica el token del header Authorization: un JWT de la sesión de Supabase o
+ * un token de acceso personal (tdl_..., ver utils/apiTokens.js)
+ * Extrae el usuario del token y lo agrega al objeto request, junto con req.auth:
+ * { type: 'session' } o { type: 'api_token', tokenId, scope }
  */
 export const authMiddleware = async (req, res, next) => {
   try {
@@ -28,6 +31,29 @@ export const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // Token de acceso personal
+    if (isApiToken(token)) {
+      const result = await authenticateApiToken(token);
+
+      if (!result) {
+        return res.status(401).json({
+          error: 'Token inválido',
+          message: 'El token de acceso no existe o fue revocado'
+        });
+      }
+
+      if (!scopeAllowsMethod(result.token.scope, req.method)) {
+        return res.status(403).json({
+          error: 'Permiso insuficiente',
+          message: 'Este token de acceso solo permite peticiones de lectura (GET)'
+        });
+      }
+
+      req.user = result.user;
+      req.auth = { type: 'api_token', tokenId: result.token.id, scope: result.token.scope };
+      return next();
+    }
+
     // Verificar el token con Supabase
     const { data: { user }, error } = await supabase.auth.getUser(token);
 
@@ -48,6 +74,7 @@ export const authMiddleware = async (req, res, next) => {
 
     // Agregar el usuario al objeto request para uso en los controladores
     req.user = user;
+    req.auth = { type: 'session' };
     
     // Continuar con el siguiente middleware o controlador
     next();
@@ -61,6 +88,22 @@ export const authMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware que exige la sesión del usuario (no un token de acceso personal)
+ * Se usa después de authMiddleware en las rutas que gestionan los propios tokens
+ * (un token no puede crear otros ni revocarlos) y los webhooks, que devuelven
+ * el secret con el que se firman las entregas
+ */
+export const requireSessionAuth = (req, res, next) => {
+  if (req.auth?.type !== 'session') {
+    return res.status(403).json({
+      error: 'Sesión requerida',
+      message: 'Esta ruta solo se puede usar con la sesión del usuario, no con un token de acceso personal'
+    });
+  }
+  next();
+};
+
 /**
  * Middleware opcional para verificar si el usuario está autenticado
  * No requiere token, solo verifica si hay uno válido
@@ -83,6 +126,15 @@ export const optionalAuthMiddleware = async (req, res, next) => {
       return next();
     }
 
+    // Token de acceso personal (con alcance 'read' solo cuenta en peticiones de lectura)
+    if (isApiToken(token)) {
+      const result = await authenticateApiToken(token);
+      const allowed = result && scopeAllowsMethod(result.token.scope, req.method);
+      req.user = allowed ? result.user : null;
+      req.auth = allowed ? { type: 'api_token', tokenId: result.token.id, scope: result.token.scope } : null;
+      return next();
+    }
+
     // Intentar verificar el token
     const { data: { user }, error } = await supabase.auth.getUser(token);
 
@@ -94,6 +146,7 @@ export const optionalAuthMiddleware = async (req, res, next) => {
 
     // Token válido, agregar usuario
     req.user = user;
+    req.auth = { type: 'session' };
     next();
 
   } catch (error) {
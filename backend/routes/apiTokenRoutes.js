@@ -0,0 +1,83 @@
+// Importar Express Router
+import express from 'express';
+
+// Importar controladores de tokens de acceso personal
+import {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken
+} from '../controllers/apiTokenController.js';
+
+// Importar middlewares de autenticación
+import { authMiddleware, requireSessionAuth } from '../middleware/authMiddleware.js';
+
+// Crear el router
+const router = express.Router();
+
+// Aplicar middleware de autenticación a todas las rutas
+// Los tokens solo se gestionan con la sesión del usuario, no con otro token
+router.use(authMiddleware);
+router.use(requireSessionAuth);
+
+// ===== RUTAS DE TOKENS DE ACCESO PERSONAL =====
+
+/**
+ * GET /api/tokens
+ * Obtener los tokens activos del usuario (sin el token completo)
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "name": "Backup nocturno",
+ *       "token_prefix": "tdl_1a2b3c4d",
+ *       "scope": "read",
+ *       "last_used_at": "2024-01-02T03:00:00Z",
+ *       "created_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/', getApiTokens);
+
+/**
+ * POST /api/tokens
+ * Crear un token de acceso personal
+ *
+ * Body:
+ * {
+ *   "name": "Backup nocturno",  // Requerido, máx. 100 caracteres
+ *   "scope": "read"             // Opcional: read (solo GET, por defecto) o write
+ * }
+ *
+ * La respuesta (201) incluye el token completo en data.token; solo se muestra
+ * esta vez. Se usa igual que la sesión: Authorization: Bearer tdl_...
+ */
+router.post('/', createApiToken);
+
+/**
+ * DELETE /api/tokens/:id
+ * Revocar un token (deja de aceptarse inmediatamente)
+ */
+router.delete('/:id', revokeApiToken);
+
+// ===== MANEJO DE ERRORES ESPECÍFICOS DEL ROUTER =====
+
+// Middleware para manejar rutas no encontradas en este router
+router.use((req, res) => {
+  res.status(404).json({
+    error: 'Ruta no encontrada',
+    message: `La ruta ${req.method} ${req.originalUrl} no existe en el API de tokens`,
+    availableRoutes: [
+      'GET /api/tokens - Obtener los tokens activos',
+      'POST /api/tokens - Crear un token de acceso personal',
+      'DELETE /api/tokens/:id - Revocar un token'
+    ]
+  });
+});
+
+// Exportar el router
+export default router;
@@ -0,0 +1,79 @@
+// Importar Express Router
+import express from 'express';
+
+// Importar controladores de invitaciones
+import {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+} from '../controllers/listShareController.js';
+
+// Importar middleware de autenticación
+import { authMiddleware } from '../middleware/authMiddleware.js';
+
+// Crear el router
+const router = express.Router();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+// ===== RUTAS DE INVITACIONES RECIBIDAS =====
+
+/**
+ * GET /api/invitations
+ * Obtener las invitaciones pendientes dirigidas al email del usuario autenticado
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "list_id": "uuid",
+ *       "email": "luis@ejemplo.com",
+ *       "role": "editor",
+ *       "lists": { "name": "Trabajo", "color": "#6366f1" },
+ *       "created_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/', getMyInvitations);
+
+/**
+ * POST /api/invitations/:id/accept
+ * Aceptar una invitación: el usuario pasa a ser miembro de la lista
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": { "list_id": "uuid", "user_id": "uuid", "email": "luis@ejemplo.com", "role": "editor" },
+ *   "message": "Invitación aceptada"
+ * }
+ */
+router.post('/:id/accept', acceptInvitation);
+
+/**
+ * DELETE /api/invitations/:id
+ * Rechazar una invitación
+ */
+router.delete('/:id', declineInvitation);
+
+// ===== MANEJO DE ERRORES ESPECÍFICOS DEL ROUTER =====
+
+// Middleware para manejar rutas no encontradas en este router
+router.use((req, res) => {
+  res.status(404).json({
+    error: 'Ruta no encontrada',
+    message: `La ruta ${req.method} ${req.originalUrl} no existe en el API de invitaciones`,
+    availableRoutes: [
+      'GET /api/invitations - Obtener las invitaciones pendientes del usuario',
+      'POST /api/invitations/:id/accept - Aceptar una invitación',
+      'DELETE /api/invitations/:id - Rechazar una invitación'
+    ]
+  });
+});
+
+// Exportar el router
+export default router;
@@ -0,0 +1,206 @@
+// Importar Express Router
+import express from 'express';
+
+// Importar controladores de listas
+import {
+  getLists,
+  getListById,
+  createList,
+  updateList,
+  deleteList
+} from '../controllers/listController.js';
+
+// Importar controladores para compartir listas
+import {
+  getListMembers,
+  updateListMember,
+  removeListMember,
+  getListInvitations,
+  createListInvitation,
+  deleteListInvitation
+} from '../controllers/listShareController.js';
+
+// Importar middleware de autenticación
+import { authMiddleware } from '../middleware/authMiddleware.js';
+
+// Crear el router
+const router = express.Router();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+// ===== RUTAS DE LISTAS =====
+
+/**
+ * GET /api/lists
+ * Obtener todas las listas del usuario autenticado (propias y compartidas con él)
+ * role es el rol del usuario en la lista: viewer, editor u owner
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "name": "Trabajo",
+ *       "color": "#6366f1",
+ *       "todo_count": 4,
+ *       "role": "owner",
+ *       "members": [{ "user_id": "uuid", "email": "ana@ejemplo.com", "role": "owner" }],
+ *       "created_at": "2024-01-01T00:00:00Z",
+ *       "updated_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/', getLists);
+
+/**
+ * GET /api/lists/:id
+ * Obtener una lista específica por ID
+ *
+ * Error de lista no encontrada (404):
+ * {
+ *   "error": "Lista no encontrada o no tienes permisos para verla"
+ * }
+ */
+router.get('/:id', getListById);
+
+/**
+ * POST /api/lists
+ * Crear una nueva lista
+ *
+ * Body:
+ * {
+ *   "name": "Nombre de la lista (requerido, máx. 100 caracteres)",
+ *   "color": "#6366f1 (opcional)"
+ * }
+ *
+ * Error de validación (400):
+ * {
+ *   "error": "El nombre de la lista es requerido",
+ *   "field": "name"
+ * }
+ */
+router.post('/', createList);
+
+/**
+ * PUT /api/lists/:id
+ * Renombrar una lista o cambiar su color (solo owners)
+ *
+ * Body (todos los campos son opcionales):
+ * {
+ *   "name": "Nuevo nombre",
+ *   "color": "#10b981"
+ * }
+ */
+router.put('/:id', updateList);
+
+/**
+ * DELETE /api/lists/:id
+ * Eliminar una lista junto con todas sus tareas (solo owners)
+ *
+ * Error de lista no encontrada (404):
+ * {
+ *   "error": "Lista no encontrada o no tienes permisos para eliminarla"
+ * }
+ */
+router.delete('/:id', deleteList);
+
+// ===== RUTAS PARA COMPARTIR LISTAS =====
+
+/**
+ * GET /api/lists/:id/members
+ * Obtener los miembros de una lista (cualquier miembro puede verlos)
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     { "list_id": "uuid", "user_id": "uuid", "email": "ana@ejemplo.com", "role": "owner", "created_at": "..." }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/:id/members', getListMembers);
+
+/**
+ * PATCH /api/lists/:id/members/:userId
+ * Cambiar el rol de un miembro (solo owners)
+ *
+ * Body:
+ * {
+ *   "role": "viewer" | "editor" | "owner"
+ * }
+ *
+ * Error si se quita el último owner (409):
+ * {
+ *   "error": "La lista debe tener al menos un owner",
+ *   "field": "role"
+ * }
+ */
+router.patch('/:id/members/:userId', updateListMember);
+
+/**
+ * DELETE /api/lists/:id/members/:userId
+ * Quitar a un miembro (owners) o salir de la lista (el propio miembro)
+ */
+router.delete('/:id/members/:userId', removeListMember);
+
+/**
+ * GET /api/lists/:id/invitations
+ * Obtener las invitaciones pendientes de una lista (solo owners)
+ */
+router.get('/:id/invitations', getListInvitations);
+
+/**
+ * POST /api/lists/:id/invitations
+ * Invitar a un usuario por email (solo owners)
+ * La invitación aparece en GET /api/invitations del invitado hasta que la acepte o rechace
+ *
+ * Body:
+ * {
+ *   "email": "luis@ejemplo.com",
+ *   "role": "viewer" | "editor" | "owner" (opcional, por defecto viewer)
+ * }
+ *
+ * Error si ya es miembro o ya está invitado (409):
+ * {
+ *   "error": "Ya hay una invitación pendiente para ese email",
+ *   "field": "email"
+ * }
+ */
+router.post('/:id/invitations', createListInvitation);
+
+/**
+ * DELETE /api/lists/:id/invitations/:invitationId
+ * Cancelar una invitación pendiente (solo owners)
+ */
+router.delete('/:id/invitations/:invitationId', deleteListInvitation);
+
+// ===== MANEJO DE ERRORES ESPECÍFICOS DEL ROUTER =====
+
+// Middleware para manejar rutas no encontradas en este router
+router.use((req, res) => {
+  res.status(404).json({
+    error: 'Ruta no encontrada',
+    message: `La ruta ${req.method} ${req.originalUrl} no existe en el API de listas`,
+    availableRoutes: [
+      'GET /api/lists - Obtener todas las listas',
+      'GET /api/lists/:id - Obtener una lista específica',
+      'POST /api/lists - Crear una nueva lista',
+      'PUT /api/lists/:id - Actualizar una lista',
+      'DELETE /api/lists/:id - Eliminar una lista y sus tareas',
+      'GET /api/lists/:id/members - Obtener los miembros de una lista',
+      'PATCH /api/lists/:id/members/:userId - Cambiar el rol de un miembro',
+      'DELETE /api/lists/:id/members/:userId - Quitar a un miembro o salir de la lista',
+      'GET /api/lists/:id/invitations - Obtener las invitaciones pendientes de una lista',
+      'POST /api/lists/:id/invitations - Invitar a un usuario por email',
+      'DELETE /api/lists/:id/invitations/:invitationId - Cancelar una invitación'
+    ]
+  });
+});
+
+// Exportar el router
+export default router;
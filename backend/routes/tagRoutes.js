@@ -0,0 +1,102 @@
+// Importar Express Router
+import express from 'express';
+
+// Importar controladores de etiquetas
+import {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag
+} from '../controllers/tagController.js';
+
+// Importar middleware de autenticación
+import { authMiddleware } from '../middleware/authMiddleware.js';
+
+// Crear el router
+const router = express.Router();
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(authMiddleware);
+
+// ===== RUTAS DE ETIQUETAS =====
+
+/**
+ * GET /api/tags
+ * Obtener todas las etiquetas del usuario, ordenadas por nombre
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "name": "bug",
+ *       "color": "#ef4444",
+ *       "todo_count": 3,
+ *       "created_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/', getTags);
+
+/**
+ * POST /api/tags
+ * Crear una nueva etiqueta
+ *
+ * Body:
+ * {
+ *   "name": "Nombre de la etiqueta (requerido, máx. 30 caracteres)",
+ *   "color": "#ef4444 (opcional)"
+ * }
+ *
+ * Etiqueta duplicada (409):
+ * {
+ *   "error": "Ya tienes una etiqueta con ese nombre",
+ *   "field": "name"
+ * }
+ */
+router.post('/', createTag);
+
+/**
+ * PUT /api/tags/:id
+ * Renombrar una etiqueta o cambiar su color
+ *
+ * Body (todos los campos son opcionales):
+ * {
+ *   "name": "Nuevo nombre",
+ *   "color": "#10b981"
+ * }
+ */
+router.put('/:id', updateTag);
+
+/**
+ * DELETE /api/tags/:id
+ * Eliminar una etiqueta y quitarla de todas las tareas
+ *
+ * Error de etiqueta no encontrada (404):
+ * {
+ *   "error": "Etiqueta no encontrada o no tienes permisos para eliminarla"
+ * }
+ */
+router.delete('/:id', deleteTag);
+
+// ===== MANEJO DE ERRORES ESPECÍFICOS DEL ROUTER =====
+
+// Middleware para manejar rutas no encontradas en este router
+router.use((req, res) => {
+  res.status(404).json({
+    error: 'Ruta no encontrada',
+    message: `La ruta ${req.method} ${req.originalUrl} no existe en el API de etiquetas`,
+    availableRoutes: [
+      'GET /api/tags - Obtener todas las etiquetas',
+      'POST /api/tags - Crear una nueva etiqueta',
+      'PUT /api/tags/:id - Actualizar una etiqueta',
+      'DELETE /api/tags/:id - Eliminar una etiqueta'
+    ]
+  });
+});
+
+// Exportar el router
+export default router;
@@ -7,10 +7,41 @@ import {
   createTodo,
   updateTodo,
   deleteTodo,
+  restoreTodo,
+  getTrash,
+  emptyTrash,
+  permanentDeleteTodo,
+  archiveCompleted,
   toggleTodo,
+  reorderTodos,
+  bulkTodos,
+  searchTodos,
+  getTodoStats,
   getTodoById
 } from '../controllers/todoController.js';
 
+// Importar controladores de subtareas
+import {
+  getSubtasks,
+  createSubtask,
+  updateSubtask,
+  deleteSubtask
+} from '../controllers/subtaskController.js';
+
+// Importar controladores de comentarios
+import {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} from '../controllers/commentController.js';
+
+// Importar controlador del historial de actividad
+import { getTodoActivity } from '../controllers/activityController.js';
+
+// Importar controlador del stream de cambios (SSE)
+import { streamTodos } from '../controllers/todoStreamController.js';
+
 // Importar middleware de autenticación
 import { authMiddleware } from '../middleware/authMiddleware.js';
 
@@ -24,7 +55,20 @@ router.use(authMiddleware);
 
 /**
  * GET /api/todos
- * Obtener todas las tareas del usuario autenticado
+ * Obtener las tareas del usuario autenticado, paginadas por cursor
+ * (por defecto, en su orden manual: position)
+ * 
+ * Query params (opcionales):
+ * - list_id: UUID de la lista para obtener solo sus tareas
+ * - completed: true / false
+ * - assignee: me (tareas asignadas al usuario) | UUID de un usuario
+ * - archived: false (por defecto, sin archivadas) | true (solo archivadas) | all
+ * - q: Texto a buscar en el título o la descripción
+ * - created_after / created_before: Rango de fechas de creación (ISO 8601)
+ * - sort: position | created_at | updated_at | due_at | title | archived_at
+ * - order: asc | desc (por defecto asc, salvo created_at / updated_at)
+ * - limit: Tareas por página, de 1 a 100 (por defecto 50)
+ * - cursor: Valor de nextCursor de la página anterior
  * 
  * Respuesta exitosa (200):
  * {
@@ -35,11 +79,27 @@ router.use(authMiddleware);
  *       "title": "Título de la tarea",
  *       "description": "Descripción opcional",
  *       "completed": false,
+ *       "priority": "medium",
+ *       "list_id": "uuid",
+ *       "due_at": "2024-01-05T17:00:00Z",
+ *       "remind_at": null,
+ *       "subtasks": [],
+ *       "tags": [{ "id": "uuid", "name": "bug", "color": "#ef4444" }],
+ *       "recurrence": "FREQ=WEEKLY;BYDAY=MO",
+ *       "position": 1000,
  *       "created_at": "2024-01-01T00:00:00Z",
  *       "updated_at": "2024-01-01T00:00:00Z"
  *     }
  *   ],
- *   "count": 1
+ *   "count": 1,
+ *   "total": 120,
+ *   "nextCursor": "eyJzb3J0IjoicG9zaXRpb24i..."   // null en la última página
+ * }
+ * 
+ * Error de validación (400):
+ * {
+ *   "error": "limit debe ser un número entero entre 1 y 100",
+ *   "field": "limit"
  * }
  * 
  * Error de autenticación (401):
@@ -49,6 +109,204 @@ router.use(authMiddleware);
  */
 router.get('/', getTodos);
 
+/**
+ * PATCH /api/todos/reorder
+ * Guardar el orden manual de varias tareas
+ * (declarada antes de las rutas con :id para que "reorder" no se tome como un ID)
+ * 
+ * Body:
+ * {
+ *   "items": [
+ *     { "id": "uuid", "position": 1500 },
+ *     { "id": "uuid", "position": 2000 }
+ *   ]
+ * }
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [{ "id": "uuid", "position": 1500 }],
+ *   "count": 1,
+ *   "message": "Orden de tareas actualizado"
+ * }
+ * 
+ * Error de validación (400):
+ * {
+ *   "error": "Cada elemento debe tener un id de tarea válido y una position numérica",
+ *   "field": "items"
+ * }
+ */
+router.patch('/reorder', reorderTodos);
+
+/**
+ * POST /api/todos/bulk
+ * Aplicar una acción a varias tareas a la vez
+ * 
+ * Body:
+ * {
+ *   "ids": ["uuid", "uuid"],
+ *   "action": "complete" | "uncomplete" | "delete" | "move" | "add_tags" | "remove_tags" | "archive" | "unarchive",
+ *   "list_id": "uuid (solo move; null para quitarlas de su lista)",
+ *   "tag_ids": ["uuid"] (solo add_tags / remove_tags)
+ * }
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [ ...tareas actualizadas ] (con delete: los IDs eliminados),
+ *   "next": [ ...siguientes repeticiones creadas al completar tareas recurrentes ],
+ *   "count": 2,
+ *   "message": "2 tarea(s) actualizada(s)"
+ * }
+ * 
+ * Error de validación (400):
+ * {
+ *   "error": "Todos los IDs de tarea deben ser válidos",
+ *   "field": "ids"
+ * }
+ */
+router.post('/bulk', bulkTodos);
+
+/**
+ * POST /api/todos/archive-completed
+ * Archivar todas las tareas completadas (dejan de aparecer en el listado y en las
+ * estadísticas; se consultan con GET /api/todos?archived=true)
+ * 
+ * Body (opcional):
+ * {
+ *   "list_id": "uuid (archivar solo las completadas de esa lista)"
+ * }
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": ["uuid", "uuid"],
+ *   "count": 2,
+ *   "message": "2 tarea(s) archivada(s)"
+ * }
+ */
+router.post('/archive-completed', archiveCompleted);
+
+/**
+ * GET /api/todos/search
+ * Buscar tareas por texto completo (título y descripción), ordenadas por relevancia
+ * (declarada antes de las rutas con :id para que "search" no se tome como un ID)
+ * 
+ * Query params:
+ * - q: Texto a buscar (requerido); cada palabra se busca como prefijo
+ * - list_id: UUID de la lista en la que buscar (opcional)
+ * - limit: Máximo de resultados, de 1 a 50 (por defecto 20)
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "title": "Preparar reunión",
+ *       ...resto de campos de la tarea,
+ *       "rank": 0.6079,
+ *       "highlight": {
+ *         "title": "Preparar \u0002reunión\u0003",
+ *         "description": null
+ *       }
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ * 
+ * Error de validación (400):
+ * {
+ *   "error": "El texto de búsqueda es requerido",
+ *   "field": "q"
+ * }
+ */
+router.get('/search', searchTodos);
+
+/**
+ * GET /api/todos/stats
+ * Obtener las estadísticas de las tareas (total, completadas, pendientes, vencidas)
+ * 
+ * Query params (opcionales):
+ * - list_id: UUID de la lista para contar solo sus tareas
+ * - assignee: me (tareas asignadas al usuario) | UUID de un usuario
+ * - archived: false (por defecto, sin archivadas) | true (solo archivadas) | all
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "total": 12,
+ *     "completed": 5,
+ *     "pending": 7,
+ *     "overdue": 2,
+ *     "completionRate": 42
+ *   }
+ * }
+ */
+router.get('/stats', getTodoStats);
+
+/**
+ * GET /api/todos/stream
+ * Escuchar los cambios de las tareas del usuario como Server-Sent Events
+ * (declarada antes de las rutas con :id para que "stream" no se tome como un ID)
+ * 
+ * Headers:
+ * - Authorization: Bearer <token> (EventSource del navegador no permite enviarlo:
+ *   usar un cliente SSE que admita headers)
+ * - Last-Event-ID (opcional): Reanudar después del último evento recibido
+ * 
+ * Respuesta (200, text/event-stream):
+ * id: 42
+ * event: updated            // created | updated | deleted
+ * data: {"todo": { ...tarea }}
+ * 
+ * event: ready              // Eventos pendientes enviados
+ * data: {"lastEventId": 42}
+ * 
+ * event: resync             // No se puede reanudar: volver a cargar las tareas
+ * 
+ * : heartbeat               // Comentario cada 25 s para mantener la conexión
+ */
+router.get('/stream', streamTodos);
+
+/**
+ * GET /api/todos/trash
+ * Obtener las tareas de la papelera (la eliminada más recientemente primero)
+ * (declarada antes de las rutas con :id para que "trash" no se tome como un ID)
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "title": "Título de la tarea",
+ *       ...resto de campos de la tarea,
+ *       "deleted_at": "2024-01-02T00:00:00Z",
+ *       "purge_at": "2024-02-01T00:00:00Z"   // Cuándo se borrará definitivamente
+ *     }
+ *   ],
+ *   "count": 1,
+ *   "retentionDays": 30
+ * }
+ */
+router.get('/trash', getTrash);
+
+/**
+ * DELETE /api/todos/trash
+ * Vaciar la papelera: borrar definitivamente todas las tareas eliminadas
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": ["uuid", "uuid"],
+ *   "count": 2,
+ *   "message": "2 tarea(s) eliminada(s) definitivamente"
+ * }
+ */
+router.delete('/trash', emptyTrash);
+
 /**
  * GET /api/todos/:id
  * Obtener una tarea específica por ID
@@ -82,8 +340,16 @@ router.get('/:id', getTodoById);
  * 
  * Body:
  * {
+ *   "id": "uuid generado por el cliente (opcional; si ya existe, se devuelve esa tarea con 200)",
  *   "title": "Título de la tarea (requerido)",
- *   "description": "Descripción opcional"
+ *   "description": "Descripción opcional",
+ *   "priority": "high | medium | low (opcional, por defecto medium)",
+ *   "list_id": "uuid de la lista (opcional)",
+ *   "assignee_id": "uuid de un miembro de la lista (opcional)",
+ *   "tag_ids": ["uuid", "uuid"] (opcional),
+ *   "recurrence": "FREQ=WEEKLY;BYDAY=MO (regla RRULE, opcional)",
+ *   "due_at": "2024-01-05T17:00:00Z (opcional, ISO 8601)",
+ *   "remind_at": "2024-01-05T09:00:00Z (opcional, no posterior a due_at)"
  * }
  * 
  * Respuesta exitosa (201):
@@ -119,7 +385,14 @@ router.post('/', createTodo);
  * {
  *   "title": "Nuevo título",
  *   "description": "Nueva descripción",
- *   "completed": true
+ *   "completed": true,
+ *   "priority": "high",
+ *   "list_id": "uuid de otra lista (null para quitarla de su lista)",
+ *   "assignee_id": "uuid de un miembro de la lista (null para quitar la asignación)",
+ *   "tag_ids": ["uuid"] (reemplaza las etiquetas; [] para quitarlas todas),
+ *   "recurrence": "FREQ=MONTHLY;BYMONTHDAY=1 (null para que deje de repetirse)",
+ *   "due_at": "2024-01-05T17:00:00Z (null para quitarla)",
+ *   "remind_at": "2024-01-05T09:00:00Z (null para quitarlo)"
  * }
  * 
  * Respuesta exitosa (200):
@@ -146,10 +419,19 @@ router.put('/:id', updateTodo);
 /**
  * PATCH /api/todos/:id/toggle
  * Alternar el estado de completado de una tarea
+ * Al completar una tarea recurrente se crea automáticamente la siguiente
+ * repetición (devuelta en "next") y la tarea completada deja de repetirse.
+ * El asignado de una tarea también puede completarla aunque no pueda editar su lista.
  * 
  * Parámetros:
  * - id: UUID de la tarea
  * 
+ * Body (opcional):
+ * {
+ *   "completed": true,         // Estado deseado; si se omite, se alterna el actual
+ *   "complete_subtasks": true  // Al completar la tarea, completar también sus subtareas
+ * }
+ * 
  * Respuesta exitosa (200):
  * {
  *   "success": true,
@@ -158,10 +440,18 @@ router.put('/:id', updateTodo);
  *     "title": "Título de la tarea",
  *     "description": "Descripción opcional",
  *     "completed": true,
+ *     "recurrence": null,
  *     "created_at": "2024-01-01T00:00:00Z",
  *     "updated_at": "2024-01-01T00:00:00Z"
  *   },
- *   "message": "Tarea completada"
+ *   "next": {
+ *     "id": "uuid",
+ *     "title": "Título de la tarea",
+ *     "completed": false,
+ *     "due_at": "2024-01-08T09:00:00Z",
+ *     "recurrence": "FREQ=WEEKLY;BYDAY=MO"
+ *   } (null si la tarea no es recurrente o la serie terminó),
+ *   "message": "Tarea completada. Se creó la siguiente repetición"
  * }
  * 
  * Error de tarea no encontrada (404):
@@ -173,7 +463,7 @@ router.patch('/:id/toggle', toggleTodo);
 
 /**
  * DELETE /api/todos/:id
- * Eliminar una tarea
+ * Eliminar una tarea (se mueve a la papelera y se puede restaurar)
  * 
  * Parámetros:
  * - id: UUID de la tarea
@@ -186,8 +476,9 @@ router.patch('/:id/toggle', toggleTodo);
  *     "title": "Título de la tarea",
  *     "description": "Descripción opcional",
  *     "completed": false,
+ *     "deleted_at": "2024-01-02T00:00:00Z",
  *     "created_at": "2024-01-01T00:00:00Z",
- *     "updated_at": "2024-01-01T00:00:00Z"
+ *     "updated_at": "2024-01-02T00:00:00Z"
  *   },
  *   "message": "Tarea eliminada exitosamente"
  * }
@@ -199,6 +490,198 @@ router.patch('/:id/toggle', toggleTodo);
  */
 router.delete('/:id', deleteTodo);
 
+/**
+ * POST /api/todos/:id/restore
+ * Restaurar una tarea eliminada (deshacer la eliminación)
+ * 
+ * Parámetros:
+ * - id: UUID de la tarea
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": { "id": "uuid", "title": "Título de la tarea", "deleted_at": null, ... },
+ *   "message": "Tarea restaurada exitosamente"
+ * }
+ * 
+ * Error de tarea no encontrada (404):
+ * {
+ *   "error": "La tarea no está en la papelera o no tienes permisos para restaurarla"
+ * }
+ */
+router.post('/:id/restore', restoreTodo);
+
+/**
+ * DELETE /api/todos/:id/permanent
+ * Eliminar definitivamente una tarea de la papelera (no se puede deshacer)
+ * 
+ * Parámetros:
+ * - id: UUID de la tarea
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": { "id": "uuid" },
+ *   "message": "Tarea eliminada definitivamente"
+ * }
+ * 
+ * Error de tarea no encontrada (404):
+ * {
+ *   "error": "La tarea no está en la papelera o no tienes permisos para eliminarla"
+ * }
+ */
+router.delete('/:id/permanent', permanentDeleteTodo);
+
+// ===== RUTAS DE SUBTAREAS =====
+
+/**
+ * GET /api/todos/:id/subtasks
+ * Obtener el checklist de una tarea
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "todo_id": "uuid",
+ *       "title": "Paso del checklist",
+ *       "completed": false,
+ *       "position": 0,
+ *       "created_at": "2024-01-01T00:00:00Z",
+ *       "updated_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 5,
+ *   "completed": 3
+ * }
+ */
+router.get('/:id/subtasks', getSubtasks);
+
+/**
+ * POST /api/todos/:id/subtasks
+ * Agregar una subtarea al final del checklist
+ * 
+ * Body:
+ * {
+ *   "title": "Título de la subtarea (requerido)"
+ * }
+ */
+router.post('/:id/subtasks', createSubtask);
+
+/**
+ * PATCH /api/todos/:id/subtasks/:subtaskId
+ * Actualizar el título o el estado de una subtarea
+ * 
+ * Body (todos los campos son opcionales):
+ * {
+ *   "title": "Nuevo título",
+ *   "completed": true
+ * }
+ */
+router.patch('/:id/subtasks/:subtaskId', updateSubtask);
+
+/**
+ * DELETE /api/todos/:id/subtasks/:subtaskId
+ * Eliminar una subtarea
+ * 
+ * Error de subtarea no encontrada (404):
+ * {
+ *   "error": "Subtarea no encontrada o no tienes permisos para eliminarla"
+ * }
+ */
+router.delete('/:id/subtasks/:subtaskId', deleteSubtask);
+
+// ===== RUTAS DE COMENTARIOS =====
+
+/**
+ * GET /api/todos/:id/comments
+ * Obtener la conversación de una tarea (el comentario más antiguo primero)
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "todo_id": "uuid",
+ *       "user_id": "uuid",
+ *       "author_email": "autor@ejemplo.com",
+ *       "body": "Texto del comentario",
+ *       "created_at": "2024-01-01T00:00:00Z",
+ *       "updated_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/:id/comments', getComments);
+
+/**
+ * POST /api/todos/:id/comments
+ * Comentar una tarea (cualquiera que pueda verla, también los lectores)
+ * 
+ * Body:
+ * {
+ *   "body": "Texto del comentario (requerido, máximo 2000 caracteres)"
+ * }
+ */
+router.post('/:id/comments', createComment);
+
+/**
+ * PATCH /api/todos/:id/comments/:commentId
+ * Editar un comentario propio
+ * 
+ * Body:
+ * {
+ *   "body": "Nuevo texto"
+ * }
+ */
+router.patch('/:id/comments/:commentId', updateComment);
+
+/**
+ * DELETE /api/todos/:id/comments/:commentId
+ * Eliminar un comentario propio
+ * 
+ * Error de comentario no encontrado o de otra persona (404):
+ * {
+ *   "error": "Comentario no encontrado o no tienes permisos para eliminarlo"
+ * }
+ */
+router.delete('/:id/comments/:commentId', deleteComment);
+
+// ===== RUTAS DEL HISTORIAL DE ACTIVIDAD =====
+
+/**
+ * GET /api/todos/:id/activity
+ * Obtener el historial de una tarea (la entrada más reciente primero)
+ * Se registra al crear, modificar, completar / reabrir, archivar, eliminar y
+ * restaurar la tarea a través de esta API.
+ * 
+ * Query params opcionales:
+ * - limit: Máximo de entradas (por defecto 50, máximo 100)
+ * - before: Fecha ISO; solo entradas anteriores (created_at de la última recibida)
+ * 
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "todo_id": "uuid",
+ *       "actor_id": "uuid",
+ *       "actor_email": "usuario@ejemplo.com",
+ *       "action": "updated",  // created | updated | completed | reopened | archived | unarchived | deleted | restored
+ *       "changes": { "title": { "from": "Título anterior", "to": "Título nuevo" } },
+ *       "created_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 1,
+ *   "hasMore": false
+ * }
+ */
+router.get('/:id/activity', getTodoActivity);
+
 // ===== MANEJO DE ERRORES ESPECÍFICOS DEL ROUTER =====
 
 // Middleware para manejar rutas no encontradas en este router
@@ -207,12 +690,31 @@ router.use((req, res) => {
     error: 'Ruta no encontrada',
     message: `La ruta ${req.method} ${req.originalUrl} no existe en el API de tareas`,
     availableRoutes: [
-      'GET /api/todos - Obtener todas las tareas',
+      'GET /api/todos - Obtener las tareas (paginadas por cursor)',
       'GET /api/todos/:id - Obtener una tarea específica',
       'POST /api/todos - Crear una nueva tarea',
       'PUT /api/todos/:id - Actualizar una tarea',
+      'PATCH /api/todos/reorder - Guardar el orden manual de varias tareas',
+      'POST /api/todos/bulk - Aplicar una acción a varias tareas',
+      'POST /api/todos/archive-completed - Archivar las tareas completadas',
+      'GET /api/todos/search - Buscar tareas por texto completo',
+      'GET /api/todos/stats - Obtener las estadísticas de las tareas',
+      'GET /api/todos/stream - Escuchar los cambios de las tareas (Server-Sent Events)',
       'PATCH /api/todos/:id/toggle - Alternar estado de completado',
-      'DELETE /api/todos/:id - Eliminar una tarea'
+      'DELETE /api/todos/:id - Eliminar una tarea (a la papelera)',
+      'POST /api/todos/:id/restore - Restaurar una tarea eliminada',
+      'DELETE /api/todos/:id/permanent - Eliminar definitivamente una tarea de la papelera',
+      'GET /api/todos/trash - Obtener las tareas de la papelera',
+      'DELETE /api/todos/trash - Vaciar la papelera',
+      'GET /api/todos/:id/subtasks - Obtener las subtareas de una tarea',
+      'POST /api/todos/:id/subtasks - Agregar una subtarea',
+      'PATCH /api/todos/:id/subtasks/:subtaskId - Actualizar una subtarea',
+      'DELETE /api/todos/:id/subtasks/:subtaskId - Eliminar una subtarea',
+      'GET /api/todos/:id/comments - Obtener los comentarios de una tarea',
+      'POST /api/todos/:id/comments - Comentar una tarea',
+      'PATCH /api/todos/:id/comments/:commentId - Editar un comentario propio',
+      'DELETE /api/todos/:id/comments/:commentId - Eliminar un comentario propio',
+      'GET /api/todos/:id/activity - Obtener el historial de una tarea'
     ]
   });
 });
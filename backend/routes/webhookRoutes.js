@@ -0,0 +1,139 @@
+// Importar Express Router
+import express from 'express';
+
+// Importar controladores de webhooks
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook
+} from '../controllers/webhookController.js';
+
+// Importar middlewares de autenticación
+import { authMiddleware, requireSessionAuth } from '../middleware/authMiddleware.js';
+
+// Crear el router
+const router = express.Router();
+
+// Aplicar middleware de autenticación a todas las rutas
+// Los webhooks solo se gestionan con la sesión del usuario: sus respuestas incluyen
+// el secret de firma, que no debe poder leer un token de acceso personal
+router.use(authMiddleware);
+router.use(requireSessionAuth);
+
+// ===== RUTAS DE WEBHOOKS =====
+
+/**
+ * GET /api/webhooks
+ * Obtener los webhooks del usuario autenticado
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "url": "https://ejemplo.com/hooks/tareas",
+ *       "description": "Bot del chat",
+ *       "events": ["todo.created", "todo.completed"],
+ *       "secret": "whsec_...",
+ *       "active": true,
+ *       "created_at": "2024-01-01T00:00:00Z",
+ *       "updated_at": "2024-01-01T00:00:00Z"
+ *     }
+ *   ],
+ *   "count": 1,
+ *   "events": ["todo.created", "todo.updated", "todo.completed", "todo.reopened", "todo.deleted"]
+ * }
+ */
+router.get('/', getWebhooks);
+
+/**
+ * POST /api/webhooks
+ * Crear un webhook (el secret para verificar las firmas lo genera el servidor)
+ *
+ * Body:
+ * {
+ *   "url": "https://ejemplo.com/hooks/tareas",   // Requerido (http o https)
+ *   "events": ["todo.created", "todo.completed"], // Requerido, al menos uno
+ *   "description": "Bot del chat",               // Opcional, máx. 200 caracteres
+ *   "active": true                               // Opcional (por defecto true)
+ * }
+ *
+ * Cada entrega es un POST con:
+ * - Headers: X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp y
+ *   X-Webhook-Signature (sha256=HMAC-SHA256 de "timestamp.cuerpo" con el secret)
+ * - Cuerpo: { "id", "event", "created_at", "actor": { "id", "email" }, "data": { "todo", "previous" } }
+ *   (si el dueño deja de ver la tarea con el cambio, recibe todo.deleted con data: { "todo": { "id" } })
+ * Una respuesta que no sea 2xx se reintenta con espera exponencial.
+ */
+router.post('/', createWebhook);
+
+/**
+ * PATCH /api/webhooks/:id
+ * Actualizar un webhook (url, events, description, active)
+ */
+router.patch('/:id', updateWebhook);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Eliminar un webhook y su registro de entregas
+ */
+router.delete('/:id', deleteWebhook);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Obtener el registro de entregas de un webhook (la más reciente primero)
+ *
+ * Query params (opcionales):
+ * - limit: Máximo de entregas, de 1 a 100 (por defecto 20)
+ *
+ * Respuesta exitosa (200):
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "uuid",
+ *       "event": "todo.completed",
+ *       "status": "success",        // pending | success | failed
+ *       "attempts": 1,
+ *       "response_status": 200,
+ *       "error": null,
+ *       "next_attempt_at": null,
+ *       "created_at": "2024-01-01T00:00:00Z",
+ *       "delivered_at": "2024-01-01T00:00:01Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+/**
+ * POST /api/webhooks/:id/test
+ * Enviar un evento de prueba (webhook.test) y devolver el resultado de la entrega
+ */
+router.post('/:id/test', testWebhook);
+
+// ===== MANEJO DE ERRORES ESPECÍFICOS DEL ROUTER =====
+
+// Middleware para manejar rutas no encontradas en este router
+router.use((req, res) => {
+  res.status(404).json({
+    error: 'Ruta no encontrada',
+    message: `La ruta ${req.method} ${req.originalUrl} no existe en el API de webhooks`,
+    availableRoutes: [
+      'GET /api/webhooks - Obtener los webhooks',
+      'POST /api/webhooks - Crear un webhook',
+      'PATCH /api/webhooks/:id - Actualizar un webhook',
+      'DELETE /api/webhooks/:id - Eliminar un webhook',
+      'GET /api/webhooks/:id/deliveries - Obtener el registro de entregas',
+      'POST /api/webhooks/:id/test - Enviar un evento de prueba'
+    ]
+  });
+});
+
+// Exportar el router
+export default router;
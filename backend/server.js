@@ -5,6 +5,16 @@ import dotenv from 'dotenv';
 
 // Importar rutas
 import todoRoutes from './routes/todoRoutes.js';
+import listRoutes from './routes/listRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import invitationRoutes from './routes/invitationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import apiTokenRoutes from './routes/apiTokenRoutes.js';
+
+// Importar tareas programadas
+import { startTrashPurgeJob } from './jobs/purgeTrash.js';
+import { startAutoArchiveJob } from './jobs/autoArchive.js';
+import { startWebhookRetryJob } from './jobs/webhookRetries.js';
 
 // Cargar variables de entorno desde el archivo .env
 dotenv.config();
@@ -25,6 +35,21 @@ app.use(express.json());
 // Montar rutas de tareas en /api/todos
 app.use('/api/todos', todoRoutes);
 
+// Montar rutas de listas (proyectos) en /api/lists
+app.use('/api/lists', listRoutes);
+
+// Montar rutas de etiquetas en /api/tags
+app.use('/api/tags', tagRoutes);
+
+// Montar rutas de invitaciones a listas compartidas en /api/invitations
+app.use('/api/invitations', invitationRoutes);
+
+// Montar rutas de webhooks salientes en /api/webhooks
+app.use('/api/webhooks', webhookRoutes);
+
+// Montar rutas de tokens de acceso personal en /api/tokens
+app.use('/api/tokens', apiTokenRoutes);
+
 // Ruta de prueba principal
 // GET / - Devuelve un mensaje indicando que la API está funcionando
 app.get('/', (req, res) => {
@@ -34,6 +59,11 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       todos: '/api/todos',
+      lists: '/api/lists',
+      tags: '/api/tags',
+      invitations: '/api/invitations',
+      webhooks: '/api/webhooks',
+      tokens: '/api/tokens',
       health: '/health'
     }
   });
@@ -55,6 +85,11 @@ app.use('/api', (req, res) => {
     message: `La ruta ${req.method} ${req.originalUrl} no existe`,
     availableEndpoints: {
       todos: '/api/todos',
+      lists: '/api/lists',
+      tags: '/api/tags',
+      invitations: '/api/invitations',
+      webhooks: '/api/webhooks',
+      tokens: '/api/tokens',
       health: '/health'
     }
   });
@@ -82,5 +117,14 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API: http://localhost:${PORT}`);
+
+  // Borrar definitivamente las tareas que llevan demasiado tiempo en la papelera
+  startTrashPurgeJob();
+
+  // Archivar las tareas completadas hace tiempo (si AUTO_ARCHIVE_DAYS está configurado)
+  startAutoArchiveJob();
+
+  // Reintentar las entregas de webhooks que fallaron
+  startWebhookRetryJob();
 });
 
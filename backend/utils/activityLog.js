@@ -0,0 +1,164 @@
+/**
+ * Utilidades del historial de actividad de las tareas (tabla todo_activity)
+ *
+ * Los controladores registran una entrada por cada tarea creada, modificada,
+ * completada / reabierta, archivada, eliminada o restaurada, con quién lo hizo
+ * y qué campos cambiaron ({ campo: { from, to } }).
+ */
+
+import { supabase } from '../config/supabaseClient.js';
+
+// Campos de la tarea cuyo cambio se registra
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'completed',
+  'priority',
+  'due_at',
+  'remind_at',
+  'list_id',
+  'assignee_id',
+  'recurrence',
+  'archived_at'
+];
+
+/**
+ * Normalizar un valor para compararlo ('' y undefined equivalen a null)
+ */
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Nombres de las etiquetas de una tarea, ordenados (para compararlas)
+ *
+ * @param {Object|null} todo - Tarea con sus etiquetas (todo.tags)
+ * @returns {string[]} Nombres de las etiquetas
+ */
+const tagNames = (todo) =>
+  (todo?.tags || []).map(tag => tag.name).sort((a, b) => a.localeCompare(b, 'es'));
+
+/**
+ * Calcular los campos que cambiaron entre dos versiones de una tarea
+ *
+ * @param {Object|null} before - Tarea antes del cambio (null al crearla)
+ * @param {Object} after - Tarea después del cambio
+ * @returns {Object} Cambios por campo ({ title: { from, to }, ... }), vacío si no cambió nada
+ */
+export const diffTodo = (before, after) => {
+  // Al crear, se compara con una tarea vacía y pendiente
+  const base = before ?? { completed: false, tags: [] };
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in after)) continue;
+
+    const from = normalizeValue(base[field]);
+    const to = normalizeValue(after[field]);
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  // Las etiquetas solo se comparan si ambas versiones las incluyen
+  if (Array.isArray(base.tags) && Array.isArray(after.tags)) {
+    const from = tagNames(base);
+    const to = tagNames(after);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.tags = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Elegir la acción que describe un cambio de campos
+ * Completar / reabrir y archivar / desarchivar tienen su propia acción.
+ *
+ * @param {Object} changes - Cambios calculados con diffTodo
+ * @returns {string} 'completed', 'reopened', 'archived', 'unarchived' o 'updated'
+ */
+const getUpdateAction = (changes) => {
+  if (changes.completed) return changes.completed.to ? 'completed' : 'reopened';
+  if (changes.archived_at) return changes.archived_at.to ? 'archived' : 'unarchived';
+  return 'updated';
+};
+
+/**
+ * Guardar entradas en el historial
+ * Un fallo al registrar no interrumpe la operación: solo se registra en la consola.
+ *
+ * @param {Array<Object>} entries - Entradas ({ todo_id, actor_id, actor_email, action, changes })
+ * @returns {Promise<void>}
+ */
+const insertActivity = async (entries) => {
+  if (entries.length === 0) return;
+
+  const { error } = await supabase.from('todo_activity').insert(entries);
+  if (error) {
+    console.error('Error al registrar la actividad de las tareas:', error);
+  }
+};
+
+/**
+ * Registrar una acción sin detalle de campos (eliminar, restaurar, archivar en bloque)
+ *
+ * @param {Object} actor - Usuario que hizo la acción (req.user: { id, email })
+ * @param {string} action - 'deleted', 'restored' o 'archived'
+ * @param {string[]} todoIds - IDs de las tareas afectadas
+ * @returns {Promise<void>}
+ */
+export const recordTodoAction = (actor, action, todoIds) =>
+  insertActivity(todoIds.map(todoId => ({
+    todo_id: todoId,
+    actor_id: actor.id,
+    actor_email: actor.email ?? null,
+    action,
+    changes: {}
+  })));
+
+/**
+ * Registrar la creación de una tarea con los valores iniciales de sus campos
+ *
+ * @param {Object} actor - Usuario que creó la tarea (req.user)
+ * @param {Object} todo - Tarea creada
+ * @returns {Promise<void>}
+ */
+export const recordTodoCreated = (actor, todo) =>
+  insertActivity([{
+    todo_id: todo.id,
+    actor_id: actor.id,
+    actor_email: actor.email ?? null,
+    action: 'created',
+    changes: diffTodo(null, todo)
+  }]);
+
+/**
+ * Registrar los cambios de una o varias tareas comparando sus versiones
+ * Las tareas que no cambiaron no generan entrada.
+ *
+ * @param {Object} actor - Usuario que hizo el cambio (req.user)
+ * @param {Array<Object>} before - Tareas antes del cambio
+ * @param {Array<Object>} after - Tareas después del cambio
+ * @returns {Promise<void>}
+ */
+export const recordTodoChanges = (actor, before, after) => {
+  const previous = new Map(before.map(todo => [todo.id, todo]));
+
+  const entries = after.flatMap(todo => {
+    const old = previous.get(todo.id);
+    if (!old) return [];
+
+    const changes = diffTodo(old, todo);
+    if (Object.keys(changes).length === 0) return [];
+
+    return [{
+      todo_id: todo.id,
+      actor_id: actor.id,
+      actor_email: actor.email ?? null,
+      action: getUpdateAction(changes),
+      changes
+    }];
+  });
+
+  return insertActivity(entries);
+};
@@ -0,0 +1,108 @@
+/**
+ * Utilidades de los tokens de acceso personal (tabla api_tokens)
+ *
+ * Alternativa a la sesión de Supabase para scripts y tareas programadas: un token
+ * no caduca hasta que su dueño lo revoca. Tienen el formato "tdl_" + 48 caracteres
+ * hexadecimales y solo se guarda su hash SHA-256, así que el token completo solo
+ * se conoce al crearlo.
+ *
+ * Alcances:
+ * - read: solo peticiones de lectura (GET)
+ * - write: todas las peticiones, como la sesión del usuario
+ */
+
+import crypto from 'node:crypto';
+import { supabase } from '../config/supabaseClient.js';
+
+// Prefijo que distingue los tokens de acceso personal de los JWT de Supabase
+export const API_TOKEN_PREFIX = 'tdl_';
+
+// Alcances válidos de un token
+export const API_TOKEN_SCOPES = ['read', 'write'];
+
+// Métodos HTTP que permite el alcance 'read'
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Caracteres del token que se guardan para reconocerlo en la lista (tdl_ + 8)
+const TOKEN_PREFIX_LENGTH = API_TOKEN_PREFIX.length + 8;
+
+// last_used_at se actualiza como mucho una vez por minuto por token
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Verificar si un token Bearer es un token de acceso personal
+ *
+ * @param {string} token - Token recibido en el header Authorization
+ * @returns {boolean} True si tiene el prefijo tdl_
+ */
+export const isApiToken = (token) => token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * Calcular el hash con el que se guarda un token
+ *
+ * @param {string} token - Token completo
+ * @returns {string} SHA-256 en hexadecimal
+ */
+export const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generar un token de acceso personal nuevo
+ *
+ * @returns {{ token: string, tokenHash: string, tokenPrefix: string }} Token completo
+ *          (se muestra una sola vez), su hash y el inicio para reconocerlo
+ */
+export const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    token,
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX_LENGTH)
+  };
+};
+
+/**
+ * Verificar si el alcance de un token permite un método HTTP
+ *
+ * @param {string} scope - 'read' o 'write'
+ * @param {string} method - Método de la petición (req.method)
+ * @returns {boolean} True si está permitido
+ */
+export const scopeAllowsMethod = (scope, method) =>
+  scope === 'write' || READ_METHODS.includes(method);
+
+/**
+ * Identificar al usuario de un token de acceso personal
+ * También actualiza last_used_at (sin esperar y sin fallar si no se puede).
+ *
+ * @param {string} token - Token completo (tdl_...)
+ * @returns {Promise<{ user: Object, token: Object }|null>} Usuario de Supabase Auth y
+ *          fila del token, o null si el token no existe, está revocado o su usuario ya no existe
+ * @throws {Error} Si Supabase devuelve un error
+ */
+export const authenticateApiToken = async (token) => {
+  const { data: apiToken, error } = await supabase
+    .from('api_tokens')
+    .select('id, user_id, scope, last_used_at')
+    .eq('token_hash', hashApiToken(token))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!apiToken) return null;
+
+  const { data: { user } = {}, error: userError } = await supabase.auth.admin.getUserById(apiToken.user_id);
+  if (userError || !user) return null;
+
+  const lastUsed = apiToken.last_used_at ? new Date(apiToken.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed >= LAST_USED_UPDATE_INTERVAL_MS) {
+    supabase
+      .from('api_tokens')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', apiToken.id)
+      .then(({ error: updateError }) => {
+        if (updateError) console.error('Error al actualizar last_used_at del token:', updateError);
+      });
+  }
+
+  return { user, token: apiToken };
+};
@@ -0,0 +1,20 @@
+/**
+ * Utilidades para leer la configuración de las variables de entorno
+ */
+
+/**
+ * Leer una variable de entorno con un número entero
+ *
+ * @param {string} name - Nombre de la variable
+ * @param {number} defaultValue - Valor si no está definida o no es válida
+ * @param {number} min - Valor mínimo permitido (por defecto 1)
+ * @returns {number} Valor configurado
+ */
+export const readIntegerEnv = (name, defaultValue, min = 1) => {
+  const raw = process.env[name];
+  const value = Number(raw);
+  if (raw === undefined || raw === '' || !Number.isInteger(value) || value < min) {
+    return defaultValue;
+  }
+  return value;
+};
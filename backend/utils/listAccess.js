@@ -0,0 +1,194 @@
+/**
+ * Utilidades de permisos para las listas compartidas
+ *
+ * El backend usa la service_role key (ignora RLS), así que los controladores
+ * comprueban los permisos con estas funciones, que siguen las mismas reglas
+ * que las políticas de dbquery.sql:
+ * - Las tareas sin lista solo son de su creador
+ * - Las tareas de una lista las ven todos sus miembros y las modifican los
+ *   editor y owner
+ * - El asignado de una tarea la ve y puede completarla o reabrirla
+ * - La lista, sus miembros y sus invitaciones solo los gestionan los owner
+ */
+
+import { supabase } from '../config/supabaseClient.js';
+
+// Roles de una lista, de menor a mayor permiso
+export const LIST_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Verificar si un rol alcanza el permiso requerido
+ *
+ * @param {string|null} role - Rol del usuario en la lista (null si no es miembro)
+ * @param {string} requiredRole - Rol mínimo necesario
+ * @returns {boolean} True si el rol es igual o superior al requerido
+ */
+export const hasListRole = (role, requiredRole) =>
+  LIST_ROLES.includes(role) && LIST_ROLES.indexOf(role) >= LIST_ROLES.indexOf(requiredRole);
+
+/**
+ * Obtener el rol de un usuario en una lista
+ *
+ * @param {string} listId - ID de la lista
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<string|null>} Rol, o null si no es miembro (o la lista no existe)
+ */
+export const getListRole = async (listId, userId) => {
+  const { data, error } = await supabase
+    .from('list_members')
+    .select('role')
+    .eq('list_id', listId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.role ?? null;
+};
+
+/**
+ * Verificar que un usuario tenga al menos un rol en una lista
+ *
+ * @param {string} listId - ID de la lista
+ * @param {string} userId - ID del usuario
+ * @param {string} requiredRole - Rol mínimo necesario
+ * @param {string} action - Acción para el mensaje de error (p. ej. 'modificarla')
+ * @returns {Promise<{ role: string }|{ status: number, error: string }>} Rol del usuario o error a responder
+ */
+export const checkListRole = async (listId, userId, requiredRole, action) => {
+  const role = await getListRole(listId, userId);
+
+  // A quien no es miembro no se le revela si la lista existe
+  if (!role) {
+    return { status: 404, error: `Lista no encontrada o no tienes permisos para ${action}` };
+  }
+
+  if (!hasListRole(role, requiredRole)) {
+    return { status: 403, error: `Necesitas el rol ${requiredRole} en la lista para ${action}` };
+  }
+
+  return { role };
+};
+
+/**
+ * Obtener los permisos de un usuario sobre las tareas
+ * Devuelve filtros or() de PostgREST para limitar las consultas a las tareas
+ * que puede ver (read), completar o reabrir (toggle) o modificar (write), y su
+ * rol en cada lista.
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<{ userId: string, roles: Object, read: string, toggle: string, write: string }>}
+ *          Permisos del usuario
+ */
+export const getTodoAccess = async (userId) => {
+  const { data: memberships, error } = await supabase
+    .from('list_members')
+    .select('list_id, role')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const buildFilter = (requiredRole) => {
+    const ownTodos = `and(list_id.is.null,user_id.eq.${userId})`;
+    const listIds = memberships
+      .filter(membership => hasListRole(membership.role, requiredRole))
+      .map(membership => membership.list_id);
+    return listIds.length > 0 ? `${ownTodos},list_id.in.(${listIds.join(',')})` : ownTodos;
+  };
+
+  // Las tareas asignadas al usuario se ven y se completan aunque no pueda editar su lista
+  const assigned = `assignee_id.eq.${userId}`;
+
+  return {
+    userId,
+    roles: Object.fromEntries(memberships.map(membership => [membership.list_id, membership.role])),
+    read: `${buildFilter('viewer')},${assigned}`,
+    toggle: `${buildFilter('editor')},${assigned}`,
+    write: buildFilter('editor')
+  };
+};
+
+/**
+ * Verificar si el usuario puede ver una tarea ya obtenida
+ * (mismas reglas que el filtro read, p. ej. para los eventos del stream)
+ *
+ * @param {Object} access - Permisos devueltos por getTodoAccess
+ * @param {Object} todo - Tarea con list_id, user_id y assignee_id
+ * @returns {boolean} True si es propia sin lista, es miembro de su lista o la tiene asignada
+ */
+export const canReadTodo = (access, todo) =>
+  todo.assignee_id === access.userId ||
+  (todo.list_id ? Boolean(access.roles[todo.list_id]) : todo.user_id === access.userId);
+
+/**
+ * Obtener los usuarios que pueden ver una tarea (mismas reglas que canReadTodo)
+ *
+ * @param {Object} todo - Tarea con list_id, user_id y assignee_id
+ * @returns {Promise<Set<string>>} IDs de los usuarios: miembros de su lista (o su creador
+ *          si no tiene lista) y su asignado
+ */
+export const getTodoAudience = async (todo) => {
+  const userIds = new Set(todo.assignee_id ? [todo.assignee_id] : []);
+
+  if (!todo.list_id) {
+    userIds.add(todo.user_id);
+    return userIds;
+  }
+
+  const { data: members, error } = await supabase
+    .from('list_members')
+    .select('user_id')
+    .eq('list_id', todo.list_id);
+
+  if (error) throw error;
+  members.forEach(member => userIds.add(member.user_id));
+  return userIds;
+};
+
+/**
+ * Verificar si el usuario puede modificar una tarea ya obtenida
+ * (p. ej. una tarea leída con el filtro toggle, que también incluye las asignadas)
+ *
+ * @param {Object} access - Permisos devueltos por getTodoAccess
+ * @param {Object} todo - Tarea con list_id y user_id
+ * @returns {boolean} True si es propia sin lista o el usuario es editor u owner de su lista
+ */
+export const canWriteTodo = (access, todo) =>
+  todo.list_id
+    ? hasListRole(access.roles[todo.list_id], 'editor')
+    : todo.user_id === access.userId;
+
+/**
+ * Verificar si un usuario puede ser asignado a una tarea
+ * Debe ser miembro de la lista de la tarea; si la tarea no tiene lista, el propio
+ * usuario o un miembro de alguna lista de la que el usuario también es miembro.
+ *
+ * @param {string} assigneeId - ID del usuario a asignar
+ * @param {string|null} listId - Lista de la tarea (null = sin lista)
+ * @param {string} userId - ID del usuario que asigna
+ * @returns {Promise<boolean>} True si se le puede asignar la tarea
+ */
+export const isValidAssignee = async (assigneeId, listId, userId) => {
+  if (listId) {
+    return (await getListRole(listId, assigneeId)) !== null;
+  }
+
+  if (assigneeId === userId) return true;
+
+  const { data: memberships, error } = await supabase
+    .from('list_members')
+    .select('list_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  if (memberships.length === 0) return false;
+
+  const { data: shared, error: sharedError } = await supabase
+    .from('list_members')
+    .select('list_id')
+    .eq('user_id', assigneeId)
+    .in('list_id', memberships.map(membership => membership.list_id))
+    .limit(1);
+
+  if (sharedError) throw sharedError;
+  return shared.length > 0;
+};
@@ -0,0 +1,86 @@
+/**
+ * Utilidades para la paginación por cursor (keyset) de listados
+ *
+ * El cursor es opaco para el cliente: un JSON en base64url con el campo de orden,
+ * la dirección y los valores (campo de orden + id) de la última fila devuelta.
+ * La página siguiente pide las filas posteriores a ese par, de modo que insertar o
+ * eliminar filas entre peticiones no duplica ni salta resultados.
+ *
+ * Los valores nulos del campo de orden van siempre al final (NULLS LAST).
+ */
+
+import { isValidUUID } from './validators.js';
+
+/**
+ * Escapar un valor para usarlo dentro de un filtro or() de PostgREST
+ * Las comillas dobles permiten comas, puntos y paréntesis en el valor.
+ *
+ * @param {string|number} value - Valor a escapar
+ * @returns {string} Valor entre comillas dobles
+ */
+export const quoteFilterValue = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Codificar el cursor que apunta a una fila
+ *
+ * @param {Object} row - Última fila de la página
+ * @param {string} sort - Campo de orden
+ * @param {string} order - Dirección ('asc' o 'desc')
+ * @returns {string} Cursor en base64url
+ */
+export const encodeCursor = (row, sort, order) =>
+  Buffer.from(JSON.stringify({ sort, order, value: row[sort] ?? null, id: row.id })).toString('base64url');
+
+/**
+ * Decodificar y validar un cursor recibido en la petición
+ *
+ * @param {string} cursor - Cursor en base64url
+ * @param {string} sort - Campo de orden de la petición actual
+ * @param {string} order - Dirección de la petición actual
+ * @returns {{ cursor: { value: *, id: string } }|{ error: string }} Cursor o mensaje de error
+ */
+export const decodeCursor = (cursor, sort, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'El cursor no es válido' };
+  }
+
+  if (!decoded || typeof decoded !== 'object' || !isValidUUID(decoded.id) || !('value' in decoded)) {
+    return { error: 'El cursor no es válido' };
+  }
+
+  // Un cursor solo sirve para el mismo orden con el que se generó
+  if (decoded.sort !== sort || decoded.order !== order) {
+    return { error: 'El cursor se generó con otro orden; vuelve a pedir la primera página' };
+  }
+
+  return { cursor: { value: decoded.value, id: decoded.id } };
+};
+
+/**
+ * Construir el filtro or() que selecciona las filas posteriores al cursor
+ * Equivale a (sort, id) > (value, id) en orden ascendente (< en descendente),
+ * teniendo en cuenta que los nulos van al final.
+ *
+ * @param {string} sort - Campo de orden
+ * @param {boolean} ascending - Dirección del orden
+ * @param {{ value: *, id: string }} cursor - Cursor decodificado
+ * @returns {string} Filtro para query.or()
+ */
+export const buildCursorFilter = (sort, ascending, cursor) => {
+  const op = ascending ? 'gt' : 'lt';
+
+  // Ya estamos en la zona de nulos: solo quedan los nulos con id posterior
+  if (cursor.value === null) {
+    return `and(${sort}.is.null,id.${op}.${cursor.id})`;
+  }
+
+  const value = quoteFilterValue(cursor.value);
+  return [
+    `${sort}.${op}.${value}`,
+    `and(${sort}.eq.${value},id.${op}.${cursor.id})`,
+    `${sort}.is.null`
+  ].join(',');
+};
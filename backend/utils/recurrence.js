@@ -0,0 +1,308 @@
+/**
+ * Utilidades para tareas recurrentes
+ *
+ * La recurrencia se guarda en todos.recurrence como un subconjunto de RRULE (RFC 5545):
+ * - FREQ=DAILY|WEEKLY|MONTHLY|YEARLY (requerido)
+ * - INTERVAL=n           Cada cuántos periodos se repite (por defecto 1)
+ * - BYDAY=MO,WE,FR       Días de la semana (solo con FREQ=WEEKLY)
+ * - BYMONTHDAY=n         Día del mes (solo con FREQ=MONTHLY)
+ * - UNTIL=YYYYMMDD[THHMMSSZ]  Fecha límite de la serie
+ * - COUNT=n              Repeticiones restantes, incluyendo la actual
+ *
+ * Ejemplo: "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+ *
+ * Las fechas se calculan en UTC (el servidor no conoce la zona horaria del usuario).
+ */
+
+// Frecuencias soportadas
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Días de la semana RRULE en el orden de Date.getUTCDay() (0 = domingo)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Límite de iteraciones al buscar la siguiente fecha (evita bucles infinitos)
+const MAX_ITERATIONS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convertir un valor UNTIL de RRULE a Date
+ *
+ * @param {string} value - YYYYMMDD o YYYYMMDDTHHMMSSZ
+ * @returns {Date|null} Fecha (fin del día si no incluye hora) o null si es inválida
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Formatear una fecha como valor UNTIL de RRULE (YYYYMMDDTHHMMSSZ)
+ *
+ * @param {Date} date - Fecha a formatear
+ * @returns {string} Fecha en formato RRULE
+ */
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Interpretar una regla de recurrencia
+ *
+ * @param {string} rule - Regla RRULE (con o sin el prefijo "RRULE:")
+ * @returns {{ rule: Object }|{ error: string }} Regla interpretada o mensaje de error
+ */
+export const parseRecurrence = (rule) => {
+  if (typeof rule !== 'string' || rule.trim() === '') {
+    return { error: 'La regla de recurrencia debe ser un texto RRULE' };
+  }
+
+  const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: null, until: null, count: null };
+  const parts = rule.trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    if (!value) {
+      return { error: `Parte inválida en la regla de recurrencia: "${part}"` };
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          return { error: `Frecuencia no soportada: ${value} (usa ${FREQUENCIES.join(', ')})` };
+        }
+        parsed.freq = value;
+        break;
+      case 'INTERVAL':
+        parsed.interval = Number(value);
+        if (!Number.isInteger(parsed.interval) || parsed.interval < 1 || parsed.interval > 365) {
+          return { error: 'INTERVAL debe ser un número entero entre 1 y 365' };
+        }
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',');
+        if (!parsed.byDay.every(day => WEEKDAYS.includes(day))) {
+          return { error: 'BYDAY solo admite los días SU, MO, TU, WE, TH, FR, SA' };
+        }
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = Number(value);
+        if (!Number.isInteger(parsed.byMonthDay) || parsed.byMonthDay < 1 || parsed.byMonthDay > 31) {
+          return { error: 'BYMONTHDAY debe ser un día del mes entre 1 y 31' };
+        }
+        break;
+      case 'UNTIL':
+        parsed.until = parseUntil(value);
+        if (!parsed.until) {
+          return { error: 'UNTIL debe tener el formato YYYYMMDD o YYYYMMDDTHHMMSSZ' };
+        }
+        break;
+      case 'COUNT':
+        parsed.count = Number(value);
+        if (!Number.isInteger(parsed.count) || parsed.count < 1) {
+          return { error: 'COUNT debe ser un número entero mayor que 0' };
+        }
+        break;
+      default:
+        return { error: `Parte no soportada en la regla de recurrencia: ${key}` };
+    }
+  }
+
+  if (!parsed.freq) {
+    return { error: 'La regla de recurrencia necesita FREQ' };
+  }
+  if (parsed.byDay.length > 0 && parsed.freq !== 'WEEKLY') {
+    return { error: 'BYDAY solo se admite con FREQ=WEEKLY' };
+  }
+  if (parsed.byMonthDay !== null && parsed.freq !== 'MONTHLY') {
+    return { error: 'BYMONTHDAY solo se admite con FREQ=MONTHLY' };
+  }
+  if (parsed.until && parsed.count) {
+    return { error: 'UNTIL y COUNT no se pueden usar a la vez' };
+  }
+
+  return { rule: parsed };
+};
+
+/**
+ * Convertir una regla interpretada de nuevo a texto RRULE
+ *
+ * @param {Object} rule - Regla devuelta por parseRecurrence
+ * @returns {string} Regla en formato RRULE
+ */
+export const serializeRecurrence = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    // Ordenar los días de lunes a domingo para que la regla sea estable
+    const order = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+    parts.push(`BYDAY=${[...new Set(rule.byDay)].sort((a, b) => order.indexOf(a) - order.indexOf(b)).join(',')}`);
+  }
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+/**
+ * Normalizar el campo recurrence recibido en el body de una petición
+ *
+ * @param {*} value - Regla RRULE, o null / '' para quitar la recurrencia
+ * @returns {{ value: string|null }|{ error: string }} Regla normalizada o mensaje de error
+ */
+export const normalizeRecurrence = (value) => {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+
+  const result = parseRecurrence(value);
+  if (result.error) return result;
+
+  return { value: serializeRecurrence(result.rule) };
+};
+
+/**
+ * Día de la semana (lunes = 0) y lunes de la semana de una fecha, en UTC
+ */
+const mondayIndex = (date) => (date.getUTCDay() + 6) % 7;
+const startOfWeek = (date) => {
+  const start = new Date(date.getTime() - mondayIndex(date) * DAY_MS);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+};
+
+/**
+ * Sumar meses a una fecha fijando el día del mes (ajustado al último día si no existe)
+ *
+ * @param {Date} date - Fecha base
+ * @param {number} months - Meses a sumar
+ * @param {number} day - Día del mes deseado
+ * @returns {Date} Nueva fecha con la misma hora
+ */
+const addMonths = (date, months, day) => {
+  const result = new Date(date.getTime());
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Calcular la fecha de la repetición siguiente a una fecha dada
+ *
+ * @param {Object} rule - Regla interpretada
+ * @param {Date} from - Fecha de la repetición actual
+ * @returns {Date} Fecha de la siguiente repetición
+ */
+const nextDate = (rule, from) => {
+  switch (rule.freq) {
+    case 'DAILY':
+      return new Date(from.getTime() + rule.interval * DAY_MS);
+
+    case 'WEEKLY': {
+      if (rule.byDay.length === 0) {
+        return new Date(from.getTime() + rule.interval * 7 * DAY_MS);
+      }
+      // Buscar el siguiente día marcado en una semana válida según INTERVAL
+      const fromWeek = startOfWeek(from).getTime();
+      let candidate = from;
+      for (let i = 0; i < 7 * rule.interval + 7; i++) {
+        candidate = new Date(candidate.getTime() + DAY_MS);
+        const weeks = Math.round((startOfWeek(candidate).getTime() - fromWeek) / (7 * DAY_MS));
+        if (weeks % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[candidate.getUTCDay()])) {
+          return candidate;
+        }
+      }
+      return candidate;
+    }
+
+    case 'MONTHLY':
+      return addMonths(from, rule.interval, rule.byMonthDay ?? from.getUTCDate());
+
+    case 'YEARLY':
+    default:
+      return addMonths(from, rule.interval * 12, from.getUTCDate());
+  }
+};
+
+/**
+ * Saltar de una vez los ciclos completos de la regla que ya quedaron en el pasado
+ * Un ciclo son INTERVAL días, semanas, meses o años y siempre tiene las mismas
+ * repeticiones (una, o una por día de BYDAY): así una serie muy atrasada no agota
+ * MAX_ITERATIONS antes de llegar a "now". Se deja un ciclo de margen para que el
+ * cálculo normal encuentre la primera repetición futura.
+ *
+ * @param {Object} rule - Regla interpretada
+ * @param {Date} from - Fecha de la repetición actual
+ * @param {Date} now - Momento de referencia
+ * @returns {{ date: Date, skipped: number }} Fecha desde la que seguir y repeticiones saltadas
+ */
+const skipPastCycles = (rule, from, now) => {
+  let cycles;
+  let date;
+
+  if (rule.freq === 'DAILY' || rule.freq === 'WEEKLY') {
+    const cycleMs = rule.interval * (rule.freq === 'DAILY' ? 1 : 7) * DAY_MS;
+    cycles = Math.floor((now.getTime() - from.getTime()) / cycleMs) - 1;
+    if (cycles <= 0) return { date: from, skipped: 0 };
+    date = new Date(from.getTime() + cycles * cycleMs);
+  } else {
+    const cycleMonths = rule.interval * (rule.freq === 'MONTHLY' ? 1 : 12);
+    const months = (now.getUTCFullYear() - from.getUTCFullYear()) * 12 + now.getUTCMonth() - from.getUTCMonth();
+    cycles = Math.floor(months / cycleMonths) - 1;
+    if (cycles <= 0) return { date: from, skipped: 0 };
+    date = addMonths(from, cycles * cycleMonths, rule.byMonthDay ?? from.getUTCDate());
+  }
+
+  const perCycle = rule.freq === 'WEEKLY' && rule.byDay.length > 0 ? new Set(rule.byDay).size : 1;
+  return { date, skipped: cycles * perCycle };
+};
+
+/**
+ * Calcular la siguiente repetición de una tarea recurrente
+ * Las repeticiones que ya quedaron en el pasado se saltan (y cuentan para COUNT),
+ * de modo que la nueva tarea siempre vence después de "now".
+ *
+ * @param {string} recurrence - Regla RRULE de la tarea
+ * @param {string|Date|null} dueAt - Fecha límite de la repetición actual (null = se usa "now")
+ * @param {Date} now - Momento de referencia (por defecto, ahora)
+ * @returns {{ dueAt: string, recurrence: string }|null} Fecha ISO y regla de la siguiente
+ *          repetición, o null si la serie terminó (UNTIL / COUNT) o la regla es inválida
+ */
+export const getNextOccurrence = (recurrence, dueAt, now = new Date()) => {
+  const { rule, error } = parseRecurrence(recurrence);
+  if (error) return null;
+
+  let current = dueAt ? new Date(dueAt) : now;
+
+  // Fijar el día del mes para que las repeticiones mensuales no se desplacen (31 -> 28 -> 28...)
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay === null) {
+    rule.byMonthDay = current.getUTCDate();
+  }
+
+  const { date, skipped } = skipPastCycles(rule, current, now);
+  if (rule.count !== null && skipped > 0) {
+    if (rule.count - skipped <= 1) return null;
+    rule.count -= skipped;
+  }
+  current = date;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (rule.count !== null) {
+      if (rule.count <= 1) return null;
+      rule.count -= 1;
+    }
+
+    current = nextDate(rule, current);
+    if (rule.until && current > rule.until) return null;
+
+    if (current > now) {
+      return { dueAt: current.toISOString(), recurrence: serializeRecurrence(rule) };
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,94 @@
+/**
+ * Bus de eventos de tareas (en memoria, dentro del proceso)
+ *
+ * Los controladores publican aquí cada tarea creada, modificada o eliminada y
+ * el stream SSE (GET /api/todos/stream) los reenvía a los clientes conectados.
+ * Cada evento recibe un ID creciente y los últimos se guardan en memoria para
+ * que un cliente que se reconecta con Last-Event-ID reciba los que se perdió.
+ *
+ * Al reiniciar el servidor los IDs vuelven a empezar: un Last-Event-ID que no
+ * se puede reanudar obliga al cliente a recargar las tareas (evento resync).
+ */
+
+import { EventEmitter } from 'node:events';
+
+// Eventos que se guardan para reanudar streams (los más antiguos se descartan)
+const EVENT_BUFFER_SIZE = 1000;
+
+const emitter = new EventEmitter();
+// Cada stream abierto es un listener: no limitar su cantidad
+emitter.setMaxListeners(0);
+
+const recentEvents = [];
+let lastEventId = 0;
+
+/**
+ * Publicar un cambio de una tarea
+ *
+ * @param {string} type - 'created', 'updated' o 'deleted'
+ * @param {Object} todo - Tarea después del cambio (con list_id, user_id y assignee_id)
+ * @param {Object|null} previous - Tarea antes del cambio: quien podía verla también
+ *                                 recibe el evento (p. ej. al moverla a otra lista)
+ * @returns {Object} Evento publicado ({ id, type, todo, previous })
+ */
+export const publishTodoEvent = (type, todo, previous = null) => {
+  lastEventId += 1;
+  const event = { id: lastEventId, type, todo, previous };
+
+  recentEvents.push(event);
+  if (recentEvents.length > EVENT_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  emitter.emit('todo', event);
+  return event;
+};
+
+/**
+ * Publicar el mismo cambio para varias tareas
+ *
+ * @param {string} type - 'created', 'updated' o 'deleted'
+ * @param {Array<Object>} todos - Tareas después del cambio
+ * @param {Array<Object>} previousTodos - Tareas antes del cambio (se emparejan por id)
+ */
+export const publishTodoEvents = (type, todos, previousTodos = []) => {
+  const previousById = new Map(previousTodos.map(todo => [todo.id, todo]));
+  for (const todo of todos) {
+    publishTodoEvent(type, todo, previousById.get(todo.id) ?? null);
+  }
+};
+
+/**
+ * Obtener los eventos publicados después de uno dado (para reanudar un stream)
+ *
+ * @param {number} eventId - Último ID recibido por el cliente
+ * @returns {Array<Object>|null} Eventos posteriores, o null si ya no están todos en
+ *                               memoria (el cliente debe recargar las tareas)
+ */
+export const getTodoEventsSince = (eventId) => {
+  // ID de un proceso anterior (el servidor se reinició)
+  if (eventId > lastEventId) return null;
+
+  const oldestId = recentEvents[0]?.id ?? lastEventId + 1;
+  if (eventId < oldestId - 1) return null;
+
+  return recentEvents.filter(event => event.id > eventId);
+};
+
+/**
+ * Último ID de evento publicado (0 si todavía no hay ninguno)
+ *
+ * @returns {number} ID
+ */
+export const getLastTodoEventId = () => lastEventId;
+
+/**
+ * Escuchar los eventos de tareas
+ *
+ * @param {Function} listener - Recibe cada evento ({ id, type, todo, previous })
+ * @returns {Function} Función para dejar de escuchar
+ */
+export const subscribeToTodoEvents = (listener) => {
+  emitter.on('todo', listener);
+  return () => emitter.off('todo', listener);
+};
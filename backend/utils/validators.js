@@ -0,0 +1,38 @@
+/**
+ * Utilidades de validación compartidas por los controladores
+ */
+
+// Expresión regular para validar UUIDs (v1-v5) como los generados por gen_random_uuid()
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Verificar si un valor es un UUID válido
+ *
+ * @param {*} value - Valor a verificar
+ * @returns {boolean} True si es un UUID válido
+ */
+export const isValidUUID = (value) => typeof value === 'string' && UUID_REGEX.test(value);
+
+/**
+ * Normalizar un campo de fecha opcional
+ * Acepta una fecha en formato ISO 8601, o null / '' para limpiar el campo
+ *
+ * @param {*} value - Valor recibido en el body de la petición
+ * @returns {{ value: string|null }|{ error: string }} Fecha en ISO (UTC) o mensaje de error
+ */
+export const parseOptionalDate = (value) => {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { error: 'La fecha debe ser un texto en formato ISO 8601' };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: 'La fecha no tiene un formato válido (ISO 8601)' };
+  }
+
+  return { value: date.toISOString() };
+};
@@ -0,0 +1,388 @@
+/**
+ * Utilidades de los webhooks salientes (tablas webhooks y webhook_deliveries)
+ *
+ * Cuando se crea, modifica, completa, reabre o elimina una tarea, cada usuario
+ * que puede verla y tiene un webhook activo suscrito a ese evento recibe un POST
+ * con el evento en JSON. Cada envío queda registrado en webhook_deliveries; los
+ * fallidos los reintenta jobs/webhookRetries.js con espera exponencial.
+ *
+ * Firma: el header X-Webhook-Signature es "sha256=" + HMAC-SHA256 (hex) de
+ * "<X-Webhook-Timestamp>.<cuerpo>" con el secret del webhook. El destino debe
+ * calcularla igual y rechazar las peticiones con timestamps antiguos.
+ *
+ * Destinos: solo se envía a direcciones públicas. Las de loopback, redes privadas,
+ * link-local (p. ej. 169.254.169.254, metadatos de la nube) y unique-local se
+ * rechazan al guardar el webhook y otra vez al conectar en cada intento, con la
+ * dirección que resuelve el DNS en ese momento (evita el DNS rebinding). De la
+ * respuesta del destino solo se guarda el código HTTP.
+ */
+
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { supabase } from '../config/supabaseClient.js';
+import { getTodoAudience } from './listAccess.js';
+import { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_TIMEOUT_SECONDS, getWebhookRetryDate, getWebhookLeaseDate } from '../config/webhookConfig.js';
+
+// Eventos a los que se puede suscribir un webhook
+export const WEBHOOK_EVENTS = ['todo.created', 'todo.updated', 'todo.completed', 'todo.reopened', 'todo.deleted'];
+
+// Evento del botón "Enviar evento de prueba"
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+// Rangos de direcciones a los que nunca se envía un webhook
+// (las IPv6 mapeadas a IPv4, ::ffff:a.b.c.d, se comprueban con los rangos IPv4)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "Esta" red
+  ['10.0.0.0', 8],       // Privada
+  ['100.64.0.0', 10],    // CGNAT
+  ['127.0.0.0', 8],      // Loopback
+  ['169.254.0.0', 16],   // Link-local (metadatos de la nube)
+  ['172.16.0.0', 12],    // Privada
+  ['192.0.0.0', 24],     // Asignaciones del protocolo IETF
+  ['192.168.0.0', 16],   // Privada
+  ['198.18.0.0', 15],    // Pruebas de rendimiento
+  ['224.0.0.0', 4],      // Multicast
+  ['240.0.0.0', 4]       // Reservada y broadcast
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128],           // Sin especificar
+  ['::1', 128],          // Loopback
+  ['64:ff9b::', 96],     // NAT64 (traduce a IPv4 que pueden ser privadas)
+  ['fc00::', 7],         // Unique-local
+  ['fe80::', 10],        // Link-local
+  ['ff00::', 8]          // Multicast
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Mensaje del error de un destino no permitido
+const BLOCKED_TARGET_MESSAGE = 'La URL apunta a una dirección privada o local';
+
+/**
+ * Verificar si una IP es de un rango no permitido (loopback, privada, link-local...)
+ *
+ * @param {string} address - Dirección IPv4 o IPv6
+ * @returns {boolean} True si no se puede enviar a esa dirección (o no es una IP)
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family === 6) return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  return true;
+};
+
+/**
+ * Crear el error de un destino no permitido
+ *
+ * @param {string} message - Mensaje (se guarda en el registro de entregas)
+ * @returns {Error} Error con code 'WEBHOOK_BLOCKED_TARGET'
+ */
+const createBlockedTargetError = (message = BLOCKED_TARGET_MESSAGE) =>
+  Object.assign(new Error(message), { code: 'WEBHOOK_BLOCKED_TARGET' });
+
+/**
+ * Resolver el host de una URL y comprobar que todas sus direcciones son públicas
+ *
+ * @param {string} url - URL del webhook
+ * @returns {Promise<void>}
+ * @throws {Error} Con code 'WEBHOOK_BLOCKED_TARGET' si el host no resuelve o alguna
+ *                 de sus direcciones no está permitida
+ */
+export const assertPublicWebhookUrl = async (url) => {
+  // new URL() devuelve las IPv6 entre corchetes ([::1])
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) throw createBlockedTargetError();
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw createBlockedTargetError(`No se pudo resolver el host ${hostname}`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw createBlockedTargetError();
+  }
+};
+
+/**
+ * Resolución de DNS para las conexiones de los webhooks (opción lookup de http.request)
+ * Rechaza la conexión si el host resuelve a una dirección no permitida: así la
+ * comprobación se hace con la misma dirección a la que se conecta.
+ *
+ * @param {string} hostname - Host a resolver
+ * @param {Object} options - Opciones de dns.lookup (all, family...)
+ * @param {Function} callback - Callback de dns.lookup
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(createBlockedTargetError());
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Enviar el POST de una entrega
+ * No sigue redirecciones (una redirección cuenta como fallo: no se envía el evento
+ * a otra URL) y descarta el cuerpo de la respuesta.
+ *
+ * @param {string} url - URL del webhook
+ * @param {Object} headers - Headers de la petición
+ * @param {string} body - Cuerpo JSON
+ * @returns {Promise<number>} Código HTTP de la respuesta
+ * @throws {Error} Si no se puede conectar, el destino no está permitido o se agota
+ *                 el tiempo (code 'WEBHOOK_TIMEOUT')
+ */
+const postWebhook = async (url, headers, body) => {
+  // Las IP literales no pasan por lookup: se comprueban antes de conectar
+  await assertPublicWebhookUrl(url);
+
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicOnlyLookup
+    }, (response) => {
+      clearTimeout(timer);
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(Object.assign(new Error('Timeout'), { code: 'WEBHOOK_TIMEOUT' }));
+    }, WEBHOOK_TIMEOUT_SECONDS * 1000);
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+};
+
+/**
+ * Generar el secret con el que se firman las entregas de un webhook
+ *
+ * @returns {string} Secret aleatorio (whsec_ + 48 caracteres hexadecimales)
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Firmar el cuerpo de una entrega
+ *
+ * @param {string} secret - Secret del webhook
+ * @param {number} timestamp - Segundos desde epoch (header X-Webhook-Timestamp)
+ * @param {string} body - Cuerpo JSON enviado
+ * @returns {string} HMAC-SHA256 en hexadecimal
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Elegir el evento de webhook de un cambio de tarea
+ * Completar y reabrir tienen su propio evento.
+ *
+ * @param {string} type - 'created', 'updated' o 'deleted'
+ * @param {Object} todo - Tarea después del cambio
+ * @param {Object|null} previous - Tarea antes del cambio
+ * @returns {string} Evento (p. ej. 'todo.completed')
+ */
+const getTodoWebhookEvent = (type, todo, previous) => {
+  if (type === 'updated' && previous && previous.completed !== todo.completed) {
+    return todo.completed ? 'todo.completed' : 'todo.reopened';
+  }
+  return `todo.${type}`;
+};
+
+/**
+ * Registrar una entrega pendiente de un webhook
+ * El primer envío lo hace quien la crea, así que la entrega nace reservada (ver
+ * getWebhookLeaseDate): el job de reintentos solo la toma si ese envío no llega a
+ * registrar su resultado (p. ej. si el servidor se reinicia).
+ *
+ * @param {Object} webhook - Webhook destino
+ * @param {string} event - Evento (todo.* o webhook.test)
+ * @param {Object} data - Datos del evento
+ * @param {Object|null} actor - Usuario que hizo el cambio (req.user: { id, email })
+ * @returns {Promise<Object>} Entrega creada
+ * @throws {Error} Si Supabase devuelve un error
+ */
+export const createDelivery = async (webhook, event, data, actor = null) => {
+  const id = crypto.randomUUID();
+  const payload = {
+    id,
+    event,
+    created_at: new Date().toISOString(),
+    actor: actor ? { id: actor.id, email: actor.email ?? null } : null,
+    data
+  };
+
+  const { data: delivery, error } = await supabase
+    .from('webhook_deliveries')
+    .insert({
+      id,
+      webhook_id: webhook.id,
+      event,
+      payload,
+      next_attempt_at: getWebhookLeaseDate()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return delivery;
+};
+
+/**
+ * Enviar una entrega a su webhook y guardar el resultado
+ * Un fallo deja la entrega pendiente con la fecha del próximo reintento, salvo que
+ * se hayan agotado los intentos, no se reintente o el destino no esté permitido,
+ * y entonces queda como failed.
+ *
+ * @param {Object} delivery - Entrega (fila de webhook_deliveries)
+ * @param {Object} webhook - Webhook destino (url, secret)
+ * @param {Object} options - Opciones
+ * @param {boolean} options.retry - Reintentar si falla (false para el evento de prueba)
+ * @returns {Promise<Object>} Entrega con el resultado del intento
+ */
+export const attemptDelivery = async (delivery, webhook, { retry = true } = {}) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  let result;
+  try {
+    const status = await postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TodoList-Webhooks/1.0',
+      'X-Webhook-Id': webhook.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+    }, body);
+    const ok = status >= 200 && status < 300;
+    result = {
+      ok,
+      response_status: status,
+      error: ok ? null : `El destino respondió ${status}`
+    };
+  } catch (error) {
+    result = {
+      ok: false,
+      // Un destino no permitido no se reintenta
+      blocked: error.code === 'WEBHOOK_BLOCKED_TARGET',
+      response_status: null,
+      error: error.code === 'WEBHOOK_TIMEOUT'
+        ? `Sin respuesta en ${WEBHOOK_TIMEOUT_SECONDS} s`
+        : error.message
+    };
+  }
+
+  const now = new Date();
+  const finished = result.ok || result.blocked || !retry || attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const updates = {
+    attempts,
+    status: result.ok ? 'success' : finished ? 'failed' : 'pending',
+    response_status: result.response_status,
+    error: result.error,
+    next_attempt_at: finished ? null : getWebhookRetryDate(attempts, now),
+    delivered_at: result.ok ? now.toISOString() : null
+  };
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update(updates)
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error al registrar la entrega del webhook:', error);
+    return { ...delivery, ...updates };
+  }
+  return data;
+};
+
+/**
+ * Enviar a los webhooks suscritos un cambio de una tarea
+ * Lo reciben los dueños de webhooks activos que pueden ver la tarea. Quien podía
+ * verla antes del cambio y ya no (p. ej. al moverla a otra lista) recibe solo
+ * todo.deleted con su ID, como en el stream. Nunca lanza errores: un fallo solo se
+ * registra en la consola, así que los controladores pueden llamarla sin esperarla.
+ *
+ * @param {Object|null} actor - Usuario que hizo el cambio (req.user; null si lo hizo el servidor)
+ * @param {string} type - 'created', 'updated' o 'deleted'
+ * @param {Object} todo - Tarea después del cambio
+ * @param {Object|null} previous - Tarea antes del cambio (para updated)
+ * @returns {Promise<void>}
+ */
+export const dispatchTodoWebhooks = async (actor, type, todo, previous = null) => {
+  try {
+    const event = getTodoWebhookEvent(type, todo, previous);
+
+    const audience = await getTodoAudience(todo);
+    const formerAudience = new Set();
+    if (previous) {
+      (await getTodoAudience(previous)).forEach(userId => {
+        if (!audience.has(userId)) formerAudience.add(userId);
+      });
+    }
+
+    const { data: webhooks, error } = await supabase
+      .from('webhooks')
+      .select('*')
+      .in('user_id', [...audience, ...formerAudience])
+      .eq('active', true)
+      .overlaps('events', [event, 'todo.deleted']);
+
+    if (error) throw error;
+
+    for (const webhook of webhooks) {
+      let delivery;
+      if (audience.has(webhook.user_id)) {
+        if (!webhook.events.includes(event)) continue;
+        delivery = await createDelivery(webhook, event, { todo, previous }, actor);
+      } else {
+        if (!webhook.events.includes('todo.deleted')) continue;
+        delivery = await createDelivery(webhook, 'todo.deleted', { todo: { id: todo.id } }, actor);
+      }
+      attemptDelivery(delivery, webhook).catch(deliveryError => {
+        console.error('Error al enviar el webhook:', deliveryError);
+      });
+    }
+  } catch (error) {
+    console.error('Error al preparar los webhooks de la tarea:', error);
+  }
+};
+
+/**
+ * Enviar a los webhooks suscritos el mismo cambio de varias tareas
+ * Las tareas se procesan una a una para no lanzar cientos de consultas a la vez.
+ * Nunca lanza errores, igual que dispatchTodoWebhooks.
+ *
+ * @param {Object|null} actor - Usuario que hizo el cambio (req.user; null si lo hizo el servidor)
+ * @param {string} type - 'created', 'updated' o 'deleted'
+ * @param {Array<Object>} todos - Tareas después del cambio
+ * @param {Array<Object>} previousTodos - Tareas antes del cambio (se emparejan por id)
+ * @returns {Promise<void>}
+ */
+export const dispatchTodoWebhooksForAll = async (actor, type, todos, previousTodos = []) => {
+  const previousById = new Map(previousTodos.map(todo => [todo.id, todo]));
+  for (const todo of todos) {
+    await dispatchTodoWebhooks(actor, type, todo, previousById.get(todo.id) ?? null);
+  }
+};
+
@@ -6,10 +6,11 @@
  * 
  * Características implementadas:
  * - Rutas públicas (Login, Register)
- * - Rutas protegidas (Dashboard) con verificación de autenticación
+ * - Rutas protegidas (Dashboard, Archivo, Papelera) con verificación de autenticación
  * - Inicialización automática del store de autenticación
  * - Restauración de sesión al recargar la página
  * - Redirección automática según estado de autenticación
+ * - Sincronización con las demás pestañas abiertas (cambios de tareas y cierre de sesión)
  */
 
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
@@ -18,9 +19,13 @@ import { Toaster } from 'react-hot-toast';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
+import Archive from './pages/Archive';
+import Trash from './pages/Trash';
+import Settings from './pages/Settings';
 import ProtectedRoute from './components/ProtectedRoute';
 import ErrorBoundary from './components/ErrorBoundary';
 import { useAuthStore } from './store/authStore';
+import { useTabSync } from './hooks/useTabSync';
 import './index.css';
 
 function App() {
@@ -32,6 +37,9 @@ function App() {
     initialize();
   }, [initialize]);
 
+  // Aplicar los cambios hechos en otras pestañas del navegador
+  useTabSync();
+
   return (
     // ErrorBoundary: Captura errores de React y muestra UI de fallback
     <ErrorBoundary>
@@ -55,6 +63,30 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/archive" 
+            element={
+              <ProtectedRoute>
+                <Archive />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/trash" 
+            element={
+              <ProtectedRoute>
+                <Trash />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/settings" 
+            element={
+              <ProtectedRoute>
+                <Settings />
+              </ProtectedRoute>
+            } 
+          />
           
           {/* Ruta catch-all - redirige al login para URLs no definidas */}
           <Route path="*" element={<Navigate to="/login" replace />} />
@@ -0,0 +1,167 @@
+/**
+ * Componente ActivityTimeline - Historial de una Tarea
+ *
+ * Funcionalidad:
+ * - Línea de tiempo con quién creó, modificó, completó, reabrió, archivó,
+ *   eliminó o restauró la tarea y cuándo (la entrada más reciente primero)
+ * - Detalle de los campos cambiados ("Título: antes → después")
+ * - Botón para cargar entradas más antiguas
+ *
+ * El historial lo registra el backend, así que solo incluye los cambios hechos
+ * a través de la API (VITE_USE_API=true).
+ *
+ * Props:
+ * - task: Tarea de la que se muestra el historial
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import ErrorMessage from './ErrorMessage';
+import { activityService } from '../services/activityService';
+import { useAuthStore } from '../store/authStore';
+import { useListStore } from '../store/listStore';
+import { ACTIVITY_ACTIONS, ACTIVITY_FIELD_LABELS, formatActivityValue } from '../utils/activity';
+
+// Campos que ya describe la propia acción (completar, archivar) y no se repiten en el detalle
+const ACTION_FIELDS = ['completed', 'archived_at'];
+
+/**
+ * Formatear la fecha de una entrada (p. ej. "12 ene 2025, 10:30")
+ *
+ * @param {string} isoString - Fecha en formato ISO 8601
+ * @returns {string} Fecha legible
+ */
+const formatActivityDate = (isoString) =>
+  new Date(isoString).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+const ActivityTimeline = ({ task }) => {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userId = useAuthStore(state => state.user?.id);
+  const lists = useListStore(state => state.lists);
+  const getCollaborators = useListStore(state => state.getCollaborators);
+
+  // Traducir los IDs registrados (listas y asignados) a nombres
+  const lookups = {
+    listName: (listId) => lists.find(list => list.id === listId)?.name,
+    userEmail: (id) => (id === userId ? 'Tú' : getCollaborators(null).find(member => member.user_id === id)?.email)
+  };
+
+  /**
+   * Cargar la primera página del historial
+   */
+  const loadActivity = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await activityService.getActivity(task.id);
+      setEntries(page.data);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [task.id]);
+
+  // Recargar al abrir y cada vez que la tarea cambia (updated_at)
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity, task.updated_at]);
+
+  /**
+   * Cargar las entradas anteriores a la última mostrada
+   */
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const page = await activityService.getActivity(task.id, {
+        before: entries[entries.length - 1].created_at
+      });
+      setEntries(prev => [...prev, ...page.data]);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading && entries.length === 0) {
+    return <p className="text-xs text-gray-400">Cargando historial...</p>;
+  }
+
+  if (error && entries.length === 0) {
+    return <ErrorMessage message={error} onRetry={loadActivity} />;
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-xs text-gray-400">Todavía no hay actividad registrada.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <ol className="relative space-y-4 border-l border-gray-200 pl-5">
+        {entries.map((entry) => {
+          const action = ACTIVITY_ACTIONS[entry.action] ?? ACTIVITY_ACTIONS.updated;
+          const changes = Object.entries(entry.changes || {})
+            .filter(([field]) => !ACTION_FIELDS.includes(field) && ACTIVITY_FIELD_LABELS[field]);
+
+          return (
+            <li key={entry.id} className="relative text-sm">
+              <span className="absolute -left-[1.95rem] flex h-6 w-6 items-center justify-center rounded-full bg-white text-xs ring-1 ring-gray-200">
+                {action.icon}
+              </span>
+              <p className="text-gray-700">
+                <span className="font-semibold">
+                  {entry.actor_id === userId ? 'Tú' : entry.actor_email || 'Alguien'}
+                </span>{' '}
+                {action.label}
+              </p>
+              <p className="text-xs text-gray-400">{formatActivityDate(entry.created_at)}</p>
+
+              {changes.length > 0 && (
+                <ul className="mt-1 space-y-0.5 text-xs text-gray-500">
+                  {changes.map(([field, { from, to }]) => (
+                    <li key={field} className="break-words">
+                      <span className="font-medium text-gray-600">{ACTIVITY_FIELD_LABELS[field]}:</span>{' '}
+                      {entry.action !== 'created' && (
+                        <>
+                          <span className="line-through">{formatActivityValue(field, from, lookups)}</span>
+                          {' → '}
+                        </>
+                      )}
+                      <span>{formatActivityValue(field, to, lookups)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {hasMore && (
+        <button
+          type="button"
+          onClick={handleLoadMore}
+          disabled={loadingMore}
+          className="text-xs font-semibold text-indigo-500 hover:text-indigo-700 disabled:opacity-50"
+        >
+          {loadingMore ? 'Cargando...' : 'Ver actividad anterior'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,244 @@
+/**
+ * Componente ApiTokenSettings - Tokens de acceso personal
+ *
+ * Sección de la página de ajustes para crear tokens con los que usar la API
+ * desde scripts (Authorization: Bearer tdl_...) y revocarlos. El token completo
+ * solo se muestra justo después de crearlo; la lista muestra su inicio, su
+ * alcance y cuándo se usó por última vez.
+ */
+
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import ErrorMessage from './ErrorMessage';
+import { ListLoading } from './Loading';
+import { useApiTokenStore } from '../store/apiTokenStore';
+import { API_URL } from '../config/apiConfig';
+import { API_TOKEN_SCOPES, getApiTokenScopeLabel } from '../utils/apiTokens';
+
+/**
+ * Formatear la fecha de un token (p. ej. "12 ene 2025, 17:30")
+ *
+ * @param {string} isoString - Fecha en formato ISO 8601
+ * @returns {string} Fecha legible
+ */
+const formatTokenDate = (isoString) =>
+  new Date(isoString).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+const ApiTokenSettings = () => {
+  const {
+    tokens,
+    createdToken,
+    loading,
+    error,
+    fetchTokens,
+    createToken,
+    revokeToken,
+    dismissCreatedToken
+  } = useApiTokenStore();
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('read');
+  const [creating, setCreating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  // Token pendiente de confirmar su revocación: { id, name }
+  const [confirm, setConfirm] = useState(null);
+
+  // Cargar los tokens al entrar
+  useEffect(() => {
+    fetchTokens().catch(() => {});
+  }, [fetchTokens]);
+
+  // Crear el token del formulario
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      await createToken(name, scope);
+      setName('');
+      setScope('read');
+    } catch {
+      // El error ya se notificó con un toast
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // Copiar el token recién creado al portapapeles
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken.token);
+      toast.success('Token copiado');
+    } catch {
+      toast.error('No se pudo copiar el token');
+    }
+  };
+
+  // Confirmar la revocación del token
+  const handleConfirmRevoke = async () => {
+    const { id } = confirm;
+    setConfirm(null);
+    setBusyId(id);
+    try {
+      await revokeToken(id);
+    } catch {
+      // El error ya se notificó con un toast
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <section className="space-y-4">
+      <div className="card-surface p-6 space-y-4">
+        <div className="space-y-1">
+          <h3 className="text-lg font-semibold text-gray-900">Tokens de acceso personal 🔑</h3>
+          <p className="text-sm text-gray-600">
+            Para scripts y tareas programadas: envía el token en el header{' '}
+            <code className="text-xs">Authorization: Bearer tdl_...</code> en lugar de tu sesión. No caducan
+            hasta que los revocas.
+          </p>
+        </div>
+
+        {/* Token recién creado: solo se muestra esta vez */}
+        {createdToken && (
+          <div className="space-y-2 rounded-lg border border-emerald-200 bg-emerald-50 p-4">
+            <p className="text-sm font-semibold text-emerald-800">
+              Copia el token "{createdToken.name}" ahora: no se volverá a mostrar.
+            </p>
+            <code className="block break-all rounded bg-white px-3 py-2 font-mono text-xs text-gray-800">
+              {createdToken.token}
+            </code>
+            <p className="break-all text-xs text-emerald-700">
+              Ejemplo: <code>curl -H "Authorization: Bearer {createdToken.token}" {API_URL}/api/todos</code>
+            </p>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleCopy}
+                className="text-xs font-semibold text-emerald-700 hover:text-emerald-800"
+              >
+                Copiar
+              </button>
+              <button
+                type="button"
+                onClick={dismissCreatedToken}
+                className="text-xs font-semibold text-gray-500 hover:text-gray-700"
+              >
+                Ya lo guardé
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Formulario de creación */}
+        <form onSubmit={handleCreate} className="flex flex-col gap-3 sm:flex-row sm:items-end">
+          <label className="block flex-1 space-y-1">
+            <span className="text-sm font-medium text-gray-700">Nombre</span>
+            <input
+              type="text"
+              required
+              maxLength={100}
+              value={name}
+              onChange={e => setName(e.target.value)}
+              placeholder="Backup nocturno"
+              className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            />
+          </label>
+          <label className="block space-y-1">
+            <span className="text-sm font-medium text-gray-700">Alcance</span>
+            <select
+              value={scope}
+              onChange={e => setScope(e.target.value)}
+              title={API_TOKEN_SCOPES.find(option => option.value === scope)?.description}
+              className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            >
+              {API_TOKEN_SCOPES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="submit"
+            disabled={creating || name.trim().length === 0}
+            className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition-colors hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {creating ? 'Creando...' : 'Crear token'}
+          </button>
+        </form>
+      </div>
+
+      {/* Tokens activos */}
+      {error && <ErrorMessage message={error} onRetry={() => fetchTokens().catch(() => {})} />}
+
+      {loading ? (
+        <ListLoading lines={2} />
+      ) : tokens.length === 0 ? (
+        !error && (
+          <p className="card-surface p-6 text-center text-sm text-gray-500">No tienes tokens activos.</p>
+        )
+      ) : (
+        <ul className="space-y-3">
+          {tokens.map(apiToken => (
+            <li key={apiToken.id} className="card-surface flex flex-col gap-3 p-5 sm:flex-row sm:items-center sm:justify-between">
+              <div className="min-w-0 space-y-1">
+                <p className="truncate font-semibold text-gray-800">{apiToken.name}</p>
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <code className="rounded bg-gray-100 px-2 py-0.5 font-mono text-gray-600">{apiToken.token_prefix}…</code>
+                  <span className={`rounded-full px-2 py-0.5 font-medium ${apiToken.scope === 'write' ? 'bg-amber-100 text-amber-700' : 'bg-indigo-50 text-indigo-600'}`}>
+                    {getApiTokenScopeLabel(apiToken.scope)}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-400">
+                  Creado el {formatTokenDate(apiToken.created_at)} ·{' '}
+                  {apiToken.last_used_at ? `usado por última vez el ${formatTokenDate(apiToken.last_used_at)}` : 'nunca usado'}
+                </p>
+              </div>
+
+              <button
+                type="button"
+                onClick={() => setConfirm({ id: apiToken.id, name: apiToken.name })}
+                disabled={busyId !== null}
+                className="shrink-0 rounded-lg border border-red-200 px-4 py-2 text-sm font-semibold text-red-600 transition-colors hover:bg-red-50 disabled:opacity-50"
+              >
+                {busyId === apiToken.id ? 'Revocando...' : 'Revocar'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Modal de confirmación de la revocación */}
+      {confirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 transform transition-all animate-fade-in">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Revocar token</h3>
+            <p className="text-gray-600 mb-6">
+              {`Los scripts que usen "${confirm.name}" dejarán de funcionar inmediatamente. Esta acción no se puede deshacer.`}
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setConfirm(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={handleConfirmRevoke}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+              >
+                Revocar
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ApiTokenSettings;
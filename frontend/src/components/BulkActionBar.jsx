@@ -0,0 +1,196 @@
+/**
+ * Componente BulkActionBar - Barra de Acciones en Lote
+ *
+ * Funcionalidad:
+ * - Muestra cuántas tareas hay seleccionadas
+ * - Seleccionar todas las tareas visibles o limpiar la selección
+ * - Completar / reabrir las tareas seleccionadas
+ * - Moverlas a otra lista
+ * - Agregar o quitar una etiqueta
+ * - Eliminarlas con confirmación
+ *
+ * Props:
+ * - selectedIds: IDs de las tareas seleccionadas
+ * - visibleIds: IDs de las tareas visibles (para "Seleccionar todas")
+ * - onSelectionChange: Recibe el nuevo arreglo de IDs seleccionados
+ * - onExit: Salir del modo selección
+ */
+
+import React, { useState } from 'react';
+import { useTodoStore } from '../store/todoStore';
+import { useListStore } from '../store/listStore';
+import { useTagStore } from '../store/tagStore';
+
+// Clases comunes de los botones de la barra
+const buttonClassName = 'rounded-full px-3 py-1.5 text-sm font-semibold transition-colors disabled:cursor-not-allowed disabled:opacity-50';
+const selectClassName = 'rounded-full border border-gray-200 bg-white px-3 py-1.5 text-sm font-semibold text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-200 disabled:opacity-50';
+
+const BulkActionBar = ({ selectedIds, visibleIds, onSelectionChange, onExit }) => {
+  // Estado local del componente
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  // Estado de los stores
+  const bulkUpdate = useTodoStore(state => state.bulkUpdate);
+  const allLists = useListStore(state => state.lists);
+  const canEditList = useListStore(state => state.canEditList);
+
+  // Solo se puede mover a las listas donde el usuario es editor u owner
+  const lists = allLists.filter(list => canEditList(list.id));
+  const tags = useTagStore(state => state.tags);
+
+  const count = selectedIds.length;
+  const allSelected = visibleIds.length > 0 && visibleIds.every(id => selectedIds.includes(id));
+  const disabled = actionLoading || count === 0;
+
+  /**
+   * Ejecutar una acción en lote sobre las tareas seleccionadas
+   * @param {string} action - Acción a aplicar
+   * @param {Object} options - Datos de la acción
+   */
+  const runBulk = async (action, options = {}) => {
+    try {
+      setActionLoading(true);
+      await bulkUpdate(selectedIds, action, options);
+      // Tras eliminar o mover, las tareas ya no están en la vista: limpiar la selección
+      if (action === 'delete' || action === 'move') {
+        onSelectionChange([]);
+      }
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setActionLoading(false);
+      setShowDeleteConfirm(false);
+    }
+  };
+
+  return (
+    <div className="sticky top-4 z-30 flex flex-wrap items-center gap-2 rounded-2xl border border-indigo-100 bg-indigo-50/95 p-3 shadow-lg backdrop-blur">
+      <span className="px-2 text-sm font-semibold text-indigo-700">
+        {count} seleccionada(s)
+      </span>
+      <button
+        onClick={() => onSelectionChange(allSelected ? [] : visibleIds)}
+        disabled={actionLoading || visibleIds.length === 0}
+        className={`${buttonClassName} bg-white text-indigo-600 hover:bg-indigo-100`}
+      >
+        {allSelected ? 'Deseleccionar todas' : 'Seleccionar todas'}
+      </button>
+
+      <div className="flex flex-wrap items-center gap-2 sm:ml-auto">
+        <button
+          onClick={() => runBulk('complete')}
+          disabled={disabled}
+          className={`${buttonClassName} bg-emerald-500 text-white hover:bg-emerald-600`}
+        >
+          ✓ Completar
+        </button>
+        <button
+          onClick={() => runBulk('uncomplete')}
+          disabled={disabled}
+          className={`${buttonClassName} bg-amber-500 text-white hover:bg-amber-600`}
+        >
+          ↺ Reabrir
+        </button>
+
+        {/* Mover a otra lista */}
+        <select
+          value=""
+          onChange={(e) => runBulk('move', { list_id: e.target.value === 'none' ? null : e.target.value })}
+          disabled={disabled}
+          aria-label="Mover a lista"
+          className={selectClassName}
+        >
+          <option value="" disabled>Mover a...</option>
+          <option value="none">Sin lista</option>
+          {lists.map((list) => (
+            <option key={list.id} value={list.id}>
+              {list.name}
+            </option>
+          ))}
+        </select>
+
+        {/* Etiquetas */}
+        {tags.length > 0 && (
+          <>
+            <select
+              value=""
+              onChange={(e) => runBulk('add_tags', { tag_ids: [e.target.value] })}
+              disabled={disabled}
+              aria-label="Agregar etiqueta"
+              className={selectClassName}
+            >
+              <option value="" disabled>+ Etiqueta</option>
+              {tags.map((tag) => (
+                <option key={tag.id} value={tag.id}>
+                  #{tag.name}
+                </option>
+              ))}
+            </select>
+            <select
+              value=""
+              onChange={(e) => runBulk('remove_tags', { tag_ids: [e.target.value] })}
+              disabled={disabled}
+              aria-label="Quitar etiqueta"
+              className={selectClassName}
+            >
+              <option value="" disabled>− Etiqueta</option>
+              {tags.map((tag) => (
+                <option key={tag.id} value={tag.id}>
+                  #{tag.name}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+
+        <button
+          onClick={() => setShowDeleteConfirm(true)}
+          disabled={disabled}
+          className={`${buttonClassName} bg-red-600 text-white hover:bg-red-700`}
+        >
+          🗑️ Eliminar
+        </button>
+        <button
+          onClick={onExit}
+          disabled={actionLoading}
+          className={`${buttonClassName} bg-gray-200 text-gray-700 hover:bg-gray-300`}
+        >
+          Listo
+        </button>
+      </div>
+
+      {/* Modal de confirmación de eliminación */}
+      {showDeleteConfirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 transform transition-all animate-fade-in">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">
+              Eliminar tareas
+            </h3>
+            <p className="text-gray-600 mb-4">
+              ¿Seguro que quieres eliminar {count} tarea(s)? Esta acción no se puede deshacer.
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setShowDeleteConfirm(false)}
+                disabled={actionLoading}
+                className="px-4 py-2 bg-gray-500 hover:bg-gray-600 disabled:bg-gray-400 text-white rounded transition-colors"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={() => runBulk('delete')}
+                disabled={actionLoading}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white rounded transition-colors"
+              >
+                {actionLoading ? 'Eliminando...' : 'Eliminar'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,234 @@
+/**
+ * Componente CommentThread - Conversación de una Tarea
+ *
+ * Funcionalidad:
+ * - Botón para mostrar / ocultar los comentarios (se cargan al abrirla)
+ * - Lista de comentarios con su autor, fecha y si fueron editados
+ * - Editar y eliminar los comentarios propios
+ * - Formulario para comentar (Ctrl/Cmd + Enter envía)
+ * - Los comentarios de otros colaboradores llegan en tiempo real
+ *
+ * Props:
+ * - task: Tarea comentada
+ * - disabled: Deshabilita las acciones (p. ej. mientras la tarea aún no existe en el servidor)
+ */
+
+import React, { useState } from 'react';
+import { useCommentStore } from '../store/commentStore';
+import { useAuthStore } from '../store/authStore';
+import { COMMENT_MAX_LENGTH } from '../utils/taskFields';
+
+/**
+ * Formatear la fecha de un comentario (p. ej. "12 ene, 10:30")
+ *
+ * @param {string} isoString - Fecha en formato ISO 8601
+ * @returns {string} Fecha legible
+ */
+const formatCommentDate = (isoString) =>
+  new Date(isoString).toLocaleDateString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+/**
+ * Saber si un comentario se editó después de crearlo (más de 1 segundo de diferencia)
+ */
+const wasEdited = (comment) =>
+  new Date(comment.updated_at).getTime() - new Date(comment.created_at).getTime() > 1000;
+
+const CommentThread = ({ task, disabled = false }) => {
+  // Estado local del componente
+  const [open, setOpen] = useState(false);
+  const [newBody, setNewBody] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+  const [pendingId, setPendingId] = useState(null);
+
+  const userId = useAuthStore(state => state.user?.id);
+  const comments = useCommentStore(state => state.commentsByTodo[task.id]);
+  const loading = useCommentStore(state => Boolean(state.loadingByTodo[task.id]));
+  const { fetchComments, addComment, editComment, deleteComment } = useCommentStore();
+
+  /**
+   * Ejecutar una acción sobre un comentario mostrando su estado de carga
+   * @param {string} id - ID del comentario (o 'new' al comentar)
+   * @param {Function} action - Acción asíncrona a ejecutar
+   * @returns {Promise<boolean>} True si la acción terminó bien
+   */
+  const runAction = async (id, action) => {
+    try {
+      setPendingId(id);
+      await action();
+      return true;
+    } catch {
+      // El error ya se maneja en el store con toast
+      return false;
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Abrir la conversación carga sus comentarios (la primera vez)
+  const handleToggleOpen = () => {
+    if (!open && !comments) {
+      fetchComments(task.id).catch(() => {});
+    }
+    setOpen(!open);
+  };
+
+  // Enviar el comentario nuevo
+  const submitComment = async () => {
+    if (!newBody.trim() || pendingId === 'new') return;
+
+    const sent = await runAction('new', () => addComment(task.id, newBody.trim()));
+    if (sent) setNewBody('');
+  };
+
+  /**
+   * Maneja el envío del formulario de comentario nuevo
+   * @param {Event} e - Evento del formulario
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+    submitComment();
+  };
+
+  // Guardar la edición de un comentario propio
+  const handleSaveEdit = async (commentId) => {
+    if (!editBody.trim()) return;
+
+    const saved = await runAction(commentId, () => editComment(task.id, commentId, editBody.trim()));
+    if (saved) setEditingId(null);
+  };
+
+  // Enviar con Ctrl/Cmd + Enter
+  const submitOnShortcut = (onSubmit) => (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      onSubmit();
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <button
+        type="button"
+        onClick={handleToggleOpen}
+        aria-expanded={open}
+        className="text-xs font-semibold text-indigo-500 hover:text-indigo-700"
+      >
+        💬 {open ? 'Ocultar comentarios' : 'Comentarios'}
+        {comments?.length > 0 && ` (${comments.length})`}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-3 rounded-xl border border-gray-100 bg-gray-50/70 p-3">
+          {loading && !comments ? (
+            <p className="text-xs text-gray-400">Cargando comentarios...</p>
+          ) : comments?.length > 0 ? (
+            <ul className="space-y-3">
+              {comments.map((comment) => {
+                const isMine = comment.user_id === userId;
+                return (
+                  <li key={comment.id} className="space-y-1 text-sm">
+                    <div className="flex flex-wrap items-center gap-x-2 text-xs text-gray-400">
+                      <span className="font-semibold text-gray-700">
+                        {isMine ? 'Tú' : comment.author_email}
+                      </span>
+                      <span>{formatCommentDate(comment.created_at)}</span>
+                      {wasEdited(comment) && <span>(editado)</span>}
+                      {isMine && editingId !== comment.id && (
+                        <span className="ml-auto flex gap-2">
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setEditingId(comment.id);
+                              setEditBody(comment.body);
+                            }}
+                            disabled={disabled || pendingId === comment.id}
+                            className="text-indigo-500 hover:text-indigo-700"
+                          >
+                            Editar
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => runAction(comment.id, () => deleteComment(task.id, comment.id))}
+                            disabled={disabled || pendingId === comment.id}
+                            className="text-red-400 hover:text-red-600"
+                          >
+                            Eliminar
+                          </button>
+                        </span>
+                      )}
+                    </div>
+
+                    {editingId === comment.id ? (
+                      <div className="space-y-2">
+                        <textarea
+                          value={editBody}
+                          onChange={(e) => setEditBody(e.target.value)}
+                          onKeyDown={submitOnShortcut(() => handleSaveEdit(comment.id))}
+                          rows={2}
+                          maxLength={COMMENT_MAX_LENGTH}
+                          autoFocus
+                          className="w-full resize-none rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                        <div className="flex gap-2">
+                          <button
+                            type="button"
+                            onClick={() => handleSaveEdit(comment.id)}
+                            disabled={pendingId === comment.id || !editBody.trim()}
+                            className="rounded-lg bg-indigo-600 px-3 py-1 text-xs text-white transition-colors hover:bg-indigo-700 disabled:bg-gray-400"
+                          >
+                            {pendingId === comment.id ? 'Guardando...' : 'Guardar'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setEditingId(null)}
+                            disabled={pendingId === comment.id}
+                            className="rounded-lg bg-gray-200 px-3 py-1 text-xs text-gray-700 transition-colors hover:bg-gray-300"
+                          >
+                            Cancelar
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <p className="whitespace-pre-wrap break-words text-gray-700">{comment.body}</p>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-xs text-gray-400">Todavía no hay comentarios.</p>
+          )}
+
+          {/* Comentar */}
+          <form onSubmit={handleAdd} className="flex flex-col gap-2 sm:flex-row sm:items-end">
+            <textarea
+              value={newBody}
+              onChange={(e) => setNewBody(e.target.value)}
+              onKeyDown={submitOnShortcut(submitComment)}
+              placeholder="Escribe un comentario..."
+              rows={2}
+              maxLength={COMMENT_MAX_LENGTH}
+              disabled={disabled || pendingId === 'new'}
+              className="flex-1 resize-none rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button
+              type="submit"
+              disabled={disabled || pendingId === 'new' || !newBody.trim()}
+              className="rounded-lg bg-indigo-600 px-3 py-2 text-sm text-white transition-colors hover:bg-indigo-700 disabled:bg-gray-400"
+            >
+              {pendingId === 'new' ? 'Enviando...' : 'Comentar'}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
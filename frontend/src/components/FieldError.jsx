@@ -0,0 +1,16 @@
+/**
+ * Componente FieldError - Error de Validación de un Campo
+ *
+ * Muestra debajo de un input el error de validación de ese campo
+ * (p. ej. el { error, field } devuelto por la API). No renderiza nada sin mensaje.
+ *
+ * Props:
+ * - message: Texto del error (opcional)
+ */
+
+import React from 'react';
+
+const FieldError = ({ message }) =>
+  message ? <p className="mt-1 text-xs font-medium text-red-600">{message}</p> : null;
+
+export default FieldError;
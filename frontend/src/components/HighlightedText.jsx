@@ -0,0 +1,28 @@
+/**
+ * Componente HighlightedText - Texto con Coincidencias Resaltadas
+ *
+ * Muestra un fragmento devuelto por la búsqueda de texto completo resaltando
+ * las coincidencias con <mark>. El texto se renderiza como texto plano (sin HTML).
+ *
+ * Props:
+ * - text: Fragmento con las coincidencias marcadas (ver utils/search.js)
+ */
+
+import React from 'react';
+import { parseHighlight } from '../utils/search';
+
+const HighlightedText = ({ text }) => (
+  <>
+    {parseHighlight(text).map((part, index) =>
+      part.match ? (
+        <mark key={index} className="rounded bg-amber-200/80 px-0.5 text-inherit">
+          {part.text}
+        </mark>
+      ) : (
+        <React.Fragment key={index}>{part.text}</React.Fragment>
+      )
+    )}
+  </>
+);
+
+export default HighlightedText;
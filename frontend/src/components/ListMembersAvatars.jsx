@@ -0,0 +1,66 @@
+/**
+ * Componente ListMembersAvatars - Colaboradores de una Lista
+ *
+ * Muestra las iniciales de los miembros de una lista compartida como avatares
+ * superpuestos (hasta MAX_AVATARS y un "+N" con el resto). El título de cada
+ * avatar indica el email y el rol del miembro.
+ *
+ * Props:
+ * - members: Miembros de la lista ({ user_id, email, role })
+ * - onClick: Acción al hacer clic (opcional, p. ej. abrir la ventana de compartir)
+ */
+
+import React from 'react';
+import { LIST_ROLE_INFO } from '../utils/listRoles';
+
+// Cantidad máxima de avatares visibles
+const MAX_AVATARS = 4;
+
+// Colores de fondo de los avatares (se elige uno estable por usuario)
+const AVATAR_COLORS = ['bg-indigo-500', 'bg-emerald-500', 'bg-amber-500', 'bg-rose-500', 'bg-sky-500', 'bg-purple-500'];
+
+/**
+ * Elegir un color estable para un usuario a partir de su ID
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {string} Clase de Tailwind del color de fondo
+ */
+const avatarColor = (userId) => {
+  const hash = [...userId].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+const ListMembersAvatars = ({ members = [], onClick }) => {
+  // Una lista sin otros miembros no se muestra como compartida
+  if (members.length < 2) return null;
+
+  const visible = members.slice(0, MAX_AVATARS);
+  const hidden = members.length - visible.length;
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={!onClick}
+      className="flex items-center -space-x-2 disabled:cursor-default"
+      aria-label={`${members.length} colaboradores`}
+      title={members.map(member => `${member.email} (${LIST_ROLE_INFO[member.role]?.label})`).join('\n')}
+    >
+      {visible.map(member => (
+        <span
+          key={member.user_id}
+          className={`flex h-8 w-8 items-center justify-center rounded-full text-xs font-bold uppercase text-white ring-2 ring-white ${avatarColor(member.user_id)}`}
+        >
+          {member.email.charAt(0)}
+        </span>
+      ))}
+      {hidden > 0 && (
+        <span className="flex h-8 w-8 items-center justify-center rounded-full bg-gray-200 text-xs font-bold text-gray-600 ring-2 ring-white">
+          +{hidden}
+        </span>
+      )}
+    </button>
+  );
+};
+
+export default ListMembersAvatars;
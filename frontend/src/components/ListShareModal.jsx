@@ -0,0 +1,224 @@
+/**
+ * Componente ListShareModal - Compartir una Lista
+ *
+ * Funcionalidad:
+ * - Muestra los miembros de la lista con su rol
+ * - Los owners pueden cambiar el rol de cada miembro o quitarlo
+ * - Los owners invitan por email eligiendo el rol y ven/cancelan las
+ *   invitaciones pendientes
+ * - Cualquier miembro puede salir de la lista
+ *
+ * Props:
+ * - list: Lista a compartir (con members y role)
+ * - onClose: Cierra la ventana
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useListStore } from '../store/listStore';
+import { useAuthStore } from '../store/authStore';
+import { LIST_ROLES, LIST_ROLE_INFO } from '../utils/listRoles';
+
+const ListShareModal = ({ list, onClose }) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [busy, setBusy] = useState(false);
+
+  const userId = useAuthStore(state => state.user?.id);
+  const {
+    listInvitations,
+    isListOwner,
+    fetchMembers,
+    fetchListInvitations,
+    updateMemberRole,
+    removeMember,
+    inviteMember,
+    cancelInvitation
+  } = useListStore();
+
+  const isOwner = isListOwner(list.id);
+  const invitations = listInvitations[list.id] || [];
+  const members = list.members || [];
+
+  // Refrescar los miembros (y las invitaciones si es owner) al abrir
+  useEffect(() => {
+    fetchMembers(list.id).catch(() => {});
+    if (isOwner) fetchListInvitations(list.id).catch(() => {});
+  }, [list.id, isOwner, fetchMembers, fetchListInvitations]);
+
+  // Ejecutar una acción bloqueando los controles mientras tanto
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      return true;
+    } catch {
+      // El error ya se notificó con un toast
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Maneja el envío de una invitación
+   * @param {Event} e - Evento del formulario
+   */
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    const sent = await runAction(() => inviteMember(list.id, email.trim(), role));
+    if (sent) setEmail('');
+  };
+
+  // Salir de la lista cierra la ventana (la lista deja de estar disponible)
+  const handleLeave = async () => {
+    const left = await runAction(() => removeMember(list.id, userId));
+    if (left) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+      <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 space-y-5 transform transition-all animate-fade-in">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Compartir "{list.name}"</h3>
+            <p className="text-sm text-gray-500">
+              {isOwner
+                ? 'Invita a otras personas y elige qué pueden hacer.'
+                : `Tu rol en esta lista: ${LIST_ROLE_INFO[list.role]?.label ?? '—'}.`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Cerrar"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Miembros */}
+        <section className="space-y-2">
+          <h4 className="text-sm font-semibold text-gray-700">Miembros ({members.length})</h4>
+          <ul className="divide-y divide-gray-100 rounded-xl border border-gray-100">
+            {members.map(member => (
+              <li key={member.user_id} className="flex items-center justify-between gap-3 px-3 py-2">
+                <span className="min-w-0 truncate text-sm text-gray-800">
+                  {member.email}
+                  {member.user_id === userId && <span className="text-gray-400"> (tú)</span>}
+                </span>
+
+                <div className="flex shrink-0 items-center gap-2">
+                  {isOwner ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => runAction(() => updateMemberRole(list.id, member.user_id, e.target.value))}
+                      disabled={busy}
+                      aria-label={`Rol de ${member.email}`}
+                      className="rounded-lg border border-gray-200 px-2 py-1 text-xs text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                    >
+                      {LIST_ROLES.map(option => (
+                        <option key={option} value={option}>{LIST_ROLE_INFO[option].label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="rounded-full bg-gray-100 px-2 py-0.5 text-xs font-medium text-gray-600">
+                      {LIST_ROLE_INFO[member.role]?.label}
+                    </span>
+                  )}
+
+                  {isOwner && member.user_id !== userId && (
+                    <button
+                      onClick={() => runAction(() => removeMember(list.id, member.user_id))}
+                      disabled={busy}
+                      className="text-xs text-red-500 hover:text-red-700 disabled:opacity-50"
+                      title="Quitar de la lista"
+                    >
+                      Quitar
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        {/* Invitar y ver invitaciones pendientes (solo owners) */}
+        {isOwner && (
+          <section className="space-y-3">
+            <form onSubmit={handleInvite} className="flex flex-col gap-2 sm:flex-row">
+              <input
+                type="email"
+                placeholder="email@ejemplo.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                disabled={busy}
+                className="flex-1 rounded-xl border border-gray-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-200"
+              />
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                disabled={busy}
+                aria-label="Rol del invitado"
+                title={LIST_ROLE_INFO[role].description}
+                className="rounded-xl border border-gray-200 px-2 py-2 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+              >
+                {LIST_ROLES.map(option => (
+                  <option key={option} value={option}>{LIST_ROLE_INFO[option].label}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={busy || !email.trim()}
+                className="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition-colors hover:bg-indigo-700 disabled:bg-gray-400"
+              >
+                Invitar
+              </button>
+            </form>
+
+            {invitations.length > 0 && (
+              <div className="space-y-2">
+                <h4 className="text-sm font-semibold text-gray-700">Invitaciones pendientes</h4>
+                <ul className="space-y-1">
+                  {invitations.map(invitation => (
+                    <li key={invitation.id} className="flex items-center justify-between gap-3 text-sm">
+                      <span className="min-w-0 truncate text-gray-600">
+                        {invitation.email} · {LIST_ROLE_INFO[invitation.role]?.label}
+                      </span>
+                      <button
+                        onClick={() => runAction(() => cancelInvitation(list.id, invitation.id))}
+                        disabled={busy}
+                        className="shrink-0 text-xs text-gray-500 hover:text-red-600 disabled:opacity-50"
+                      >
+                        Cancelar
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </section>
+        )}
+
+        <div className="flex justify-between gap-3 border-t border-gray-100 pt-4">
+          <button
+            onClick={handleLeave}
+            disabled={busy}
+            className="text-sm font-semibold text-red-600 hover:text-red-700 disabled:opacity-50"
+          >
+            Salir de la lista
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            Cerrar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ListShareModal;
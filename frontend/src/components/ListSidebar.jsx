@@ -0,0 +1,348 @@
+/**
+ * Componente ListSidebar - Selector de Listas (Proyectos)
+ *
+ * Funcionalidad:
+ * - Muestra "Todas las tareas" y las listas del usuario con su número de tareas
+ * - Cambia la lista activa del store de tareas al hacer clic
+ * - Formulario para crear una nueva lista con color
+ * - Renombrar una lista en línea
+ * - Eliminar una lista (y sus tareas) con confirmación (solo owners)
+ * - Compartir una lista (ListShareModal) y ver cuáles están compartidas
+ * - Aceptar o rechazar las invitaciones recibidas a listas de otros usuarios
+ *
+ * Estado:
+ * - newListName / newListColor: Datos de la lista a crear
+ * - editingListId / editName: Lista que se está renombrando
+ * - listToDelete: Lista pendiente de confirmar su eliminación
+ * - sharingListId: Lista cuya ventana de compartir está abierta
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useListStore } from '../store/listStore';
+import { useTodoStore } from '../store/todoStore';
+import ListShareModal from './ListShareModal';
+import { LIST_ROLE_INFO } from '../utils/listRoles';
+
+// Colores disponibles para las listas
+const LIST_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#a855f7'];
+
+const ListSidebar = () => {
+  // Estado local del componente
+  const [newListName, setNewListName] = useState('');
+  const [newListColor, setNewListColor] = useState(LIST_COLORS[0]);
+  const [editingListId, setEditingListId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [listToDelete, setListToDelete] = useState(null);
+  const [sharingListId, setSharingListId] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  // Estado de los stores
+  const {
+    lists,
+    invitations,
+    fetchLists,
+    createList,
+    updateList,
+    deleteList,
+    isListOwner,
+    fetchInvitations,
+    acceptInvitation,
+    declineInvitation
+  } = useListStore();
+  const { activeListId, setActiveList, stats } = useTodoStore();
+
+  /**
+   * Cargar listas al montar y refrescar los contadores cuando cambian las tareas
+   */
+  useEffect(() => {
+    fetchLists().catch(() => {
+      // El error queda registrado en el store
+    });
+  }, [fetchLists, stats.total]);
+
+  /**
+   * Cargar las invitaciones recibidas al montar
+   */
+  useEffect(() => {
+    fetchInvitations().catch(() => {
+      // El error queda registrado en el store
+    });
+  }, [fetchInvitations]);
+
+  /**
+   * Ejecuta una acción sobre una invitación recibida (aceptar o rechazar)
+   * @param {Function} action - Acción del store
+   * @param {string} id - ID de la invitación
+   */
+  const handleInvitation = async (action, id) => {
+    try {
+      setActionLoading(true);
+      await action(id);
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  /**
+   * Maneja la creación de una lista
+   * @param {Event} e - Evento del formulario
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+
+    try {
+      setActionLoading(true);
+      const list = await createList(newListName.trim(), newListColor);
+      setNewListName('');
+      await setActiveList(list.id);
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  /**
+   * Maneja el guardado del nuevo nombre de una lista
+   * @param {string} id - ID de la lista
+   */
+  const handleRename = async (id) => {
+    if (!editName.trim()) {
+      setEditingListId(null);
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      await updateList(id, { name: editName.trim() });
+      setEditingListId(null);
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  /**
+   * Maneja la eliminación confirmada de una lista
+   */
+  const handleDelete = async () => {
+    try {
+      setActionLoading(true);
+      await deleteList(listToDelete.id);
+      setListToDelete(null);
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Lista abierta en la ventana de compartir (se toma del store para ver los cambios)
+  const sharingList = lists.find(list => list.id === sharingListId);
+
+  // Clases comunes de los elementos del menú
+  const itemClassName = (active) =>
+    `flex w-full items-center justify-between gap-2 rounded-xl px-3 py-2 text-left text-sm font-semibold transition-colors ${
+      active ? 'bg-indigo-600 text-white shadow shadow-indigo-200' : 'text-gray-700 hover:bg-indigo-50'
+    }`;
+
+  return (
+    <aside className="card-surface p-5 space-y-5 h-fit">
+      <div>
+        <h2 className="text-lg font-bold text-gray-900">Mis Listas</h2>
+        <p className="text-sm text-gray-500">Agrupa tus tareas por proyecto.</p>
+      </div>
+
+      {/* Invitaciones recibidas */}
+      {invitations.length > 0 && (
+        <section className="space-y-2 rounded-xl border border-indigo-100 bg-indigo-50/60 p-3">
+          <h3 className="text-sm font-semibold text-indigo-700">Invitaciones ({invitations.length})</h3>
+          {invitations.map((invitation) => (
+            <div key={invitation.id} className="space-y-2 text-sm">
+              <p className="text-gray-700">
+                <span className="font-semibold">{invitation.lists?.name ?? 'Lista compartida'}</span>
+                <span className="text-gray-500"> · {LIST_ROLE_INFO[invitation.role]?.label}</span>
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleInvitation(acceptInvitation, invitation.id)}
+                  disabled={actionLoading}
+                  className="rounded-lg bg-indigo-600 px-3 py-1 text-xs font-semibold text-white hover:bg-indigo-700 disabled:bg-gray-400"
+                >
+                  Aceptar
+                </button>
+                <button
+                  onClick={() => handleInvitation(declineInvitation, invitation.id)}
+                  disabled={actionLoading}
+                  className="rounded-lg border border-gray-200 bg-white px-3 py-1 text-xs font-semibold text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Rechazar
+                </button>
+              </div>
+            </div>
+          ))}
+        </section>
+      )}
+
+      {/* Listas */}
+      <nav className="space-y-1">
+        <button
+          onClick={() => setActiveList(null)}
+          className={itemClassName(activeListId === null)}
+        >
+          <span>📋 Todas las tareas</span>
+        </button>
+
+        {lists.map((list) => (
+          <div key={list.id} className="group relative">
+            {editingListId === list.id ? (
+              <input
+                type="text"
+                value={editName}
+                onChange={(e) => setEditName(e.target.value)}
+                onBlur={() => handleRename(list.id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleRename(list.id);
+                  if (e.key === 'Escape') setEditingListId(null);
+                }}
+                maxLength={100}
+                disabled={actionLoading}
+                autoFocus
+                className="w-full rounded-xl border border-indigo-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-200"
+              />
+            ) : (
+              <button
+                onClick={() => setActiveList(list.id)}
+                className={itemClassName(activeListId === list.id)}
+              >
+                <span className="flex min-w-0 items-center gap-2">
+                  <span
+                    className="h-2.5 w-2.5 flex-shrink-0 rounded-full"
+                    style={{ backgroundColor: list.color || LIST_COLORS[0] }}
+                  ></span>
+                  <span className="truncate">{list.name}</span>
+                  {list.members?.length > 1 && (
+                    <span className="flex-shrink-0 text-xs" title="Lista compartida">👥</span>
+                  )}
+                </span>
+                <span className="text-xs opacity-70 group-hover:hidden">{list.todo_count}</span>
+              </button>
+            )}
+
+            {/* Acciones de la lista (visibles al pasar el cursor) */}
+            {editingListId !== list.id && (
+              <div className="absolute inset-y-0 right-2 hidden items-center gap-1 group-hover:flex">
+                <button
+                  onClick={() => setSharingListId(list.id)}
+                  className="rounded-full bg-white/90 px-1.5 text-xs"
+                  title="Compartir lista"
+                >
+                  👥
+                </button>
+                {/* Renombrar y eliminar solo los owners */}
+                {isListOwner(list.id) && (
+                  <>
+                    <button
+                      onClick={() => {
+                        setEditingListId(list.id);
+                        setEditName(list.name);
+                      }}
+                      className="rounded-full bg-white/90 px-1.5 text-xs"
+                      title="Renombrar lista"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      onClick={() => setListToDelete(list)}
+                      className="rounded-full bg-white/90 px-1.5 text-xs"
+                      title="Eliminar lista"
+                    >
+                      🗑️
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </nav>
+
+      {/* Formulario para crear una lista */}
+      <form onSubmit={handleCreate} className="space-y-3 border-t border-gray-100 pt-4">
+        <input
+          type="text"
+          placeholder="Nueva lista..."
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          maxLength={100}
+          disabled={actionLoading}
+          className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-3 py-2 text-sm text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100"
+        />
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex gap-1.5">
+            {LIST_COLORS.map((color) => (
+              <button
+                key={color}
+                type="button"
+                onClick={() => setNewListColor(color)}
+                className={`h-5 w-5 rounded-full transition-transform ${
+                  newListColor === color ? 'scale-110 ring-2 ring-offset-2 ring-indigo-300' : ''
+                }`}
+                style={{ backgroundColor: color }}
+                title={`Color ${color}`}
+              ></button>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={actionLoading || !newListName.trim()}
+            className="rounded-xl bg-indigo-600 px-3 py-1.5 text-sm font-semibold text-white transition-colors hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            Crear
+          </button>
+        </div>
+      </form>
+
+      {/* Ventana para compartir una lista */}
+      {sharingList && (
+        <ListShareModal list={sharingList} onClose={() => setSharingListId(null)} />
+      )}
+
+      {/* Modal de confirmación de eliminación */}
+      {listToDelete && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 transform transition-all animate-fade-in">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">
+              Eliminar lista
+            </h3>
+            <p className="text-gray-600 mb-4">
+              ¿Seguro que quieres eliminar la lista "{listToDelete.name}"? Se eliminarán también sus {listToDelete.todo_count} tareas.
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setListToDelete(null)}
+                disabled={actionLoading}
+                className="px-4 py-2 bg-gray-500 hover:bg-gray-600 disabled:bg-gray-400 text-white rounded transition-colors"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={handleDelete}
+                disabled={actionLoading}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white rounded transition-colors"
+              >
+                {actionLoading ? 'Eliminando...' : 'Eliminar'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default ListSidebar;
@@ -4,7 +4,8 @@
  * Muestra:
  * - Logo y título de la aplicación
  * - Información del usuario (email y avatar)
- * - Botón para ir al Dashboard
+ * - Estado de la conexión: sin conexión y cambios pendientes de sincronizar
+ * - Botones para ir al Dashboard, al Archivo, a la Papelera y a los Ajustes
  * - Botón de cerrar sesión (Logout)
  * 
  * Estilos: TailwindCSS con colores indigo y efectos hover
@@ -13,10 +14,16 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../store/authStore';
+import { useTodoStore } from '../store/todoStore';
+import { resetUserStores } from '../store/sessionReset';
 
 const Navbar = () => {
   // Obtener estado de autenticación del store
   const { user, logout } = useAuthStore();
+  const online = useTodoStore(state => state.online);
+  const syncing = useTodoStore(state => state.syncing);
+  const pendingCount = useTodoStore(state => state.pendingOperations.length);
+  const syncPendingOperations = useTodoStore(state => state.syncPendingOperations);
   const navigate = useNavigate();
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
 
@@ -29,6 +36,8 @@ const Navbar = () => {
   const handleLogout = async () => {
     try {
       await logout();
+      // Borrar las tareas, la cola sin conexión, las listas y los comentarios del usuario que sale
+      resetUserStores();
       setShowLogoutConfirm(false);
       // La redirección se maneja automáticamente por ProtectedRoute
     } catch (error) {
@@ -67,6 +76,34 @@ const Navbar = () => {
           
           {/* Información del usuario y botones de navegación a la derecha */}
           <div className="flex items-center gap-3">
+            {/* Estado de la conexión y de la sincronización */}
+            {!online ? (
+              <div
+                className="flex items-center gap-2 rounded-full border border-amber-200 bg-amber-100/80 px-3 py-1.5 text-amber-700 shadow-inner"
+                title="Los cambios se guardan en este dispositivo y se sincronizarán al reconectar"
+              >
+                <span className="h-2.5 w-2.5 rounded-full bg-amber-500"></span>
+                <span className="text-xs font-semibold">
+                  Sin conexión{pendingCount > 0 && ` · ${pendingCount} pendiente(s)`}
+                </span>
+              </div>
+            ) : syncing ? (
+              <div className="flex items-center gap-2 rounded-full border border-indigo-100 bg-indigo-50 px-3 py-1.5 text-indigo-600">
+                <span className="h-2.5 w-2.5 animate-pulse rounded-full bg-indigo-500"></span>
+                <span className="text-xs font-semibold">Sincronizando...</span>
+              </div>
+            ) : pendingCount > 0 && (
+              <button
+                type="button"
+                onClick={syncPendingOperations}
+                className="flex items-center gap-2 rounded-full border border-amber-200 bg-amber-50 px-3 py-1.5 text-amber-700 transition-colors hover:bg-amber-100"
+                title="Sincronizar ahora"
+              >
+                <span className="h-2.5 w-2.5 rounded-full bg-amber-500"></span>
+                <span className="text-xs font-semibold">{pendingCount} cambio(s) por sincronizar</span>
+              </button>
+            )}
+
             {/* Información del usuario */}
             {user && (
               <div className="flex items-center gap-3 rounded-full border border-white/50 bg-white/70 px-3 py-1.5 shadow-sm">
@@ -92,6 +129,33 @@ const Navbar = () => {
               Dashboard
             </button>
             
+            {/* Botón Archivo */}
+            <button 
+              onClick={() => navigate('/archive')}
+              className="rounded-full border border-indigo-100 px-4 py-2 text-sm font-semibold text-indigo-600 transition-all hover:-translate-y-0.5 hover:bg-indigo-50"
+              title="Tareas archivadas"
+            >
+              Archivo
+            </button>
+            
+            {/* Botón Papelera */}
+            <button 
+              onClick={() => navigate('/trash')}
+              className="rounded-full border border-indigo-100 px-4 py-2 text-sm font-semibold text-indigo-600 transition-all hover:-translate-y-0.5 hover:bg-indigo-50"
+              title="Tareas eliminadas"
+            >
+              Papelera
+            </button>
+            
+            {/* Botón Ajustes */}
+            <button 
+              onClick={() => navigate('/settings')}
+              className="rounded-full border border-indigo-100 px-4 py-2 text-sm font-semibold text-indigo-600 transition-all hover:-translate-y-0.5 hover:bg-indigo-50"
+              title="Webhooks y tokens de acceso"
+            >
+              Ajustes
+            </button>
+            
             {/* Botón Logout */}
             <button 
               onClick={confirmLogout}
@@ -112,6 +176,11 @@ const Navbar = () => {
             </h3>
             <p className="text-gray-600 mb-6">
               ¿Estás seguro de que quieres cerrar sesión?
+              {pendingCount > 0 && (
+                <span className="mt-2 block text-sm font-medium text-amber-700">
+                  Tienes {pendingCount} cambio(s) sin sincronizar que se perderán.
+                </span>
+              )}
             </p>
             <div className="flex space-x-3">
               <button
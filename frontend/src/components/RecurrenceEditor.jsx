@@ -0,0 +1,230 @@
+/**
+ * Componente RecurrenceEditor - Editor de Repetición de Tareas
+ *
+ * Funcionalidad:
+ * - Selector con reglas predefinidas (cada día, días laborables, cada semana...)
+ * - Modo personalizado: intervalo, frecuencia, días de la semana y fin de la serie
+ *   (nunca, en una fecha o tras un número de repeticiones)
+ * - Resumen legible de la regla seleccionada
+ *
+ * Props:
+ * - value: Regla RRULE actual (null = no se repite)
+ * - onChange: Recibe la nueva regla RRULE (o null)
+ * - disabled: Deshabilita los controles
+ * - inputId: ID del selector principal (para asociarlo a un label)
+ */
+
+import React, { useState } from 'react';
+import {
+  FREQUENCIES,
+  WEEKDAY_OPTIONS,
+  RECURRENCE_PRESETS,
+  parseRecurrence,
+  serializeRecurrence,
+  describeRecurrence
+} from '../utils/recurrence';
+
+// Clases comunes de los controles del editor
+const controlClassName = 'rounded-xl border border-gray-200/80 bg-white/80 px-3 py-2 text-sm text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed';
+
+/**
+ * Convertir la fecha UNTIL de una regla al valor de un input date (hora local)
+ * @param {Date|null} date - Fecha de fin de la serie
+ * @returns {string} 'YYYY-MM-DD' o ''
+ */
+const toDateInput = (date) => {
+  if (!date) return '';
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const RecurrenceEditor = ({ value, onChange, disabled = false, inputId }) => {
+  // Modo personalizado activo (también si la regla no coincide con ninguna predefinida)
+  const [custom, setCustom] = useState(
+    () => Boolean(value) && !RECURRENCE_PRESETS.some(preset => preset.value === value)
+  );
+
+  const rule = parseRecurrence(value);
+  const isCustom = custom && Boolean(rule);
+  const summary = describeRecurrence(value);
+
+  /**
+   * Maneja el cambio en el selector principal
+   * @param {string} selected - '' (no se repite), regla predefinida o 'custom'
+   */
+  const handleSelect = (selected) => {
+    if (selected === 'custom') {
+      setCustom(true);
+      onChange(value || 'FREQ=WEEKLY');
+      return;
+    }
+    setCustom(false);
+    onChange(selected || null);
+  };
+
+  /**
+   * Aplicar cambios a la regla personalizada
+   * @param {Object} changes - Campos de la regla a modificar
+   */
+  const updateRule = (changes) => {
+    onChange(serializeRecurrence({ ...rule, ...changes }));
+  };
+
+  /**
+   * Marcar o desmarcar un día de la semana
+   * @param {string} day - Día RRULE ('MO', 'TU', ...)
+   */
+  const toggleWeekday = (day) => {
+    updateRule({
+      byDay: rule.byDay.includes(day)
+        ? rule.byDay.filter(d => d !== day)
+        : [...rule.byDay, day]
+    });
+  };
+
+  /**
+   * Cambiar cómo termina la serie
+   * @param {string} end - 'never', 'until' o 'count'
+   */
+  const handleEndChange = (end) => {
+    if (end === 'until') {
+      const until = new Date();
+      until.setMonth(until.getMonth() + 1);
+      until.setHours(23, 59, 59, 0);
+      updateRule({ until, count: null });
+    } else if (end === 'count') {
+      updateRule({ until: null, count: 5 });
+    } else {
+      updateRule({ until: null, count: null });
+    }
+  };
+
+  const endMode = rule?.until ? 'until' : rule?.count ? 'count' : 'never';
+
+  return (
+    <div className="space-y-3">
+      <select
+        id={inputId}
+        value={isCustom ? 'custom' : (value || '')}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={disabled}
+        className={`w-full ${controlClassName}`}
+      >
+        <option value="">No se repite</option>
+        {RECURRENCE_PRESETS.map((preset) => (
+          <option key={preset.value} value={preset.value}>
+            {preset.label}
+          </option>
+        ))}
+        <option value="custom">Personalizada...</option>
+      </select>
+
+      {/* Regla personalizada */}
+      {isCustom && (
+        <div className="space-y-3 rounded-xl border border-indigo-100 bg-indigo-50/40 p-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+            <span>Cada</span>
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={rule.interval}
+              onChange={(e) => updateRule({ interval: Math.min(365, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+              disabled={disabled}
+              aria-label="Intervalo de repetición"
+              className={`w-20 ${controlClassName}`}
+            />
+            <select
+              value={rule.freq}
+              onChange={(e) => updateRule({ freq: e.target.value, byDay: [], byMonthDay: null })}
+              disabled={disabled}
+              aria-label="Frecuencia"
+              className={controlClassName}
+            >
+              {Object.entries(FREQUENCIES).map(([freq, config]) => (
+                <option key={freq} value={freq}>
+                  {rule.interval === 1 ? config.unit[0] : config.unit[1]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Días de la semana (solo semanal) */}
+          {rule.freq === 'WEEKLY' && (
+            <div className="flex flex-wrap gap-1.5">
+              {WEEKDAY_OPTIONS.map((day) => {
+                const selected = rule.byDay.includes(day.value);
+                return (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleWeekday(day.value)}
+                    disabled={disabled}
+                    aria-pressed={selected}
+                    title={day.label}
+                    className={`h-8 w-8 rounded-full text-xs font-semibold transition-colors ${
+                      selected ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-indigo-100'
+                    }`}
+                  >
+                    {day.short}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Fin de la serie */}
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+            <span>Termina</span>
+            <select
+              value={endMode}
+              onChange={(e) => handleEndChange(e.target.value)}
+              disabled={disabled}
+              aria-label="Fin de la repetición"
+              className={controlClassName}
+            >
+              <option value="never">Nunca</option>
+              <option value="until">El día</option>
+              <option value="count">Tras</option>
+            </select>
+            {endMode === 'until' && (
+              <input
+                type="date"
+                value={toDateInput(rule.until)}
+                onChange={(e) => {
+                  if (!e.target.value) return;
+                  const until = new Date(`${e.target.value}T23:59:59`);
+                  if (!Number.isNaN(until.getTime())) updateRule({ until });
+                }}
+                disabled={disabled}
+                aria-label="Fecha de fin"
+                className={controlClassName}
+              />
+            )}
+            {endMode === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  max={999}
+                  value={rule.count}
+                  onChange={(e) => updateRule({ count: Math.min(999, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+                  disabled={disabled}
+                  aria-label="Número de repeticiones"
+                  className={`w-20 ${controlClassName}`}
+                />
+                <span>repeticiones</span>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {summary && (
+        <p className="text-xs font-medium text-indigo-500">🔁 {summary}</p>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,148 @@
+/**
+ * Componente SubtaskList - Checklist de Subtareas
+ *
+ * Funcionalidad:
+ * - Indicador de progreso "3/5 hechas" con barra
+ * - Checkbox para completar / reabrir cada subtarea
+ * - Botón para eliminar una subtarea
+ * - Input para agregar subtareas al final del checklist
+ *
+ * Props:
+ * - task: Tarea padre con su arreglo de subtareas (task.subtasks)
+ * - disabled: Deshabilita las acciones (p. ej. mientras la tarea padre se actualiza)
+ */
+
+import React, { useState } from 'react';
+import { useTodoStore } from '../store/todoStore';
+
+const SubtaskList = ({ task, disabled = false }) => {
+  // Estado local del componente
+  const [newTitle, setNewTitle] = useState('');
+  const [showInput, setShowInput] = useState(false);
+  const [pendingId, setPendingId] = useState(null);
+
+  // Acciones del store de tareas
+  const { addSubtask, toggleSubtask, deleteSubtask } = useTodoStore();
+
+  // Subtareas ordenadas por posición
+  const subtasks = [...(task.subtasks || [])].sort(
+    (a, b) => a.position - b.position || new Date(a.created_at) - new Date(b.created_at)
+  );
+  const completedCount = subtasks.filter(subtask => subtask.completed).length;
+  const progress = subtasks.length > 0 ? Math.round((completedCount / subtasks.length) * 100) : 0;
+
+  /**
+   * Ejecutar una acción sobre una subtarea mostrando su estado de carga
+   * @param {string} id - ID de la subtarea (o 'new' al crear)
+   * @param {Function} action - Acción asíncrona a ejecutar
+   */
+  const runAction = async (id, action) => {
+    try {
+      setPendingId(id);
+      await action();
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  /**
+   * Maneja el envío del formulario de nueva subtarea
+   * @param {Event} e - Evento del formulario
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    runAction('new', async () => {
+      await addSubtask(task.id, newTitle.trim());
+      setNewTitle('');
+    });
+  };
+
+  return (
+    <div className="mt-3 space-y-2">
+      {/* Progreso del checklist */}
+      {subtasks.length > 0 && (
+        <div className="flex items-center gap-3">
+          <div className="h-1.5 flex-1 overflow-hidden rounded-full bg-gray-200">
+            <div
+              className="h-full rounded-full bg-emerald-500 transition-all duration-300"
+              style={{ width: `${progress}%` }}
+            ></div>
+          </div>
+          <span className="text-xs font-semibold text-gray-500">
+            {completedCount}/{subtasks.length} hechas
+          </span>
+        </div>
+      )}
+
+      {/* Subtareas */}
+      {subtasks.length > 0 && (
+        <ul className="space-y-1">
+          {subtasks.map((subtask) => (
+            <li key={subtask.id} className="group flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={subtask.completed}
+                onChange={() => runAction(subtask.id, () =>
+                  toggleSubtask(task.id, subtask.id, !subtask.completed)
+                )}
+                disabled={disabled || pendingId === subtask.id}
+                className="h-4 w-4 cursor-pointer rounded border border-gray-300 text-emerald-600 focus:ring-2 focus:ring-emerald-400"
+              />
+              <span className={`flex-1 ${subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                {subtask.title}
+              </span>
+              <button
+                onClick={() => runAction(subtask.id, () => deleteSubtask(task.id, subtask.id))}
+                disabled={disabled || pendingId === subtask.id}
+                className="hidden text-xs text-red-400 hover:text-red-600 group-hover:inline"
+                title="Eliminar subtarea"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Agregar subtarea */}
+      {showInput ? (
+        <form onSubmit={handleAdd} className="flex gap-2">
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') setShowInput(false);
+            }}
+            placeholder="Nueva subtarea..."
+            maxLength={255}
+            disabled={disabled || pendingId === 'new'}
+            autoFocus
+            className="flex-1 rounded-lg border border-gray-300 px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <button
+            type="submit"
+            disabled={disabled || pendingId === 'new' || !newTitle.trim()}
+            className="rounded-lg bg-indigo-600 px-3 py-1 text-sm text-white transition-colors hover:bg-indigo-700 disabled:bg-gray-400"
+          >
+            Agregar
+          </button>
+        </form>
+      ) : (
+        <button
+          onClick={() => setShowInput(true)}
+          disabled={disabled}
+          className="text-xs font-semibold text-indigo-500 hover:text-indigo-700"
+        >
+          + Agregar subtarea
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,201 @@
+/**
+ * Componente TagInput - Selector de Etiquetas con Autocompletado
+ *
+ * Funcionalidad:
+ * - Muestra las etiquetas seleccionadas como chips que se pueden quitar
+ * - Sugiere etiquetas existentes mientras se escribe
+ * - Enter selecciona la sugerencia resaltada o crea una etiqueta nueva
+ * - Backspace con el input vacío quita la última etiqueta
+ *
+ * Props:
+ * - value: Etiquetas seleccionadas (arreglo de objetos { id, name, color })
+ * - onChange: Recibe el nuevo arreglo de etiquetas seleccionadas
+ * - disabled: Deshabilita el input
+ * - inputId: ID del input (para asociarlo a un label)
+ */
+
+import React, { useState } from 'react';
+import { useTagStore } from '../store/tagStore';
+import { tagChipStyle } from '../utils/tags';
+
+// Cantidad máxima de sugerencias visibles
+const MAX_SUGGESTIONS = 6;
+
+const TagInput = ({ value = [], onChange, disabled = false, inputId }) => {
+  // Estado local del componente
+  const [query, setQuery] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  // Estado del store de etiquetas
+  const { tags, findOrCreateTag } = useTagStore();
+
+  const selectedIds = new Set(value.map(tag => tag.id));
+  const term = query.trim().toLowerCase();
+  const suggestions = tags
+    .filter(tag => !selectedIds.has(tag.id) && tag.name.toLowerCase().includes(term))
+    .slice(0, MAX_SUGGESTIONS);
+  const exactMatch = tags.some(tag => tag.name.toLowerCase() === term);
+
+  /**
+   * Agregar una etiqueta a la selección
+   * @param {Object} tag - Etiqueta a agregar
+   */
+  const addTag = (tag) => {
+    if (!selectedIds.has(tag.id)) {
+      onChange([...value, tag]);
+    }
+    setQuery('');
+    setHighlighted(0);
+  };
+
+  /**
+   * Quitar una etiqueta de la selección
+   * @param {string} id - ID de la etiqueta
+   */
+  const removeTag = (id) => {
+    onChange(value.filter(tag => tag.id !== id));
+  };
+
+  /**
+   * Agregar la etiqueta escrita, creándola si todavía no existe
+   */
+  const createFromQuery = async () => {
+    if (!term) return;
+
+    try {
+      setCreating(true);
+      addTag(await findOrCreateTag(query));
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  /**
+   * Seleccionar la sugerencia resaltada o, si no hay ninguna, crear la etiqueta escrita
+   */
+  const commitQuery = () => {
+    if (suggestions[highlighted]) {
+      addTag(suggestions[highlighted]);
+    } else {
+      createFromQuery();
+    }
+  };
+
+  /**
+   * Maneja la navegación con teclado dentro del input
+   * @param {KeyboardEvent} e - Evento de teclado
+   */
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'Enter':
+        // Evitar que Enter envíe el formulario que contiene el input
+        e.preventDefault();
+        commitQuery();
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        setHighlighted(index => Math.min(index + 1, Math.max(suggestions.length - 1, 0)));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setHighlighted(index => Math.max(index - 1, 0));
+        break;
+      case 'Backspace':
+        if (!query && value.length > 0) {
+          removeTag(value[value.length - 1].id);
+        }
+        break;
+      case 'Escape':
+        setOpen(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex min-h-[44px] flex-wrap items-center gap-1.5 rounded-xl border border-gray-200/80 bg-white/80 px-3 py-2 shadow-inner focus-within:border-indigo-300 focus-within:ring-4 focus-within:ring-indigo-100">
+        {value.map((tag) => (
+          <span
+            key={tag.id}
+            className="inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-semibold"
+            style={tagChipStyle(tag)}
+          >
+            #{tag.name}
+            <button
+              type="button"
+              onClick={() => removeTag(tag.id)}
+              disabled={disabled}
+              className="opacity-60 hover:opacity-100"
+              title={`Quitar etiqueta ${tag.name}`}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <input
+          id={inputId}
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setHighlighted(0);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          placeholder={value.length === 0 ? 'Agregar etiquetas...' : ''}
+          maxLength={30}
+          disabled={disabled || creating}
+          className="min-w-[8rem] flex-1 bg-transparent text-sm text-gray-800 focus:outline-none"
+        />
+      </div>
+
+      {/* Sugerencias */}
+      {open && term && (suggestions.length > 0 || !exactMatch) && (
+        <ul className="absolute z-20 mt-1 w-full overflow-hidden rounded-xl border border-gray-100 bg-white py-1 shadow-lg">
+          {suggestions.map((tag, index) => (
+            <li key={tag.id}>
+              <button
+                type="button"
+                // onMouseDown para seleccionar antes de que el blur cierre la lista
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(tag);
+                }}
+                className={`flex w-full items-center justify-between px-3 py-1.5 text-left text-sm ${
+                  index === highlighted ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700'
+                }`}
+              >
+                <span>#{tag.name}</span>
+                <span className="text-xs text-gray-400">{tag.todo_count}</span>
+              </button>
+            </li>
+          ))}
+          {!exactMatch && (
+            <li>
+              <button
+                type="button"
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  createFromQuery();
+                }}
+                className="w-full px-3 py-1.5 text-left text-sm font-semibold text-indigo-600 hover:bg-indigo-50"
+              >
+                + Crear etiqueta "{query.trim()}"
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
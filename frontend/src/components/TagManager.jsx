@@ -0,0 +1,220 @@
+/**
+ * Componente TagManager - Gestión de Etiquetas
+ *
+ * Funcionalidad:
+ * - Muestra las etiquetas del usuario con su número de tareas
+ * - Renombrar una etiqueta en línea
+ * - Cambiar el color de una etiqueta
+ * - Eliminar una etiqueta (se quita de todas las tareas) con confirmación
+ *
+ * Las etiquetas se crean desde el selector de etiquetas de las tareas (TagInput).
+ *
+ * Estado:
+ * - editingTagId / editName: Etiqueta que se está renombrando
+ * - colorTagId: Etiqueta cuya paleta de colores está abierta
+ * - tagToDelete: Etiqueta pendiente de confirmar su eliminación
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useTagStore } from '../store/tagStore';
+import { useTodoStore } from '../store/todoStore';
+import { TAG_COLORS, tagChipStyle } from '../utils/tags';
+
+const TagManager = () => {
+  // Estado local del componente
+  const [editingTagId, setEditingTagId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [colorTagId, setColorTagId] = useState(null);
+  const [tagToDelete, setTagToDelete] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  // Estado de los stores
+  const { tags, fetchTags, updateTag, deleteTag } = useTagStore();
+  const todos = useTodoStore(state => state.todos);
+
+  // Clave que cambia solo cuando cambian las etiquetas asignadas a las tareas
+  const tagUsageKey = todos
+    .map(todo => (todo.tags || []).map(tag => tag.id).join(','))
+    .join('|');
+
+  /**
+   * Cargar etiquetas al montar y refrescar los contadores cuando cambian sus asignaciones
+   */
+  useEffect(() => {
+    fetchTags().catch(() => {
+      // El error queda registrado en el store
+    });
+  }, [fetchTags, tagUsageKey]);
+
+  /**
+   * Ejecutar una acción sobre una etiqueta mostrando el estado de carga
+   * @param {Function} action - Acción asíncrona a ejecutar
+   */
+  const runAction = async (action) => {
+    try {
+      setActionLoading(true);
+      await action();
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  /**
+   * Maneja el guardado del nuevo nombre de una etiqueta
+   * @param {Object} tag - Etiqueta a renombrar
+   */
+  const handleRename = (tag) => {
+    if (!editName.trim() || editName.trim() === tag.name) {
+      setEditingTagId(null);
+      return;
+    }
+
+    runAction(async () => {
+      await updateTag(tag.id, { name: editName.trim() });
+      setEditingTagId(null);
+    });
+  };
+
+  /**
+   * Maneja el cambio de color de una etiqueta
+   * @param {string} id - ID de la etiqueta
+   * @param {string} color - Nuevo color (#RRGGBB)
+   */
+  const handleColorChange = (id, color) => {
+    runAction(async () => {
+      await updateTag(id, { color });
+      setColorTagId(null);
+    });
+  };
+
+  /**
+   * Maneja la eliminación confirmada de una etiqueta
+   */
+  const handleDelete = () => {
+    runAction(async () => {
+      await deleteTag(tagToDelete.id);
+      setTagToDelete(null);
+    });
+  };
+
+  return (
+    <aside className="card-surface p-5 space-y-4 h-fit">
+      <div>
+        <h2 className="text-lg font-bold text-gray-900">Etiquetas</h2>
+        <p className="text-sm text-gray-500">
+          {tags.length === 0
+            ? 'Crea etiquetas al agregar o editar una tarea.'
+            : 'Renombra, cambia el color o elimina tus etiquetas.'}
+        </p>
+      </div>
+
+      {tags.length > 0 && (
+        <ul className="space-y-1">
+          {tags.map((tag) => (
+            <li key={tag.id} className="group">
+              {editingTagId === tag.id ? (
+                <input
+                  type="text"
+                  value={editName}
+                  onChange={(e) => setEditName(e.target.value)}
+                  onBlur={() => handleRename(tag)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleRename(tag);
+                    if (e.key === 'Escape') setEditingTagId(null);
+                  }}
+                  maxLength={30}
+                  disabled={actionLoading}
+                  autoFocus
+                  className="w-full rounded-xl border border-indigo-200 px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                />
+              ) : (
+                <div className="flex items-center justify-between gap-2 rounded-xl px-2 py-1.5 hover:bg-indigo-50">
+                  <button
+                    onClick={() => setColorTagId(colorTagId === tag.id ? null : tag.id)}
+                    className="truncate rounded-full border px-2 py-0.5 text-xs font-semibold"
+                    style={tagChipStyle(tag)}
+                    title="Cambiar color"
+                  >
+                    #{tag.name}
+                  </button>
+                  <span className="flex items-center gap-1">
+                    <span className="text-xs text-gray-400 group-hover:hidden">{tag.todo_count}</span>
+                    <button
+                      onClick={() => {
+                        setEditingTagId(tag.id);
+                        setEditName(tag.name);
+                      }}
+                      className="hidden rounded-full px-1.5 text-xs group-hover:inline"
+                      title="Renombrar etiqueta"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      onClick={() => setTagToDelete(tag)}
+                      className="hidden rounded-full px-1.5 text-xs group-hover:inline"
+                      title="Eliminar etiqueta"
+                    >
+                      🗑️
+                    </button>
+                  </span>
+                </div>
+              )}
+
+              {/* Paleta de colores de la etiqueta */}
+              {colorTagId === tag.id && editingTagId !== tag.id && (
+                <div className="flex gap-1.5 px-2 py-1.5">
+                  {TAG_COLORS.map((color) => (
+                    <button
+                      key={color}
+                      onClick={() => handleColorChange(tag.id, color)}
+                      disabled={actionLoading}
+                      className={`h-4 w-4 rounded-full transition-transform ${
+                        tag.color === color ? 'scale-110 ring-2 ring-offset-1 ring-indigo-300' : ''
+                      }`}
+                      style={{ backgroundColor: color }}
+                      title={`Color ${color}`}
+                    ></button>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Modal de confirmación de eliminación */}
+      {tagToDelete && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 transform transition-all animate-fade-in">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2">
+              Eliminar etiqueta
+            </h3>
+            <p className="text-gray-600 mb-4">
+              ¿Seguro que quieres eliminar la etiqueta "{tagToDelete.name}"? Se quitará de {tagToDelete.todo_count} tarea(s), pero las tareas no se eliminan.
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                onClick={() => setTagToDelete(null)}
+                disabled={actionLoading}
+                className="px-4 py-2 bg-gray-500 hover:bg-gray-600 disabled:bg-gray-400 text-white rounded transition-colors"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={handleDelete}
+                disabled={actionLoading}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white rounded transition-colors"
+              >
+                {actionLoading ? 'Eliminando...' : 'Eliminar'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default TagManager;
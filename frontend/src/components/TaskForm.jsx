@@ -4,30 +4,60 @@
  * Funcionalidad:
  * - Input para ingresar el título de la tarea
  * - Input opcional para descripción
+ * - Selectores opcionales de fecha límite y recordatorio
+ * - Selector de prioridad (alta, media, baja)
+ * - Etiquetas con autocompletado (crea las que no existen)
+ * - Editor de repetición (tareas recurrentes)
  * - Botón para agregar la tarea
  * - Estado de carga durante la creación
  * - Manejo de errores
  * - Validación de formulario
- * - Limpia el formulario después de agregar
+ * - Errores de validación del servidor ({ error, field }) junto al campo afectado
+ * - Limpia el formulario al agregar (la tarea aparece al instante) y lo
+ *   restaura si el servidor rechaza la tarea
+ * - En una lista compartida donde el usuario es lector, no permite agregar tareas
  * 
  * Estado:
  * - taskTitle: Almacena el título de la tarea mientras se escribe
  * - taskDescription: Almacena la descripción de la tarea
- * - loading: Estado de carga durante la creación
+ * - dueAt / remindAt: Fecha límite y recordatorio (valor de input datetime-local)
+ * - priority: Prioridad de la tarea
+ * - selectedTags: Etiquetas asignadas a la tarea
+ * - recurrence: Regla de repetición RRULE (null = no se repite)
  * - error: Mensaje de error si falla la creación
+ * - fieldErrors: Errores del servidor por campo ({ title: '...' })
  */
 
 import React, { useState } from 'react';
 import { useTodoStore } from '../store/todoStore';
+import { useListStore } from '../store/listStore';
+import { fromDateTimeLocal } from '../utils/dueDate';
+import { PRIORITIES, PRIORITY_OPTIONS, DEFAULT_PRIORITY } from '../utils/priority';
+import TagInput from './TagInput';
+import RecurrenceEditor from './RecurrenceEditor';
+import FieldError from './FieldError';
+import { TITLE_MAX_LENGTH, DESCRIPTION_MAX_LENGTH, toFieldErrors } from '../utils/taskFields';
+
+// Campos del formulario que pueden mostrar un error del servidor
+const FORM_FIELDS = ['title', 'description', 'priority', 'due_at', 'remind_at', 'tag_ids', 'recurrence'];
 
 const TaskForm = () => {
   // Estado local del componente
   const [taskTitle, setTaskTitle] = useState('');
   const [taskDescription, setTaskDescription] = useState('');
+  const [dueAt, setDueAt] = useState('');
+  const [remindAt, setRemindAt] = useState('');
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [recurrence, setRecurrence] = useState(null);
   const [localError, setLocalError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
 
   // Estado del store de tareas
-  const { loading, error, createTodo, clearError } = useTodoStore();
+  const { error, createTodo, clearError, activeListId } = useTodoStore();
+
+  // Los lectores de una lista compartida no pueden agregarle tareas
+  const canEdit = useListStore(state => state.canEditList(activeListId));
 
   /**
    * Maneja el envío del formulario
@@ -38,6 +68,7 @@ const TaskForm = () => {
     
     // Limpiar errores previos
     setLocalError('');
+    setFieldErrors({});
     clearError();
 
     // Validar datos de entrada
@@ -46,32 +77,67 @@ const TaskForm = () => {
       return;
     }
 
-    if (taskTitle.trim().length > 100) {
-      setLocalError('El título no puede tener más de 100 caracteres');
+    if (taskTitle.trim().length > TITLE_MAX_LENGTH) {
+      setLocalError(`El título no puede tener más de ${TITLE_MAX_LENGTH} caracteres`);
       return;
     }
 
-    if (taskDescription.trim().length > 500) {
-      setLocalError('La descripción no puede tener más de 500 caracteres');
+    if (taskDescription.trim().length > DESCRIPTION_MAX_LENGTH) {
+      setLocalError(`La descripción no puede tener más de ${DESCRIPTION_MAX_LENGTH} caracteres`);
       return;
     }
 
+    if (dueAt && remindAt && new Date(remindAt) > new Date(dueAt)) {
+      setLocalError('El recordatorio no puede ser posterior a la fecha límite');
+      return;
+    }
+
+    // Limpiar el formulario de inmediato: la tarea se muestra en la lista sin esperar al servidor
+    const values = { taskTitle, taskDescription, dueAt, remindAt, priority, selectedTags, recurrence };
+    setTaskTitle('');
+    setTaskDescription('');
+    setDueAt('');
+    setRemindAt('');
+    setPriority(DEFAULT_PRIORITY);
+    setSelectedTags([]);
+    setRecurrence(null);
+
     try {
       // Crear la tarea usando el store
-      await createTodo(taskTitle.trim(), taskDescription.trim());
-      
-      // Limpiar el formulario después de crear exitosamente
-      setTaskTitle('');
-      setTaskDescription('');
+      await createTodo(values.taskTitle.trim(), values.taskDescription.trim(), {
+        due_at: fromDateTimeLocal(values.dueAt),
+        remind_at: fromDateTimeLocal(values.remindAt),
+        priority: values.priority,
+        tag_ids: values.selectedTags.map(tag => tag.id),
+        recurrence: values.recurrence
+      });
     } catch (error) {
-      // El error ya se maneja en el store, solo necesitamos limpiar el formulario
-      // si es un error de validación local
-      if (error.message.includes('Error al crear tarea')) {
-        // El error se mostrará desde el store
-      }
+      // El error ya se maneja en el store; se restauran los datos para corregirlos
+      // y, si el servidor indica el campo que falló, se muestra junto a ese campo
+      setTaskTitle(values.taskTitle);
+      setTaskDescription(values.taskDescription);
+      setDueAt(values.dueAt);
+      setRemindAt(values.remindAt);
+      setPriority(values.priority);
+      setSelectedTags(values.selectedTags);
+      setRecurrence(values.recurrence);
+      setFieldErrors(toFieldErrors(error, FORM_FIELDS));
     }
   };
 
+  /**
+   * Quitar el error de un campo cuando el usuario lo modifica
+   * @param {string} field - Campo modificado
+   */
+  const clearFieldError = (field) => {
+    if (fieldErrors[field]) {
+      setFieldErrors((prev) => ({ ...prev, [field]: null }));
+    }
+  };
+
+  // Los errores de campo se muestran junto al campo, no en el aviso general
+  const generalError = localError || (Object.keys(fieldErrors).length > 0 ? null : error);
+
   /**
    * Maneja el cambio en el input de título
    * @param {Event} e - Evento del input
@@ -80,6 +146,7 @@ const TaskForm = () => {
     setTaskTitle(e.target.value);
     // Limpiar error local cuando el usuario empiece a escribir
     if (localError) setLocalError('');
+    clearFieldError('title');
   };
 
   /**
@@ -88,10 +155,22 @@ const TaskForm = () => {
    */
   const handleDescriptionChange = (e) => {
     setTaskDescription(e.target.value);
+    clearFieldError('description');
   };
 
   // Determinar si el formulario está deshabilitado
-  const isFormDisabled = loading || !taskTitle.trim();
+  const isFormDisabled = !taskTitle.trim();
+
+  if (!canEdit) {
+    return (
+      <div className="card-surface p-6 md:p-8 space-y-2">
+        <h2 className="text-2xl font-bold text-gray-900">Agregar Nueva Tarea</h2>
+        <p className="text-gray-500">
+          👀 Eres lector en esta lista compartida: puedes ver sus tareas, pero no agregarlas ni modificarlas.
+        </p>
+      </div>
+    );
+  }
 
   return (
     // Tarjeta blanca con sombra para el formulario
@@ -102,9 +181,9 @@ const TaskForm = () => {
       </div>
       
       {/* Mostrar errores */}
-      {(localError || error) && (
+      {generalError && (
         <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
-          {localError || error}
+          {generalError}
         </div>
       )}
 
@@ -121,12 +200,13 @@ const TaskForm = () => {
             placeholder="Ingresa el título de la tarea..."
             value={taskTitle}
             onChange={handleTitleChange}
-            disabled={loading}
-            maxLength={100}
-            className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed"
+            maxLength={TITLE_MAX_LENGTH}
+            aria-invalid={Boolean(fieldErrors.title)}
+            className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed aria-[invalid=true]:border-red-400"
           />
+          <FieldError message={fieldErrors.title} />
           <div className="text-xs text-gray-500 mt-1">
-            {taskTitle.length}/100 caracteres
+            {taskTitle.length}/{TITLE_MAX_LENGTH} caracteres
           </div>
         </div>
 
@@ -140,13 +220,104 @@ const TaskForm = () => {
             placeholder="Agrega una descripción detallada..."
             value={taskDescription}
             onChange={handleDescriptionChange}
-            disabled={loading}
-            maxLength={500}
+            maxLength={DESCRIPTION_MAX_LENGTH}
             rows={3}
-            className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed resize-none"
+            aria-invalid={Boolean(fieldErrors.description)}
+            className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed resize-none aria-[invalid=true]:border-red-400"
           />
+          <FieldError message={fieldErrors.description} />
           <div className="text-xs text-gray-500 mt-1">
-            {taskDescription.length}/500 caracteres
+            {taskDescription.length}/{DESCRIPTION_MAX_LENGTH} caracteres
+          </div>
+        </div>
+
+        {/* Prioridad, fecha límite y recordatorio (opcionales) */}
+        <div className="grid gap-4 sm:grid-cols-3">
+          <div>
+            <label htmlFor="task-priority" className="block text-sm font-semibold text-gray-700 mb-2">
+              Prioridad
+            </label>
+            <select
+              id="task-priority"
+              value={priority}
+              onChange={(e) => {
+                setPriority(e.target.value);
+                clearFieldError('priority');
+              }}
+                className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed"
+            >
+              {PRIORITY_OPTIONS.map((option) => (
+                <option key={option} value={option}>
+                  {PRIORITIES[option].label}
+                </option>
+              ))}
+            </select>
+            <FieldError message={fieldErrors.priority} />
+          </div>
+          <div>
+            <label htmlFor="task-due-at" className="block text-sm font-semibold text-gray-700 mb-2">
+              Fecha límite (opcional)
+            </label>
+            <input
+              id="task-due-at"
+              type="datetime-local"
+              value={dueAt}
+              onChange={(e) => {
+                setDueAt(e.target.value);
+                clearFieldError('due_at');
+              }}
+                className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed"
+            />
+            <FieldError message={fieldErrors.due_at} />
+          </div>
+          <div>
+            <label htmlFor="task-remind-at" className="block text-sm font-semibold text-gray-700 mb-2">
+              Recordatorio (opcional)
+            </label>
+            <input
+              id="task-remind-at"
+              type="datetime-local"
+              value={remindAt}
+              onChange={(e) => {
+                setRemindAt(e.target.value);
+                clearFieldError('remind_at');
+              }}
+              max={dueAt || undefined}
+                className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 text-gray-800 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100 disabled:bg-gray-100/80 disabled:cursor-not-allowed"
+            />
+            <FieldError message={fieldErrors.remind_at} />
+          </div>
+        </div>
+
+        {/* Etiquetas y repetición (opcionales) */}
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div>
+            <label htmlFor="task-tags" className="block text-sm font-semibold text-gray-700 mb-2">
+              Etiquetas (opcional)
+            </label>
+            <TagInput
+              inputId="task-tags"
+              value={selectedTags}
+              onChange={(tags) => {
+                setSelectedTags(tags);
+                clearFieldError('tag_ids');
+              }}
+              />
+            <FieldError message={fieldErrors.tag_ids} />
+          </div>
+          <div>
+            <label htmlFor="task-recurrence" className="block text-sm font-semibold text-gray-700 mb-2">
+              Repetir
+            </label>
+            <RecurrenceEditor
+              inputId="task-recurrence"
+              value={recurrence}
+              onChange={(rule) => {
+                setRecurrence(rule);
+                clearFieldError('recurrence');
+              }}
+              />
+            <FieldError message={fieldErrors.recurrence} />
           </div>
         </div>
         
@@ -157,10 +328,7 @@ const TaskForm = () => {
             disabled={isFormDisabled}
             className="inline-flex items-center gap-2 rounded-xl bg-indigo-600 px-6 py-2.5 font-semibold text-white shadow-lg shadow-indigo-300/30 transition-all duration-200 hover:-translate-y-0.5 hover:bg-indigo-700 focus:outline-none focus:ring-4 focus:ring-indigo-200 disabled:translate-y-0 disabled:bg-gray-400 disabled:shadow-none disabled:cursor-not-allowed"
           >
-            {loading && (
-              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-            )}
-            {loading ? 'Creando...' : 'Agregar Tarea'}
+            Agregar Tarea
           </button>
         </div>
       </form>
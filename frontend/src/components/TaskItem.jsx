@@ -4,47 +4,152 @@
  * Funcionalidad:
  * - Muestra una tarea con su título, descripción y estado
  * - Checkbox para marcar como completada/pendiente
- * - Botón para eliminar la tarea con confirmación
+ * - Botón para eliminar la tarea (se puede deshacer desde el aviso o con Ctrl+Z)
  * - Botón para editar la tarea
+ * - Botón para archivar la tarea cuando está completada
  * - Estilo tachado para tareas completadas
  * - Estado de carga para acciones
  * - Manejo de errores
  * - Fecha de creación y actualización
+ * - Fecha límite y recordatorio, con insignias de vencida / hoy / próxima
+ * - Insignia de prioridad y selector de prioridad en modo edición
+ * - Selector de lista en modo edición para mover la tarea a otra lista
+ * - Persona asignada y selector por email (entre los miembros de la lista) en
+ *   modo edición; el asignado puede completar la tarea aunque sea lector
+ * - Checklist de subtareas con progreso; al completar la tarea se puede
+ *   elegir completar también las subtareas pendientes
+ * - Conversación desplegable con los comentarios de la tarea
+ * - Vista ampliada con el historial de actividad (quién cambió qué y cuándo)
+ * - Etiquetas como chips y selector de etiquetas en modo edición
+ * - Resumen de la repetición (tareas recurrentes) y editor en modo edición
+ * - Coincidencias de la búsqueda resaltadas en el título y la descripción
+ * - Errores de validación del servidor ({ error, field }) junto al campo editado
+ * - Acciones deshabilitadas mientras la tarea se está creando (ID temporal)
+ *   o si el usuario es lector de la lista compartida a la que pertenece
  * 
  * Props:
- * - task: Objeto con { id, title, description, completed, created_at, updated_at }
+ * - task: Objeto con { id, title, description, completed, priority, due_at, remind_at, recurrence, assignee_id, subtasks, tags, created_at, updated_at }
+ * - highlight: Fragmentos resaltados de la búsqueda { title, description } (opcional)
  */
 
 import React, { useState } from 'react';
 import { useTodoStore } from '../store/todoStore';
+import { useListStore } from '../store/listStore';
+import { useAuthStore } from '../store/authStore';
+import SubtaskList from './SubtaskList';
+import CommentThread from './CommentThread';
+import ActivityTimeline from './ActivityTimeline';
+import TagInput from './TagInput';
+import RecurrenceEditor from './RecurrenceEditor';
+import HighlightedText from './HighlightedText';
+import FieldError from './FieldError';
+import { getDueStatus, toDateTimeLocal, fromDateTimeLocal } from '../utils/dueDate';
+import { PRIORITIES, PRIORITY_OPTIONS, DEFAULT_PRIORITY } from '../utils/priority';
+import { tagChipStyle } from '../utils/tags';
+import { describeRecurrence } from '../utils/recurrence';
+import { stripHighlight } from '../utils/search';
+import { isTempId } from '../utils/optimistic';
+import { isLocalId } from '../utils/offline';
+import { TITLE_MAX_LENGTH, DESCRIPTION_MAX_LENGTH, toFieldErrors } from '../utils/taskFields';
 import toast from 'react-hot-toast';
 
-const TaskItem = ({ task }) => {
+// Estilos y textos de las insignias según el estado de la fecha límite
+const DUE_BADGES = {
+  overdue: { label: 'Vencida', className: 'bg-red-100 text-red-700 border-red-200' },
+  today: { label: 'Hoy', className: 'bg-amber-100 text-amber-700 border-amber-200' },
+  upcoming: { label: 'Próxima', className: 'bg-sky-100 text-sky-700 border-sky-200' }
+};
+
+/**
+ * Verificar que un fragmento resaltado corresponde al texto actual
+ * (la tarea pudo editarse después de la búsqueda)
+ */
+const matchesText = (fragment, text) =>
+  Boolean(fragment && text) &&
+  stripHighlight(fragment).split(' … ').every(part => text.includes(part.trim()));
+
+// Campos del modo edición que pueden mostrar un error del servidor
+const EDIT_FIELDS = ['title', 'description', 'list_id', 'assignee_id', 'priority', 'due_at', 'remind_at', 'tag_ids', 'recurrence'];
+
+const TaskItem = ({ task, highlight = null }) => {
   // Estado local del componente
   const [isEditing, setIsEditing] = useState(false);
+  const [isExpanded, setIsExpanded] = useState(false);
   const [editTitle, setEditTitle] = useState(task.title);
   const [editDescription, setEditDescription] = useState(task.description || '');
-  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [editDueAt, setEditDueAt] = useState(toDateTimeLocal(task.due_at));
+  const [editRemindAt, setEditRemindAt] = useState(toDateTimeLocal(task.remind_at));
+  const [editPriority, setEditPriority] = useState(task.priority || DEFAULT_PRIORITY);
+  const [editListId, setEditListId] = useState(task.list_id || '');
+  const [editTags, setEditTags] = useState(task.tags || []);
+  const [editRecurrence, setEditRecurrence] = useState(task.recurrence || null);
+  const [editAssigneeEmail, setEditAssigneeEmail] = useState('');
+  const [showSubtaskPrompt, setShowSubtaskPrompt] = useState(false);
   const [actionLoading, setActionLoading] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
 
   // Estado del store de tareas
-  const { toggleTodo, updateTodo, deleteTodo } = useTodoStore();
+  const { toggleTodo, updateTodo, deleteTodo, archiveTodos } = useTodoStore();
+  const lists = useListStore(state => state.lists);
+  const canEditList = useListStore(state => state.canEditList);
+  const getCollaborators = useListStore(state => state.getCollaborators);
+  const userId = useAuthStore(state => state.user?.id);
+
+  // Al editar solo se cambian las etiquetas propias: las de otros colaboradores se conservan
+  const getOwnTags = (tags) => (tags || []).filter(tag => !tag.user_id || tag.user_id === userId);
+
+  // La tarea aún no existe en el servidor: no se puede editar ni eliminar todavía
+  const isSaving = isTempId(task.id);
+  // Los lectores de una lista compartida solo ven sus tareas
+  const isReadOnly = !canEditList(task.list_id ?? null);
+  const actionsDisabled = actionLoading || isSaving || isReadOnly;
+  // Quien tiene asignada la tarea puede completarla o reabrirla aunque sea lector
+  const isAssignedToMe = Boolean(userId) && task.assignee_id === userId;
+  const toggleDisabled = actionLoading || isSaving || (isReadOnly && !isAssignedToMe);
+
+  // Listas a las que se puede mover la tarea (donde el usuario es editor u owner)
+  const editableLists = lists.filter(list => canEditList(list.id));
+
+  // Persona asignada (se busca entre los miembros de todas las listas)
+  const assignee = task.assignee_id
+    ? getCollaborators(null).find(member => member.user_id === task.assignee_id)
+    : null;
+  // Personas a las que se puede asignar la tarea en la lista elegida al editar
+  const assigneeOptions = getCollaborators(editListId || null);
+
+  // Subtareas que siguen pendientes
+  const pendingSubtasks = (task.subtasks || []).filter(subtask => !subtask.completed);
 
   /**
-   * Maneja el cambio de estado de la tarea (completada/pendiente)
+   * Cambia el estado de la tarea (completada/pendiente)
+   * @param {boolean} completeSubtasks - Completar también las subtareas pendientes
    */
-  const handleToggle = async () => {
+  const performToggle = async (completeSubtasks = false) => {
     try {
       setActionLoading(true);
-      await toggleTodo(task.id, !task.completed);
+      setShowSubtaskPrompt(false);
+      await toggleTodo(task.id, !task.completed, { completeSubtasks });
       // Toast notification is handled in the store
-    } catch (error) {
+    } catch {
       // El error ya se maneja en el store con toast
     } finally {
       setActionLoading(false);
     }
   };
 
+  /**
+   * Maneja el clic en el checkbox de la tarea
+   * Si se va a completar y tiene subtareas pendientes, pregunta qué hacer con ellas
+   */
+  const handleToggle = () => {
+    // Completar las subtareas requiere poder editar la tarea
+    if (!task.completed && pendingSubtasks.length > 0 && !isReadOnly) {
+      setShowSubtaskPrompt(true);
+      return;
+    }
+    performToggle();
+  };
+
   /**
    * Maneja la eliminación de la tarea
    */
@@ -52,8 +157,7 @@ const TaskItem = ({ task }) => {
     try {
       setActionLoading(true);
       await deleteTodo(task.id);
-      setShowDeleteConfirm(false);
-      // Toast notification is handled in the store
+      // Toast notification (con el botón Deshacer) is handled in the store
     } catch (error) {
       // El error ya se maneja en el store con toast
     } finally {
@@ -61,12 +165,34 @@ const TaskItem = ({ task }) => {
     }
   };
 
+  /**
+   * Maneja el archivado de la tarea (se puede deshacer desde el aviso)
+   */
+  const handleArchive = async () => {
+    try {
+      setActionLoading(true);
+      await archiveTodos([task.id]);
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   /**
    * Maneja el inicio de la edición
    */
   const handleStartEdit = () => {
     setEditTitle(task.title);
     setEditDescription(task.description || '');
+    setEditDueAt(toDateTimeLocal(task.due_at));
+    setEditRemindAt(toDateTimeLocal(task.remind_at));
+    setEditPriority(task.priority || DEFAULT_PRIORITY);
+    setEditListId(task.list_id || '');
+    setEditTags(getOwnTags(task.tags));
+    setEditRecurrence(task.recurrence || null);
+    setEditAssigneeEmail(assignee?.email || '');
+    setFieldErrors({});
     setIsEditing(true);
   };
 
@@ -76,15 +202,37 @@ const TaskItem = ({ task }) => {
   const handleCancelEdit = () => {
     setEditTitle(task.title);
     setEditDescription(task.description || '');
+    setEditDueAt(toDateTimeLocal(task.due_at));
+    setEditRemindAt(toDateTimeLocal(task.remind_at));
+    setEditPriority(task.priority || DEFAULT_PRIORITY);
+    setEditListId(task.list_id || '');
+    setEditTags(getOwnTags(task.tags));
+    setEditRecurrence(task.recurrence || null);
+    setEditAssigneeEmail(assignee?.email || '');
+    setFieldErrors({});
     setIsEditing(false);
   };
 
+  /**
+   * Actualizar un campo en edición y quitar su error del servidor
+   * @param {Function} setter - Setter del estado del campo
+   * @param {string} field - Campo de la API asociado
+   * @returns {Function} Recibe el nuevo valor
+   */
+  const editField = (setter, field) => (value) => {
+    setter(value);
+    if (fieldErrors[field]) {
+      setFieldErrors((prev) => ({ ...prev, [field]: null }));
+    }
+  };
+
   /**
    * Maneja el guardado de la edición
    */
   const handleSaveEdit = async () => {
     try {
       setActionLoading(true);
+      setFieldErrors({});
       
       // Validar datos
       if (!editTitle.trim()) {
@@ -92,15 +240,51 @@ const TaskItem = ({ task }) => {
         return;
       }
 
-      await updateTodo(task.id, {
+      if (editDueAt && editRemindAt && new Date(editRemindAt) > new Date(editDueAt)) {
+        toast.error('El recordatorio no puede ser posterior a la fecha límite');
+        return;
+      }
+
+      // Traducir el email elegido al ID del miembro asignado
+      const assigneeEmail = editAssigneeEmail.trim().toLowerCase();
+      const assigneeId = assigneeEmail
+        ? assigneeOptions.find(member => member.email.toLowerCase() === assigneeEmail)?.user_id
+        : null;
+      if (assigneeId === undefined) {
+        setFieldErrors({ assignee_id: 'Solo puedes asignar la tarea a miembros de la lista' });
+        return;
+      }
+
+      const updates = {
         title: editTitle.trim(),
-        description: editDescription.trim()
-      });
+        description: editDescription.trim(),
+        due_at: fromDateTimeLocal(editDueAt),
+        remind_at: fromDateTimeLocal(editRemindAt),
+        priority: editPriority,
+        list_id: editListId || null,
+        recurrence: editRecurrence
+      };
+
+      // Solo enviar la asignación si cambió (o la tarea cambia de lista)
+      if (assigneeId !== (task.assignee_id ?? null) || updates.list_id !== (task.list_id ?? null)) {
+        updates.assignee_id = assigneeId;
+      }
+
+      // Solo reemplazar las etiquetas si cambiaron
+      const currentTagIds = getOwnTags(task.tags).map(tag => tag.id).sort().join();
+      const editTagIds = editTags.map(tag => tag.id);
+      if ([...editTagIds].sort().join() !== currentTagIds) {
+        updates.tag_ids = editTagIds;
+      }
+
+      await updateTodo(task.id, updates);
       
       setIsEditing(false);
       // Toast notification is handled in the store
     } catch (error) {
-      // El error ya se maneja en el store con toast
+      // El error ya se maneja en el store con toast; si el servidor indica
+      // el campo que falló, se muestra también junto a ese campo
+      setFieldErrors(toFieldErrors(error, EDIT_FIELDS));
     } finally {
       setActionLoading(false);
     }
@@ -133,6 +317,11 @@ const TaskItem = ({ task }) => {
     return updatedDate.getTime() - createdDate.getTime() > 1000; // Más de 1 segundo de diferencia
   };
 
+  // Estado de la fecha límite para mostrar la insignia correspondiente
+  const dueStatus = getDueStatus(task);
+  const priorityConfig = PRIORITIES[task.priority] || PRIORITIES[DEFAULT_PRIORITY];
+  const recurrenceSummary = describeRecurrence(task.recurrence);
+
   return (
     <>
       {/* Contenedor principal de la tarea */}
@@ -141,7 +330,7 @@ const TaskItem = ({ task }) => {
           task.completed
             ? 'border-emerald-200/70 bg-emerald-50/80 text-emerald-800 shadow-md'
             : 'hover:-translate-y-0.5 hover:shadow-xl'
-        }`}
+        } ${isSaving ? 'opacity-70' : ''}`}
       >
         
         {/* Contenido principal */}
@@ -153,9 +342,9 @@ const TaskItem = ({ task }) => {
               type="checkbox"
               checked={task.completed}
               onChange={handleToggle}
-              disabled={actionLoading}
+              disabled={toggleDisabled}
               className={`mt-1 h-5 w-5 cursor-pointer rounded border border-gray-300 text-indigo-600 shadow-sm focus:ring-2 focus:ring-indigo-500 ${
-                actionLoading ? 'opacity-50 cursor-not-allowed' : ''
+                toggleDisabled ? 'opacity-50 cursor-not-allowed' : ''
               }`}
             />
             
@@ -167,30 +356,130 @@ const TaskItem = ({ task }) => {
                   <input
                     type="text"
                     value={editTitle}
-                    onChange={(e) => setEditTitle(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    onChange={(e) => editField(setEditTitle, 'title')(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 aria-[invalid=true]:border-red-400"
                     placeholder="Título de la tarea..."
-                    maxLength={100}
+                    maxLength={TITLE_MAX_LENGTH}
+                    aria-invalid={Boolean(fieldErrors.title)}
                   />
+                  <FieldError message={fieldErrors.title} />
                   <textarea
                     value={editDescription}
-                    onChange={(e) => setEditDescription(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 resize-none"
+                    onChange={(e) => editField(setEditDescription, 'description')(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 resize-none aria-[invalid=true]:border-red-400"
                     placeholder="Descripción (opcional)..."
                     rows={2}
-                    maxLength={500}
+                    maxLength={DESCRIPTION_MAX_LENGTH}
+                    aria-invalid={Boolean(fieldErrors.description)}
                   />
+                  <FieldError message={fieldErrors.description} />
+                  {editableLists.length > 0 && (
+                    <label className="block text-xs font-medium text-gray-500">
+                      Lista
+                      <select
+                        value={editListId}
+                        onChange={(e) => editField(setEditListId, 'list_id')(e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      >
+                        <option value="">Sin lista</option>
+                        {editableLists.map((list) => (
+                          <option key={list.id} value={list.id}>
+                            {list.name}
+                          </option>
+                        ))}
+                      </select>
+                      <FieldError message={fieldErrors.list_id} />
+                    </label>
+                  )}
+                  {assigneeOptions.length > 0 && (
+                    <label className="block text-xs font-medium text-gray-500">
+                      Asignada a
+                      <input
+                        type="email"
+                        list={`assignees-${task.id}`}
+                        value={editAssigneeEmail}
+                        onChange={(e) => editField(setEditAssigneeEmail, 'assignee_id')(e.target.value)}
+                        placeholder="Email de un miembro (vacío = sin asignar)"
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500 aria-[invalid=true]:border-red-400"
+                        aria-invalid={Boolean(fieldErrors.assignee_id)}
+                      />
+                      <datalist id={`assignees-${task.id}`}>
+                        {assigneeOptions.map((member) => (
+                          <option key={member.user_id} value={member.email} />
+                        ))}
+                      </datalist>
+                      <FieldError message={fieldErrors.assignee_id} />
+                    </label>
+                  )}
+                  <div className="grid gap-2 sm:grid-cols-3">
+                    <label className="text-xs font-medium text-gray-500">
+                      Prioridad
+                      <select
+                        value={editPriority}
+                        onChange={(e) => editField(setEditPriority, 'priority')(e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      >
+                        {PRIORITY_OPTIONS.map((option) => (
+                          <option key={option} value={option}>
+                            {PRIORITIES[option].label}
+                          </option>
+                        ))}
+                      </select>
+                      <FieldError message={fieldErrors.priority} />
+                    </label>
+                    <label className="text-xs font-medium text-gray-500">
+                      Fecha límite
+                      <input
+                        type="datetime-local"
+                        value={editDueAt}
+                        onChange={(e) => editField(setEditDueAt, 'due_at')(e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                      <FieldError message={fieldErrors.due_at} />
+                    </label>
+                    <label className="text-xs font-medium text-gray-500">
+                      Recordatorio
+                      <input
+                        type="datetime-local"
+                        value={editRemindAt}
+                        onChange={(e) => editField(setEditRemindAt, 'remind_at')(e.target.value)}
+                        max={editDueAt || undefined}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                      <FieldError message={fieldErrors.remind_at} />
+                    </label>
+                  </div>
+                  <div className="grid gap-2 sm:grid-cols-2">
+                    <div className="text-xs font-medium text-gray-500">
+                      <span className="mb-1 block">Etiquetas</span>
+                      <TagInput
+                        value={editTags}
+                        onChange={editField(setEditTags, 'tag_ids')}
+                        disabled={actionsDisabled}
+                      />
+                      <FieldError message={fieldErrors.tag_ids} />
+                    </div>
+                    <div className="text-xs font-medium text-gray-500">
+                      <span className="mb-1 block">Repetir</span>
+                      <RecurrenceEditor
+                        value={editRecurrence}
+                        onChange={editField(setEditRecurrence, 'recurrence')}
+                        disabled={actionsDisabled}
+                      />
+                      <FieldError message={fieldErrors.recurrence} />
+                    </div>
+                  </div>
                   <div className="flex gap-2">
                     <button
                       onClick={handleSaveEdit}
-                      disabled={actionLoading || !editTitle.trim()}
+                      disabled={actionsDisabled || !editTitle.trim()}
                       className="px-3 py-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white text-sm rounded transition-colors"
                     >
                       {actionLoading ? 'Guardando...' : 'Guardar'}
                     </button>
                     <button
                       onClick={handleCancelEdit}
-                      disabled={actionLoading}
+                      disabled={actionsDisabled}
                       className="px-3 py-1 bg-gray-500 hover:bg-gray-600 disabled:bg-gray-400 text-white text-sm rounded transition-colors"
                     >
                       Cancelar
@@ -200,14 +489,49 @@ const TaskItem = ({ task }) => {
               ) : (
                 /* Modo visualización */
                 <div>
-                  {/* Título de la tarea */}
-                  <h3 className={`text-lg font-semibold ${
-                    task.completed
-                      ? 'line-through text-emerald-600/70'
-                      : 'text-gray-900'
-                  }`}>
-                    {task.title}
-                  </h3>
+                  {/* Título de la tarea e insignias de prioridad y fecha límite */}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <h3 className={`text-lg font-semibold ${
+                      task.completed
+                        ? 'line-through text-emerald-600/70'
+                        : 'text-gray-900'
+                    }`}>
+                      {matchesText(highlight?.title, task.title)
+                        ? <HighlightedText text={highlight.title} />
+                        : task.title}
+                    </h3>
+                    <span className={`rounded-full border px-2 py-0.5 text-xs font-semibold ${priorityConfig.className}`}>
+                      {priorityConfig.label}
+                    </span>
+                    {dueStatus && (
+                      <span className={`rounded-full border px-2 py-0.5 text-xs font-semibold ${DUE_BADGES[dueStatus].className}`}>
+                        {DUE_BADGES[dueStatus].label}
+                      </span>
+                    )}
+                    {task.assignee_id && (
+                      <span
+                        className="rounded-full border border-violet-200 bg-violet-50 px-2 py-0.5 text-xs font-semibold text-violet-700"
+                        title="Persona asignada"
+                      >
+                        👤 {isAssignedToMe ? 'Tú' : assignee?.email ?? 'Asignada'}
+                      </span>
+                    )}
+                  </div>
+                  
+                  {/* Etiquetas */}
+                  {task.tags?.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-1.5">
+                      {task.tags.map((tag) => (
+                        <span
+                          key={tag.id}
+                          className="rounded-full border px-2 py-0.5 text-xs font-semibold"
+                          style={tagChipStyle(tag)}
+                        >
+                          #{tag.name}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                   
                   {/* Descripción si existe */}
                   {task.description && (
@@ -216,12 +540,43 @@ const TaskItem = ({ task }) => {
                         ? 'line-through text-emerald-600/70'
                         : 'text-gray-600'
                     }`}>
-                      {task.description}
+                      {matchesText(highlight?.description, task.description)
+                        ? <HighlightedText text={highlight.description} />
+                        : task.description}
                     </p>
                   )}
                   
+                  {/* Checklist de subtareas */}
+                  <SubtaskList task={task} disabled={actionsDisabled} />
+
+                  {/* Conversación (también pueden comentar los lectores) */}
+                  <CommentThread task={task} disabled={isSaving || isLocalId(task.id)} />
+
+                  {/* Vista ampliada: historial de actividad */}
+                  {isExpanded && (
+                    <section className="mt-4 rounded-xl border border-gray-100 bg-white/70 p-4">
+                      <h4 className="mb-3 text-xs font-semibold uppercase tracking-wide text-gray-400">Historial</h4>
+                      <ActivityTimeline task={task} />
+                    </section>
+                  )}
+
                   {/* Fechas */}
                   <div className="mt-3 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-400">
+                    {task.due_at && (
+                      <span className={`font-medium ${dueStatus === 'overdue' ? 'text-red-600' : 'text-gray-600'}`}>
+                        📅 Vence: {formatDate(task.due_at)}
+                      </span>
+                    )}
+                    {task.remind_at && (
+                      <span className="font-medium text-gray-500">
+                        ⏰ Recordatorio: {formatDate(task.remind_at)}
+                      </span>
+                    )}
+                    {recurrenceSummary && (
+                      <span className="font-medium text-indigo-500" title={task.recurrence}>
+                        🔁 {recurrenceSummary}
+                      </span>
+                    )}
                     <span className="font-medium text-gray-500">
                       Creada: {formatDate(task.created_at)}
                     </span>
@@ -240,20 +595,45 @@ const TaskItem = ({ task }) => {
           {/* Lado derecho: Botones de acción */}
           {!isEditing && (
             <div className="ml-4 flex items-center space-x-2">
+              {/* Botón para ampliar la tarea y ver su historial (solo tareas ya guardadas en el servidor) */}
+              <button
+                onClick={() => setIsExpanded(!isExpanded)}
+                disabled={isSaving || isLocalId(task.id)}
+                aria-expanded={isExpanded}
+                className={`rounded-full px-3 py-2 text-sm font-medium transition-colors disabled:opacity-40 ${
+                  isExpanded ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-50 text-gray-500 hover:bg-gray-100'
+                }`}
+                title={isExpanded ? 'Ocultar historial' : 'Ver historial'}
+              >
+                🕘
+              </button>
+
               {/* Botón de editar */}
               <button
                 onClick={handleStartEdit}
-                disabled={actionLoading}
+                disabled={actionsDisabled}
                 className="rounded-full bg-blue-50 px-3 py-2 text-sm font-medium text-blue-600 transition-colors hover:bg-blue-100 disabled:bg-blue-50 disabled:text-blue-300"
                 title="Editar tarea"
               >
                 ✏️
               </button>
               
+              {/* Botón de archivar (solo tareas completadas ya guardadas en el servidor) */}
+              {task.completed && !isLocalId(task.id) && (
+                <button
+                  onClick={handleArchive}
+                  disabled={actionsDisabled}
+                  className="rounded-full bg-slate-100 px-3 py-2 text-sm font-medium text-slate-600 transition-colors hover:bg-slate-200 disabled:bg-slate-50 disabled:text-slate-300"
+                  title="Archivar tarea"
+                >
+                  📦
+                </button>
+              )}
+              
               {/* Botón de eliminar */}
               <button
-                onClick={() => setShowDeleteConfirm(true)}
-                disabled={actionLoading}
+                onClick={handleDelete}
+                disabled={actionsDisabled}
                 className="rounded-full bg-red-50 px-3 py-2 text-sm font-medium text-red-500 transition-colors hover:bg-red-100 disabled:bg-red-50 disabled:text-red-300"
                 title="Eliminar tarea"
               >
@@ -264,33 +644,34 @@ const TaskItem = ({ task }) => {
         </div>
       </div>
 
-      {/* Modal de confirmación de eliminación */}
-      {showDeleteConfirm && (
+      {/* Modal para decidir si completar también las subtareas */}
+      {showSubtaskPrompt && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
           <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 transform transition-all animate-fade-in">
             <h3 className="text-lg font-semibold text-gray-800 mb-2">
-              Confirmar eliminación
+              Subtareas pendientes
             </h3>
             <p className="text-gray-600 mb-4">
-              ¿Estás seguro de que quieres eliminar la tarea "{task.title}"? Esta acción no se puede deshacer.
+              "{task.title}" tiene {pendingSubtasks.length} subtarea(s) sin completar. ¿Quieres completarlas también?
             </p>
-            <div className="flex gap-3 justify-end">
+            <div className="flex flex-wrap gap-3 justify-end">
               <button
-                onClick={() => setShowDeleteConfirm(false)}
-                disabled={actionLoading}
-                className="px-4 py-2 bg-gray-500 hover:bg-gray-600 disabled:bg-gray-400 text-white rounded transition-colors"
+                onClick={() => setShowSubtaskPrompt(false)}
+                className="px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded transition-colors"
               >
                 Cancelar
               </button>
               <button
-                onClick={handleDelete}
-                disabled={actionLoading}
-                className="px-4 py-2 bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white rounded transition-colors flex items-center gap-2"
+                onClick={() => performToggle(false)}
+                className="px-4 py-2 bg-indigo-100 hover:bg-indigo-200 text-indigo-700 rounded transition-colors"
+              >
+                Solo la tarea
+              </button>
+              <button
+                onClick={() => performToggle(true)}
+                className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded transition-colors"
               >
-                {actionLoading && (
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                )}
-                {actionLoading ? 'Eliminando...' : 'Eliminar'}
+                Completar todo
               </button>
             </div>
           </div>
@@ -8,7 +8,20 @@
  * - Estado de carga mientras se obtienen las tareas
  * - Manejo de errores
  * - Estadísticas de tareas
- * - Filtros de tareas (todas, completadas, pendientes)
+ * - Filtros de tareas (todas, completadas, pendientes) y por prioridad
+ * - Ordenamiento (manual, recientes, prioridad, fecha límite, título)
+ * - Arrastrar y soltar para cambiar el orden manual (persistido en position)
+ * - Filtro por etiquetas (deben coincidir todas las seleccionadas),
+ *   combinado con los filtros de estado/prioridad y la búsqueda
+ * - Modo selección: marcar varias tareas y aplicarles acciones en lote
+ *   (completar, reabrir, mover, etiquetar, eliminar) con BulkActionBar
+ * - Scroll infinito: la siguiente página de tareas se carga al llegar al final
+ * - Botón para archivar todas las tareas completadas de la lista
+ * - Avatares de los colaboradores cuando la lista activa está compartida
+ * - Vista "Asignadas a mí" con solo las tareas asignadas al usuario
+ * - Búsqueda de texto completo en el servidor (con espera tras teclear), ordenada
+ *   por relevancia y con las coincidencias resaltadas; mientras llega la respuesta
+ *   se filtran las tareas ya cargadas
  * 
  * Características:
  * - Carga automática de tareas al montar el componente
@@ -16,14 +29,41 @@
  * - Interfaz responsive y accesible
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import TaskItem from './TaskItem';
+import BulkActionBar from './BulkActionBar';
+import ListMembersAvatars from './ListMembersAvatars';
 import { useTodoStore } from '../store/todoStore';
+import { useListStore } from '../store/listStore';
+import { useTagStore } from '../store/tagStore';
+import { PRIORITIES, PRIORITY_OPTIONS } from '../utils/priority';
+import { tagChipStyle } from '../utils/tags';
+import { SEARCH_DEBOUNCE_MS } from '../utils/search';
+
+// Opciones de ordenamiento disponibles en la lista
+const SORT_OPTIONS = [
+  { value: 'manual', label: 'Orden manual' },
+  { value: 'created', label: 'Más recientes' },
+  { value: 'priority', label: 'Prioridad' },
+  { value: 'due', label: 'Fecha límite' },
+  { value: 'title', label: 'Título (A-Z)' }
+];
 
 const TaskList = () => {
   // Estado local para filtros
   const [filter, setFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [priorityFilter, setPriorityFilter] = useState('all');
+  const [sortBy, setSortBy] = useState('manual');
+  const [tagFilter, setTagFilter] = useState([]);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { id, placement: 'before' | 'after' }
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [archiving, setArchiving] = useState(false);
+
+  // Marcador al final de la lista que dispara la carga de la siguiente página
+  const loadMoreRef = useRef(null);
 
   // Estado del store de tareas
   const { 
@@ -32,11 +72,37 @@ const TaskList = () => {
     error, 
     stats, 
     fetchTodos, 
+    fetchMoreTodos,
+    nextCursor,
+    loadingMore,
     clearError,
     getFilteredTodos,
-    searchTodos 
+    searchTodos,
+    runSearch,
+    clearSearch,
+    searchQuery,
+    searchResults,
+    searching,
+    archiveCompleted,
+    filterByTags,
+    sortTodos,
+    reorderTodo,
+    activeListId,
+    assignedToMe,
+    setAssignedToMe
   } = useTodoStore();
 
+  // Etiquetas disponibles para filtrar
+  const tags = useTagStore(state => state.tags);
+
+  // Lista activa para mostrar su nombre en el encabezado
+  const activeList = useListStore(state =>
+    state.lists.find(list => list.id === activeListId)
+  );
+
+  // Los lectores de una lista compartida no pueden reordenar, seleccionar ni archivar
+  const canEdit = useListStore(state => state.canEditList(activeListId));
+
   /**
    * Cargar tareas al montar el componente
    */
@@ -44,6 +110,43 @@ const TaskList = () => {
     fetchTodos();
   }, [fetchTodos]);
 
+  /**
+   * Cargar la siguiente página cuando el final de la lista entra en pantalla
+   * (el observador se recrea tras cada página, así sigue cargando si el final aún se ve)
+   */
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) fetchMoreTodos();
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, fetchMoreTodos, loading]);
+
+  /**
+   * Buscar en el servidor cuando se deja de escribir
+   * También se repite al cambiar de lista o al crear / eliminar tareas
+   */
+  useEffect(() => {
+    if (!searchTerm.trim()) {
+      clearSearch();
+      return;
+    }
+
+    const timer = setTimeout(() => runSearch(searchTerm), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm, activeListId, todos.length, runSearch, clearSearch]);
+
+  /**
+   * Quitar la búsqueda al desmontar la lista
+   */
+  useEffect(() => clearSearch, [clearSearch]);
+
   /**
    * Manejar cambio de filtro
    * @param {string} newFilter - Nuevo filtro a aplicar
@@ -53,6 +156,21 @@ const TaskList = () => {
     setSearchTerm(''); // Limpiar búsqueda al cambiar filtro
   };
 
+  /**
+   * Activar o desactivar una etiqueta en el filtro
+   * @param {string} tagId - ID de la etiqueta
+   */
+  const toggleTagFilter = (tagId) => {
+    setTagFilter(current =>
+      current.includes(tagId)
+        ? current.filter(id => id !== tagId)
+        : [...current, tagId]
+    );
+  };
+
+  // Ignorar etiquetas del filtro que ya no existen (p. ej. eliminadas)
+  const activeTagFilter = tagFilter.filter(tagId => tags.some(tag => tag.id === tagId));
+
   /**
    * Manejar cambio en búsqueda
    * @param {Event} e - Evento del input
@@ -61,20 +179,140 @@ const TaskList = () => {
     setSearchTerm(e.target.value);
   };
 
+  // Resultados del servidor para el texto actual (null mientras no lleguen)
+  const searchActive = Boolean(searchTerm.trim()) && searchResults !== null && searchQuery === searchTerm.trim();
+
   /**
-   * Obtener tareas filtradas y buscadas
+   * Obtener tareas filtradas, buscadas y ordenadas
    */
   const getDisplayedTodos = () => {
-    let filteredTodos = getFilteredTodos(filter);
+    if (searchActive) {
+      // Preferir la versión cargada de cada tarea (más reciente por el tiempo real),
+      // conservando la relevancia y los fragmentos resaltados del resultado
+      const loadedById = new Map(todos.map(todo => [todo.id, todo]));
+      const results = searchResults.map(result => ({ ...result, ...loadedById.get(result.id) }));
+      const filteredResults = filterByTags(getFilteredTodos(filter, priorityFilter, results), activeTagFilter);
+
+      // En orden manual se respeta el orden por relevancia
+      return sortBy === 'manual' ? filteredResults : sortTodos(filteredResults, sortBy);
+    }
+
+    let filteredTodos = filterByTags(getFilteredTodos(filter, priorityFilter), activeTagFilter);
     
     if (searchTerm.trim()) {
-      filteredTodos = searchTodos(searchTerm);
+      filteredTodos = searchTodos(searchTerm, filteredTodos);
     }
     
-    return filteredTodos;
+    return sortTodos(filteredTodos, sortBy);
   };
 
   const displayedTodos = getDisplayedTodos();
+  const displayedIds = displayedTodos.map(todo => todo.id);
+
+  // Ignorar tareas seleccionadas que ya no se muestran (filtradas, movidas o eliminadas)
+  const activeSelection = selectedIds.filter(id => displayedIds.includes(id));
+
+  // Solo se puede arrastrar cuando la lista se muestra en su orden manual
+  // (no por relevancia de búsqueda) y no se está seleccionando
+  const canReorder = canEdit && !selectionMode && !searchTerm.trim() && sortBy === 'manual' && displayedTodos.length > 1;
+
+  /**
+   * Marcar o desmarcar una tarea en el modo selección
+   * @param {string} id - ID de la tarea
+   */
+  const toggleSelected = (id) => {
+    setSelectedIds(current =>
+      current.includes(id)
+        ? current.filter(selectedId => selectedId !== id)
+        : [...current, id]
+    );
+  };
+
+  /**
+   * Salir del modo selección limpiando las tareas marcadas
+   */
+  const exitSelectionMode = () => {
+    setSelectionMode(false);
+    setSelectedIds([]);
+  };
+
+  /**
+   * Archivar todas las tareas completadas de la lista (se puede deshacer desde el aviso)
+   */
+  const handleArchiveCompleted = async () => {
+    setArchiving(true);
+    try {
+      await archiveCompleted();
+    } catch {
+      // El error ya se maneja en el store con toast
+    } finally {
+      setArchiving(false);
+    }
+  };
+
+  /**
+   * Iniciar el arrastre de una tarea desde su asa
+   * @param {DragEvent} e - Evento de arrastre
+   * @param {string} id - ID de la tarea
+   */
+  const handleDragStart = (e, id) => {
+    setDraggedId(id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+    // Mostrar la tarjeta completa como imagen de arrastre
+    const card = e.currentTarget.closest('[data-todo-id]');
+    if (card) e.dataTransfer.setDragImage(card, 24, 24);
+  };
+
+  /**
+   * Calcular si se soltará encima o debajo de la tarea bajo el cursor
+   * @param {DragEvent} e - Evento de arrastre
+   * @param {string} id - ID de la tarea bajo el cursor
+   */
+  const handleDragOver = (e, id) => {
+    if (!draggedId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const placement = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    if (dropTarget?.id !== id || dropTarget?.placement !== placement) {
+      setDropTarget({ id, placement });
+    }
+  };
+
+  /**
+   * Terminar el arrastre (con o sin soltar)
+   */
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  /**
+   * Soltar la tarea: calcular sus nuevas vecinas y guardar el orden
+   * @param {DragEvent} e - Evento de soltar
+   */
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const target = dropTarget;
+    const movedId = draggedId;
+    handleDragEnd();
+
+    if (!target || !movedId || target.id === movedId) return;
+
+    const remaining = displayedTodos.filter(todo => todo.id !== movedId);
+    const targetIndex = remaining.findIndex(todo => todo.id === target.id);
+    const insertAt = target.placement === 'before' ? targetIndex : targetIndex + 1;
+    const before = remaining[insertAt - 1] || null;
+    const after = remaining[insertAt] || null;
+
+    // No hacer nada si la tarea queda en el mismo lugar
+    const currentIndex = displayedTodos.findIndex(todo => todo.id === movedId);
+    if (currentIndex === insertAt) return;
+
+    reorderTodo(movedId, before?.id ?? null, after?.id ?? null);
+  };
 
   /**
    * Formatear fecha para mostrar
@@ -97,9 +335,13 @@ const TaskList = () => {
     <div className="card-surface p-6 md:p-8 space-y-6">
       <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
         <div>
-          <h2 className="text-2xl font-bold text-gray-900">
-          Mis Tareas
-          </h2>
+          <div className="flex items-center gap-3">
+            <h2 className="text-2xl font-bold text-gray-900">
+            {activeList ? activeList.name : 'Mis Tareas'}
+            {assignedToMe && <span className="text-violet-600"> · Asignadas a mí</span>}
+            </h2>
+            {activeList && <ListMembersAvatars members={activeList.members} />}
+          </div>
           <p className="text-gray-500">Organiza, filtra y encuentra tus pendientes rápidamente.</p>
         </div>
         
@@ -114,6 +356,11 @@ const TaskList = () => {
           <span className="rounded-full bg-amber-50 px-3 py-1 font-medium text-amber-600">
             Pendientes: {stats.pending}
           </span>
+          {stats.overdue > 0 && (
+            <span className="rounded-full bg-red-50 px-3 py-1 font-medium text-red-600">
+              Vencidas: {stats.overdue}
+            </span>
+          )}
           <span className="rounded-full bg-slate-100 px-3 py-1 font-medium text-slate-600">
             Progreso: {stats.completionRate}%
           </span>
@@ -154,8 +401,106 @@ const TaskList = () => {
           >
             Completadas ({stats.completed})
           </button>
+
+          {/* Filtro por prioridad y ordenamiento */}
+          <div className="flex flex-wrap gap-2 sm:ml-auto">
+            <select
+              value={priorityFilter}
+              onChange={(e) => setPriorityFilter(e.target.value)}
+              aria-label="Filtrar por prioridad"
+              className="rounded-full border border-gray-200 bg-gray-100 px-4 py-2 text-sm font-semibold text-gray-700 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            >
+              <option value="all">Todas las prioridades</option>
+              {PRIORITY_OPTIONS.map((option) => (
+                <option key={option} value={option}>
+                  Prioridad {PRIORITIES[option].label.toLowerCase()}
+                </option>
+              ))}
+            </select>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              aria-label="Ordenar tareas"
+              className="rounded-full border border-gray-200 bg-gray-100 px-4 py-2 text-sm font-semibold text-gray-700 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  Ordenar: {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setAssignedToMe(!assignedToMe)}
+              aria-pressed={assignedToMe}
+              className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors shadow-sm ${
+                assignedToMe
+                  ? 'bg-violet-600 text-white shadow-violet-200'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+              title="Ver solo las tareas que te asignaron"
+            >
+              👤 Asignadas a mí
+            </button>
+            {canEdit && (
+              <>
+                <button
+                  onClick={() => (selectionMode ? exitSelectionMode() : setSelectionMode(true))}
+                  aria-pressed={selectionMode}
+                  className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors shadow-sm ${
+                    selectionMode
+                      ? 'bg-indigo-600 text-white shadow-indigo-200'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {selectionMode ? 'Cancelar selección' : 'Seleccionar'}
+                </button>
+                {/* Archivar completadas afecta a toda la lista, no solo a las asignadas */}
+                {!assignedToMe && (
+                  <button
+                    onClick={handleArchiveCompleted}
+                    disabled={stats.completed === 0 || archiving}
+                    className="px-4 py-2 rounded-full text-sm font-semibold transition-colors shadow-sm bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:cursor-not-allowed disabled:opacity-50"
+                    title="Mover las tareas completadas al archivo"
+                  >
+                    📦 Archivar completadas
+                  </button>
+                )}
+              </>
+            )}
+          </div>
         </div>
 
+        {/* Filtro por etiquetas */}
+        {tags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-xs font-semibold uppercase tracking-wide text-gray-400">Etiquetas</span>
+            {tags.map((tag) => {
+              const selected = activeTagFilter.includes(tag.id);
+              return (
+                <button
+                  key={tag.id}
+                  onClick={() => toggleTagFilter(tag.id)}
+                  aria-pressed={selected}
+                  className={`rounded-full border px-3 py-1 text-xs font-semibold transition-all ${
+                    selected ? 'ring-2 ring-indigo-300 ring-offset-1' : 'opacity-70 hover:opacity-100'
+                  }`}
+                  style={tagChipStyle(tag)}
+                >
+                  #{tag.name}
+                </button>
+              );
+            })}
+            {activeTagFilter.length > 0 && (
+              <button
+                onClick={() => setTagFilter([])}
+                className="text-xs font-semibold text-indigo-600 hover:text-indigo-800"
+              >
+                Limpiar etiquetas
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Búsqueda */}
         <div className="relative">
           <input
@@ -163,16 +508,31 @@ const TaskList = () => {
             placeholder="Buscar tareas..."
             value={searchTerm}
             onChange={handleSearchChange}
-            className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 pl-11 text-gray-700 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100"
+            className="w-full rounded-xl border border-gray-200/80 bg-white/80 px-4 py-2.5 pl-11 pr-28 text-gray-700 shadow-inner focus:border-indigo-300 focus:outline-none focus:ring-4 focus:ring-indigo-100"
           />
           <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
             <svg className="h-5 w-5 text-indigo-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
             </svg>
           </div>
+          {searchTerm.trim() && (
+            <span className="absolute inset-y-0 right-0 pr-4 flex items-center text-xs font-medium text-gray-400 pointer-events-none">
+              {searching ? 'Buscando...' : searchActive ? 'Por relevancia' : ''}
+            </span>
+          )}
         </div>
       </div>
 
+      {/* Acciones en lote sobre las tareas seleccionadas */}
+      {selectionMode && (
+        <BulkActionBar
+          selectedIds={activeSelection}
+          visibleIds={displayedIds}
+          onSelectionChange={setSelectedIds}
+          onExit={exitSelectionMode}
+        />
+      )}
+
       {/* Mostrar errores */}
       {error && (
         <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg flex items-center justify-between">
@@ -217,7 +577,8 @@ const TaskList = () => {
               ) : (
                 <div>
                   <p className="text-gray-500 mb-2">
-                    {filter === 'all' && 'No tienes tareas aún.'}
+                    {activeTagFilter.length > 0 && 'Ninguna tarea tiene todas las etiquetas seleccionadas. '}
+                    {filter === 'all' && activeTagFilter.length === 0 && 'No tienes tareas aún.'}
                     {filter === 'pending' && 'No tienes tareas pendientes.'}
                     {filter === 'completed' && 'No tienes tareas completadas.'}
                   </p>
@@ -235,16 +596,73 @@ const TaskList = () => {
               {displayedTodos.map((task, index) => (
                 <div
                   key={task.id}
-                  className="animate-fade-in"
+                  data-todo-id={task.id}
+                  onDragOver={canReorder ? (e) => handleDragOver(e, task.id) : undefined}
+                  onDrop={canReorder ? handleDrop : undefined}
+                  className={`animate-fade-in flex items-stretch gap-2 rounded-2xl border-y-2 border-transparent transition-opacity ${
+                    draggedId === task.id ? 'opacity-40' : ''
+                  } ${
+                    activeSelection.includes(task.id) ? 'bg-indigo-50/60' : ''
+                  } ${
+                    dropTarget?.id === task.id && dropTarget.id !== draggedId
+                      ? dropTarget.placement === 'before' ? 'border-t-indigo-400' : 'border-b-indigo-400'
+                      : ''
+                  }`}
                   style={{
                     animationDelay: `${index * 50}ms`,
                   }}
                 >
-                  <TaskItem task={task} />
+                  {/* Casilla de selección (solo en modo selección) */}
+                  {selectionMode && (
+                    <label className="flex cursor-pointer items-center px-1" title="Seleccionar tarea">
+                      <input
+                        type="checkbox"
+                        checked={activeSelection.includes(task.id)}
+                        onChange={() => toggleSelected(task.id)}
+                        aria-label={`Seleccionar "${task.title}"`}
+                        className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-200"
+                      />
+                    </label>
+                  )}
+                  {/* Asa para arrastrar (solo en orden manual) */}
+                  {canReorder && (
+                    <div
+                      draggable
+                      onDragStart={(e) => handleDragStart(e, task.id)}
+                      onDragEnd={handleDragEnd}
+                      className="flex cursor-grab select-none items-center px-1 text-gray-300 hover:text-indigo-400 active:cursor-grabbing"
+                      title="Arrastra para reordenar"
+                      aria-label="Arrastra para reordenar"
+                    >
+                      ⋮⋮
+                    </div>
+                  )}
+                  <div className="min-w-0 flex-1">
+                    <TaskItem task={task} highlight={searchActive ? task.highlight : null} />
+                  </div>
                 </div>
               ))}
             </div>
           )}
+
+          {/* Siguiente página (scroll infinito) */}
+          {nextCursor && !searchActive && (
+            <div ref={loadMoreRef} className="flex flex-col items-center gap-2 py-4 text-sm text-gray-500">
+              {loadingMore ? (
+                <span className="font-medium text-indigo-600">Cargando más tareas...</span>
+              ) : (
+                <button
+                  onClick={fetchMoreTodos}
+                  className="font-semibold text-indigo-600 hover:text-indigo-800"
+                >
+                  Cargar más tareas
+                </button>
+              )}
+              <span className="text-xs text-gray-400">
+                Mostrando {todos.length} de {stats.total}
+              </span>
+            </div>
+          )}
         </>
       )}
     </div>
@@ -0,0 +1,28 @@
+/**
+ * Componente UndoToast - Aviso con Botón "Deshacer"
+ *
+ * Contenido del toast que muestra el store de tareas después de eliminar,
+ * completar / reabrir o editar una tarea.
+ *
+ * Props:
+ * - message: Texto del aviso
+ * - onUndo: Función que deshace la acción
+ */
+
+import React from 'react';
+
+const UndoToast = ({ message, onUndo }) => (
+  <div className="flex items-center gap-4">
+    <span className="text-sm text-gray-800">{message}</span>
+    <button
+      type="button"
+      onClick={onUndo}
+      className="rounded-lg px-2 py-1 text-sm font-semibold text-indigo-600 transition-colors hover:bg-indigo-50"
+      title="Deshacer (Ctrl+Z)"
+    >
+      Deshacer
+    </button>
+  </div>
+);
+
+export default UndoToast;
@@ -0,0 +1,90 @@
+/**
+ * Componente WebhookDeliveries - Registro de entregas de un webhook
+ *
+ * Se carga al desplegarlo desde la página de ajustes y muestra las últimas
+ * entregas (la más reciente primero) con su estado, el código HTTP de la
+ * respuesta y el error, o cuándo será el próximo reintento.
+ */
+
+import React, { useEffect } from 'react';
+import { ListLoading } from './Loading';
+import { useWebhookStore } from '../store/webhookStore';
+import { DELIVERY_STATUS, getWebhookEventLabel } from '../utils/webhooks';
+
+/**
+ * Formatear la fecha de una entrega (p. ej. "12 ene, 17:30:05")
+ *
+ * @param {string} isoString - Fecha en formato ISO 8601
+ * @returns {string} Fecha legible
+ */
+const formatDeliveryDate = (isoString) =>
+  new Date(isoString).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+const WebhookDeliveries = ({ webhookId }) => {
+  const deliveries = useWebhookStore(state => state.deliveriesByWebhook[webhookId]);
+  const loading = useWebhookStore(state => state.loadingDeliveries[webhookId] ?? false);
+  const fetchDeliveries = useWebhookStore(state => state.fetchDeliveries);
+
+  useEffect(() => {
+    fetchDeliveries(webhookId).catch(() => {});
+  }, [webhookId, fetchDeliveries]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">Últimas entregas</p>
+        <button
+          type="button"
+          onClick={() => fetchDeliveries(webhookId).catch(() => {})}
+          disabled={loading}
+          className="text-xs font-semibold text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+        >
+          {loading ? 'Actualizando...' : 'Actualizar'}
+        </button>
+      </div>
+
+      {!deliveries ? (
+        <ListLoading lines={2} />
+      ) : deliveries.length === 0 ? (
+        <p className="text-sm text-gray-500">Todavía no se ha enviado ningún evento.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 rounded-lg border border-gray-100">
+          {deliveries.map(delivery => {
+            const status = DELIVERY_STATUS[delivery.status] ?? DELIVERY_STATUS.failed;
+            return (
+              <li key={delivery.id} className="flex flex-col gap-1 px-3 py-2 text-sm sm:flex-row sm:items-center sm:justify-between">
+                <div className="min-w-0">
+                  <span className="font-medium text-gray-800">{getWebhookEventLabel(delivery.event)}</span>
+                  <span className="ml-2 text-xs text-gray-400">{formatDeliveryDate(delivery.created_at)}</span>
+                  {delivery.error && (
+                    <p className="truncate text-xs text-red-600" title={delivery.error}>{delivery.error}</p>
+                  )}
+                  {delivery.status === 'pending' && delivery.next_attempt_at && (
+                    <p className="text-xs text-amber-600">
+                      Próximo intento: {formatDeliveryDate(delivery.next_attempt_at)}
+                    </p>
+                  )}
+                </div>
+                <div className="flex shrink-0 items-center gap-2 text-xs">
+                  {delivery.response_status && (
+                    <span className="font-mono text-gray-500">HTTP {delivery.response_status}</span>
+                  )}
+                  <span className="text-gray-400">{delivery.attempts} intento(s)</span>
+                  <span className={`rounded-full px-2 py-0.5 font-semibold ${status.className}`}>{status.label}</span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
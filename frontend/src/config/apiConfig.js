@@ -0,0 +1,16 @@
+/**
+ * Configuración del acceso a la API del backend (Express)
+ *
+ * - VITE_API_URL: URL base del backend (por defecto http://localhost:5000)
+ * - VITE_USE_API: 'true' para que las tareas pasen por la API en lugar de
+ *   consultar Supabase directamente (así se aplican las validaciones del backend)
+ *
+ * La autenticación sigue haciéndose con Supabase: el cliente HTTP envía el
+ * token JWT de la sesión en el header Authorization.
+ */
+
+// URL base del backend, sin la barra final
+export const API_URL = (import.meta.env.VITE_API_URL || 'http://localhost:5000').replace(/\/+$/, '');
+
+// Enviar las operaciones de tareas a la API del backend
+export const USE_API = import.meta.env.VITE_USE_API === 'true';
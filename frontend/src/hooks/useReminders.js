@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useTodoStore } from '../store/todoStore';
+
+// Frecuencia con la que se revisan los recordatorios pendientes
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Recordatorios vencidos hace más de este tiempo no se notifican (p. ej. al abrir la app días después)
+const REMINDER_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Hook useReminders - Notificaciones de recordatorios de tareas
+ *
+ * Revisa periódicamente las tareas cargadas en el store y muestra un toast
+ * (y una notificación del navegador si el usuario ya dio permiso) cuando
+ * llega la hora del recordatorio (remind_at) de una tarea pendiente.
+ *
+ * Cada recordatorio se notifica una sola vez por sesión; si se cambia
+ * remind_at, la tarea vuelve a ser elegible.
+ *
+ * Uso:
+ * useReminders(); // En el Dashboard
+ */
+export const useReminders = () => {
+  // Claves "id:remind_at" de los recordatorios ya notificados
+  const notifiedRef = useRef(new Set());
+
+  useEffect(() => {
+    const checkReminders = () => {
+      const now = Date.now();
+      const { todos } = useTodoStore.getState();
+
+      todos.forEach((todo) => {
+        if (!todo.remind_at || todo.completed) return;
+
+        const key = `${todo.id}:${todo.remind_at}`;
+        if (notifiedRef.current.has(key)) return;
+
+        const remindTime = new Date(todo.remind_at).getTime();
+        if (now < remindTime || now - remindTime > REMINDER_GRACE_MS) return;
+
+        notifiedRef.current.add(key);
+        toast(`Recordatorio: ${todo.title}`, { icon: '⏰', duration: 8000 });
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+          new Notification('Recordatorio de tarea', { body: todo.title });
+        }
+      });
+    };
+
+    checkReminders();
+    const intervalId = setInterval(checkReminders, CHECK_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, []);
+};
+
+export default useReminders;
@@ -0,0 +1,34 @@
+import { useEffect } from 'react';
+import { tabSync } from '../services/tabSync';
+import { useAuthStore } from '../store/authStore';
+import { useTodoStore } from '../store/todoStore';
+import { resetUserStores } from '../store/sessionReset';
+
+/**
+ * Hook useTabSync - Aplicar los avisos de las demás pestañas del navegador
+ *
+ * - Cambios de tareas (todos:*): se aplican en useTodoStore si la pestaña tiene
+ *   el mismo usuario; los ecos de Realtime que lleguen después no los duplican
+ * - auth:logout: cierra la sesión aquí también y borra los datos del usuario
+ *
+ * Uso:
+ * useTabSync(); // Una vez, en App
+ */
+export const useTabSync = () => {
+  useEffect(() => {
+    return tabSync.subscribe((message) => {
+      if (message?.type === 'auth:logout') {
+        if (!useAuthStore.getState().user) return;
+        resetUserStores();
+        useAuthStore.getState().applyRemoteLogout();
+        return;
+      }
+
+      if (message?.type?.startsWith('todos:')) {
+        const userId = useAuthStore.getState().user?.id;
+        if (!userId || message.userId !== userId) return;
+        useTodoStore.getState().applyTabMessage(message);
+      }
+    });
+  }, []);
+};
@@ -0,0 +1,42 @@
+import { useEffect } from 'react';
+import { useTodoStore } from '../store/todoStore';
+
+/**
+ * Saber si el foco está en un campo de texto (ahí Ctrl+Z deshace lo escrito)
+ */
+const isEditableTarget = (target) =>
+  Boolean(target?.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+
+/**
+ * Hook useUndoShortcuts - Atajos de teclado para deshacer / rehacer
+ *
+ * - Ctrl+Z (Cmd+Z en Mac): deshacer la última acción sobre tareas
+ * - Ctrl+Shift+Z o Ctrl+Y: rehacer
+ *
+ * No actúa mientras se escribe en un campo, para no interferir con el
+ * deshacer propio del navegador.
+ *
+ * Uso:
+ * useUndoShortcuts(); // En el Dashboard
+ */
+export const useUndoShortcuts = () => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableTarget(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        useTodoStore.getState().undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        useTodoStore.getState().redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+};
+
+export default useUndoShortcuts;
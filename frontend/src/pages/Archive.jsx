@@ -0,0 +1,161 @@
+/**
+ * Página Archive - Archivo de Tareas
+ *
+ * Muestra las tareas archivadas del usuario (la archivada más recientemente
+ * primero), que no aparecen en la lista ni en las estadísticas del Dashboard.
+ * Permite:
+ * - Desarchivar una tarea (vuelve a su lista)
+ * - Moverla a la papelera
+ * - Cargar más tareas (paginación por cursor)
+ *
+ * Las tareas llegan aquí con "Archivar completadas", el botón de archivar de
+ * cada tarea completada o el archivado automático del backend.
+ */
+
+import React, { useEffect, useState } from 'react';
+import Navbar from '../components/Navbar';
+import ErrorMessage from '../components/ErrorMessage';
+import { ListLoading } from '../components/Loading';
+import { useArchiveStore } from '../store/archiveStore';
+import { useListStore } from '../store/listStore';
+
+/**
+ * Formatear una fecha del archivo (p. ej. "12 ene 2025")
+ *
+ * @param {string} isoString - Fecha en formato ISO 8601
+ * @returns {string} Fecha legible
+ */
+const formatArchiveDate = (isoString) =>
+  new Date(isoString).toLocaleDateString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+const Archive = () => {
+  const {
+    todos,
+    nextCursor,
+    loading,
+    loadingMore,
+    error,
+    fetchArchive,
+    fetchMoreArchive,
+    unarchiveTodo,
+    deleteTodo
+  } = useArchiveStore();
+  const lists = useListStore(state => state.lists);
+  const fetchLists = useListStore(state => state.fetchLists);
+  const [busyId, setBusyId] = useState(null);
+
+  // Cargar el archivo (y las listas para mostrar a cuál pertenece cada tarea)
+  useEffect(() => {
+    fetchArchive().catch(() => {});
+    fetchLists().catch(() => {});
+  }, [fetchArchive, fetchLists]);
+
+  // Ejecutar una acción sobre una tarea bloqueando sus botones mientras tanto
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    try {
+      await action(id);
+    } catch {
+      // El error ya se notificó con un toast
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const listName = (listId) => lists.find(list => list.id === listId)?.name;
+
+  return (
+    <div className="min-h-screen">
+      {/* Barra de navegación superior */}
+      <Navbar />
+
+      <main className="container mx-auto px-4 py-12">
+        <div className="max-w-4xl mx-auto space-y-8">
+          {/* Encabezado */}
+          <section className="card-surface p-8 space-y-2">
+            <p className="text-sm uppercase tracking-[0.3em] text-indigo-500 font-semibold">Archivo</p>
+            <h2 className="text-3xl font-bold text-gray-900">Tareas archivadas 📦</h2>
+            <p className="text-gray-600">
+              Las tareas archivadas no aparecen en tus listas ni cuentan en las estadísticas.
+            </p>
+          </section>
+
+          {/* Contenido */}
+          {error && <ErrorMessage message={error} onRetry={() => fetchArchive().catch(() => {})} />}
+
+          {loading ? (
+            <ListLoading lines={4} />
+          ) : todos.length === 0 ? (
+            !error && (
+              <div className="card-surface p-10 text-center">
+                <p className="text-4xl">🗃️</p>
+                <p className="mt-3 text-lg font-semibold text-gray-800">No hay tareas archivadas</p>
+                <p className="text-sm text-gray-500">Archiva las tareas completadas para despejar tus listas.</p>
+              </div>
+            )
+          ) : (
+            <>
+              <ul className="space-y-3">
+                {todos.map(todo => (
+                  <li key={todo.id} className="card-surface flex flex-col gap-4 p-5 sm:flex-row sm:items-center sm:justify-between">
+                    <div className="min-w-0 space-y-1">
+                      <p className={`truncate font-semibold ${todo.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                        {todo.title}
+                      </p>
+                      {todo.description && (
+                        <p className="truncate text-sm text-gray-500">{todo.description}</p>
+                      )}
+                      <p className="text-xs text-gray-400">
+                        Archivada el {formatArchiveDate(todo.archived_at)}
+                        {listName(todo.list_id) && ` · ${listName(todo.list_id)}`}
+                      </p>
+                    </div>
+
+                    <div className="flex shrink-0 gap-2">
+                      <button
+                        type="button"
+                        onClick={() => runAction(todo.id, unarchiveTodo)}
+                        disabled={busyId !== null}
+                        className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition-colors hover:bg-indigo-700 disabled:opacity-50"
+                      >
+                        {busyId === todo.id ? 'Guardando...' : 'Desarchivar'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => runAction(todo.id, deleteTodo)}
+                        disabled={busyId !== null}
+                        className="rounded-lg border border-red-200 px-4 py-2 text-sm font-semibold text-red-600 transition-colors hover:bg-red-50 disabled:opacity-50"
+                        title="Mover a la papelera"
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {nextCursor && (
+                <div className="text-center">
+                  <button
+                    type="button"
+                    onClick={fetchMoreArchive}
+                    disabled={loadingMore}
+                    className="rounded-full border border-indigo-100 px-5 py-2 text-sm font-semibold text-indigo-600 transition-colors hover:bg-indigo-50 disabled:opacity-50"
+                  >
+                    {loadingMore ? 'Cargando...' : 'Cargar más'}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Archive;
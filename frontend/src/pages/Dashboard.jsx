@@ -5,24 +5,40 @@
  * 
  * Componentes integrados:
  * - Navbar: Barra de navegación superior
+ * - ListSidebar: Selector de listas (proyectos) que acota las tareas mostradas
+ * - TagManager: Gestión de etiquetas (renombrar, color, eliminar)
  * - TaskForm: Formulario para agregar nuevas tareas
  * - TaskList: Lista de todas las tareas del usuario
+ * 
+ * También activa las notificaciones de recordatorios de tareas (useReminders) y
+ * la sincronización de los cambios hechos sin conexión (watchConnection), y los
+ * atajos para deshacer / rehacer acciones sobre tareas (useUndoShortcuts).
  */
 
 import React, { useEffect } from 'react';
 import Navbar from '../components/Navbar';
 import TaskForm from '../components/TaskForm';
 import TaskList from '../components/TaskList';
+import ListSidebar from '../components/ListSidebar';
+import TagManager from '../components/TagManager';
 import { PageLoading } from '../components/Loading';
 import { useAuthStore } from '../store/authStore';
 import { useTodoStore } from '../store/todoStore';
+import { useReminders } from '../hooks/useReminders';
+import { useUndoShortcuts } from '../hooks/useUndoShortcuts';
 
 const Dashboard = () => {
   // Obtener estado de autenticación
   const { user, loading: authLoading, initialized, initialize } = useAuthStore();
   
   // Obtener funciones de Realtime del store de tareas
-  const { subscribeToRealtime, unsubscribeFromRealtime, realtimeEnabled, stats } = useTodoStore();
+  const { subscribeToRealtime, unsubscribeFromRealtime, realtimeStatus, stats, online, watchConnection } = useTodoStore();
+
+  // Notificar recordatorios de tareas pendientes
+  useReminders();
+
+  // Ctrl+Z / Ctrl+Shift+Z para deshacer y rehacer
+  useUndoShortcuts();
 
   // Inicializar auth al montar el componente
   useEffect(() => {
@@ -46,6 +62,13 @@ const Dashboard = () => {
     }
   }, [initialized, user, subscribeToRealtime]);
 
+  // Sincronizar los cambios hechos sin conexión al recuperar la conexión
+  useEffect(() => {
+    if (initialized && user) {
+      return watchConnection();
+    }
+  }, [initialized, user, watchConnection]);
+
   // Mostrar loading mientras se verifica la autenticación
   if (authLoading || !initialized) {
     return <PageLoading message="Cargando dashboard..." />;
@@ -60,7 +83,7 @@ const Dashboard = () => {
       {/* Contenido principal */}
       <main className="container mx-auto px-4 py-12">
         {/* Contenedor con ancho máximo para mejor legibilidad */}
-        <div className="max-w-5xl mx-auto space-y-10">
+        <div className="max-w-6xl mx-auto space-y-10">
           {/* Encabezado de bienvenida */}
           <section className="card-surface p-8 md:p-10 space-y-8">
             <div className="flex flex-col gap-6 lg:flex-row lg:items-center lg:justify-between">
@@ -72,8 +95,8 @@ const Dashboard = () => {
                 </p>
               </div>
 
-              {/* Indicador de Realtime */}
-              {realtimeEnabled && (
+              {/* Indicador de Realtime (sin conexión se muestra el estado en la Navbar) */}
+              {realtimeStatus === 'connected' && online && (
                 <div className="flex items-center gap-3 rounded-full bg-emerald-100/80 px-4 py-2 text-emerald-700 border border-emerald-200 shadow-inner">
                   <span className="relative flex h-3 w-3">
                     <span className="absolute inline-flex h-full w-full animate-ping rounded-full bg-emerald-400 opacity-75"></span>
@@ -82,6 +105,22 @@ const Dashboard = () => {
                   <span className="text-sm font-semibold tracking-wide">Realtime sync active</span>
                 </div>
               )}
+              {realtimeStatus === 'connecting' && online && (
+                <div className="flex items-center gap-3 rounded-full bg-slate-100/80 px-4 py-2 text-slate-600 border border-slate-200 shadow-inner">
+                  <span className="inline-flex h-3 w-3 animate-pulse rounded-full bg-slate-400"></span>
+                  <span className="text-sm font-semibold tracking-wide">Connecting to realtime...</span>
+                </div>
+              )}
+              {/* Canal caído: se reintenta solo y se recargan las tareas al reconectar */}
+              {realtimeStatus === 'degraded' && online && (
+                <div
+                  className="flex items-center gap-3 rounded-full bg-amber-100/80 px-4 py-2 text-amber-700 border border-amber-200 shadow-inner"
+                  title="Live updates are paused. Your changes are still saved; the list will refresh once the connection is back."
+                >
+                  <span className="inline-flex h-3 w-3 animate-pulse rounded-full bg-amber-500"></span>
+                  <span className="text-sm font-semibold tracking-wide">Realtime reconnecting...</span>
+                </div>
+              )}
             </div>
 
             {/* Tarjetas de estadísticas */}
@@ -109,11 +148,21 @@ const Dashboard = () => {
             </div>
           </section>
 
-          {/* Formulario para agregar tareas */}
-          <TaskForm />
-          
-          {/* Lista de tareas existentes */}
-          <TaskList />
+          {/* Listas y etiquetas a la izquierda, tareas de la lista activa a la derecha */}
+          <div className="grid gap-10 lg:grid-cols-[260px_minmax(0,1fr)]">
+            <div className="space-y-6">
+              <ListSidebar />
+              <TagManager />
+            </div>
+
+            <div className="space-y-10">
+              {/* Formulario para agregar tareas */}
+              <TaskForm />
+              
+              {/* Lista de tareas existentes */}
+              <TaskList />
+            </div>
+          </div>
         </div>
       </main>
     </div>
@@ -0,0 +1,321 @@
+/**
+ * Página Settings - Ajustes de la cuenta
+ *
+ * Integraciones con scripts, bots y CI:
+ * - Webhooks salientes: URLs que reciben un POST firmado cuando se crean,
+ *   modifican, completan, reabren o eliminan las tareas que ve el usuario.
+ *   Se crean eligiendo sus eventos, se activan, desactivan o eliminan (con
+ *   confirmación), muestran el secret con el que se verifican las firmas y
+ *   permiten enviar un evento de prueba y consultar el registro de entregas
+ * - Tokens de acceso personal (ver components/ApiTokenSettings.jsx)
+ */
+
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import Navbar from '../components/Navbar';
+import ErrorMessage from '../components/ErrorMessage';
+import WebhookDeliveries from '../components/WebhookDeliveries';
+import ApiTokenSettings from '../components/ApiTokenSettings';
+import { ListLoading } from '../components/Loading';
+import { useWebhookStore } from '../store/webhookStore';
+import { USE_API } from '../config/apiConfig';
+import { WEBHOOK_EVENTS, getWebhookEventLabel } from '../utils/webhooks';
+
+// Eventos marcados al abrir el formulario
+const DEFAULT_EVENTS = ['todo.created', 'todo.completed'];
+
+const Settings = () => {
+  const {
+    webhooks,
+    loading,
+    error,
+    fetchWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    sendTest
+  } = useWebhookStore();
+  const [form, setForm] = useState({ url: '', description: '', events: DEFAULT_EVENTS });
+  const [creating, setCreating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [revealedId, setRevealedId] = useState(null);
+  // Webhook pendiente de confirmar su eliminación: { id, url }
+  const [confirm, setConfirm] = useState(null);
+
+  // Cargar los webhooks al entrar
+  useEffect(() => {
+    fetchWebhooks().catch(() => {});
+  }, [fetchWebhooks]);
+
+  // Marcar o desmarcar un evento del formulario
+  const toggleFormEvent = (event) => {
+    setForm(current => ({
+      ...current,
+      events: current.events.includes(event)
+        ? current.events.filter(value => value !== event)
+        : [...current.events, event]
+    }));
+  };
+
+  // Crear el webhook del formulario
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const webhook = await createWebhook(form);
+      setForm({ url: '', description: '', events: DEFAULT_EVENTS });
+      // Mostrar el secret recién creado para copiarlo
+      setRevealedId(webhook.id);
+    } catch {
+      // El error ya se notificó con un toast
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // Ejecutar una acción sobre un webhook bloqueando sus botones
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    try {
+      await action();
+    } catch {
+      // El error ya se notificó con un toast
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Copiar el secret al portapapeles
+  const handleCopySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success('Secret copiado');
+    } catch {
+      toast.error('No se pudo copiar el secret');
+    }
+  };
+
+  // Confirmar la eliminación del webhook
+  const handleConfirmDelete = () => {
+    const { id } = confirm;
+    setConfirm(null);
+    if (expandedId === id) setExpandedId(null);
+    runAction(id, () => deleteWebhook(id));
+  };
+
+  return (
+    <div className="min-h-screen">
+      {/* Barra de navegación superior */}
+      <Navbar />
+
+      <main className="container mx-auto px-4 py-12">
+        <div className="max-w-4xl mx-auto space-y-8">
+          {/* Encabezado */}
+          <section className="card-surface p-8 space-y-2">
+            <p className="text-sm uppercase tracking-[0.3em] text-indigo-500 font-semibold">Ajustes</p>
+            <h2 className="text-3xl font-bold text-gray-900">Integraciones ⚙️</h2>
+            <p className="text-gray-600">Conecta tus tareas con tu bot de chat, tu CI o tus scripts.</p>
+          </section>
+
+          {/* Formulario de creación de webhooks */}
+          <form onSubmit={handleCreate} className="card-surface p-6 space-y-4">
+            <div className="space-y-1">
+              <h3 className="text-lg font-semibold text-gray-900">Webhooks 🔔</h3>
+              <p className="text-sm text-gray-600">
+                Cada evento se envía como un POST en JSON firmado con el secret del webhook (header{' '}
+                <code className="text-xs">X-Webhook-Signature</code>); si el destino no responde con 2xx se
+                reintenta varias veces.
+              </p>
+            </div>
+            {!USE_API && (
+              <p className="rounded-lg bg-amber-50 px-4 py-3 text-sm text-amber-700">
+                Esta aplicación guarda las tareas directamente en Supabase: solo se enviarán los eventos de
+                los cambios hechos a través de la API.
+              </p>
+            )}
+            <div className="grid gap-4 sm:grid-cols-2">
+              <label className="block space-y-1">
+                <span className="text-sm font-medium text-gray-700">URL</span>
+                <input
+                  type="url"
+                  required
+                  value={form.url}
+                  onChange={e => setForm(current => ({ ...current, url: e.target.value }))}
+                  placeholder="https://ejemplo.com/hooks/tareas"
+                  className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                />
+              </label>
+              <label className="block space-y-1">
+                <span className="text-sm font-medium text-gray-700">Descripción (opcional)</span>
+                <input
+                  type="text"
+                  maxLength={200}
+                  value={form.description}
+                  onChange={e => setForm(current => ({ ...current, description: e.target.value }))}
+                  placeholder="Bot del chat del equipo"
+                  className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                />
+              </label>
+            </div>
+            <fieldset className="space-y-2">
+              <legend className="text-sm font-medium text-gray-700">Eventos</legend>
+              <div className="flex flex-wrap gap-3">
+                {WEBHOOK_EVENTS.map(event => (
+                  <label key={event.value} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.events.includes(event.value)}
+                      onChange={() => toggleFormEvent(event.value)}
+                      className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    {event.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <button
+              type="submit"
+              disabled={creating || form.events.length === 0}
+              className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition-colors hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {creating ? 'Creando...' : 'Crear webhook'}
+            </button>
+          </form>
+
+          {/* Webhooks existentes */}
+          {error && <ErrorMessage message={error} onRetry={() => fetchWebhooks().catch(() => {})} />}
+
+          {loading ? (
+            <ListLoading lines={3} />
+          ) : webhooks.length === 0 ? (
+            !error && (
+              <div className="card-surface p-10 text-center">
+                <p className="text-4xl">🔕</p>
+                <p className="mt-3 text-lg font-semibold text-gray-800">No tienes webhooks</p>
+                <p className="text-sm text-gray-500">Crea uno para recibir los cambios de tus tareas.</p>
+              </div>
+            )
+          ) : (
+            <ul className="space-y-3">
+              {webhooks.map(webhook => (
+                <li key={webhook.id} className="card-surface p-5 space-y-4">
+                  <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between">
+                    <div className="min-w-0 space-y-1">
+                      <p className={`truncate font-mono text-sm font-semibold ${webhook.active ? 'text-gray-800' : 'text-gray-400'}`}>
+                        {webhook.url}
+                      </p>
+                      {webhook.description && (
+                        <p className="truncate text-sm text-gray-500">{webhook.description}</p>
+                      )}
+                      <div className="flex flex-wrap gap-1">
+                        {webhook.events.map(event => (
+                          <span key={event} className="rounded-full bg-indigo-50 px-2 py-0.5 text-xs font-medium text-indigo-600">
+                            {getWebhookEventLabel(event)}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+
+                    <label className="flex shrink-0 items-center gap-2 text-sm text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={webhook.active}
+                        disabled={busyId !== null}
+                        onChange={() => runAction(webhook.id, () => updateWebhook(webhook.id, { active: !webhook.active }))}
+                        className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                      />
+                      {webhook.active ? 'Activo' : 'Desactivado'}
+                    </label>
+                  </div>
+
+                  {/* Secret para verificar las firmas */}
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="text-gray-500">Secret:</span>
+                    <code className="rounded bg-gray-100 px-2 py-1 font-mono text-xs text-gray-700">
+                      {revealedId === webhook.id ? webhook.secret : '••••••••••••••••'}
+                    </code>
+                    <button
+                      type="button"
+                      onClick={() => setRevealedId(revealedId === webhook.id ? null : webhook.id)}
+                      className="text-xs font-semibold text-indigo-600 hover:text-indigo-700"
+                    >
+                      {revealedId === webhook.id ? 'Ocultar' : 'Mostrar'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleCopySecret(webhook.secret)}
+                      className="text-xs font-semibold text-indigo-600 hover:text-indigo-700"
+                    >
+                      Copiar
+                    </button>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      onClick={() => runAction(webhook.id, () => sendTest(webhook.id))}
+                      disabled={busyId !== null}
+                      className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition-colors hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                      {busyId === webhook.id ? 'Enviando...' : 'Enviar evento de prueba'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setExpandedId(expandedId === webhook.id ? null : webhook.id)}
+                      aria-expanded={expandedId === webhook.id}
+                      className="rounded-lg border border-gray-300 px-4 py-2 text-sm font-semibold text-gray-700 transition-colors hover:bg-gray-50"
+                    >
+                      {expandedId === webhook.id ? 'Ocultar entregas' : 'Ver entregas'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setConfirm({ id: webhook.id, url: webhook.url })}
+                      disabled={busyId !== null}
+                      className="rounded-lg border border-red-200 px-4 py-2 text-sm font-semibold text-red-600 transition-colors hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Eliminar
+                    </button>
+                  </div>
+
+                  {expandedId === webhook.id && <WebhookDeliveries webhookId={webhook.id} />}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Tokens de acceso personal */}
+          <ApiTokenSettings />
+        </div>
+      </main>
+
+      {/* Modal de confirmación de la eliminación */}
+      {confirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 transform transition-all animate-fade-in">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Eliminar webhook</h3>
+            <p className="text-gray-600 mb-6 break-words">
+              {`${confirm.url} dejará de recibir eventos y se borrará su registro de entregas.`}
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setConfirm(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={handleConfirmDelete}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+              >
+                Eliminar
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Settings;
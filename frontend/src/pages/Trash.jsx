@@ -0,0 +1,194 @@
+/**
+ * Página Trash - Papelera de Tareas
+ *
+ * Muestra las tareas eliminadas del usuario (la más reciente primero) y permite:
+ * - Restaurar una tarea (vuelve a su lista)
+ * - Eliminarla definitivamente (con confirmación, no se puede deshacer)
+ * - Vaciar la papelera
+ *
+ * El backend borra automáticamente las tareas que superan el tiempo de retención;
+ * si se conoce (modo API), cada tarea muestra cuándo se borrará.
+ */
+
+import React, { useEffect, useState } from 'react';
+import Navbar from '../components/Navbar';
+import ErrorMessage from '../components/ErrorMessage';
+import { ListLoading } from '../components/Loading';
+import { useTrashStore } from '../store/trashStore';
+
+/**
+ * Formatear una fecha de la papelera (p. ej. "12 ene 2025, 17:30")
+ *
+ * @param {string} isoString - Fecha en formato ISO 8601
+ * @returns {string} Fecha legible
+ */
+const formatTrashDate = (isoString) =>
+  new Date(isoString).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+const Trash = () => {
+  const { todos, retentionDays, loading, error, fetchTrash, restoreTodo, deleteForever, emptyTrash } = useTrashStore();
+  const [busyId, setBusyId] = useState(null);
+  // Confirmación pendiente: { id, title } para una tarea o { all: true } para vaciar
+  const [confirm, setConfirm] = useState(null);
+
+  // Cargar la papelera al entrar
+  useEffect(() => {
+    fetchTrash().catch(() => {});
+  }, [fetchTrash]);
+
+  // Restaurar una tarea
+  const handleRestore = async (id) => {
+    setBusyId(id);
+    try {
+      await restoreTodo(id);
+    } catch {
+      // El error ya se notificó con un toast
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Confirmar el borrado definitivo (de una tarea o de toda la papelera)
+  const handleConfirm = async () => {
+    const target = confirm;
+    setConfirm(null);
+    setBusyId(target.all ? 'all' : target.id);
+    try {
+      if (target.all) {
+        await emptyTrash();
+      } else {
+        await deleteForever(target.id);
+      }
+    } catch {
+      // El error ya se notificó con un toast
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen">
+      {/* Barra de navegación superior */}
+      <Navbar />
+
+      <main className="container mx-auto px-4 py-12">
+        <div className="max-w-4xl mx-auto space-y-8">
+          {/* Encabezado */}
+          <section className="card-surface p-8 space-y-4">
+            <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+              <div className="space-y-2">
+                <p className="text-sm uppercase tracking-[0.3em] text-indigo-500 font-semibold">Papelera</p>
+                <h2 className="text-3xl font-bold text-gray-900">Tareas eliminadas 🗑️</h2>
+                <p className="text-gray-600">
+                  {retentionDays
+                    ? `Las tareas se borran definitivamente ${retentionDays} días después de eliminarlas.`
+                    : 'Las tareas eliminadas se conservan aquí durante un tiempo antes de borrarse definitivamente.'}
+                </p>
+              </div>
+
+              <button
+                type="button"
+                onClick={() => setConfirm({ all: true })}
+                disabled={todos.length === 0 || busyId !== null}
+                className="rounded-full border border-red-200 px-5 py-2 text-sm font-semibold text-red-600 transition-colors hover:bg-red-50 disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                Vaciar papelera
+              </button>
+            </div>
+          </section>
+
+          {/* Contenido */}
+          {error && <ErrorMessage message={error} onRetry={() => fetchTrash().catch(() => {})} />}
+
+          {loading ? (
+            <ListLoading lines={4} />
+          ) : todos.length === 0 ? (
+            !error && (
+              <div className="card-surface p-10 text-center">
+                <p className="text-4xl">🧹</p>
+                <p className="mt-3 text-lg font-semibold text-gray-800">La papelera está vacía</p>
+                <p className="text-sm text-gray-500">Las tareas que elimines aparecerán aquí.</p>
+              </div>
+            )
+          ) : (
+            <ul className="space-y-3">
+              {todos.map(todo => (
+                <li key={todo.id} className="card-surface flex flex-col gap-4 p-5 sm:flex-row sm:items-center sm:justify-between">
+                  <div className="min-w-0 space-y-1">
+                    <p className={`truncate font-semibold text-gray-800 ${todo.completed ? 'line-through text-gray-500' : ''}`}>
+                      {todo.title}
+                    </p>
+                    {todo.description && (
+                      <p className="truncate text-sm text-gray-500">{todo.description}</p>
+                    )}
+                    <p className="text-xs text-gray-400">
+                      Eliminada el {formatTrashDate(todo.deleted_at)}
+                      {todo.purge_at && ` · se borrará el ${formatTrashDate(todo.purge_at)}`}
+                    </p>
+                  </div>
+
+                  <div className="flex shrink-0 gap-2">
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(todo.id)}
+                      disabled={busyId !== null}
+                      className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition-colors hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                      {busyId === todo.id ? 'Restaurando...' : 'Restaurar'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setConfirm({ id: todo.id, title: todo.title })}
+                      disabled={busyId !== null}
+                      className="rounded-lg border border-red-200 px-4 py-2 text-sm font-semibold text-red-600 transition-colors hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Eliminar definitivamente
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </main>
+
+      {/* Modal de confirmación del borrado definitivo */}
+      {confirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 animate-fade-in">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4 transform transition-all animate-fade-in">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              {confirm.all ? 'Vaciar papelera' : 'Eliminar definitivamente'}
+            </h3>
+            <p className="text-gray-600 mb-6">
+              {confirm.all
+                ? `Se borrarán ${todos.length} tarea(s) para siempre. Esta acción no se puede deshacer.`
+                : `"${confirm.title}" se borrará para siempre. Esta acción no se puede deshacer.`}
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setConfirm(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={handleConfirm}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+              >
+                Eliminar
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,64 @@
+import { supabase } from '../config/supabaseClient';
+import { apiClient } from './apiClient';
+import { USE_API } from '../config/apiConfig';
+
+// Entradas del historial por página
+const ACTIVITY_PAGE_SIZE = 50;
+
+/**
+ * Servicio del historial de actividad de las tareas (solo lectura)
+ *
+ * Las entradas las registra el backend al crear, modificar, completar,
+ * archivar, eliminar o restaurar tareas a través de /api/todos. Sin la API
+ * (VITE_USE_API) el historial se lee igualmente de Supabase, protegido por
+ * RLS: cada usuario ve el de las tareas que puede ver.
+ *
+ * Uso en componentes:
+ * import { activityService } from '../services/activityService';
+ *
+ * const { data: entries, hasMore } = await activityService.getActivity(todoId);
+ */
+export const activityService = {
+  /**
+   * Obtener una página del historial de una tarea (la entrada más reciente primero)
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {Object} options - Opciones de paginación
+   * @param {string|null} options.before - created_at de la última entrada recibida (null = primera página)
+   * @returns {Promise<{ data: Array, hasMore: boolean }>} Entradas ({ action, changes, actor_email, created_at })
+   *          y si hay más antiguas
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getActivity(todoId, { before = null } = {}) {
+    try {
+      if (USE_API) {
+        const { data, hasMore } = await apiClient.get(`/api/todos/${todoId}/activity`, {
+          before,
+          limit: ACTIVITY_PAGE_SIZE
+        });
+        return { data, hasMore };
+      }
+
+      let query = supabase
+        .from('todo_activity')
+        .select('*')
+        .eq('todo_id', todoId)
+        .order('created_at', { ascending: false })
+        .limit(ACTIVITY_PAGE_SIZE + 1);
+      if (before) query = query.lt('created_at', before);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return {
+        data: (data || []).slice(0, ACTIVITY_PAGE_SIZE),
+        hasMore: (data || []).length > ACTIVITY_PAGE_SIZE
+      };
+    } catch (error) {
+      console.error('Error al obtener el historial:', error);
+      throw new Error(`Error al cargar el historial: ${error.message}`);
+    }
+  }
+};
+
+export default activityService;
@@ -0,0 +1,92 @@
+import { supabase } from '../config/supabaseClient';
+import { API_URL } from '../config/apiConfig';
+
+/**
+ * Error devuelto por la API del backend
+ *
+ * Conserva el formato de error de los controladores:
+ * - message: Texto de "error"
+ * - field: Campo que no pasó la validación (p. ej. 'title'), si lo hay
+ * - details: Detalle técnico, si lo hay
+ * - status: Código HTTP (0 si no se pudo conectar)
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, field = null, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+/**
+ * Realizar una petición autenticada a la API
+ *
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta de la API (p. ej. '/api/todos')
+ * @param {Object} options - Opciones de la petición
+ * @param {Object} options.query - Query params (se omiten los undefined / null)
+ * @param {Object} options.body - Body a enviar como JSON
+ * @returns {Promise<Object|null>} Respuesta JSON de la API
+ * @throws {ApiError} Si no hay sesión, no se puede conectar o la API responde con error
+ */
+const request = async (method, path, { query, body } = {}) => {
+  // Obtener el token JWT de la sesión actual de Supabase
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    throw new ApiError('Usuario no autenticado', { status: 401 });
+  }
+
+  const url = new URL(`${API_URL}${path}`);
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, String(value));
+    }
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+        ...(body !== undefined && { 'Content-Type': 'application/json' })
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch {
+    throw new ApiError('No se pudo conectar con el servidor');
+  }
+
+  const payload = response.status === 204 ? null : await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new ApiError(payload?.error || `Error del servidor (${response.status})`, {
+      status: response.status,
+      field: payload?.field ?? null,
+      details: payload?.details ?? null
+    });
+  }
+
+  return payload;
+};
+
+/**
+ * Cliente HTTP para la API del backend
+ *
+ * Uso:
+ * import { apiClient } from './apiClient';
+ *
+ * const { data } = await apiClient.get('/api/todos', { list_id: listId });
+ * await apiClient.post('/api/todos', { title: 'Nueva tarea' });
+ */
+export const apiClient = {
+  get: (path, query) => request('GET', path, { query }),
+  post: (path, body = {}) => request('POST', path, { body }),
+  put: (path, body = {}) => request('PUT', path, { body }),
+  patch: (path, body = {}) => request('PATCH', path, { body }),
+  delete: (path) => request('DELETE', path)
+};
+
+export default apiClient;
@@ -0,0 +1,71 @@
+import { apiClient } from './apiClient';
+
+/**
+ * Servicio de los tokens de acceso personal
+ *
+ * Los tokens permiten usar la API desde scripts y tareas programadas sin la
+ * sesión de Supabase (que caduca). Solo existen en el backend (/api/tokens), así
+ * que este servicio usa siempre la API. El backend solo guarda su hash: el token
+ * completo se recibe una única vez, al crearlo.
+ *
+ * Uso en componentes:
+ * import { apiTokenService } from '../services/apiTokenService';
+ *
+ * const tokens = await apiTokenService.getTokens();
+ */
+export const apiTokenService = {
+  /**
+   * Obtener los tokens activos del usuario (el más reciente primero)
+   *
+   * @returns {Promise<Array>} Tokens ({ id, name, token_prefix, scope, last_used_at, created_at })
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getTokens() {
+    try {
+      const { data } = await apiClient.get('/api/tokens');
+      return data || [];
+    } catch (error) {
+      console.error('Error al obtener tokens:', error);
+      throw new Error(`Error al cargar los tokens: ${error.message}`);
+    }
+  },
+
+  /**
+   * Crear un token de acceso personal
+   *
+   * @param {string} name - Nombre para reconocerlo (p. ej. "Backup nocturno")
+   * @param {string} scope - 'read' (solo lectura) o 'write'
+   * @returns {Promise<Object>} Token creado, con el token completo en token
+   * @throws {Error} Si los datos no son válidos o hay error en la creación
+   */
+  async createToken(name, scope = 'read') {
+    try {
+      if (!name || name.trim().length === 0) {
+        throw new Error('El nombre del token es requerido');
+      }
+
+      const { data } = await apiClient.post('/api/tokens', { name: name.trim(), scope });
+      return data;
+    } catch (error) {
+      console.error('Error al crear token:', error);
+      throw new Error(`Error al crear el token: ${error.message}`);
+    }
+  },
+
+  /**
+   * Revocar un token (deja de funcionar inmediatamente)
+   *
+   * @param {string} id - ID del token
+   * @throws {Error} Si hay error al revocarlo
+   */
+  async revokeToken(id) {
+    try {
+      await apiClient.delete(`/api/tokens/${id}`);
+    } catch (error) {
+      console.error('Error al revocar token:', error);
+      throw new Error(`Error al revocar el token: ${error.message}`);
+    }
+  }
+};
+
+export default apiTokenService;
@@ -0,0 +1,179 @@
+import { supabase } from '../config/supabaseClient';
+import { apiClient } from './apiClient';
+import { USE_API } from '../config/apiConfig';
+import { COMMENT_MAX_LENGTH } from '../utils/taskFields';
+
+/**
+ * Validar y limpiar el texto de un comentario
+ *
+ * @param {string} body - Texto del comentario
+ * @returns {string} Texto sin espacios sobrantes
+ * @throws {Error} Si está vacío o es demasiado largo
+ */
+const cleanCommentBody = (body) => {
+  const cleanBody = (body || '').trim();
+  if (!cleanBody) {
+    throw new Error('El comentario no puede estar vacío');
+  }
+  if (cleanBody.length > COMMENT_MAX_LENGTH) {
+    throw new Error(`El comentario no puede exceder ${COMMENT_MAX_LENGTH} caracteres`);
+  }
+  return cleanBody;
+};
+
+/**
+ * Servicio de comentarios consultando Supabase directamente
+ *
+ * Los permisos los aplica RLS (ver dbquery.sql): comenta cualquiera que vea la
+ * tarea y cada autor edita o elimina solo sus comentarios. El email del autor
+ * (author_email) lo completa un trigger al crear el comentario.
+ */
+const supabaseCommentService = {
+  /**
+   * Obtener los comentarios de una tarea (el más antiguo primero)
+   *
+   * @param {string} todoId - ID de la tarea
+   * @returns {Promise<Array>} Comentarios ({ id, todo_id, user_id, author_email, body, created_at, updated_at })
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getComments(todoId) {
+    try {
+      const { data, error } = await supabase
+        .from('comments')
+        .select('*')
+        .eq('todo_id', todoId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error al obtener comentarios:', error);
+      throw new Error(`Error al cargar los comentarios: ${error.message}`);
+    }
+  },
+
+  /**
+   * Comentar una tarea
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {string} body - Texto del comentario
+   * @returns {Promise<Object>} Comentario creado
+   * @throws {Error} Si el texto no es válido o no se puede ver la tarea
+   */
+  async createComment(todoId, body) {
+    try {
+      const cleanBody = cleanCommentBody(body);
+
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data, error } = await supabase
+        .from('comments')
+        .insert([{ todo_id: todoId, user_id: user.id, body: cleanBody }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al crear comentario:', error);
+      throw new Error(`Error al comentar: ${error.message}`);
+    }
+  },
+
+  /**
+   * Editar un comentario propio
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {string} id - ID del comentario
+   * @param {string} body - Nuevo texto
+   * @returns {Promise<Object>} Comentario actualizado
+   * @throws {Error} Si el texto no es válido o el comentario no es del usuario
+   */
+  async updateComment(todoId, id, body) {
+    try {
+      const cleanBody = cleanCommentBody(body);
+
+      const { data, error } = await supabase
+        .from('comments')
+        .update({ body: cleanBody })
+        .eq('id', id)
+        .eq('todo_id', todoId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new Error('Comentario no encontrado o no tienes permisos para modificarlo');
+      }
+      return data;
+    } catch (error) {
+      console.error('Error al actualizar comentario:', error);
+      throw new Error(`Error al editar el comentario: ${error.message}`);
+    }
+  },
+
+  /**
+   * Eliminar un comentario propio
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {string} id - ID del comentario
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error en la eliminación
+   */
+  async deleteComment(todoId, id) {
+    try {
+      const { error } = await supabase
+        .from('comments')
+        .delete()
+        .eq('id', id)
+        .eq('todo_id', todoId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al eliminar comentario:', error);
+      throw new Error(`Error al eliminar el comentario: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Servicio de comentarios a través de la API del backend (/api/todos/:id/comments)
+ * Los errores llegan como ApiError con el campo afectado en error.field.
+ */
+const apiCommentService = {
+  async getComments(todoId) {
+    const { data } = await apiClient.get(`/api/todos/${todoId}/comments`);
+    return data;
+  },
+
+  async createComment(todoId, body) {
+    const { data } = await apiClient.post(`/api/todos/${todoId}/comments`, { body });
+    return data;
+  },
+
+  async updateComment(todoId, id, body) {
+    const { data } = await apiClient.patch(`/api/todos/${todoId}/comments/${id}`, { body });
+    return data;
+  },
+
+  async deleteComment(todoId, id) {
+    await apiClient.delete(`/api/todos/${todoId}/comments/${id}`);
+  }
+};
+
+/**
+ * Servicio de comentarios usado por la aplicación
+ * Con VITE_USE_API=true pasa por la API del backend; si no, consulta Supabase.
+ * Ambos servicios tienen la misma interfaz.
+ *
+ * Uso en componentes:
+ * import { commentService } from '../services/commentService';
+ *
+ * const comments = await commentService.getComments(todoId);
+ */
+export const commentService = USE_API ? apiCommentService : supabaseCommentService;
+
+export default commentService;
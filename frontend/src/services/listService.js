@@ -0,0 +1,161 @@
+import { supabase } from '../config/supabaseClient';
+
+/**
+ * Servicio para operaciones CRUD de listas (proyectos)
+ *
+ * Cada usuario puede agrupar sus tareas en varias listas con nombre y
+ * compartirlas con otros usuarios (ver listShareService.js). RLS devuelve
+ * las listas propias y aquellas de las que el usuario es miembro.
+ * Al eliminar una lista se eliminan también sus tareas (ON DELETE CASCADE).
+ *
+ * Uso en componentes:
+ * import { listService } from '../services/listService';
+ *
+ * const lists = await listService.getLists();
+ */
+export const listService = {
+  /**
+   * Obtener todas las listas del usuario autenticado (propias y compartidas con él)
+   *
+   * @returns {Promise<Array>} Listas ordenadas por fecha de creación, con su número de tareas (todo_count),
+   *          sus miembros (members) y el rol del usuario en cada una (role)
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getLists() {
+    try {
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data, error } = await supabase
+        .from('lists')
+        .select('*, todos(count), list_members(user_id, email, role)')
+        .is('todos.deleted_at', null) // No contar las tareas de la papelera ni las archivadas
+        .is('todos.archived_at', null)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      // Supabase devuelve el conteo agregado como todos: [{ count }]
+      return (data || [])
+        .map(({ todos, list_members: members = [], ...list }) => ({
+          ...list,
+          todo_count: todos?.[0]?.count ?? 0,
+          members,
+          role: members.find(member => member.user_id === user.id)?.role ?? null
+        }))
+        // RLS también devuelve las listas a las que el usuario está invitado: solo las de las que es miembro
+        .filter(list => list.role !== null);
+    } catch (error) {
+      console.error('Error al obtener listas:', error);
+      throw new Error(`Error al cargar listas: ${error.message}`);
+    }
+  },
+
+  /**
+   * Crear nueva lista
+   *
+   * @param {string} name - Nombre de la lista (requerido)
+   * @param {string|null} color - Color en formato #RRGGBB (opcional)
+   * @returns {Promise<Object>} Lista creada
+   * @throws {Error} Si hay error en la creación o datos inválidos
+   */
+  async createList(name, color = null) {
+    try {
+      if (!name || name.trim().length === 0) {
+        throw new Error('El nombre de la lista es requerido');
+      }
+
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data, error } = await supabase
+        .from('lists')
+        .insert([{ name: name.trim(), color, user_id: user.id }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      // El trigger add_list_owner_member agrega al creador como owner
+      return {
+        ...data,
+        todo_count: 0,
+        members: [{ user_id: user.id, email: user.email, role: 'owner' }],
+        role: 'owner'
+      };
+    } catch (error) {
+      console.error('Error al crear lista:', error);
+      throw new Error(`Error al crear lista: ${error.message}`);
+    }
+  },
+
+  /**
+   * Actualizar lista existente (renombrar o cambiar color)
+   *
+   * @param {string} id - ID de la lista
+   * @param {Object} updates - Campos a actualizar ({ name, color })
+   * @returns {Promise<Object>} Lista actualizada
+   * @throws {Error} Si hay error en la actualización
+   */
+  async updateList(id, updates) {
+    try {
+      if (!id) {
+        throw new Error('ID de lista requerido');
+      }
+
+      const cleanUpdates = {};
+      if (updates.name !== undefined) {
+        if (!updates.name || updates.name.trim().length === 0) {
+          throw new Error('El nombre de la lista no puede estar vacío');
+        }
+        cleanUpdates.name = updates.name.trim();
+      }
+      if (updates.color !== undefined) {
+        cleanUpdates.color = updates.color;
+      }
+
+      const { data, error } = await supabase
+        .from('lists')
+        .update(cleanUpdates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al actualizar lista:', error);
+      throw new Error(`Error al actualizar lista: ${error.message}`);
+    }
+  },
+
+  /**
+   * Eliminar lista y todas sus tareas
+   *
+   * @param {string} id - ID de la lista a eliminar
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error en la eliminación
+   */
+  async deleteList(id) {
+    try {
+      if (!id) {
+        throw new Error('ID de lista requerido');
+      }
+
+      const { error } = await supabase
+        .from('lists')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al eliminar lista:', error);
+      throw new Error(`Error al eliminar lista: ${error.message}`);
+    }
+  }
+};
+
+export default listService;
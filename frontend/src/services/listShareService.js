@@ -0,0 +1,244 @@
+import { supabase } from '../config/supabaseClient';
+
+/**
+ * Servicio para compartir listas
+ *
+ * - Miembros de una lista (list_members) con su rol: viewer (solo ve),
+ *   editor (crea y modifica tareas) u owner (además gestiona la lista)
+ * - Invitaciones por email (list_invitations) que el invitado acepta o rechaza
+ *
+ * Los permisos los aplica RLS (ver dbquery.sql): solo los owners cambian roles,
+ * quitan miembros e invitan; cada miembro puede salir de la lista. Aceptar una
+ * invitación pasa por la función accept_list_invitation, que comprueba que el
+ * email de la sesión coincida con el invitado.
+ *
+ * Uso en componentes:
+ * import { listShareService } from '../services/listShareService';
+ *
+ * const members = await listShareService.getMembers(listId);
+ */
+
+// Código de Postgres para violación de restricción UNIQUE
+const UNIQUE_VIOLATION = '23505';
+
+// Formato básico de un email
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const listShareService = {
+  /**
+   * Obtener los miembros de una lista
+   *
+   * @param {string} listId - ID de la lista
+   * @returns {Promise<Array>} Miembros ({ user_id, email, role }) en orden de llegada
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getMembers(listId) {
+    try {
+      const { data, error } = await supabase
+        .from('list_members')
+        .select('*')
+        .eq('list_id', listId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error al obtener miembros:', error);
+      throw new Error(`Error al cargar los miembros: ${error.message}`);
+    }
+  },
+
+  /**
+   * Cambiar el rol de un miembro (solo owners)
+   *
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del miembro
+   * @param {string} role - Nuevo rol (viewer, editor u owner)
+   * @returns {Promise<Object>} Miembro actualizado
+   * @throws {Error} Si no hay permisos o la lista se quedaría sin owners
+   */
+  async updateMemberRole(listId, userId, role) {
+    try {
+      const { data, error } = await supabase
+        .from('list_members')
+        .update({ role })
+        .eq('list_id', listId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al cambiar el rol:', error);
+      throw new Error(`Error al cambiar el rol: ${error.message}`);
+    }
+  },
+
+  /**
+   * Quitar a un miembro de la lista (o salir de ella si es el propio usuario)
+   *
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del miembro
+   * @returns {Promise<void>}
+   * @throws {Error} Si no hay permisos o es el último owner
+   */
+  async removeMember(listId, userId) {
+    try {
+      const { error } = await supabase
+        .from('list_members')
+        .delete()
+        .eq('list_id', listId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al quitar miembro:', error);
+      throw new Error(`Error al quitar al miembro: ${error.message}`);
+    }
+  },
+
+  /**
+   * Obtener las invitaciones pendientes de una lista (solo owners)
+   *
+   * @param {string} listId - ID de la lista
+   * @returns {Promise<Array>} Invitaciones pendientes
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getInvitations(listId) {
+    try {
+      const { data, error } = await supabase
+        .from('list_invitations')
+        .select('*')
+        .eq('list_id', listId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error al obtener invitaciones:', error);
+      throw new Error(`Error al cargar las invitaciones: ${error.message}`);
+    }
+  },
+
+  /**
+   * Invitar a un usuario a la lista por email (solo owners)
+   *
+   * @param {string} listId - ID de la lista
+   * @param {string} email - Email del invitado
+   * @param {string} role - Rol que tendrá al aceptar (viewer, editor u owner)
+   * @returns {Promise<Object>} Invitación creada
+   * @throws {Error} Si el email no es válido, ya es miembro o ya está invitado
+   */
+  async inviteMember(listId, email, role = 'viewer') {
+    try {
+      const cleanEmail = (email || '').trim().toLowerCase();
+      if (!EMAIL_REGEX.test(cleanEmail)) {
+        throw new Error('Debes indicar un email válido');
+      }
+
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data: existingMember, error: memberError } = await supabase
+        .from('list_members')
+        .select('user_id')
+        .eq('list_id', listId)
+        .eq('email', cleanEmail)
+        .maybeSingle();
+
+      if (memberError) throw memberError;
+      if (existingMember) {
+        throw new Error('Ese usuario ya es miembro de la lista');
+      }
+
+      const { data, error } = await supabase
+        .from('list_invitations')
+        .insert([{ list_id: listId, email: cleanEmail, role, invited_by: user.id }])
+        .select()
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION) {
+        throw new Error('Ya hay una invitación pendiente para ese email');
+      }
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al invitar:', error);
+      throw new Error(`Error al invitar: ${error.message}`);
+    }
+  },
+
+  /**
+   * Cancelar (owner) o rechazar (invitado) una invitación
+   *
+   * @param {string} invitationId - ID de la invitación
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error en la eliminación
+   */
+  async deleteInvitation(invitationId) {
+    try {
+      const { error } = await supabase
+        .from('list_invitations')
+        .delete()
+        .eq('id', invitationId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al eliminar invitación:', error);
+      throw new Error(`Error al eliminar la invitación: ${error.message}`);
+    }
+  },
+
+  /**
+   * Obtener las invitaciones pendientes dirigidas al usuario autenticado
+   *
+   * @returns {Promise<Array>} Invitaciones con el nombre y color de la lista (lists: { name, color })
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getMyInvitations() {
+    try {
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data, error } = await supabase
+        .from('list_invitations')
+        .select('*, lists(name, color)')
+        .eq('email', (user.email || '').toLowerCase())
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error al obtener invitaciones:', error);
+      throw new Error(`Error al cargar las invitaciones: ${error.message}`);
+    }
+  },
+
+  /**
+   * Aceptar una invitación: el usuario pasa a ser miembro de la lista
+   *
+   * @param {string} invitationId - ID de la invitación
+   * @returns {Promise<Object>} Membresía creada ({ list_id, user_id, email, role })
+   * @throws {Error} Si la invitación no existe o es para otro email
+   */
+  async acceptInvitation(invitationId) {
+    try {
+      const { data, error } = await supabase.rpc('accept_list_invitation', {
+        p_invitation_id: invitationId
+      });
+
+      if (error) throw error;
+      return data?.[0] ?? null;
+    } catch (error) {
+      console.error('Error al aceptar invitación:', error);
+      throw new Error(`Error al aceptar la invitación: ${error.message}`);
+    }
+  }
+};
+
+export default listShareService;
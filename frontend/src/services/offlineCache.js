@@ -0,0 +1,179 @@
+/**
+ * Servicio de almacenamiento local para el modo sin conexión (IndexedDB)
+ *
+ * Guarda dos cosas en el navegador:
+ * - snapshots: la última vista de tareas de cada lista (tareas, cursor y estadísticas),
+ *   para poder mostrarla aunque no haya conexión
+ * - queue: la cola de operaciones hechas sin conexión, en orden, pendientes de
+ *   enviar al servidor (create, update, delete, toggle)
+ *
+ * Si el navegador no soporta IndexedDB, las lecturas devuelven vacío y las
+ * escrituras no hacen nada: la aplicación sigue funcionando solo en línea.
+ */
+
+const DB_NAME = 'todo-list-offline';
+const DB_VERSION = 1;
+const SNAPSHOTS_STORE = 'snapshots';
+const QUEUE_STORE = 'queue';
+
+// Clave del snapshot de "todas las tareas" (sin lista activa)
+const ALL_TODOS_KEY = 'all';
+
+let dbPromise = null;
+
+/**
+ * Abrir (y crear la primera vez) la base de datos local
+ *
+ * @returns {Promise<IDBDatabase|null>} Base de datos, o null si IndexedDB no está disponible
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+          db.createObjectStore(SNAPSHOTS_STORE);
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          // seq autoincremental: conserva el orden en que se hicieron las operaciones
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Error al abrir la base de datos local:', request.error);
+        dbPromise = null;
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Ejecutar una operación sobre un almacén de la base de datos local
+ *
+ * @param {string} storeName - Nombre del almacén
+ * @param {'readonly'|'readwrite'} mode - Modo de la transacción
+ * @param {Function} operation - Recibe el almacén y devuelve un IDBRequest
+ * @param {*} fallback - Valor a devolver si IndexedDB no está disponible
+ * @returns {Promise<*>} Resultado de la petición
+ */
+const runRequest = async (storeName, mode, operation, fallback = null) => {
+  const db = await openDatabase();
+  if (!db) return fallback;
+
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Clave del snapshot de una lista
+ *
+ * @param {string|null} listId - ID de la lista (null = todas las tareas)
+ * @returns {string} Clave en el almacén de snapshots
+ */
+const snapshotKey = (listId) => listId || ALL_TODOS_KEY;
+
+export const offlineCache = {
+  /**
+   * Obtener la última vista guardada de una lista
+   *
+   * @param {string|null} listId - ID de la lista (null = todas las tareas)
+   * @returns {Promise<{ todos: Array, stats: Object, savedAt: string }|null>} Snapshot o null si no hay
+   */
+  async getSnapshot(listId) {
+    try {
+      return (await runRequest(SNAPSHOTS_STORE, 'readonly', store => store.get(snapshotKey(listId)))) ?? null;
+    } catch (error) {
+      console.error('Error al leer tareas guardadas:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Guardar la vista actual de una lista
+   *
+   * @param {string|null} listId - ID de la lista (null = todas las tareas)
+   * @param {Object} snapshot - { todos, stats }
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot(listId, { todos, stats }) {
+    try {
+      await runRequest(SNAPSHOTS_STORE, 'readwrite', store =>
+        store.put({ todos, stats, savedAt: new Date().toISOString() }, snapshotKey(listId))
+      );
+    } catch (error) {
+      console.error('Error al guardar tareas sin conexión:', error);
+    }
+  },
+
+  /**
+   * Obtener las operaciones pendientes de sincronizar, en el orden en que se hicieron
+   *
+   * @returns {Promise<Array>} Operaciones con su seq
+   */
+  async getQueue() {
+    try {
+      return await runRequest(QUEUE_STORE, 'readonly', store => store.getAll(), []);
+    } catch (error) {
+      console.error('Error al leer la cola de sincronización:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Agregar una operación al final de la cola
+   *
+   * @param {Object} operation - { type, todoId, payload, baseUpdatedAt, createdAt }
+   * @returns {Promise<Object>} Operación con el seq asignado
+   */
+  async enqueue(operation) {
+    const seq = await runRequest(QUEUE_STORE, 'readwrite', store => store.add(operation));
+    // Sin IndexedDB la operación solo vive en memoria: se usa un seq temporal
+    return { ...operation, seq: seq ?? Date.now() + Math.random() };
+  },
+
+  /**
+   * Quitar operaciones de la cola (ya sincronizadas o descartadas)
+   *
+   * @param {number[]} seqs - seq de las operaciones
+   * @returns {Promise<void>}
+   */
+  async removeOperations(seqs) {
+    try {
+      await Promise.all(seqs.map(seq => runRequest(QUEUE_STORE, 'readwrite', store => store.delete(seq))));
+    } catch (error) {
+      console.error('Error al actualizar la cola de sincronización:', error);
+    }
+  },
+
+  /**
+   * Borrar todos los datos locales (al cerrar sesión)
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await Promise.all([
+        runRequest(SNAPSHOTS_STORE, 'readwrite', store => store.clear()),
+        runRequest(QUEUE_STORE, 'readwrite', store => store.clear())
+      ]);
+    } catch (error) {
+      console.error('Error al borrar los datos sin conexión:', error);
+    }
+  }
+};
+
+export default offlineCache;
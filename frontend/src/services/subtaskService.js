@@ -0,0 +1,141 @@
+import { supabase } from '../config/supabaseClient';
+
+/**
+ * Servicio para operaciones CRUD de subtareas
+ *
+ * Las subtareas forman un checklist dentro de una tarea. Se cargan junto con
+ * las tareas (todoService las incluye en cada consulta) y este servicio solo
+ * se encarga de crearlas, modificarlas y eliminarlas.
+ *
+ * Uso en componentes:
+ * import { subtaskService } from '../services/subtaskService';
+ *
+ * const subtask = await subtaskService.createSubtask(todoId, 'Comprar pan');
+ */
+export const subtaskService = {
+  /**
+   * Crear una subtarea al final del checklist de una tarea
+   *
+   * @param {string} todoId - ID de la tarea padre
+   * @param {string} title - Título de la subtarea
+   * @param {number} position - Posición dentro del checklist
+   * @returns {Promise<Object>} Subtarea creada
+   * @throws {Error} Si hay error en la creación o datos inválidos
+   */
+  async createSubtask(todoId, title, position = 0) {
+    try {
+      if (!todoId) {
+        throw new Error('ID de tarea requerido');
+      }
+      if (!title || title.trim().length === 0) {
+        throw new Error('El título de la subtarea es requerido');
+      }
+
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data, error } = await supabase
+        .from('subtasks')
+        .insert([{ todo_id: todoId, user_id: user.id, title: title.trim(), position }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al crear subtarea:', error);
+      throw new Error(`Error al crear subtarea: ${error.message}`);
+    }
+  },
+
+  /**
+   * Actualizar una subtarea (título o estado de completado)
+   *
+   * @param {string} id - ID de la subtarea
+   * @param {Object} updates - Campos a actualizar ({ title, completed })
+   * @returns {Promise<Object>} Subtarea actualizada
+   * @throws {Error} Si hay error en la actualización
+   */
+  async updateSubtask(id, updates) {
+    try {
+      if (!id) {
+        throw new Error('ID de subtarea requerido');
+      }
+
+      const cleanUpdates = {};
+      if (updates.title !== undefined) {
+        if (!updates.title || updates.title.trim().length === 0) {
+          throw new Error('El título de la subtarea no puede estar vacío');
+        }
+        cleanUpdates.title = updates.title.trim();
+      }
+      if (updates.completed !== undefined) {
+        cleanUpdates.completed = Boolean(updates.completed);
+      }
+
+      const { data, error } = await supabase
+        .from('subtasks')
+        .update(cleanUpdates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al actualizar subtarea:', error);
+      throw new Error(`Error al actualizar subtarea: ${error.message}`);
+    }
+  },
+
+  /**
+   * Eliminar una subtarea
+   *
+   * @param {string} id - ID de la subtarea
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error en la eliminación
+   */
+  async deleteSubtask(id) {
+    try {
+      if (!id) {
+        throw new Error('ID de subtarea requerido');
+      }
+
+      const { error } = await supabase
+        .from('subtasks')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al eliminar subtarea:', error);
+      throw new Error(`Error al eliminar subtarea: ${error.message}`);
+    }
+  },
+
+  /**
+   * Marcar como completadas todas las subtareas pendientes de una tarea
+   *
+   * @param {string} todoId - ID de la tarea padre
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error en la actualización
+   */
+  async completeAllSubtasks(todoId) {
+    try {
+      const { error } = await supabase
+        .from('subtasks')
+        .update({ completed: true })
+        .eq('todo_id', todoId)
+        .eq('completed', false);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al completar subtareas:', error);
+      throw new Error(`Error al completar subtareas: ${error.message}`);
+    }
+  }
+};
+
+export default subtaskService;
@@ -0,0 +1,65 @@
+/**
+ * Servicio de sincronización entre pestañas del mismo navegador (BroadcastChannel)
+ *
+ * Cada pestaña avisa a las demás de los cambios que el servidor ya confirmó, sin
+ * esperar a Supabase Realtime (que puede tardar o estar caído):
+ * - todos:upsert  { todos }  Tareas creadas o modificadas (versión del servidor)
+ * - todos:remove  { ids }    Tareas eliminadas o archivadas
+ * - todos:refresh            Recargar las tareas (p. ej. tras sincronizar cambios sin conexión)
+ * - auth:logout              El usuario cerró sesión
+ *
+ * Los mensajes de tareas incluyen userId para que solo los aplique una pestaña
+ * con el mismo usuario. Una pestaña no recibe sus propios mensajes.
+ *
+ * Si el navegador no soporta BroadcastChannel, los envíos no hacen nada y
+ * cada pestaña depende solo de Realtime.
+ */
+
+const CHANNEL_NAME = 'todo-list-sync';
+
+let channel = null;
+
+/**
+ * Obtener (y crear la primera vez) el canal compartido entre pestañas
+ *
+ * @returns {BroadcastChannel|null} Canal, o null si el navegador no lo soporta
+ */
+const getChannel = () => {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  if (!channel) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+};
+
+export const tabSync = {
+  /**
+   * Enviar un mensaje a las demás pestañas
+   *
+   * @param {Object} message - Mensaje ({ type, ...datos }); debe poder clonarse (sin funciones)
+   */
+  post(message) {
+    try {
+      getChannel()?.postMessage(message);
+    } catch (error) {
+      console.error('Error al avisar a las otras pestañas:', error);
+    }
+  },
+
+  /**
+   * Escuchar los mensajes de las demás pestañas
+   *
+   * @param {Function} handler - Recibe cada mensaje ({ type, ...datos })
+   * @returns {Function} Función para dejar de escuchar
+   */
+  subscribe(handler) {
+    const syncChannel = getChannel();
+    if (!syncChannel) return () => {};
+
+    const listener = (event) => handler(event.data);
+    syncChannel.addEventListener('message', listener);
+    return () => syncChannel.removeEventListener('message', listener);
+  }
+};
+
+export default tabSync;
@@ -0,0 +1,197 @@
+import { supabase } from '../config/supabaseClient';
+
+/**
+ * Servicio para operaciones CRUD de etiquetas
+ *
+ * Las etiquetas son del usuario y se asignan a las tareas mediante la tabla
+ * todo_tags (muchos a muchos). Las tareas ya traen sus etiquetas embebidas
+ * (todoService las incluye en cada consulta).
+ *
+ * Uso en componentes:
+ * import { tagService } from '../services/tagService';
+ *
+ * const tags = await tagService.getTags();
+ */
+export const tagService = {
+  /**
+   * Obtener todas las etiquetas del usuario ordenadas por nombre
+   *
+   * @returns {Promise<Array>} Etiquetas con la cantidad de tareas que las usan (todo_count)
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getTags() {
+    try {
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      // RLS también deja ver las etiquetas de otros miembros puestas en tareas
+      // de listas compartidas: aquí solo interesan las propias
+      const { data, error } = await supabase
+        .from('tags')
+        .select('*, todo_tags(count)')
+        .eq('user_id', user.id)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      // Supabase devuelve el conteo agregado como todo_tags: [{ count }]
+      return (data || []).map(({ todo_tags: usage, ...tag }) => ({
+        ...tag,
+        todo_count: usage?.[0]?.count ?? 0
+      }));
+    } catch (error) {
+      console.error('Error al obtener etiquetas:', error);
+      throw new Error(`Error al cargar etiquetas: ${error.message}`);
+    }
+  },
+
+  /**
+   * Crear una nueva etiqueta
+   *
+   * @param {string} name - Nombre de la etiqueta (requerido, único por usuario)
+   * @param {string|null} color - Color en formato #RRGGBB (opcional)
+   * @returns {Promise<Object>} Etiqueta creada
+   * @throws {Error} Si el nombre es inválido o ya existe
+   */
+  async createTag(name, color = null) {
+    try {
+      if (!name || name.trim().length === 0) {
+        throw new Error('El nombre de la etiqueta es requerido');
+      }
+
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data, error } = await supabase
+        .from('tags')
+        .insert([{ name: name.trim(), color, user_id: user.id }])
+        .select()
+        .single();
+
+      if (error?.code === '23505') {
+        throw new Error('Ya tienes una etiqueta con ese nombre');
+      }
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al crear etiqueta:', error);
+      throw new Error(`Error al crear etiqueta: ${error.message}`);
+    }
+  },
+
+  /**
+   * Actualizar una etiqueta (renombrar o cambiar color)
+   *
+   * @param {string} id - ID de la etiqueta
+   * @param {Object} updates - Campos a actualizar ({ name, color })
+   * @returns {Promise<Object>} Etiqueta actualizada
+   * @throws {Error} Si el nombre es inválido o ya existe
+   */
+  async updateTag(id, updates) {
+    try {
+      if (!id) {
+        throw new Error('ID de etiqueta requerido');
+      }
+
+      const cleanUpdates = {};
+      if (updates.name !== undefined) {
+        if (!updates.name || updates.name.trim().length === 0) {
+          throw new Error('El nombre de la etiqueta no puede estar vacío');
+        }
+        cleanUpdates.name = updates.name.trim();
+      }
+      if (updates.color !== undefined) {
+        cleanUpdates.color = updates.color;
+      }
+
+      const { data, error } = await supabase
+        .from('tags')
+        .update(cleanUpdates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error?.code === '23505') {
+        throw new Error('Ya tienes una etiqueta con ese nombre');
+      }
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al actualizar etiqueta:', error);
+      throw new Error(`Error al actualizar etiqueta: ${error.message}`);
+    }
+  },
+
+  /**
+   * Eliminar una etiqueta (se quita de todas las tareas por ON DELETE CASCADE)
+   *
+   * @param {string} id - ID de la etiqueta
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error en la eliminación
+   */
+  async deleteTag(id) {
+    try {
+      if (!id) {
+        throw new Error('ID de etiqueta requerido');
+      }
+
+      const { error } = await supabase
+        .from('tags')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al eliminar etiqueta:', error);
+      throw new Error(`Error al eliminar etiqueta: ${error.message}`);
+    }
+  },
+
+  /**
+   * Reemplazar las etiquetas del usuario asignadas a una tarea
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {string[]} tagIds - IDs de las etiquetas ([] para quitarlas todas)
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error al guardar las etiquetas
+   */
+  async setTodoTags(todoId, tagIds) {
+    try {
+      if (!todoId) {
+        throw new Error('ID de tarea requerido');
+      }
+
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      // Solo se reemplazan las etiquetas del usuario: las de otros colaboradores se conservan
+      const { error: deleteError } = await supabase
+        .from('todo_tags')
+        .delete()
+        .eq('todo_id', todoId)
+        .eq('user_id', user.id);
+
+      if (deleteError) throw deleteError;
+
+      const uniqueIds = [...new Set(tagIds)];
+      if (uniqueIds.length === 0) return;
+
+      const { error } = await supabase
+        .from('todo_tags')
+        .insert(uniqueIds.map(tagId => ({ todo_id: todoId, tag_id: tagId, user_id: user.id })));
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al asignar etiquetas:', error);
+      throw new Error(`Error al asignar etiquetas: ${error.message}`);
+    }
+  }
+};
+
+export default tagService;
@@ -0,0 +1,297 @@
+import { apiClient } from './apiClient';
+
+/**
+ * Servicio de tareas a través de la API del backend (/api/todos)
+ *
+ * Tiene la misma interfaz que el servicio que consulta Supabase directamente,
+ * pero las validaciones y los errores los resuelve el backend. Los errores de
+ * validación llegan como ApiError con el campo afectado en error.field.
+ *
+ * Se activa con VITE_USE_API=true (ver config/apiConfig.js).
+ */
+
+/**
+ * Registrar el error y relanzarlo sin perder el campo ni el estado HTTP
+ */
+const rethrow = (context, error) => {
+  console.error(`${context}:`, error);
+  throw error;
+};
+
+export const todoApiService = {
+  /**
+   * Obtener una página de tareas del usuario autenticado
+   *
+   * @param {string|null} listId - ID de la lista para obtener solo sus tareas (null = todas)
+   * @param {Object} options - Opciones de paginación y filtro
+   * @param {string|null} options.cursor - nextCursor de la página anterior (null = primera página)
+   * @param {number} options.limit - Tareas por página
+   * @param {boolean} options.assignedToMe - Solo las tareas asignadas al usuario
+   * @returns {Promise<{ data: Array, nextCursor: string|null }>} Tareas de la página y cursor de la siguiente
+   */
+  async getTodos(listId = null, { cursor = null, limit, assignedToMe = false } = {}) {
+    try {
+      const { data, nextCursor } = await apiClient.get('/api/todos', {
+        list_id: listId,
+        assignee: assignedToMe ? 'me' : null,
+        cursor,
+        limit
+      });
+      return { data, nextCursor };
+    } catch (error) {
+      rethrow('Error al obtener tareas', error);
+    }
+  },
+
+  /**
+   * Buscar tareas por texto completo (título y descripción)
+   *
+   * @param {string} query - Texto a buscar
+   * @param {string|null} listId - ID de la lista en la que buscar (null = todas)
+   * @param {number} limit - Máximo de resultados
+   * @returns {Promise<Array>} Tareas encontradas con { rank, highlight }
+   */
+  async searchTodos(query, listId = null, limit = 20) {
+    try {
+      const { data } = await apiClient.get('/api/todos/search', { q: query.trim(), list_id: listId, limit });
+      return data;
+    } catch (error) {
+      rethrow('Error al buscar tareas', error);
+    }
+  },
+
+  /**
+   * Crear nueva tarea
+   *
+   * @param {string} title - Título de la tarea
+   * @param {string} description - Descripción de la tarea
+   * @param {Object} options - Campos opcionales (due_at, remind_at, priority, list_id, assignee_id, tag_ids, recurrence)
+   * @returns {Promise<Object>} Tarea creada
+   */
+  async createTodo(title, description = '', options = {}) {
+    try {
+      const { data } = await apiClient.post('/api/todos', { ...options, title, description });
+      return data;
+    } catch (error) {
+      rethrow('Error al crear tarea', error);
+    }
+  },
+
+  /**
+   * Actualizar tarea existente
+   *
+   * @param {string} id - ID de la tarea
+   * @param {Object} updates - Campos a actualizar
+   * @returns {Promise<Object>} Tarea actualizada
+   */
+  async updateTodo(id, updates) {
+    try {
+      const { data } = await apiClient.put(`/api/todos/${id}`, updates);
+      return data;
+    } catch (error) {
+      rethrow('Error al actualizar tarea', error);
+    }
+  },
+
+  /**
+   * Obtener una tarea con sus subtareas y etiquetas
+   *
+   * @param {string} id - ID de la tarea
+   * @returns {Promise<Object>} Tarea encontrada
+   */
+  async getTodoById(id) {
+    try {
+      const { data } = await apiClient.get(`/api/todos/${id}`);
+      return data;
+    } catch (error) {
+      rethrow('Error al obtener tarea', error);
+    }
+  },
+
+  /**
+   * Eliminar tarea (se mueve a la papelera)
+   *
+   * @param {string} id - ID de la tarea a eliminar
+   * @returns {Promise<void>}
+   */
+  async deleteTodo(id) {
+    try {
+      await apiClient.delete(`/api/todos/${id}`);
+    } catch (error) {
+      rethrow('Error al eliminar tarea', error);
+    }
+  },
+
+  /**
+   * Restaurar una tarea eliminada
+   *
+   * @param {string} id - ID de la tarea a restaurar
+   * @returns {Promise<Object>} Tarea restaurada
+   */
+  async restoreTodo(id) {
+    try {
+      const { data } = await apiClient.post(`/api/todos/${id}/restore`);
+      return data;
+    } catch (error) {
+      rethrow('Error al restaurar tarea', error);
+    }
+  },
+
+  /**
+   * Obtener una página de tareas archivadas (la archivada más recientemente primero)
+   *
+   * @param {Object} options - Opciones de paginación
+   * @param {string|null} options.cursor - nextCursor de la página anterior (null = primera página)
+   * @param {number} options.limit - Tareas por página
+   * @returns {Promise<{ data: Array, nextCursor: string|null }>} Tareas de la página y cursor de la siguiente
+   */
+  async getArchivedTodos({ cursor = null, limit } = {}) {
+    try {
+      const { data, nextCursor } = await apiClient.get('/api/todos', {
+        archived: 'true',
+        sort: 'archived_at',
+        cursor,
+        limit
+      });
+      return { data, nextCursor };
+    } catch (error) {
+      rethrow('Error al obtener tareas archivadas', error);
+    }
+  },
+
+  /**
+   * Archivar todas las tareas completadas
+   *
+   * @param {string|null} listId - ID de la lista para archivar solo sus completadas (null = todas)
+   * @returns {Promise<string[]>} IDs de las tareas archivadas
+   */
+  async archiveCompleted(listId = null) {
+    try {
+      const { data } = await apiClient.post('/api/todos/archive-completed', listId ? { list_id: listId } : {});
+      return data;
+    } catch (error) {
+      rethrow('Error al archivar tareas completadas', error);
+    }
+  },
+
+  /**
+   * Obtener las tareas de la papelera (la eliminada más recientemente primero)
+   *
+   * @returns {Promise<{ data: Array, retentionDays: number }>} Tareas eliminadas (con purge_at)
+   *          y días que se conservan antes de borrarse
+   */
+  async getTrash() {
+    try {
+      const { data, retentionDays } = await apiClient.get('/api/todos/trash');
+      return { data, retentionDays };
+    } catch (error) {
+      rethrow('Error al obtener la papelera', error);
+    }
+  },
+
+  /**
+   * Eliminar definitivamente una tarea de la papelera
+   *
+   * @param {string} id - ID de la tarea
+   * @returns {Promise<void>}
+   */
+  async permanentDeleteTodo(id) {
+    try {
+      await apiClient.delete(`/api/todos/${id}/permanent`);
+    } catch (error) {
+      rethrow('Error al eliminar tarea definitivamente', error);
+    }
+  },
+
+  /**
+   * Vaciar la papelera (borrar definitivamente todas las tareas eliminadas)
+   *
+   * @returns {Promise<number>} Cantidad de tareas borradas
+   */
+  async emptyTrash() {
+    try {
+      const { count } = await apiClient.delete('/api/todos/trash');
+      return count;
+    } catch (error) {
+      rethrow('Error al vaciar la papelera', error);
+    }
+  },
+
+  /**
+   * Cambiar estado de completado de una tarea
+   * El backend crea la siguiente repetición al completar una tarea recurrente
+   *
+   * @param {string} id - ID de la tarea
+   * @param {boolean} completed - Nuevo estado de completado
+   * @param {Object} options - Opciones adicionales
+   * @param {boolean} options.completeSubtasks - Completar también las subtareas pendientes
+   * @returns {Promise<{ data: Object, next: Object|null }>} Tarea actualizada y siguiente repetición
+   */
+  async toggleTodo(id, completed, { completeSubtasks = false } = {}) {
+    try {
+      const { data, next } = await apiClient.patch(`/api/todos/${id}/toggle`, {
+        completed,
+        complete_subtasks: completeSubtasks
+      });
+      return { data, next: next ?? null };
+    } catch (error) {
+      rethrow('Error al cambiar estado de tarea', error);
+    }
+  },
+
+  /**
+   * Guardar el orden manual de varias tareas
+   *
+   * @param {Array<{ id: string, position: number }>} items - Nuevas posiciones
+   * @returns {Promise<void>}
+   */
+  async reorderTodos(items) {
+    try {
+      await apiClient.patch('/api/todos/reorder', { items });
+    } catch (error) {
+      rethrow('Error al reordenar tareas', error);
+    }
+  },
+
+  /**
+   * Aplicar una acción a varias tareas a la vez
+   *
+   * @param {string[]} ids - IDs de las tareas
+   * @param {string} action - 'complete', 'uncomplete', 'delete', 'move', 'add_tags', 'remove_tags',
+   *                          'archive' o 'unarchive'
+   * @param {Object} options - Datos de la acción ({ list_id } o { tag_ids })
+   * @returns {Promise<{ data: Array, next: Array }>} Tareas actualizadas (vacío al eliminar) y
+   *          siguientes repeticiones creadas al completar tareas recurrentes
+   */
+  async bulkUpdate(ids, action, options = {}) {
+    try {
+      const { data, next } = await apiClient.post('/api/todos/bulk', { ...options, ids, action });
+      // Al eliminar, la API devuelve los IDs eliminados en lugar de las tareas
+      return { data: action === 'delete' ? [] : data, next: next || [] };
+    } catch (error) {
+      rethrow('Error en operación en lote', error);
+    }
+  },
+
+  /**
+   * Obtener estadísticas de tareas del usuario
+   *
+   * @param {string|null} listId - ID de la lista para calcular solo sus estadísticas (null = todas)
+   * @param {Object} options - Filtros adicionales
+   * @param {boolean} options.assignedToMe - Contar solo las tareas asignadas al usuario
+   * @returns {Promise<Object>} Objeto con estadísticas (total, completadas, pendientes, vencidas)
+   */
+  async getTodoStats(listId = null, { assignedToMe = false } = {}) {
+    try {
+      const { data } = await apiClient.get('/api/todos/stats', {
+        list_id: listId,
+        assignee: assignedToMe ? 'me' : null
+      });
+      return data;
+    } catch (error) {
+      rethrow('Error al obtener estadísticas', error);
+    }
+  }
+};
+
+export default todoApiService;
@@ -1,10 +1,68 @@
 import { supabase } from '../config/supabaseClient';
+import { isOverdue } from '../utils/dueDate';
+import { DEFAULT_PRIORITY, isValidPriority } from '../utils/priority';
+import { tagService } from './tagService';
+import { getNextOccurrence } from '../utils/recurrence';
+import { subtaskService } from './subtaskService';
+import { todoApiService } from './todoApiService';
+import { USE_API } from '../config/apiConfig';
+
+// Columnas devueltas para una tarea: incluye sus subtareas (checklist) y etiquetas
+const TODO_SELECT = '*, subtasks(*), tags(*)';
+
+// Tareas por página al cargar la lista
+const PAGE_SIZE = 50;
+
+/**
+ * Codificar / decodificar el cursor de paginación (posición e id de la última tarea)
+ */
+const encodeCursor = (todo) => btoa(JSON.stringify({ position: todo.position ?? null, id: todo.id }));
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(atob(cursor));
+  } catch {
+    throw new Error('El cursor de paginación no es válido');
+  }
+};
+
+/**
+ * Validar y normalizar las fechas de una tarea (due_at, remind_at)
+ * Solo incluye los campos presentes en el objeto recibido
+ *
+ * @param {Object} fields - Objeto con due_at y/o remind_at
+ * @returns {Object} Fechas normalizadas en formato ISO (o null para limpiarlas)
+ * @throws {Error} Si alguna fecha es inválida o el recordatorio es posterior a la fecha límite
+ */
+const validateDates = (fields) => {
+  const dates = {};
+
+  for (const field of ['due_at', 'remind_at']) {
+    if (fields[field] === undefined) continue;
+    if (!fields[field]) {
+      dates[field] = null;
+      continue;
+    }
+
+    const date = new Date(fields[field]);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('La fecha seleccionada no es válida');
+    }
+    dates[field] = date.toISOString();
+  }
+
+  if (dates.due_at && dates.remind_at && dates.remind_at > dates.due_at) {
+    throw new Error('El recordatorio no puede ser posterior a la fecha límite');
+  }
+
+  return dates;
+};
 
 /**
- * Servicio para operaciones CRUD de tareas
+ * Servicio para operaciones CRUD de tareas (consultas directas a Supabase)
  * 
  * Este servicio maneja todas las operaciones relacionadas con las tareas:
- * - Obtener todas las tareas del usuario autenticado
+ * - Obtener las tareas del usuario autenticado (paginadas por cursor)
+ * - Buscar tareas por texto completo con relevancia y resaltado
  * - Crear nuevas tareas
  * - Actualizar tareas existentes
  * - Eliminar tareas
@@ -15,49 +73,165 @@ import { supabase } from '../config/supabaseClient';
  * - Manejo de errores consistente
  * - Operaciones asíncronas con async/await
  * - Validación de datos básica
- * 
- * Uso en componentes:
- * import { todoService } from '../services/todoService';
- * 
- * const todos = await todoService.getTodos();
  */
-export const todoService = {
+/**
+ * Obtener el ID del usuario autenticado
+ *
+ * @returns {Promise<string>} ID del usuario
+ * @throws {Error} Si no hay sesión
+ */
+const getCurrentUserId = async () => {
+  const { data: { user }, error } = await supabase.auth.getUser();
+  if (error || !user) {
+    throw new Error('Usuario no autenticado');
+  }
+  return user.id;
+};
+
+const supabaseTodoService = {
   /**
-   * Obtener todas las tareas del usuario autenticado
+   * Obtener una página de tareas del usuario autenticado
+   * Paginación por cursor sobre el orden manual (position, id): las tareas
+   * creadas o eliminadas entre páginas no provocan duplicados ni saltos.
    * 
-   * @returns {Promise<Array>} Array de tareas ordenadas por fecha de creación (más recientes primero)
+   * @param {string|null} listId - ID de la lista para obtener solo sus tareas (null = todas)
+   * @param {Object} options - Opciones de paginación y filtro
+   * @param {string|null} options.cursor - nextCursor de la página anterior (null = primera página)
+   * @param {number} options.limit - Tareas por página
+   * @param {boolean} options.assignedToMe - Solo las tareas asignadas al usuario
+   * @returns {Promise<{ data: Array, nextCursor: string|null }>} Tareas de la página y cursor de la siguiente
    * @throws {Error} Si hay error en la consulta o usuario no autenticado
    */
-  async getTodos() {
+  async getTodos(listId = null, { cursor = null, limit = PAGE_SIZE, assignedToMe = false } = {}) {
     try {
-      const { data, error } = await supabase
+      // Las tareas eliminadas (en la papelera) y las archivadas no se listan
+      let query = supabase
         .from('todos')
-        .select('*')
-        .order('created_at', { ascending: false });
+        .select(TODO_SELECT)
+        .is('deleted_at', null)
+        .is('archived_at', null);
+
+      if (listId) {
+        query = query.eq('list_id', listId);
+      }
+      if (assignedToMe) {
+        query = query.eq('assignee_id', await getCurrentUserId());
+      }
+
+      // Solo las tareas posteriores a la última de la página anterior (las sin posición van al final)
+      if (cursor) {
+        const { position, id } = decodeCursor(cursor);
+        query = position === null
+          ? query.is('position', null).gt('id', id)
+          : query.or(`position.gt.${position},and(position.eq.${position},id.gt.${id}),position.is.null`);
+      }
+
+      // Pedir una tarea de más para saber si hay otra página
+      const { data, error } = await query
+        .order('position', { ascending: true, nullsFirst: false })
+        .order('id', { ascending: true })
+        .limit(limit + 1);
       
       if (error) throw error;
-      return data || [];
+
+      const todos = (data || []).slice(0, limit);
+      return {
+        data: todos,
+        nextCursor: data.length > limit ? encodeCursor(todos[todos.length - 1]) : null
+      };
     } catch (error) {
       console.error('Error al obtener tareas:', error);
       throw new Error(`Error al cargar tareas: ${error.message}`);
     }
   },
 
+  /**
+   * Buscar tareas por texto completo (título y descripción)
+   * Usa la función search_todos de la base de datos: resultados ordenados por
+   * relevancia, con rank y fragmentos resaltados (ver utils/search.js)
+   * 
+   * @param {string} query - Texto a buscar (cada palabra se busca como prefijo)
+   * @param {string|null} listId - ID de la lista en la que buscar (null = todas)
+   * @param {number} limit - Máximo de resultados
+   * @returns {Promise<Array>} Tareas encontradas con { rank, highlight: { title, description } }
+   * @throws {Error} Si hay error en la búsqueda o usuario no autenticado
+   */
+  async searchTodos(query, listId = null, limit = 20) {
+    try {
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+      if (userError || !user) {
+        throw new Error('Usuario no autenticado');
+      }
+
+      const { data: matches, error: searchError } = await supabase.rpc('search_todos', {
+        p_user_id: user.id,
+        p_query: query.trim(),
+        p_list_id: listId,
+        p_limit: limit
+      });
+
+      if (searchError) throw searchError;
+      if (!matches?.length) return [];
+
+      // Obtener las tareas completas (con subtareas y etiquetas) de los resultados
+      const { data, error } = await supabase
+        .from('todos')
+        .select(TODO_SELECT)
+        .is('deleted_at', null)
+        .in('id', matches.map(match => match.id));
+
+      if (error) throw error;
+
+      // Conservar el orden por relevancia de la búsqueda
+      const todosById = new Map(data.map(todo => [todo.id, todo]));
+      return matches
+        .filter(match => todosById.has(match.id))
+        .map(match => ({
+          ...todosById.get(match.id),
+          rank: match.rank,
+          highlight: {
+            title: match.title_highlight,
+            description: match.description_highlight
+          }
+        }));
+    } catch (error) {
+      console.error('Error al buscar tareas:', error);
+      throw new Error(`Error al buscar tareas: ${error.message}`);
+    }
+  },
+
   /**
    * Crear nueva tarea
    * 
    * @param {string} title - Título de la tarea (requerido)
    * @param {string} description - Descripción de la tarea (opcional)
+   * @param {Object} options - Campos opcionales de la tarea
+   * @param {string|null} options.due_at - Fecha límite en formato ISO
+   * @param {string|null} options.remind_at - Fecha del recordatorio en formato ISO
+   * @param {string} options.priority - Prioridad ('high', 'medium', 'low')
+   * @param {string|null} options.list_id - ID de la lista a la que pertenece
+   * @param {string|null} options.assignee_id - ID del miembro de la lista asignado
+   * @param {string[]} options.tag_ids - IDs de las etiquetas a asignar
+   * @param {string|null} options.recurrence - Regla de repetición RRULE
+   * @param {string} options.id - UUID generado por el cliente; si ya existe una tarea
+   *                              del usuario con ese ID (reintento), se devuelve esa
    * @returns {Promise<Object>} Tarea creada con todos sus datos
    * @throws {Error} Si hay error en la creación o datos inválidos
    */
-  async createTodo(title, description = '') {
+  async createTodo(title, description = '', options = {}) {
     try {
       // Validar datos de entrada
       if (!title || title.trim().length === 0) {
         throw new Error('El título de la tarea es requerido');
       }
 
+      const dates = validateDates(options);
+
+      const priority = options.priority ?? DEFAULT_PRIORITY;
+      if (!isValidPriority(priority)) {
+        throw new Error('La prioridad seleccionada no es válida');
+      }
+
       // Obtener usuario actual
       const { data: { user }, error: userError } = await supabase.auth.getUser();
       if (userError || !user) {
@@ -69,15 +243,42 @@ export const todoService = {
         .from('todos')
         .insert([
           { 
+            ...(options.id && { id: options.id }),
             title: title.trim(), 
             description: description.trim(),
+            priority,
+            list_id: options.list_id || null,
+            assignee_id: options.assignee_id || null,
+            recurrence: options.recurrence || null,
+            ...dates,
             user_id: user.id 
           }
         ])
-        .select()
+        .select(TODO_SELECT)
         .single();
+
+      // El ID ya existe: es un reintento de una creación que sí llegó a guardarse
+      if (error?.code === '23505' && options.id) {
+        const { data: existing, error: existingError } = await supabase
+          .from('todos')
+          .select(TODO_SELECT)
+          .eq('id', options.id)
+          .eq('user_id', user.id)
+          .is('deleted_at', null)
+          .single();
+
+        if (existingError) throw existingError;
+        return existing;
+      }
       
       if (error) throw error;
+
+      // Asignar etiquetas y volver a leer la tarea con ellas
+      if (options.tag_ids?.length > 0) {
+        await tagService.setTodoTags(data.id, options.tag_ids);
+        return await this.getTodoById(data.id);
+      }
+
       return data;
     } catch (error) {
       console.error('Error al crear tarea:', error);
@@ -119,13 +320,38 @@ export const todoService = {
       if (updates.completed !== undefined) {
         cleanUpdates.completed = Boolean(updates.completed);
       }
+      if (updates.priority !== undefined) {
+        if (!isValidPriority(updates.priority)) {
+          throw new Error('La prioridad seleccionada no es válida');
+        }
+        cleanUpdates.priority = updates.priority;
+      }
+      if (updates.list_id !== undefined) {
+        cleanUpdates.list_id = updates.list_id || null;
+      }
+      if (updates.assignee_id !== undefined) {
+        cleanUpdates.assignee_id = updates.assignee_id || null;
+      }
+      if (updates.recurrence !== undefined) {
+        cleanUpdates.recurrence = updates.recurrence || null;
+      }
+      Object.assign(cleanUpdates, validateDates(updates));
+
+      // Reemplazar etiquetas (se guardan en todo_tags, no en la tarea)
+      if (updates.tag_ids !== undefined) {
+        await tagService.setTodoTags(id, updates.tag_ids);
+        if (Object.keys(cleanUpdates).length === 0) {
+          return await this.getTodoById(id);
+        }
+      }
 
       // Actualizar la tarea
       const { data, error } = await supabase
         .from('todos')
         .update(cleanUpdates)
         .eq('id', id)
-        .select()
+        .is('deleted_at', null)
+        .select(TODO_SELECT)
         .single();
       
       if (error) throw error;
@@ -140,8 +366,85 @@ export const todoService = {
     }
   },
 
+  /**
+   * Crear la siguiente repetición de una tarea recurrente
+   * Copia título, descripción, prioridad, lista, etiquetas y checklist (pendiente),
+   * con la próxima fecha límite y el recordatorio desplazado lo mismo.
+   *
+   * @param {Object} todo - Tarea recurrente que se acaba de completar
+   * @returns {Promise<Object|null>} Nueva tarea, o null si la serie terminó
+   * @throws {Error} Si hay error al crear la repetición
+   */
+  async createNextOccurrence(todo) {
+    try {
+      const next = getNextOccurrence(todo.recurrence, todo.due_at);
+      if (!next) return null;
+
+      // Mantener la misma antelación del recordatorio respecto a la fecha límite
+      let remindAt = null;
+      if (todo.remind_at && todo.due_at) {
+        const offset = new Date(todo.due_at) - new Date(todo.remind_at);
+        remindAt = new Date(new Date(next.dueAt).getTime() - offset).toISOString();
+      }
+
+      const nextTodo = await this.createTodo(todo.title, todo.description || '', {
+        priority: todo.priority,
+        list_id: todo.list_id,
+        assignee_id: todo.assignee_id ?? null,
+        due_at: next.dueAt,
+        remind_at: remindAt,
+        recurrence: next.recurrence,
+        tag_ids: (todo.tags || []).map(tag => tag.id)
+      });
+
+      if (todo.subtasks?.length > 0) {
+        const { error } = await supabase
+          .from('subtasks')
+          .insert(todo.subtasks.map(subtask => ({
+            todo_id: nextTodo.id,
+            user_id: nextTodo.user_id,
+            title: subtask.title,
+            position: subtask.position
+          })));
+
+        if (error) throw error;
+        return await this.getTodoById(nextTodo.id);
+      }
+
+      return nextTodo;
+    } catch (error) {
+      console.error('Error al crear la siguiente repetición:', error);
+      throw new Error(`Error al crear la siguiente repetición: ${error.message}`);
+    }
+  },
+
+  /**
+   * Obtener una tarea con sus subtareas y etiquetas
+   *
+   * @param {string} id - ID de la tarea
+   * @returns {Promise<Object>} Tarea encontrada
+   * @throws {Error} Si la tarea no existe o hay error en la consulta
+   */
+  async getTodoById(id) {
+    try {
+      const { data, error } = await supabase
+        .from('todos')
+        .select(TODO_SELECT)
+        .eq('id', id)
+        .is('deleted_at', null)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error al obtener tarea:', error);
+      throw new Error(`Error al obtener tarea: ${error.message}`);
+    }
+  },
+
   /**
    * Eliminar tarea
+   * La tarea se marca con deleted_at (papelera) y se puede restaurar con restoreTodo
    * 
    * @param {string} id - ID de la tarea a eliminar
    * @returns {Promise<void>}
@@ -154,11 +457,12 @@ export const todoService = {
         throw new Error('ID de tarea requerido');
       }
 
-      // Eliminar la tarea
+      // Mover la tarea a la papelera
       const { error } = await supabase
         .from('todos')
-        .delete()
-        .eq('id', id);
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('deleted_at', null);
       
       if (error) throw error;
     } catch (error) {
@@ -167,34 +471,418 @@ export const todoService = {
     }
   },
 
+  /**
+   * Restaurar una tarea eliminada
+   * 
+   * @param {string} id - ID de la tarea a restaurar
+   * @returns {Promise<Object>} Tarea restaurada
+   * @throws {Error} Si hay error o la tarea no está en la papelera
+   */
+  async restoreTodo(id) {
+    try {
+      if (!id) {
+        throw new Error('ID de tarea requerido');
+      }
+
+      const { data, error } = await supabase
+        .from('todos')
+        .update({ deleted_at: null })
+        .eq('id', id)
+        .not('deleted_at', 'is', null)
+        .select(TODO_SELECT)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new Error('La tarea no está en la papelera');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error al restaurar tarea:', error);
+      throw new Error(`Error al restaurar tarea: ${error.message}`);
+    }
+  },
+
+  /**
+   * Obtener una página de tareas archivadas (la archivada más recientemente primero)
+   * Paginación por cursor sobre (archived_at, id), igual que getTodos.
+   * 
+   * @param {Object} options - Opciones de paginación
+   * @param {string|null} options.cursor - nextCursor de la página anterior (null = primera página)
+   * @param {number} options.limit - Tareas por página
+   * @returns {Promise<{ data: Array, nextCursor: string|null }>} Tareas de la página y cursor de la siguiente
+   */
+  async getArchivedTodos({ cursor = null, limit = PAGE_SIZE } = {}) {
+    try {
+      let query = supabase
+        .from('todos')
+        .select(TODO_SELECT)
+        .is('deleted_at', null)
+        .not('archived_at', 'is', null);
+
+      if (cursor) {
+        const { archived_at: archivedAt, id } = JSON.parse(atob(cursor));
+        query = query.or(`archived_at.lt."${archivedAt}",and(archived_at.eq."${archivedAt}",id.lt.${id})`);
+      }
+
+      const { data, error } = await query
+        .order('archived_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
+
+      if (error) throw error;
+
+      const todos = (data || []).slice(0, limit);
+      const last = todos[todos.length - 1];
+      return {
+        data: todos,
+        nextCursor: data.length > limit ? btoa(JSON.stringify({ archived_at: last.archived_at, id: last.id })) : null
+      };
+    } catch (error) {
+      console.error('Error al obtener tareas archivadas:', error);
+      throw new Error(`Error al cargar el archivo: ${error.message}`);
+    }
+  },
+
+  /**
+   * Archivar todas las tareas completadas
+   * 
+   * @param {string|null} listId - ID de la lista para archivar solo sus completadas (null = todas)
+   * @returns {Promise<string[]>} IDs de las tareas archivadas
+   */
+  async archiveCompleted(listId = null) {
+    try {
+      let query = supabase
+        .from('todos')
+        .update({ archived_at: new Date().toISOString() })
+        .eq('completed', true)
+        .is('archived_at', null)
+        .is('deleted_at', null);
+
+      if (listId) {
+        query = query.eq('list_id', listId);
+      }
+
+      const { data, error } = await query.select('id');
+
+      if (error) throw error;
+      return (data || []).map(todo => todo.id);
+    } catch (error) {
+      console.error('Error al archivar tareas completadas:', error);
+      throw new Error(`Error al archivar tareas: ${error.message}`);
+    }
+  },
+
+  /**
+   * Obtener las tareas de la papelera (la eliminada más recientemente primero)
+   * Sin la API no se conoce el tiempo de retención del backend: retentionDays es null
+   * y las tareas no traen purge_at.
+   * 
+   * @returns {Promise<{ data: Array, retentionDays: number|null }>} Tareas eliminadas
+   */
+  async getTrash() {
+    try {
+      const { data, error } = await supabase
+        .from('todos')
+        .select(TODO_SELECT)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+      if (error) throw error;
+      return { data: data || [], retentionDays: null };
+    } catch (error) {
+      console.error('Error al obtener la papelera:', error);
+      throw new Error(`Error al obtener la papelera: ${error.message}`);
+    }
+  },
+
+  /**
+   * Eliminar definitivamente una tarea de la papelera
+   * 
+   * @param {string} id - ID de la tarea
+   * @returns {Promise<void>}
+   * @throws {Error} Si hay error o la tarea no está en la papelera
+   */
+  async permanentDeleteTodo(id) {
+    try {
+      if (!id) {
+        throw new Error('ID de tarea requerido');
+      }
+
+      const { data, error } = await supabase
+        .from('todos')
+        .delete()
+        .eq('id', id)
+        .not('deleted_at', 'is', null)
+        .select('id')
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        throw new Error('La tarea no está en la papelera');
+      }
+    } catch (error) {
+      console.error('Error al eliminar tarea definitivamente:', error);
+      throw new Error(`Error al eliminar tarea definitivamente: ${error.message}`);
+    }
+  },
+
+  /**
+   * Vaciar la papelera (borrar definitivamente todas las tareas eliminadas)
+   * 
+   * @returns {Promise<number>} Cantidad de tareas borradas
+   */
+  async emptyTrash() {
+    try {
+      const { data, error } = await supabase
+        .from('todos')
+        .delete()
+        .not('deleted_at', 'is', null)
+        .select('id');
+
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      console.error('Error al vaciar la papelera:', error);
+      throw new Error(`Error al vaciar la papelera: ${error.message}`);
+    }
+  },
+
   /**
    * Cambiar estado de completado de una tarea
+   * Al completar una tarea recurrente se crea su siguiente repetición y la tarea
+   * completada deja de repetirse (así no se duplica si se vuelve a abrir).
+   * Si quien la completa es el asignado sin permiso de edición, la serie no avanza.
    * 
    * @param {string} id - ID de la tarea
    * @param {boolean} completed - Nuevo estado de completado
-   * @returns {Promise<Object>} Tarea actualizada
+   * @param {Object} options - Opciones adicionales
+   * @param {boolean} options.completeSubtasks - Completar también las subtareas pendientes
+   * @returns {Promise<{ data: Object, next: Object|null }>} Tarea actualizada y siguiente repetición
    * @throws {Error} Si hay error en la actualización
    */
-  async toggleTodo(id, completed) {
+  async toggleTodo(id, completed, { completeSubtasks = false } = {}) {
     try {
-      return await this.updateTodo(id, { completed });
+      const todo = await this.getTodoById(id);
+      let isRecurringCompletion = completed && !todo.completed && Boolean(todo.recurrence);
+      if (isRecurringCompletion) {
+        const { data: canEdit, error: accessError } = await supabase.rpc('can_edit_todo', { p_todo_id: id });
+        if (accessError) throw accessError;
+        isRecurringCompletion = Boolean(canEdit);
+      }
+      const data = await this.updateTodo(
+        id,
+        isRecurringCompletion ? { completed, recurrence: null } : { completed }
+      );
+      const next = isRecurringCompletion ? await this.createNextOccurrence(todo) : null;
+
+      // El checklist se completa después de la tarea: si falla, la tarea sigue completada
+      // con las subtareas como estaban (RLS solo lo permite a quien puede editar la tarea)
+      if (completed && completeSubtasks) {
+        try {
+          await subtaskService.completeAllSubtasks(id);
+          return { data: await this.getTodoById(id), next };
+        } catch (subtasksError) {
+          console.error('Error al completar subtareas:', subtasksError);
+        }
+      }
+
+      return { data, next };
     } catch (error) {
       console.error('Error al cambiar estado de tarea:', error);
       throw new Error(`Error al cambiar estado: ${error.message}`);
     }
   },
 
+  /**
+   * Guardar el orden manual de varias tareas
+   * 
+   * @param {Array<{ id: string, position: number }>} items - Nuevas posiciones
+   * @returns {Promise<void>}
+   * @throws {Error} Si la actualización falla
+   */
+  async reorderTodos(items) {
+    try {
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('No hay tareas para reordenar');
+      }
+
+      // Una sola actualización (reorder_todos): o se guardan todas las posiciones o ninguna
+      const { error } = await supabase.rpc('reorder_todos', {
+        p_items: items.map(({ id, position }) => ({ id, position }))
+      });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error al reordenar tareas:', error);
+      throw new Error(`Error al reordenar tareas: ${error.message}`);
+    }
+  },
+
+  /**
+   * Aplicar una acción a varias tareas a la vez
+   * 
+   * @param {string[]} ids - IDs de las tareas
+   * @param {string} action - 'complete', 'uncomplete', 'delete', 'move', 'add_tags', 'remove_tags',
+   *                          'archive' o 'unarchive'
+   * @param {Object} options - Datos de la acción
+   * @param {string|null} options.list_id - Lista destino (acción 'move'; null = sin lista)
+   * @param {string[]} options.tag_ids - Etiquetas a agregar o quitar
+   * @returns {Promise<{ data: Array, next: Array }>} Tareas actualizadas (vacío al eliminar) y
+   *          siguientes repeticiones creadas al completar tareas recurrentes
+   * @throws {Error} Si la acción no es válida o falla la operación
+   */
+  async bulkUpdate(ids, action, options = {}) {
+    try {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error('No hay tareas seleccionadas');
+      }
+
+      const uniqueIds = [...new Set(ids)];
+      const next = [];
+      let error = null;
+
+      switch (action) {
+        case 'complete':
+        case 'uncomplete': {
+          // Tareas recurrentes que pasan a completadas (antes de modificarlas)
+          let recurring = [];
+          if (action === 'complete') {
+            const { data: pending, error: fetchError } = await supabase
+              .from('todos')
+              .select(TODO_SELECT)
+              .in('id', uniqueIds)
+              .eq('completed', false)
+              .not('recurrence', 'is', null);
+
+            if (fetchError) throw fetchError;
+            recurring = pending || [];
+          }
+
+          ({ error } = await supabase
+            .from('todos')
+            .update({ completed: action === 'complete' })
+            .in('id', uniqueIds));
+          if (error) throw error;
+
+          // La tarea completada deja de repetirse y se crea su siguiente repetición
+          if (recurring.length > 0) {
+            ({ error } = await supabase
+              .from('todos')
+              .update({ recurrence: null })
+              .in('id', recurring.map(todo => todo.id)));
+            if (error) throw error;
+
+            for (const todo of recurring) {
+              const nextTodo = await this.createNextOccurrence(todo);
+              if (nextTodo) next.push(nextTodo);
+            }
+          }
+          break;
+        }
+
+        case 'delete':
+          // Mover las tareas a la papelera
+          ({ error } = await supabase
+            .from('todos')
+            .update({ deleted_at: new Date().toISOString() })
+            .in('id', uniqueIds));
+          if (error) throw error;
+          return { data: [], next };
+
+        case 'archive':
+        case 'unarchive':
+          ({ error } = await supabase
+            .from('todos')
+            .update({ archived_at: action === 'archive' ? new Date().toISOString() : null })
+            .in('id', uniqueIds));
+          break;
+
+        case 'move':
+          ({ error } = await supabase
+            .from('todos')
+            .update({ list_id: options.list_id || null })
+            .in('id', uniqueIds));
+          break;
+
+        case 'add_tags':
+        case 'remove_tags': {
+          const tagIds = [...new Set(options.tag_ids || [])];
+          if (tagIds.length === 0) {
+            throw new Error('Selecciona al menos una etiqueta');
+          }
+
+          const { data: { user }, error: userError } = await supabase.auth.getUser();
+          if (userError || !user) {
+            throw new Error('Usuario no autenticado');
+          }
+
+          if (action === 'add_tags') {
+            ({ error } = await supabase
+              .from('todo_tags')
+              .upsert(
+                uniqueIds.flatMap(todoId =>
+                  tagIds.map(tagId => ({ todo_id: todoId, tag_id: tagId, user_id: user.id }))
+                ),
+                { onConflict: 'todo_id,tag_id', ignoreDuplicates: true }
+              ));
+          } else {
+            ({ error } = await supabase
+              .from('todo_tags')
+              .delete()
+              .eq('user_id', user.id)
+              .in('todo_id', uniqueIds)
+              .in('tag_id', tagIds));
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Acción no soportada: ${action}`);
+      }
+
+      if (error) throw error;
+
+      // Devolver las tareas con sus datos actualizados
+      const { data, error: fetchError } = await supabase
+        .from('todos')
+        .select(TODO_SELECT)
+        .in('id', uniqueIds);
+
+      if (fetchError) throw fetchError;
+      return { data: data || [], next };
+    } catch (error) {
+      console.error('Error en operación en lote:', error);
+      throw new Error(`Error al actualizar tareas: ${error.message}`);
+    }
+  },
+
   /**
    * Obtener estadísticas de tareas del usuario
    * 
-   * @returns {Promise<Object>} Objeto con estadísticas (total, completadas, pendientes)
+   * @param {string|null} listId - ID de la lista para calcular solo sus estadísticas (null = todas)
+   * @param {Object} options - Filtros adicionales
+   * @param {boolean} options.assignedToMe - Contar solo las tareas asignadas al usuario
+   * @returns {Promise<Object>} Objeto con estadísticas (total, completadas, pendientes, vencidas)
    * @throws {Error} Si hay error en la consulta
    */
-  async getTodoStats() {
+  async getTodoStats(listId = null, { assignedToMe = false } = {}) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('todos')
-        .select('completed');
+        .select('completed, due_at')
+        .is('deleted_at', null)
+        .is('archived_at', null);
+
+      if (listId) {
+        query = query.eq('list_id', listId);
+      }
+      if (assignedToMe) {
+        query = query.eq('assignee_id', await getCurrentUserId());
+      }
+
+      const { data, error } = await query;
       
       if (error) throw error;
 
@@ -202,11 +890,13 @@ export const todoService = {
       const total = todos.length;
       const completed = todos.filter(todo => todo.completed).length;
       const pending = total - completed;
+      const overdue = todos.filter(todo => isOverdue(todo)).length;
 
       return {
         total,
         completed,
         pending,
+        overdue,
         completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
       };
     } catch (error) {
@@ -216,4 +906,17 @@ export const todoService = {
   }
 };
 
+/**
+ * Servicio de tareas usado por la aplicación
+ * Con VITE_USE_API=true las operaciones pasan por la API del backend (validaciones
+ * y errores por campo del servidor); si no, se consulta Supabase directamente.
+ * Ambos servicios tienen la misma interfaz.
+ * 
+ * Uso en componentes:
+ * import { todoService } from '../services/todoService';
+ * 
+ * const { data: todos, nextCursor } = await todoService.getTodos();
+ */
+export const todoService = USE_API ? todoApiService : supabaseTodoService;
+
 export default todoService;
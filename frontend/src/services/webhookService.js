@@ -0,0 +1,129 @@
+import { apiClient } from './apiClient';
+
+/**
+ * Servicio de los webhooks salientes del usuario
+ *
+ * Los webhooks solo existen en el backend (/api/webhooks): el servidor firma y
+ * envía las entregas, así que este servicio usa siempre la API aunque las tareas
+ * se lean de Supabase (VITE_USE_API). En ese caso solo se envían los eventos de
+ * los cambios hechos a través de la API.
+ *
+ * Uso en componentes:
+ * import { webhookService } from '../services/webhookService';
+ *
+ * const webhooks = await webhookService.getWebhooks();
+ */
+export const webhookService = {
+  /**
+   * Obtener los webhooks del usuario
+   *
+   * @returns {Promise<Array>} Webhooks ({ id, url, description, events, secret, active, created_at })
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getWebhooks() {
+    try {
+      const { data } = await apiClient.get('/api/webhooks');
+      return data || [];
+    } catch (error) {
+      console.error('Error al obtener webhooks:', error);
+      throw new Error(`Error al cargar los webhooks: ${error.message}`);
+    }
+  },
+
+  /**
+   * Crear un webhook
+   *
+   * @param {Object} webhook - { url, events, description }
+   * @returns {Promise<Object>} Webhook creado (incluye el secret para verificar las firmas)
+   * @throws {Error} Si los datos no son válidos o hay error en la creación
+   */
+  async createWebhook({ url, events, description = null }) {
+    try {
+      if (!url || url.trim().length === 0) {
+        throw new Error('La URL es requerida');
+      }
+      if (!events || events.length === 0) {
+        throw new Error('Debes elegir al menos un evento');
+      }
+
+      const { data } = await apiClient.post('/api/webhooks', {
+        url: url.trim(),
+        events,
+        description: description?.trim() || null
+      });
+      return data;
+    } catch (error) {
+      console.error('Error al crear webhook:', error);
+      throw new Error(`Error al crear el webhook: ${error.message}`);
+    }
+  },
+
+  /**
+   * Actualizar un webhook
+   *
+   * @param {string} id - ID del webhook
+   * @param {Object} updates - Campos a cambiar (url, events, description, active)
+   * @returns {Promise<Object>} Webhook actualizado
+   * @throws {Error} Si hay error en la actualización
+   */
+  async updateWebhook(id, updates) {
+    try {
+      const { data } = await apiClient.patch(`/api/webhooks/${id}`, updates);
+      return data;
+    } catch (error) {
+      console.error('Error al actualizar webhook:', error);
+      throw new Error(`Error al actualizar el webhook: ${error.message}`);
+    }
+  },
+
+  /**
+   * Eliminar un webhook (y su registro de entregas)
+   *
+   * @param {string} id - ID del webhook
+   * @throws {Error} Si hay error en la eliminación
+   */
+  async deleteWebhook(id) {
+    try {
+      await apiClient.delete(`/api/webhooks/${id}`);
+    } catch (error) {
+      console.error('Error al eliminar webhook:', error);
+      throw new Error(`Error al eliminar el webhook: ${error.message}`);
+    }
+  },
+
+  /**
+   * Obtener las últimas entregas de un webhook (la más reciente primero)
+   *
+   * @param {string} id - ID del webhook
+   * @returns {Promise<Array>} Entregas ({ id, event, status, attempts, response_status, error, next_attempt_at, created_at })
+   * @throws {Error} Si hay error en la consulta
+   */
+  async getDeliveries(id) {
+    try {
+      const { data } = await apiClient.get(`/api/webhooks/${id}/deliveries`);
+      return data || [];
+    } catch (error) {
+      console.error('Error al obtener entregas del webhook:', error);
+      throw new Error(`Error al cargar el registro de entregas: ${error.message}`);
+    }
+  },
+
+  /**
+   * Enviar un evento de prueba y esperar la respuesta del destino
+   *
+   * @param {string} id - ID del webhook
+   * @returns {Promise<{ delivery: Object, message: string }>} Entrega con el resultado y texto descriptivo
+   * @throws {Error} Si no se pudo registrar el envío
+   */
+  async sendTest(id) {
+    try {
+      const { data, message } = await apiClient.post(`/api/webhooks/${id}/test`);
+      return { delivery: data, message };
+    } catch (error) {
+      console.error('Error al enviar el evento de prueba:', error);
+      throw new Error(`Error al enviar el evento de prueba: ${error.message}`);
+    }
+  }
+};
+
+export default webhookService;
@@ -0,0 +1,93 @@
+import { create } from 'zustand';
+import toast from 'react-hot-toast';
+import { apiTokenService } from '../services/apiTokenService';
+
+/**
+ * Store de los tokens de acceso personal usando Zustand
+ *
+ * El token completo de un token recién creado se guarda en createdToken hasta
+ * que el usuario cierra el aviso: después ya no se puede recuperar.
+ *
+ * Uso en componentes:
+ * import { useApiTokenStore } from '../store/apiTokenStore';
+ *
+ * const { tokens, fetchTokens, createToken } = useApiTokenStore();
+ */
+export const useApiTokenStore = create((set) => ({
+  // Estado
+  tokens: [],                  // Tokens activos (el más reciente primero), sin el token completo
+  createdToken: null,          // Último token creado ({ id, name, token }) para copiarlo
+  loading: false,              // Estado de carga de los tokens
+  error: null,                 // Mensajes de error
+
+  /**
+   * Obtener los tokens activos del usuario
+   */
+  fetchTokens: async () => {
+    set({ loading: true, error: null });
+    try {
+      const tokens = await apiTokenService.getTokens();
+      set({ tokens, loading: false });
+      return tokens;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Crear un token de acceso personal
+   *
+   * @param {string} name - Nombre del token
+   * @param {string} scope - 'read' o 'write'
+   */
+  createToken: async (name, scope) => {
+    try {
+      const { token, ...apiToken } = await apiTokenService.createToken(name, scope);
+      set(state => ({
+        tokens: [apiToken, ...state.tokens],
+        createdToken: { id: apiToken.id, name: apiToken.name, token }
+      }));
+      toast.success('Token creado');
+      return apiToken;
+    } catch (error) {
+      toast.error(error.message || 'Error al crear el token');
+      throw error;
+    }
+  },
+
+  /**
+   * Revocar un token
+   *
+   * @param {string} id - ID del token
+   */
+  revokeToken: async (id) => {
+    try {
+      await apiTokenService.revokeToken(id);
+      set(state => ({
+        tokens: state.tokens.filter(apiToken => apiToken.id !== id),
+        createdToken: state.createdToken?.id === id ? null : state.createdToken
+      }));
+      toast.success('Token revocado');
+    } catch (error) {
+      toast.error(error.message || 'Error al revocar el token');
+      throw error;
+    }
+  },
+
+  /**
+   * Olvidar el token completo recién creado (al cerrar el aviso)
+   */
+  dismissCreatedToken: () => {
+    set({ createdToken: null });
+  },
+
+  /**
+   * Limpiar el estado (al cerrar sesión)
+   */
+  reset: () => {
+    set({ tokens: [], createdToken: null, loading: false, error: null });
+  }
+}));
+
+export default useApiTokenStore;
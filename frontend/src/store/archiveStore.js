@@ -0,0 +1,108 @@
+import { create } from 'zustand';
+import toast from 'react-hot-toast';
+import { todoService } from '../services/todoService';
+import { useTodoStore } from './todoStore';
+
+/**
+ * Store del archivo de tareas usando Zustand
+ *
+ * Maneja las tareas archivadas del usuario, paginadas por cursor (la archivada
+ * más recientemente primero). Al desarchivar se usa la acción de useTodoStore
+ * para que la tarea vuelva a la lista visible y se recalculen las estadísticas.
+ *
+ * Uso en componentes:
+ * import { useArchiveStore } from '../store/archiveStore';
+ *
+ * const { todos, fetchArchive, unarchiveTodo } = useArchiveStore();
+ */
+export const useArchiveStore = create((set, get) => ({
+  // Estado
+  todos: [],                   // Tareas archivadas cargadas
+  nextCursor: null,            // Cursor de la siguiente página (null = no hay más)
+  loading: false,              // Cargando la primera página
+  loadingMore: false,          // Cargando la siguiente página
+  error: null,                 // Mensajes de error
+
+  /**
+   * Obtener la primera página del archivo
+   */
+  fetchArchive: async () => {
+    set({ loading: true, error: null });
+    try {
+      const { data, nextCursor } = await todoService.getArchivedTodos();
+      set({ todos: data, nextCursor, loading: false });
+      return data;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Cargar la siguiente página del archivo
+   */
+  fetchMoreArchive: async () => {
+    const { nextCursor, loadingMore } = get();
+    if (!nextCursor || loadingMore) return;
+
+    set({ loadingMore: true });
+    try {
+      const { data, nextCursor: cursor } = await todoService.getArchivedTodos({ cursor: nextCursor });
+      set(state => {
+        const loadedIds = new Set(state.todos.map(todo => todo.id));
+        return {
+          todos: [...state.todos, ...data.filter(todo => !loadedIds.has(todo.id))],
+          nextCursor: cursor,
+          loadingMore: false
+        };
+      });
+    } catch (error) {
+      set({ loadingMore: false });
+      toast.error(error.message || 'Error al cargar más tareas');
+    }
+  },
+
+  /**
+   * Desarchivar una tarea (vuelve a su lista)
+   *
+   * @param {string} id - ID de la tarea
+   */
+  unarchiveTodo: async (id) => {
+    set({ error: null });
+    try {
+      await useTodoStore.getState().unarchiveTodos([id]);
+      set(state => ({ todos: state.todos.filter(todo => todo.id !== id) }));
+    } catch (error) {
+      // useTodoStore ya mostró el aviso de error
+      set({ error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Mover una tarea archivada a la papelera
+   *
+   * @param {string} id - ID de la tarea
+   */
+  deleteTodo: async (id) => {
+    set({ error: null });
+    try {
+      await todoService.deleteTodo(id);
+      set(state => ({ todos: state.todos.filter(todo => todo.id !== id) }));
+      toast.success('Tarea movida a la papelera');
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al eliminar tarea');
+      throw error;
+    }
+  },
+
+  /**
+   * Limpiar el estado (al cerrar sesión)
+   */
+  reset: () => {
+    set({ todos: [], nextCursor: null, loading: false, loadingMore: false, error: null });
+  }
+}));
+
+export default useArchiveStore;
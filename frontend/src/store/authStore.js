@@ -1,6 +1,7 @@
 import { create } from 'zustand';
 import toast from 'react-hot-toast';
 import { authService } from '../services/authService';
+import { tabSync } from '../services/tabSync';
 
 /**
  * Store de autenticación usando Zustand
@@ -105,6 +106,8 @@ export const useAuthStore = create((set) => ({
     try {
       await authService.logout();
       set({ user: null, loading: false });
+      // Cerrar la sesión también en las demás pestañas
+      tabSync.post({ type: 'auth:logout' });
       toast.success('Sesión cerrada exitosamente');
     } catch (error) {
       set({ error: error.message, loading: false });
@@ -113,6 +116,15 @@ export const useAuthStore = create((set) => ({
     }
   },
 
+  /**
+   * Aplicar un cierre de sesión hecho en otra pestaña
+   * La sesión de Supabase ya se cerró allí; aquí solo se olvida el usuario
+   * (ProtectedRoute redirige al login).
+   */
+  applyRemoteLogout: () => {
+    set({ user: null, loading: false, error: null });
+  },
+
   /**
    * Establecer usuario manualmente
    * Útil para restaurar sesión o actualizar usuario
@@ -0,0 +1,164 @@
+import { create } from 'zustand';
+import toast from 'react-hot-toast';
+import { commentService } from '../services/commentService';
+
+/**
+ * Store de los comentarios de las tareas usando Zustand
+ *
+ * Los comentarios se cargan por tarea al abrir su conversación y se guardan
+ * agrupados por ID de tarea. Los comentarios nuevos, editados o eliminados por
+ * otros colaboradores llegan por el canal de Realtime de useTodoStore
+ * (ver applyRealtimeChange).
+ *
+ * Uso en componentes:
+ * import { useCommentStore } from '../store/commentStore';
+ *
+ * const comments = useCommentStore(state => state.commentsByTodo[todoId]);
+ */
+
+/**
+ * Ordenar comentarios del más antiguo al más reciente
+ */
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+export const useCommentStore = create((set, get) => ({
+  // Estado
+  commentsByTodo: {},          // Comentarios cargados (todoId -> comentarios en orden)
+  loadingByTodo: {},           // Conversaciones cargándose (todoId -> true)
+
+  /**
+   * Reemplazar los comentarios de una tarea en el estado
+   * Solo afecta a las conversaciones ya cargadas
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {Function} updater - Recibe los comentarios actuales y devuelve los nuevos
+   */
+  setComments: (todoId, updater) => {
+    set(state => {
+      const current = state.commentsByTodo[todoId];
+      if (!current) return state;
+      return { commentsByTodo: { ...state.commentsByTodo, [todoId]: updater(current) } };
+    });
+  },
+
+  /**
+   * Cargar los comentarios de una tarea
+   *
+   * @param {string} todoId - ID de la tarea
+   */
+  fetchComments: async (todoId) => {
+    set(state => ({ loadingByTodo: { ...state.loadingByTodo, [todoId]: true } }));
+    try {
+      const comments = await commentService.getComments(todoId);
+      set(state => ({
+        commentsByTodo: { ...state.commentsByTodo, [todoId]: comments },
+        loadingByTodo: { ...state.loadingByTodo, [todoId]: false }
+      }));
+      return comments;
+    } catch (error) {
+      set(state => ({ loadingByTodo: { ...state.loadingByTodo, [todoId]: false } }));
+      toast.error(error.message || 'Error al cargar los comentarios');
+      throw error;
+    }
+  },
+
+  /**
+   * Comentar una tarea
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {string} body - Texto del comentario
+   */
+  addComment: async (todoId, body) => {
+    try {
+      const newComment = await commentService.createComment(todoId, body);
+      // El eco de Realtime puede haber llegado antes que la respuesta
+      get().setComments(todoId, comments =>
+        comments.some(comment => comment.id === newComment.id)
+          ? comments
+          : [...comments, newComment]
+      );
+      return newComment;
+    } catch (error) {
+      toast.error(error.message || 'Error al comentar');
+      throw error;
+    }
+  },
+
+  /**
+   * Editar un comentario propio
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {string} id - ID del comentario
+   * @param {string} body - Nuevo texto
+   */
+  editComment: async (todoId, id, body) => {
+    try {
+      const updatedComment = await commentService.updateComment(todoId, id, body);
+      get().setComments(todoId, comments =>
+        comments.map(comment => comment.id === id ? updatedComment : comment)
+      );
+      return updatedComment;
+    } catch (error) {
+      toast.error(error.message || 'Error al editar el comentario');
+      throw error;
+    }
+  },
+
+  /**
+   * Eliminar un comentario propio
+   *
+   * @param {string} todoId - ID de la tarea
+   * @param {string} id - ID del comentario
+   */
+  deleteComment: async (todoId, id) => {
+    try {
+      await commentService.deleteComment(todoId, id);
+      get().setComments(todoId, comments => comments.filter(comment => comment.id !== id));
+    } catch (error) {
+      toast.error(error.message || 'Error al eliminar el comentario');
+      throw error;
+    }
+  },
+
+  /**
+   * Aplicar un cambio de la tabla comments recibido por Realtime
+   * Solo se actualizan las conversaciones ya cargadas.
+   *
+   * @param {Object} payload - Evento de postgres_changes ({ eventType, new, old })
+   */
+  applyRealtimeChange: (payload) => {
+    switch (payload.eventType) {
+      case 'INSERT':
+      case 'UPDATE': {
+        const comment = payload.new;
+        get().setComments(comment.todo_id, comments => {
+          const others = comments.filter(item => item.id !== comment.id);
+          return [...others, comment].sort(byCreatedAt);
+        });
+        break;
+      }
+
+      case 'DELETE': {
+        // El evento de borrado solo trae la clave primaria: buscar en todas las conversaciones
+        set(state => ({
+          commentsByTodo: Object.fromEntries(
+            Object.entries(state.commentsByTodo).map(([todoId, comments]) => [
+              todoId,
+              comments.filter(comment => comment.id !== payload.old.id)
+            ])
+          )
+        }));
+        break;
+      }
+    }
+  },
+
+  /**
+   * Resetear store (útil para logout)
+   */
+  reset: () => {
+    set({ commentsByTodo: {}, loadingByTodo: {} });
+  }
+}));
+
+export default useCommentStore;
@@ -0,0 +1,381 @@
+import { create } from 'zustand';
+import toast from 'react-hot-toast';
+import { listService } from '../services/listService';
+import { listShareService } from '../services/listShareService';
+import { useTodoStore } from './todoStore';
+import { useAuthStore } from './authStore';
+import { hasListRole } from '../utils/listRoles';
+
+/**
+ * Store de gestión de listas (proyectos) usando Zustand
+ *
+ * Este store maneja las listas del usuario (propias y compartidas), sus acciones
+ * CRUD, los miembros e invitaciones de cada lista y las invitaciones recibidas.
+ * La lista activa vive en useTodoStore (activeListId), ya que es la que
+ * determina qué tareas se cargan y a qué cambios en tiempo real se suscribe.
+ *
+ * Uso en componentes:
+ * import { useListStore } from '../store/listStore';
+ *
+ * const { lists, fetchLists, createList } = useListStore();
+ */
+export const useListStore = create((set, get) => ({
+  // Estado
+  lists: [],                   // Listas del usuario (con members y role)
+  invitations: [],             // Invitaciones recibidas pendientes de aceptar
+  listInvitations: {},         // Invitaciones pendientes de cada lista (owners): { [listId]: [] }
+  loading: false,              // Estado de carga durante operaciones async
+  error: null,                 // Mensajes de error
+
+  /**
+   * Obtener todas las listas del usuario
+   */
+  fetchLists: async () => {
+    set({ loading: true, error: null });
+    try {
+      const lists = await listService.getLists();
+      set({ lists, loading: false });
+      return lists;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Crear nueva lista
+   *
+   * @param {string} name - Nombre de la lista
+   * @param {string|null} color - Color en formato #RRGGBB
+   */
+  createList: async (name, color = null) => {
+    set({ error: null });
+    try {
+      const newList = await listService.createList(name, color);
+      set(state => ({ lists: [...state.lists, newList] }));
+      toast.success('Lista creada');
+      return newList;
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al crear lista');
+      throw error;
+    }
+  },
+
+  /**
+   * Actualizar lista existente
+   *
+   * @param {string} id - ID de la lista
+   * @param {Object} updates - Campos a actualizar ({ name, color })
+   */
+  updateList: async (id, updates) => {
+    set({ error: null });
+    try {
+      const updatedList = await listService.updateList(id, updates);
+      set(state => ({
+        lists: state.lists.map(list =>
+          list.id === id ? { ...list, ...updatedList } : list
+        )
+      }));
+      toast.success('Lista actualizada');
+      return updatedList;
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al actualizar lista');
+      throw error;
+    }
+  },
+
+  /**
+   * Eliminar lista (y sus tareas)
+   * Si era la lista activa, vuelve a mostrar todas las tareas
+   *
+   * @param {string} id - ID de la lista
+   */
+  deleteList: async (id) => {
+    set({ error: null });
+    try {
+      await listService.deleteList(id);
+      set(state => ({ lists: state.lists.filter(list => list.id !== id) }));
+
+      const { activeListId, setActiveList, fetchTodos } = useTodoStore.getState();
+      if (activeListId === id) {
+        await setActiveList(null);
+      } else {
+        await fetchTodos();
+      }
+
+      toast.success('Lista eliminada');
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al eliminar lista');
+      throw error;
+    }
+  },
+
+  /**
+   * Obtener el rol del usuario en una lista
+   * Las tareas sin lista son siempre del propio usuario (owner)
+   *
+   * @param {string|null} listId - ID de la lista
+   * @returns {string|null} Rol, o null si la lista no está cargada
+   */
+  getListRole: (listId) => {
+    if (!listId) return 'owner';
+    return get().lists.find(list => list.id === listId)?.role ?? null;
+  },
+
+  /**
+   * Saber si el usuario puede crear y modificar tareas en una lista (editor u owner)
+   * Mientras las listas no se han cargado se permite: el servidor tiene la última palabra
+   *
+   * @param {string|null} listId - ID de la lista
+   * @returns {boolean} True si puede editar
+   */
+  canEditList: (listId) => {
+    const role = get().getListRole(listId);
+    return role === null || hasListRole(role, 'editor');
+  },
+
+  /**
+   * Saber si el usuario es owner de una lista (gestiona la lista y sus miembros)
+   *
+   * @param {string|null} listId - ID de la lista
+   * @returns {boolean} True si es owner
+   */
+  isListOwner: (listId) => hasListRole(get().getListRole(listId), 'owner'),
+
+  /**
+   * Obtener las personas a las que se puede asignar una tarea
+   * En una lista son sus miembros; sin lista, cualquiera con quien se comparta alguna lista
+   *
+   * @param {string|null} listId - ID de la lista de la tarea
+   * @returns {Array} Miembros ({ user_id, email, role }) sin repetir
+   */
+  getCollaborators: (listId) => {
+    const { lists } = get();
+    if (listId) {
+      return lists.find(list => list.id === listId)?.members || [];
+    }
+
+    const collaborators = new Map();
+    for (const list of lists) {
+      for (const member of list.members || []) {
+        if (!collaborators.has(member.user_id)) collaborators.set(member.user_id, member);
+      }
+    }
+    return [...collaborators.values()];
+  },
+
+  /**
+   * Reemplazar los miembros de una lista en el estado
+   *
+   * @param {string} listId - ID de la lista
+   * @param {Function} updater - Recibe los miembros actuales y devuelve los nuevos
+   */
+  setMembers: (listId, updater) => {
+    set(state => ({
+      lists: state.lists.map(list =>
+        list.id === listId ? { ...list, members: updater(list.members || []) } : list
+      )
+    }));
+  },
+
+  /**
+   * Recargar los miembros de una lista
+   *
+   * @param {string} listId - ID de la lista
+   */
+  fetchMembers: async (listId) => {
+    try {
+      const members = await listShareService.getMembers(listId);
+      get().setMembers(listId, () => members);
+      return members;
+    } catch (error) {
+      toast.error(error.message || 'Error al cargar los miembros');
+      throw error;
+    }
+  },
+
+  /**
+   * Cambiar el rol de un miembro (solo owners)
+   *
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del miembro
+   * @param {string} role - Nuevo rol
+   */
+  updateMemberRole: async (listId, userId, role) => {
+    try {
+      const updatedMember = await listShareService.updateMemberRole(listId, userId, role);
+      get().setMembers(listId, members =>
+        members.map(member => member.user_id === userId ? { ...member, ...updatedMember } : member)
+      );
+      toast.success('Rol actualizado');
+      return updatedMember;
+    } catch (error) {
+      toast.error(error.message || 'Error al cambiar el rol');
+      throw error;
+    }
+  },
+
+  /**
+   * Quitar a un miembro de la lista, o salir de ella si es el propio usuario
+   * Al salir, la lista desaparece y, si era la activa, se vuelve a todas las tareas
+   *
+   * @param {string} listId - ID de la lista
+   * @param {string} userId - ID del miembro
+   */
+  removeMember: async (listId, userId) => {
+    try {
+      await listShareService.removeMember(listId, userId);
+
+      if (userId === useAuthStore.getState().user?.id) {
+        set(state => ({ lists: state.lists.filter(list => list.id !== listId) }));
+        const { activeListId, setActiveList, fetchTodos } = useTodoStore.getState();
+        if (activeListId === listId) {
+          await setActiveList(null);
+        } else {
+          await fetchTodos();
+        }
+        toast.success('Has salido de la lista');
+        return;
+      }
+
+      get().setMembers(listId, members => members.filter(member => member.user_id !== userId));
+      toast.success('Miembro quitado de la lista');
+    } catch (error) {
+      toast.error(error.message || 'Error al quitar al miembro');
+      throw error;
+    }
+  },
+
+  /**
+   * Obtener las invitaciones pendientes de una lista (solo owners)
+   *
+   * @param {string} listId - ID de la lista
+   */
+  fetchListInvitations: async (listId) => {
+    try {
+      const invitations = await listShareService.getInvitations(listId);
+      set(state => ({ listInvitations: { ...state.listInvitations, [listId]: invitations } }));
+      return invitations;
+    } catch (error) {
+      toast.error(error.message || 'Error al cargar las invitaciones');
+      throw error;
+    }
+  },
+
+  /**
+   * Invitar a un usuario a una lista por email (solo owners)
+   *
+   * @param {string} listId - ID de la lista
+   * @param {string} email - Email del invitado
+   * @param {string} role - Rol que tendrá al aceptar
+   */
+  inviteMember: async (listId, email, role) => {
+    try {
+      const invitation = await listShareService.inviteMember(listId, email, role);
+      set(state => ({
+        listInvitations: {
+          ...state.listInvitations,
+          [listId]: [...(state.listInvitations[listId] || []), invitation]
+        }
+      }));
+      toast.success(`Invitación enviada a ${invitation.email}`);
+      return invitation;
+    } catch (error) {
+      toast.error(error.message || 'Error al invitar');
+      throw error;
+    }
+  },
+
+  /**
+   * Cancelar una invitación pendiente de una lista (solo owners)
+   *
+   * @param {string} listId - ID de la lista
+   * @param {string} invitationId - ID de la invitación
+   */
+  cancelInvitation: async (listId, invitationId) => {
+    try {
+      await listShareService.deleteInvitation(invitationId);
+      set(state => ({
+        listInvitations: {
+          ...state.listInvitations,
+          [listId]: (state.listInvitations[listId] || []).filter(invitation => invitation.id !== invitationId)
+        }
+      }));
+      toast.success('Invitación cancelada');
+    } catch (error) {
+      toast.error(error.message || 'Error al cancelar la invitación');
+      throw error;
+    }
+  },
+
+  /**
+   * Obtener las invitaciones recibidas por el usuario
+   */
+  fetchInvitations: async () => {
+    try {
+      const invitations = await listShareService.getMyInvitations();
+      set({ invitations });
+      return invitations;
+    } catch (error) {
+      set({ error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Aceptar una invitación recibida: la lista aparece entre las del usuario
+   *
+   * @param {string} invitationId - ID de la invitación
+   */
+  acceptInvitation: async (invitationId) => {
+    try {
+      await listShareService.acceptInvitation(invitationId);
+      set(state => ({ invitations: state.invitations.filter(invitation => invitation.id !== invitationId) }));
+      await get().fetchLists();
+      await useTodoStore.getState().fetchTodos();
+      toast.success('Te has unido a la lista');
+    } catch (error) {
+      toast.error(error.message || 'Error al aceptar la invitación');
+      throw error;
+    }
+  },
+
+  /**
+   * Rechazar una invitación recibida
+   *
+   * @param {string} invitationId - ID de la invitación
+   */
+  declineInvitation: async (invitationId) => {
+    try {
+      await listShareService.deleteInvitation(invitationId);
+      set(state => ({ invitations: state.invitations.filter(invitation => invitation.id !== invitationId) }));
+      toast.success('Invitación rechazada');
+    } catch (error) {
+      toast.error(error.message || 'Error al rechazar la invitación');
+      throw error;
+    }
+  },
+
+  /**
+   * Obtener lista por ID
+   *
+   * @param {string} id - ID de la lista
+   * @returns {Object|null} Lista encontrada o null
+   */
+  getListById: (id) => {
+    const { lists } = get();
+    return lists.find(list => list.id === id) || null;
+  },
+
+  /**
+   * Resetear store (útil para logout)
+   */
+  reset: () => {
+    set({ lists: [], invitations: [], listInvitations: {}, loading: false, error: null });
+  }
+}));
+
+export default useListStore;
@@ -0,0 +1,26 @@
+import { useTodoStore } from './todoStore';
+import { useTrashStore } from './trashStore';
+import { useArchiveStore } from './archiveStore';
+import { useListStore } from './listStore';
+import { useCommentStore } from './commentStore';
+import { useWebhookStore } from './webhookStore';
+import { useApiTokenStore } from './apiTokenStore';
+
+/**
+ * Borrar los datos del usuario que cierra sesión de todos los stores
+ *
+ * Se usa al cerrar sesión desde la Navbar y cuando otra pestaña avisa de que
+ * el usuario cerró sesión (ver hooks/useTabSync.js).
+ */
+export const resetUserStores = () => {
+  // Tareas y cola sin conexión (también cierra la suscripción de Realtime)
+  useTodoStore.getState().reset();
+  useTrashStore.getState().reset();
+  useArchiveStore.getState().reset();
+  // Las listas incluyen los roles y las invitaciones del usuario que sale
+  useListStore.getState().reset();
+  useCommentStore.getState().reset();
+  useWebhookStore.getState().reset();
+  // Incluye el token completo recién creado, si no se cerró el aviso
+  useApiTokenStore.getState().reset();
+};
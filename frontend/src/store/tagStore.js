@@ -0,0 +1,138 @@
+import { create } from 'zustand';
+import toast from 'react-hot-toast';
+import { tagService } from '../services/tagService';
+import { useTodoStore } from './todoStore';
+
+/**
+ * Store de gestión de etiquetas usando Zustand
+ *
+ * Este store maneja las etiquetas del usuario y sus acciones CRUD.
+ * Las etiquetas asignadas a cada tarea viven en la propia tarea (todo.tags),
+ * por lo que al renombrar o eliminar una etiqueta también se actualiza useTodoStore.
+ *
+ * Uso en componentes:
+ * import { useTagStore } from '../store/tagStore';
+ *
+ * const { tags, fetchTags, findOrCreateTag } = useTagStore();
+ */
+export const useTagStore = create((set, get) => ({
+  // Estado
+  tags: [],                    // Etiquetas del usuario (ordenadas por nombre)
+  loading: false,              // Estado de carga durante operaciones async
+  error: null,                 // Mensajes de error
+
+  /**
+   * Obtener todas las etiquetas del usuario
+   */
+  fetchTags: async () => {
+    set({ loading: true, error: null });
+    try {
+      const tags = await tagService.getTags();
+      set({ tags, loading: false });
+      return tags;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Crear nueva etiqueta
+   *
+   * @param {string} name - Nombre de la etiqueta
+   * @param {string|null} color - Color en formato #RRGGBB
+   */
+  createTag: async (name, color = null) => {
+    set({ error: null });
+    try {
+      const newTag = await tagService.createTag(name, color);
+      set(state => ({
+        tags: [...state.tags, { ...newTag, todo_count: 0 }]
+          .sort((a, b) => a.name.localeCompare(b.name, 'es', { sensitivity: 'base' }))
+      }));
+      return newTag;
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al crear etiqueta');
+      throw error;
+    }
+  },
+
+  /**
+   * Buscar una etiqueta por nombre (sin distinguir mayúsculas) o crearla si no existe
+   * Se usa desde el autocompletado al escribir una etiqueta nueva
+   *
+   * @param {string} name - Nombre de la etiqueta
+   * @returns {Promise<Object>} Etiqueta existente o recién creada
+   */
+  findOrCreateTag: async (name) => {
+    const cleanName = name.trim().toLowerCase();
+    const existing = get().tags.find(tag => tag.name.toLowerCase() === cleanName);
+    if (existing) return existing;
+    return await get().createTag(name);
+  },
+
+  /**
+   * Actualizar etiqueta existente
+   *
+   * @param {string} id - ID de la etiqueta
+   * @param {Object} updates - Campos a actualizar ({ name, color })
+   */
+  updateTag: async (id, updates) => {
+    set({ error: null });
+    try {
+      const updatedTag = await tagService.updateTag(id, updates);
+      set(state => ({
+        tags: state.tags
+          .map(tag => tag.id === id ? { ...tag, ...updatedTag } : tag)
+          .sort((a, b) => a.name.localeCompare(b.name, 'es', { sensitivity: 'base' }))
+      }));
+      useTodoStore.getState().updateTagInTodos(id, updatedTag);
+      toast.success('Etiqueta actualizada');
+      return updatedTag;
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al actualizar etiqueta');
+      throw error;
+    }
+  },
+
+  /**
+   * Eliminar etiqueta (se quita de todas las tareas)
+   *
+   * @param {string} id - ID de la etiqueta
+   */
+  deleteTag: async (id) => {
+    set({ error: null });
+    try {
+      await tagService.deleteTag(id);
+      set(state => ({ tags: state.tags.filter(tag => tag.id !== id) }));
+      useTodoStore.getState().updateTagInTodos(id, null);
+      toast.success('Etiqueta eliminada');
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al eliminar etiqueta');
+      throw error;
+    }
+  },
+
+  /**
+   * Obtener etiqueta por ID
+   *
+   * @param {string} id - ID de la etiqueta
+   * @returns {Object|null} Etiqueta encontrada o null
+   */
+  getTagById: (id) => {
+    const { tags } = get();
+    return tags.find(tag => tag.id === id) || null;
+  },
+
+  /**
+   * Resetear store (útil para logout)
+   */
+  reset: () => {
+    set({ tags: [], loading: false, error: null });
+  }
+}));
+
+export default useTagStore;
@@ -1,7 +1,325 @@
+import { createElement } from 'react';
 import { create } from 'zustand';
 import toast from 'react-hot-toast';
 import { todoService } from '../services/todoService';
+import { subtaskService } from '../services/subtaskService';
+import { offlineCache } from '../services/offlineCache';
+import { tabSync } from '../services/tabSync';
 import { supabase } from '../config/supabaseClient';
+import { useTagStore } from './tagStore';
+import { useAuthStore } from './authStore';
+import { useCommentStore } from './commentStore';
+import UndoToast from '../components/UndoToast';
+import { PRIORITIES, DEFAULT_PRIORITY } from '../utils/priority';
+import { createLocalId, isBrowserOnline, isLocalId, isNetworkError } from '../utils/offline';
+import { createTempId, isTempId } from '../utils/optimistic';
+
+// Separación entre posiciones al renumerar el orden manual
+const POSITION_GAP = 1000;
+
+// Hueco mínimo entre dos tareas antes de tener que renumerarlas todas
+const MIN_POSITION_GAP = 1e-6;
+
+/**
+ * Comparar dos tareas según su orden manual (position) y, en empate, las más recientes primero
+ */
+const byPosition = (a, b) =>
+  (a.position ?? 0) - (b.position ?? 0) || new Date(b.created_at) - new Date(a.created_at);
+
+// Espera antes de guardar en IndexedDB la vista actual de tareas (ms)
+const SNAPSHOT_DELAY_MS = 500;
+
+// Cada cuánto se reintenta sincronizar si quedan cambios pendientes (ms)
+const SYNC_RETRY_MS = 30000;
+
+// Acciones que se recuerdan para deshacer / rehacer
+const HISTORY_LIMIT = 50;
+
+// Duración del aviso con el botón "Deshacer" (ms)
+const UNDO_TOAST_DURATION = 6000;
+
+// Durante cuánto se ignoran los ecos de Realtime de una tarea quitada desde otra pestaña (ms)
+const REMOTE_REMOVAL_TTL_MS = 10000;
+
+// Espera antes del primer reintento de conexión con Realtime y máxima entre reintentos (ms)
+const REALTIME_RETRY_BASE_MS = 1000;
+const REALTIME_RETRY_MAX_MS = 30000;
+
+let snapshotTimer = null;
+
+// Estado interno de la conexión con Realtime
+let realtimeGeneration = 0;       // Cambia en cada desuscripción: invalida conexiones y reintentos en curso
+let realtimeRetryTimer = null;    // Reintento programado
+let realtimeAttempt = 0;          // Reintentos fallidos seguidos (para el backoff)
+let realtimeNeedsResync = false;  // Hubo un corte: recargar las tareas al reconectar
+
+// Tareas quitadas desde otra pestaña (id -> momento), para que un eco atrasado de
+// Realtime no las vuelva a mostrar
+const remoteRemovals = new Map();
+
+/**
+ * Espera antes del siguiente reintento de conexión con Realtime
+ * Backoff exponencial con jitter (entre la mitad y el total del intervalo) para que
+ * las pestañas y los usuarios no reconecten todos a la vez.
+ *
+ * @param {number} attempt - Reintentos fallidos seguidos (0 = primero)
+ * @returns {number} Espera en ms
+ */
+const getRealtimeRetryDelay = (attempt) => {
+  const delay = Math.min(REALTIME_RETRY_BASE_MS * 2 ** attempt, REALTIME_RETRY_MAX_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Avisar a las demás pestañas de tareas creadas o modificadas (ya confirmadas por el servidor)
+ * Las tareas optimistas o creadas sin conexión no se envían.
+ *
+ * @param {Array<Object|null>} todos - Tareas en su versión del servidor
+ */
+const shareTodos = (todos) => {
+  const confirmed = todos.filter(todo => todo && !isTempId(todo.id) && !isLocalId(todo.id));
+  if (confirmed.length === 0) return;
+  tabSync.post({ type: 'todos:upsert', userId: useAuthStore.getState().user?.id, todos: confirmed });
+};
+
+/**
+ * Avisar a las demás pestañas de tareas que dejaron de mostrarse (eliminadas o archivadas)
+ *
+ * @param {string[]} ids - IDs de las tareas
+ */
+const shareRemoval = (ids) => {
+  tabSync.post({ type: 'todos:remove', userId: useAuthStore.getState().user?.id, ids });
+};
+
+/**
+ * Saber si otra pestaña quitó la tarea hace poco (sus ecos de Realtime se ignoran)
+ */
+const wasRemovedInOtherTab = (id) => {
+  const removedAt = remoteRemovals.get(id);
+  if (removedAt && Date.now() - removedAt < REMOTE_REMOVAL_TTL_MS) return true;
+  remoteRemovals.delete(id);
+  return false;
+};
+
+/**
+ * Fusionar una tarea recibida de fuera (Realtime u otra pestaña) con las tareas cargadas
+ * La quita si salió de la lista activa o está en la papelera, la agrega si entró y
+ * descarta las versiones más antiguas que la que ya se tiene (updated_at), de modo
+ * que el mismo cambio puede llegar por las dos vías sin duplicarse ni retroceder.
+ *
+ * @param {Object} state - Estado del store
+ * @param {Array} todos - Tareas a las que se aplica el cambio
+ * @param {Object} remoteTodo - Tarea recibida (Realtime no incluye subtareas ni etiquetas)
+ * @returns {Array} Tareas actualizadas
+ */
+const mergeRemoteTodo = (state, todos, remoteTodo) => {
+  // Eco anterior a una eliminación aún sin confirmar: no volver a mostrar la tarea
+  if (state.pendingDeletions[remoteTodo.id]) return todos;
+
+  // Una tarea movida a la papelera se trata como eliminada
+  if (!state.isInActiveList(remoteTodo) || remoteTodo.deleted_at) {
+    return todos.filter(todo => todo.id !== remoteTodo.id);
+  }
+
+  const existing = todos.find(todo => todo.id === remoteTodo.id);
+  if (existing?.updated_at && remoteTodo.updated_at &&
+      new Date(remoteTodo.updated_at) < new Date(existing.updated_at)) {
+    return todos;
+  }
+
+  // Un reordenamiento local sin confirmar tiene prioridad sobre ecos anteriores
+  const pendingPosition = state.pendingPositions[remoteTodo.id];
+  const changes = pendingPosition !== undefined
+    ? { ...remoteTodo, position: pendingPosition }
+    : remoteTodo;
+  return existing
+    // Conservar las subtareas y etiquetas que ya teníamos si no vienen en el cambio
+    ? todos.map(todo => todo.id === remoteTodo.id ? { ...todo, ...changes } : todo)
+    : [changes, ...todos];
+};
+
+/**
+ * Obtener el ID del usuario autenticado para filtrar los cambios en tiempo real
+ * Usa el de authStore y, si aún no está cargado, lo pide a Supabase.
+ *
+ * @returns {Promise<string|null>} ID del usuario (null si no hay sesión)
+ */
+const resolveCurrentUserId = async () => {
+  const storedId = useAuthStore.getState().user?.id;
+  if (storedId) return storedId;
+
+  const { data, error } = await supabase.auth.getUser();
+  if (error) throw error;
+  return data?.user?.id ?? null;
+};
+
+/**
+ * Obtener los valores que tenía una tarea en los campos que se van a editar
+ * (para poder deshacer la edición)
+ *
+ * @param {Object} todo - Tarea antes de editarla
+ * @param {Object} updates - Campos que se van a actualizar
+ * @returns {Object} Mismos campos con los valores anteriores
+ */
+const pickPreviousValues = (todo, updates) =>
+  Object.fromEntries(Object.keys(updates).map(field => [
+    field,
+    field === 'tag_ids'
+      ? (todo.tags || []).filter(tag => isOwnTag(tag.id)).map(tag => tag.id)
+      : todo[field] ?? null
+  ]));
+
+/**
+ * Convertir una fecha de un formulario a ISO (null si está vacía)
+ */
+const toISODate = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Obtener las etiquetas (objetos completos) a partir de sus IDs
+ */
+const resolveTags = (tagIds = []) =>
+  useTagStore.getState().tags.filter(tag => tagIds.includes(tag.id));
+
+/**
+ * Verificar si una etiqueta es del usuario (tag_ids solo reemplaza las propias:
+ * las que otros colaboradores pusieron en una tarea compartida se conservan)
+ *
+ * @param {string} tagId - ID de la etiqueta
+ * @returns {boolean} True si está entre las etiquetas del usuario
+ */
+const isOwnTag = (tagId) => useTagStore.getState().tags.some(tag => tag.id === tagId);
+
+/**
+ * Construir la tarea que se muestra mientras se crea sin conexión
+ * Usa un ID temporal y la misma posición por defecto que la base de datos (arriba del todo)
+ *
+ * @param {string} id - ID temporal
+ * @param {Object} payload - { title, description, options } de createTodo
+ * @returns {Object} Tarea local
+ */
+const buildLocalTodo = (id, { title, description, options }) => {
+  const now = new Date().toISOString();
+  return {
+    id,
+    title: title.trim(),
+    description: description.trim(),
+    completed: false,
+    priority: options.priority ?? DEFAULT_PRIORITY,
+    due_at: toISODate(options.due_at),
+    remind_at: toISODate(options.remind_at),
+    list_id: options.list_id || null,
+    recurrence: options.recurrence || null,
+    position: -Date.now() / 1000,
+    created_at: now,
+    updated_at: now,
+    subtasks: [],
+    tags: resolveTags(options.tag_ids)
+  };
+};
+
+/**
+ * Aplicar a una tarea local un cambio hecho sin conexión
+ * No se toca updated_at: debe seguir siendo la versión del servidor sobre la que se hizo
+ * el cambio, para poder detectar conflictos al sincronizar.
+ *
+ * @param {Object} todo - Tarea actual
+ * @param {string} type - 'update' o 'toggle'
+ * @param {Object} payload - Datos de la operación
+ * @returns {Object} Tarea con el cambio aplicado
+ */
+const applyOperationLocally = (todo, type, payload) => {
+  if (type === 'toggle') {
+    return {
+      ...todo,
+      completed: payload.completed,
+      subtasks: payload.options?.completeSubtasks
+        ? (todo.subtasks || []).map(subtask => ({ ...subtask, completed: true }))
+        : todo.subtasks
+    };
+  }
+
+  const { tag_ids: tagIds, ...fields } = payload.updates;
+  for (const field of ['due_at', 'remind_at']) {
+    if (fields[field] !== undefined) fields[field] = toISODate(fields[field]);
+  }
+  return {
+    ...todo,
+    ...fields,
+    ...(tagIds !== undefined && {
+      tags: [...(todo.tags || []).filter(tag => !isOwnTag(tag.id)), ...resolveTags(tagIds)]
+    })
+  };
+};
+
+/**
+ * Reemplazar una tarea optimista (ID temporal) por la tarea real del servidor
+ * Si el eco de tiempo real ya la había agregado con su ID real, no se duplica.
+ *
+ * @param {Array} todos - Tareas actuales
+ * @param {string} tempId - ID temporal de la tarea optimista
+ * @param {Object} serverTodo - Tarea creada en el servidor
+ * @returns {Array} Tareas con la tarea real en el lugar de la optimista
+ */
+const reconcileTodo = (todos, tempId, serverTodo) => {
+  let replaced = false;
+  const result = [];
+  for (const todo of todos) {
+    if (todo.id !== tempId && todo.id !== serverTodo.id) {
+      result.push(todo);
+    } else if (!replaced) {
+      result.push(serverTodo);
+      replaced = true;
+    }
+  }
+  return replaced ? result : [serverTodo, ...result];
+};
+
+/**
+ * Volver a poner una tarea como estaba antes de un cambio optimista
+ *
+ * @param {Array} todos - Tareas actuales
+ * @param {Object} previous - Tarea antes del cambio
+ * @returns {Array} Tareas con la versión anterior (de nuevo agregada si se había quitado)
+ */
+const restoreTodo = (todos, previous) =>
+  todos.some(todo => todo.id === previous.id)
+    ? todos.map(todo => todo.id === previous.id ? previous : todo)
+    : [previous, ...todos];
+
+/**
+ * Enviar al servidor una operación hecha sin conexión
+ * Antes de modificar una tarea existente se compara su updated_at con la versión sobre
+ * la que se hizo el cambio: si otro dispositivo la modificó mientras tanto, hay conflicto
+ * y se conserva la versión del servidor.
+ *
+ * @param {Object} operation - Operación de la cola (con el ID real de la tarea)
+ * @param {string|null} baseUpdatedAt - Versión del servidor esperada (null = no comprobar)
+ * @returns {Promise<{ todo: Object|null, conflict?: boolean }>} Tarea resultante en el servidor
+ */
+const replayOperation = async ({ type, todoId, payload }, baseUpdatedAt) => {
+  if (type === 'create') {
+    return { todo: await todoService.createTodo(payload.title, payload.description, payload.options) };
+  }
+
+  const current = await todoService.getTodoById(todoId);
+  if (baseUpdatedAt && new Date(current.updated_at).getTime() !== new Date(baseUpdatedAt).getTime()) {
+    return { todo: current, conflict: true };
+  }
+
+  switch (type) {
+    case 'update':
+      return { todo: await todoService.updateTodo(todoId, payload.updates) };
+    case 'toggle': {
+      const { data } = await todoService.toggleTodo(todoId, payload.completed, payload.options);
+      return { todo: data };
+    }
+    case 'delete':
+      await todoService.deleteTodo(todoId);
+      return { todo: null };
+    default:
+      throw new Error(`Operación desconocida: ${type}`);
+  }
+};
 
 /**
  * Store de gestión de tareas usando Zustand
@@ -13,13 +331,31 @@ import { supabase } from '../config/supabaseClient';
  * - Estadísticas de tareas
  * - Acciones CRUD (crear, leer, actualizar, eliminar)
  * - Suscripciones en tiempo real con Supabase
+ * - Lista activa (proyecto) que acota tareas, estadísticas y tiempo real
+ * - Subtareas (checklist) anidadas en cada tarea
+ * - Etiquetas anidadas en cada tarea (filtrado por etiquetas)
+ * - Tareas recurrentes: al completarlas se crea la siguiente repetición
+ * - Orden manual (arrastrar y soltar) con posiciones fraccionarias
+ * - Operaciones en lote sobre varias tareas seleccionadas
+ * - Carga paginada por cursor (la siguiente página se pide al hacer scroll)
+ * - Búsqueda de texto completo en el servidor con resultados resaltados
+ * - Eliminación a la papelera (deleted_at) con restauración
+ * - Archivado de tareas (archived_at): se quitan de la lista y de las estadísticas
+ * - Historial para deshacer / rehacer eliminar, completar y editar (aviso con
+ *   botón "Deshacer" y atajos de teclado, ver hooks/useUndoShortcuts.js)
+ * - Modo sin conexión: la última vista de cada lista se guarda en IndexedDB y los
+ *   cambios (crear, editar, completar, eliminar) se encolan y se sincronizan al
+ *   recuperar la conexión, descartando los que entren en conflicto con el servidor
  * 
  * Características:
  * - Estado reactivo con Zustand
  * - Operaciones asíncronas con manejo de errores
- * - Optimistic updates para mejor UX
+ * - Optimistic updates: crear, editar, completar y eliminar se ven al instante y
+ *   se revierten (con aviso) si el servidor rechaza el cambio
  * - Estadísticas calculadas automáticamente
- * - Actualizaciones en tiempo real con Supabase Realtime
+ * - Actualizaciones en tiempo real con Supabase Realtime (canal por usuario que se
+ *   reconecta solo y recarga las tareas tras un corte)
+ * - Sincronización inmediata con las demás pestañas del navegador (services/tabSync.js)
  * 
  * Uso en componentes:
  * import { useTodoStore } from '../store/todoStore';
@@ -31,33 +367,74 @@ export const useTodoStore = create((set, get) => ({
   todos: [],                    // Lista de tareas
   loading: false,               // Estado de carga durante operaciones async
   error: null,                 // Mensajes de error
-  realtimeEnabled: false,     // Estado de suscripción en tiempo real
+  realtimeStatus: 'idle',      // Conexión con Realtime: 'idle', 'connecting', 'connected' o 'degraded' (reintentando)
   channel: null,               // Canal de Supabase Realtime
+  activeListId: null,          // Lista activa (null = todas las tareas)
+  assignedToMe: false,         // Vista "Asignadas a mí": solo las tareas asignadas al usuario
+  pendingPositions: {},        // Posiciones aún no confirmadas por el servidor (id -> position)
+  pendingDeletions: {},        // Tareas eliminadas aún no confirmadas por el servidor (id -> true)
+  pendingCreations: {},        // Tareas creadas aún no confirmadas por el servidor (ID definitivo -> ID temporal)
+  nextCursor: null,            // Cursor de la siguiente página (null = no hay más tareas)
+  loadingMore: false,          // Cargando la siguiente página
+  searchQuery: '',             // Texto de la búsqueda en el servidor
+  searchResults: null,         // Resultados de la búsqueda por relevancia (null = sin búsqueda)
+  searching: false,            // Búsqueda en curso
+  online: isBrowserOnline(),   // Hay conexión con el servidor
+  pendingOperations: [],       // Cambios hechos sin conexión pendientes de sincronizar (en orden)
+  syncing: false,              // Sincronizando los cambios pendientes
+  undoStack: [],               // Acciones que se pueden deshacer (la última al final)
+  redoStack: [],               // Acciones deshechas que se pueden rehacer
+  historyBusy: false,          // Deshaciendo o rehaciendo una acción
   stats: {                     // Estadísticas de tareas
     total: 0,
     completed: 0,
     pending: 0,
+    overdue: 0,
     completionRate: 0
   },
 
   /**
-   * Obtener todas las tareas del usuario
-   * Actualiza el estado con las tareas obtenidas y recalcula estadísticas
+   * Obtener la primera página de tareas del usuario (de la lista activa, si hay una)
+   * Reemplaza las tareas cargadas y recalcula estadísticas
    */
   fetchTodos: async () => {
+    const { activeListId, assignedToMe } = get();
     set({ loading: true, error: null });
     try {
-      const todos = await todoService.getTodos();
-      const stats = await todoService.getTodoStats();
+      const { data: todos, nextCursor } = await todoService.getTodos(activeListId, { assignedToMe });
+      const stats = await todoService.getTodoStats(activeListId, { assignedToMe });
+
+      // Ignorar la respuesta si el usuario cambió de lista o de vista mientras cargaba
+      if (get().activeListId !== activeListId || get().assignedToMe !== assignedToMe) {
+        return todos;
+      }
       
       set({ 
         todos, 
+        nextCursor,
         stats, 
-        loading: false 
+        loading: false,
+        online: true
       });
       
       return todos;
     } catch (error) {
+      // Sin conexión: mostrar la última vista guardada de la lista
+      // (la vista "Asignadas a mí" no se guarda)
+      if (isNetworkError(error) && !assignedToMe) {
+        const snapshot = await offlineCache.getSnapshot(activeListId);
+        if (snapshot && get().activeListId === activeListId) {
+          set({
+            todos: snapshot.todos,
+            stats: snapshot.stats,
+            nextCursor: null,
+            loading: false,
+            online: false
+          });
+          return snapshot.todos;
+        }
+      }
+
       set({ 
         error: error.message, 
         loading: false 
@@ -66,23 +443,83 @@ export const useTodoStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Cargar la siguiente página de tareas y agregarla a las ya cargadas
+   * No hace nada si no hay más páginas o ya se está cargando una
+   */
+  fetchMoreTodos: async () => {
+    const { activeListId, assignedToMe, nextCursor, loadingMore } = get();
+    if (!nextCursor || loadingMore) return;
+
+    set({ loadingMore: true });
+    try {
+      const page = await todoService.getTodos(activeListId, { cursor: nextCursor, assignedToMe });
+
+      // Ignorar la página si mientras tanto se cambió de lista o de vista o se recargó desde el inicio
+      if (
+        get().activeListId !== activeListId ||
+        get().assignedToMe !== assignedToMe ||
+        get().nextCursor !== nextCursor
+      ) {
+        set({ loadingMore: false });
+        return;
+      }
+
+      set(state => {
+        // El tiempo real puede haber agregado ya alguna de estas tareas
+        const loadedIds = new Set(state.todos.map(todo => todo.id));
+        return {
+          todos: [...state.todos, ...page.data.filter(todo => !loadedIds.has(todo.id))],
+          nextCursor: page.nextCursor,
+          loadingMore: false
+        };
+      });
+    } catch (error) {
+      set({ loadingMore: false });
+      toast.error(error.message || 'Error al cargar más tareas');
+    }
+  },
+
   /**
    * Crear nueva tarea
-   * Actualiza el estado optimísticamente y luego sincroniza con el servidor
+   * La tarea aparece al instante con un ID temporal y se reemplaza por la del servidor
+   * cuando responde (o antes, si llega su eco por tiempo real). Si falla, se quita.
+   * El ID definitivo lo genera el cliente: si se pierde la conexión sin saber si el
+   * servidor la guardó, al sincronizar se reenvía con el mismo ID y no se duplica.
    * 
    * @param {string} title - Título de la tarea
    * @param {string} description - Descripción de la tarea
+   * @param {Object} options - Campos opcionales (due_at, remind_at, priority, list_id, tag_ids, recurrence)
+   *                           Si no se indica list_id, se usa la lista activa
    */
-  createTodo: async (title, description = '') => {
-    set({ loading: true, error: null });
+  createTodo: async (title, description = '', options = {}) => {
+    const todoOptions = {
+      ...options,
+      id: crypto.randomUUID(),
+      list_id: options.list_id !== undefined ? options.list_id : get().activeListId
+    };
+    if (!get().online) {
+      return get().queueOfflineOperation('create', createLocalId(), { title, description, options: todoOptions });
+    }
+
+    const tempId = createTempId();
+    const optimisticTodo = buildLocalTodo(tempId, { title, description, options: todoOptions });
+    set(state => ({
+      todos: state.isInActiveList(optimisticTodo) ? [optimisticTodo, ...state.todos] : state.todos,
+      pendingCreations: { ...state.pendingCreations, [todoOptions.id]: tempId },
+      error: null
+    }));
+
     try {
-      const newTodo = await todoService.createTodo(title, description);
+      const newTodo = await todoService.createTodo(title, description, todoOptions);
       
-      // Actualizar estado con la nueva tarea
+      // Reemplazar la tarea optimista por la real (solo si pertenece a la lista visible)
       set(state => ({
-        todos: [newTodo, ...state.todos],
-        loading: false
+        todos: state.isInActiveList(newTodo)
+          ? reconcileTodo(state.todos, tempId, newTodo)
+          : state.todos.filter(todo => todo.id !== tempId && todo.id !== newTodo.id)
       }));
+      shareTodos([newTodo]);
 
       // Recalcular estadísticas
       await get().updateStats();
@@ -90,158 +527,799 @@ export const useTodoStore = create((set, get) => ({
       toast.success('Tarea creada exitosamente');
       return newTodo;
     } catch (error) {
-      set({ 
-        error: error.message, 
-        loading: false 
-      });
+      // Revertir: quitar la tarea optimista
+      set(state => ({ todos: state.todos.filter(todo => todo.id !== tempId) }));
+
+      if (isNetworkError(error)) {
+        set({ online: false });
+        return get().queueOfflineOperation('create', createLocalId(), { title, description, options: todoOptions });
+      }
+      set({ error: error.message });
       toast.error(error.message || 'Error al crear tarea');
       throw error;
+    } finally {
+      set(state => {
+        const pendingCreations = { ...state.pendingCreations };
+        delete pendingCreations[todoOptions.id];
+        return { pendingCreations };
+      });
     }
   },
 
   /**
    * Actualizar tarea existente
+   * El cambio se aplica al instante y se revierte si el servidor lo rechaza.
+   * Se puede deshacer (historial) salvo que se haya hecho sin conexión.
    * 
    * @param {string} id - ID de la tarea
    * @param {Object} updates - Campos a actualizar
+   * @param {Object} meta - Opciones internas
+   * @param {boolean} meta.fromHistory - El cambio viene de deshacer / rehacer (no se registra)
    */
-  updateTodo: async (id, updates) => {
-    set({ loading: true, error: null });
+  updateTodo: async (id, updates, { fromHistory = false } = {}) => {
+    if (!get().online || isLocalId(id)) {
+      return get().queueOfflineOperation('update', id, { updates });
+    }
+
+    // Aplicar el cambio de inmediato
+    // (si se movió a otra lista, deja de mostrarse en la lista activa)
+    const previous = get().getTodoById(id);
+    if (previous) {
+      const optimisticTodo = applyOperationLocally(previous, 'update', { updates });
+      set(state => ({
+        todos: state.isInActiveList(optimisticTodo)
+          ? state.todos.map(todo => todo.id === id ? optimisticTodo : todo)
+          : state.todos.filter(todo => todo.id !== id),
+        error: null
+      }));
+    }
+
     try {
       const updatedTodo = await todoService.updateTodo(id, updates);
       
-      // Actualizar estado con la tarea modificada
+      // Reemplazar con la versión del servidor
       set(state => ({
-        todos: state.todos.map(todo => 
-          todo.id === id ? updatedTodo : todo
-        ),
-        loading: false
+        todos: state.isInActiveList(updatedTodo)
+          ? state.todos.map(todo => todo.id === id ? updatedTodo : todo)
+          : state.todos.filter(todo => todo.id !== id)
       }));
+      shareTodos([updatedTodo]);
 
       // Recalcular estadísticas
       await get().updateStats();
       
-      toast.success('Tarea actualizada');
+      if (!fromHistory && previous) {
+        const previousValues = pickPreviousValues(previous, updates);
+        get().recordHistory('Tarea actualizada', {
+          label: `editar "${previous.title}"`,
+          undo: () => get().updateTodo(id, previousValues, { fromHistory: true }),
+          redo: () => get().updateTodo(id, updates, { fromHistory: true })
+        });
+      } else if (!fromHistory) {
+        toast.success('Tarea actualizada');
+      }
       return updatedTodo;
     } catch (error) {
-      set({ 
-        error: error.message, 
-        loading: false 
-      });
+      // Revertir al estado anterior
+      if (previous) {
+        set(state => ({ todos: restoreTodo(state.todos, previous) }));
+      }
+
+      if (isNetworkError(error)) {
+        set({ online: false });
+        return get().queueOfflineOperation('update', id, { updates });
+      }
+      set({ error: error.message });
       toast.error(error.message || 'Error al actualizar tarea');
       throw error;
     }
   },
 
   /**
-   * Eliminar tarea
+   * Eliminar tarea (se mueve a la papelera)
+   * La tarea desaparece al instante y vuelve a mostrarse si el servidor rechaza la eliminación.
+   * Se puede deshacer (historial) salvo que se haya hecho sin conexión.
    * 
    * @param {string} id - ID de la tarea a eliminar
+   * @param {Object} meta - Opciones internas
+   * @param {boolean} meta.fromHistory - El cambio viene de deshacer / rehacer (no se registra)
    */
-  deleteTodo: async (id) => {
-    set({ loading: true, error: null });
+  deleteTodo: async (id, { fromHistory = false } = {}) => {
+    if (!get().online || isLocalId(id)) {
+      await get().queueOfflineOperation('delete', id);
+      return;
+    }
+
+    // Quitar la tarea de inmediato; mientras no se confirme, se ignoran sus ecos de tiempo real
+    const previous = get().getTodoById(id);
+    set(state => ({
+      todos: state.todos.filter(todo => todo.id !== id),
+      pendingDeletions: { ...state.pendingDeletions, [id]: true },
+      error: null
+    }));
+
     try {
       await todoService.deleteTodo(id);
-      
-      // Remover tarea del estado
-      set(state => ({
-        todos: state.todos.filter(todo => todo.id !== id),
-        loading: false
-      }));
+      shareRemoval([id]);
 
       // Recalcular estadísticas
       await get().updateStats();
       
-      toast.success('Tarea eliminada');
+      if (!fromHistory) {
+        get().recordHistory('Tarea eliminada', {
+          label: previous ? `eliminar "${previous.title}"` : 'eliminar tarea',
+          undo: () => get().restoreTodo(id, { fromHistory: true }),
+          redo: () => get().deleteTodo(id, { fromHistory: true })
+        });
+      }
     } catch (error) {
-      set({ 
-        error: error.message, 
-        loading: false 
-      });
+      // Revertir: volver a mostrar la tarea
+      if (previous) {
+        set(state => ({ todos: restoreTodo(state.todos, previous) }));
+      }
+
+      if (isNetworkError(error)) {
+        set({ online: false });
+        await get().queueOfflineOperation('delete', id);
+        return;
+      }
+      set({ error: error.message });
       toast.error(error.message || 'Error al eliminar tarea');
       throw error;
+    } finally {
+      set(state => {
+        const pendingDeletions = { ...state.pendingDeletions };
+        delete pendingDeletions[id];
+        return { pendingDeletions };
+      });
     }
   },
 
   /**
-   * Cambiar estado de completado de una tarea
+   * Restaurar una tarea eliminada (sacarla de la papelera)
    * 
    * @param {string} id - ID de la tarea
-   * @param {boolean} completed - Nuevo estado de completado
+   * @param {Object} meta - Opciones internas
+   * @param {boolean} meta.fromHistory - El cambio viene de deshacer / rehacer (sin aviso propio)
+   * @returns {Promise<Object>} Tarea restaurada
    */
-  toggleTodo: async (id, completed) => {
-    return await get().updateTodo(id, { completed });
+  restoreTodo: async (id, { fromHistory = false } = {}) => {
+    set({ error: null });
+    try {
+      const restoredTodo = await todoService.restoreTodo(id);
+
+      // Volver a mostrarla si pertenece a la lista visible (el tiempo real puede haberla agregado ya)
+      set(state => ({
+        todos: state.isInActiveList(restoredTodo)
+          ? [restoredTodo, ...state.todos.filter(todo => todo.id !== id)]
+          : state.todos
+      }));
+      shareTodos([restoredTodo]);
+
+      await get().updateStats();
+
+      if (!fromHistory) {
+        toast.success('Tarea restaurada');
+      }
+      return restoredTodo;
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al restaurar tarea');
+      throw error;
+    }
   },
 
   /**
-   * Actualizar estadísticas de tareas
-   * Calcula estadísticas basadas en el estado actual
+   * Archivar tareas (dejan de mostrarse en la lista y en las estadísticas)
+   * Se puede deshacer (historial).
+   * 
+   * @param {string[]} ids - IDs de las tareas
+   * @param {Object} meta - Opciones internas
+   * @param {boolean} meta.fromHistory - El cambio viene de deshacer / rehacer (no se registra)
    */
-  updateStats: async () => {
+  archiveTodos: async (ids, { fromHistory = false } = {}) => {
+    const single = ids.length === 1 ? get().getTodoById(ids[0]) : null;
+    set({ error: null });
     try {
-      const stats = await todoService.getTodoStats();
-      set({ stats });
+      await todoService.bulkUpdate(ids, 'archive');
+
+      set(state => ({ todos: state.todos.filter(todo => !ids.includes(todo.id)) }));
+      shareRemoval(ids);
+      await get().updateStats();
+
+      if (!fromHistory) {
+        get().recordHistory(single ? 'Tarea archivada' : `${ids.length} tarea(s) archivada(s)`, {
+          label: single ? `archivar "${single.title}"` : `archivar ${ids.length} tarea(s)`,
+          undo: () => get().unarchiveTodos(ids, { fromHistory: true }),
+          redo: () => get().archiveTodos(ids, { fromHistory: true })
+        });
+      }
     } catch (error) {
-      console.error('Error al actualizar estadísticas:', error);
+      set({ error: error.message });
+      toast.error(error.message || 'Error al archivar tareas');
+      throw error;
     }
   },
 
   /**
-   * Limpiar error
+   * Desarchivar tareas (vuelven a su lista)
+   * 
+   * @param {string[]} ids - IDs de las tareas
+   * @param {Object} meta - Opciones internas
+   * @param {boolean} meta.fromHistory - El cambio viene de deshacer / rehacer (sin aviso propio)
+   * @returns {Promise<Array>} Tareas desarchivadas
    */
-  clearError: () => {
+  unarchiveTodos: async (ids, { fromHistory = false } = {}) => {
     set({ error: null });
+    try {
+      const { data: unarchivedTodos } = await todoService.bulkUpdate(ids, 'unarchive');
+
+      // Volver a mostrar las que pertenecen a la lista visible
+      set(state => {
+        const visible = unarchivedTodos.filter(todo => state.isInActiveList(todo));
+        const visibleIds = new Set(visible.map(todo => todo.id));
+        return { todos: [...visible, ...state.todos.filter(todo => !visibleIds.has(todo.id))] };
+      });
+      shareTodos(unarchivedTodos);
+      await get().updateStats();
+
+      if (!fromHistory) {
+        toast.success(`${unarchivedTodos.length} tarea(s) desarchivada(s)`);
+      }
+      return unarchivedTodos;
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al desarchivar tareas');
+      throw error;
+    }
   },
 
   /**
-   * Establecer estado de carga manualmente
+   * Archivar todas las tareas completadas de la lista activa (o de todas si no hay)
+   * Se puede deshacer (historial).
    * 
-   * @param {boolean} loading - Estado de carga
+   * @returns {Promise<string[]>} IDs de las tareas archivadas
    */
-  setLoading: (loading) => {
-    set({ loading });
+  archiveCompleted: async () => {
+    set({ error: null });
+    try {
+      const ids = await todoService.archiveCompleted(get().activeListId);
+      if (ids.length === 0) {
+        toast('No hay tareas completadas para archivar');
+        return ids;
+      }
+
+      set(state => ({ todos: state.todos.filter(todo => !ids.includes(todo.id)) }));
+      shareRemoval(ids);
+      await get().updateStats();
+
+      get().recordHistory(`${ids.length} tarea(s) archivada(s)`, {
+        label: `archivar ${ids.length} tarea(s) completada(s)`,
+        undo: () => get().unarchiveTodos(ids, { fromHistory: true }),
+        redo: () => get().archiveTodos(ids, { fromHistory: true })
+      });
+      return ids;
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al archivar tareas');
+      throw error;
+    }
   },
 
   /**
-   * Obtener tarea por ID
+   * Cambiar estado de completado de una tarea
+   * El cambio se aplica al instante y se revierte si el servidor lo rechaza.
+   * Si se completa una tarea recurrente, se crea su siguiente repetición y la
+   * tarea completada deja de repetirse (así no se duplica si se vuelve a abrir).
+   * Sin conexión, la siguiente repetición se crea al sincronizar.
+   * Se puede deshacer (historial): al deshacer el completado de una tarea recurrente
+   * se elimina su siguiente repetición y la tarea vuelve a repetirse.
    * 
    * @param {string} id - ID de la tarea
-   * @returns {Object|null} Tarea encontrada o null
+   * @param {boolean} completed - Nuevo estado de completado
+   * @param {Object} options - Opciones adicionales
+   * @param {boolean} options.completeSubtasks - Completar también las subtareas pendientes
+   * @param {boolean} options.fromHistory - El cambio viene de deshacer / rehacer (no se registra)
    */
-  getTodoById: (id) => {
-    const { todos } = get();
-    return todos.find(todo => todo.id === id) || null;
+  toggleTodo: async (id, completed, { fromHistory = false, ...options } = {}) => {
+    if (!get().online || isLocalId(id)) {
+      return get().queueOfflineOperation('toggle', id, { completed, options });
+    }
+
+    const previous = get().getTodoById(id);
+    if (previous) {
+      const optimisticTodo = applyOperationLocally(previous, 'toggle', { completed, options });
+      set(state => ({
+        todos: state.todos.map(todo => todo.id === id ? optimisticTodo : todo),
+        error: null
+      }));
+    }
+
+    try {
+      const { data: updatedTodo, next: nextTodo } = await todoService.toggleTodo(id, completed, options);
+
+      set(state => ({
+        todos: state.todos.map(todo => todo.id === id ? updatedTodo : todo)
+      }));
+
+      // Agregar la siguiente repetición (si pertenece a la lista visible)
+      if (nextTodo) {
+        set(state => ({
+          todos: state.isInActiveList(nextTodo)
+            ? [nextTodo, ...state.todos.filter(t => t.id !== nextTodo.id)]
+            : state.todos
+        }));
+      }
+      shareTodos([updatedTodo, nextTodo]);
+
+      // Recalcular estadísticas
+      await get().updateStats();
+
+      if (!fromHistory) {
+        const message = nextTodo
+          ? `Siguiente repetición: ${new Date(nextTodo.due_at).toLocaleDateString('es-ES', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short'
+          })}`
+          : completed ? 'Tarea completada' : 'Tarea reabierta';
+        const title = updatedTodo.title;
+
+        get().recordHistory(message, {
+          label: completed ? `completar "${title}"` : `reabrir "${title}"`,
+          undo: async () => {
+            if (nextTodo && previous) {
+              // Quitar la repetición creada y devolver la regla a la tarea
+              await get().deleteTodo(nextTodo.id, { fromHistory: true });
+              await get().updateTodo(id, { completed: !completed, recurrence: previous.recurrence }, { fromHistory: true });
+            } else {
+              await get().toggleTodo(id, !completed, { fromHistory: true });
+            }
+          },
+          redo: () => get().toggleTodo(id, completed, { ...options, fromHistory: true })
+        });
+      }
+      return updatedTodo;
+    } catch (error) {
+      // Revertir al estado anterior
+      if (previous) {
+        set(state => ({ todos: restoreTodo(state.todos, previous) }));
+      }
+
+      if (isNetworkError(error)) {
+        set({ online: false });
+        return get().queueOfflineOperation('toggle', id, { completed, options });
+      }
+      set({ error: error.message });
+      toast.error(error.message || 'Error al actualizar tarea');
+      throw error;
+    }
   },
 
   /**
-   * Filtrar tareas por estado
+   * Aplicar una acción a varias tareas a la vez
+   * Las tareas recurrentes que se completan generan su siguiente repetición,
+   * igual que al completarlas una por una.
    * 
-   * @param {string} filter - Filtro a aplicar ('all', 'completed', 'pending')
-   * @returns {Array} Tareas filtradas
+   * @param {string[]} ids - IDs de las tareas
+   * @param {string} action - 'complete', 'uncomplete', 'delete', 'move', 'add_tags' o 'remove_tags'
+   * @param {Object} options - Datos de la acción ({ list_id } o { tag_ids })
    */
-  getFilteredTodos: (filter = 'all') => {
-    const { todos } = get();
-    
-    switch (filter) {
-      case 'completed':
-        return todos.filter(todo => todo.completed);
-      case 'pending':
-        return todos.filter(todo => !todo.completed);
-      case 'all':
-      default:
-        return todos;
+  bulkUpdate: async (ids, action, options = {}) => {
+    set({ loading: true, error: null });
+    try {
+      const { data: updatedTodos, next } = await todoService.bulkUpdate(ids, action, options);
+
+      set(state => {
+        if (action === 'delete') {
+          return { todos: state.todos.filter(todo => !ids.includes(todo.id)), loading: false };
+        }
+
+        const byId = new Map(updatedTodos.map(todo => [todo.id, todo]));
+        return {
+          todos: state.todos
+            .map(todo => byId.get(todo.id) || todo)
+            // Las tareas movidas a otra lista dejan de mostrarse en la lista activa
+            .filter(todo => state.isInActiveList(todo)),
+          loading: false
+        };
+      });
+
+      // Siguientes repeticiones de las tareas recurrentes completadas
+      const nextTodos = next.filter(todo => get().isInActiveList(todo));
+      if (nextTodos.length > 0) {
+        const nextIds = new Set(nextTodos.map(todo => todo.id));
+        set(state => ({ todos: [...nextTodos, ...state.todos.filter(t => !nextIds.has(t.id))] }));
+      }
+
+      if (action === 'delete') {
+        shareRemoval(ids);
+      } else {
+        shareTodos([...updatedTodos, ...next]);
+      }
+
+      await get().updateStats();
+
+      const count = action === 'delete' ? ids.length : updatedTodos.length;
+      toast.success(action === 'delete'
+        ? `${count} tarea(s) eliminada(s)`
+        : `${count} tarea(s) actualizada(s)`);
+      return updatedTodos;
+    } catch (error) {
+      set({ 
+        error: error.message, 
+        loading: false 
+      });
+      toast.error(error.message || 'Error al actualizar tareas');
+      throw error;
     }
   },
 
   /**
-   * Buscar tareas por texto
+   * Mover una tarea a otra posición del orden manual
+   * Calcula una posición entre sus nuevas vecinas (orden fraccionario); si ya no
+   * queda hueco entre ellas, renumera todas las tareas cargadas (si faltan páginas por
+   * cargar, sin salir del rango de posiciones ya cargado). El cambio se aplica
+   * de inmediato y se revierte si el servidor lo rechaza.
    * 
-   * @param {string} searchTerm - Término de búsqueda
-   * @returns {Array} Tareas que coinciden con la búsqueda
+   * @param {string} id - ID de la tarea a mover
+   * @param {string|null} beforeId - Tarea que quedará justo encima (null = al principio)
+   * @param {string|null} afterId - Tarea que quedará justo debajo (null = al final)
+   */
+  reorderTodo: async (id, beforeId, afterId) => {
+    // Una tarea que aún se está creando no tiene posición en el servidor
+    if (isTempId(id)) return;
+
+    const { todos } = get();
+    const before = beforeId ? todos.find(todo => todo.id === beforeId) : null;
+    const after = afterId ? todos.find(todo => todo.id === afterId) : null;
+
+    let items;
+    if (before && after && Math.abs(after.position - before.position) < MIN_POSITION_GAP) {
+      // Sin hueco entre las vecinas: renumerar todo el orden con separación uniforme
+      const ordered = [...todos].sort(byPosition).filter(todo => todo.id !== id);
+      const insertAt = ordered.findIndex(todo => todo.id === beforeId) + 1;
+      ordered.splice(insertAt, 0, todos.find(todo => todo.id === id));
+      // Con páginas sin cargar hay que mantenerse entre la primera y la última posición
+      // cargadas para no saltar por delante de tareas que aún no conocemos
+      const first = Math.min(...ordered.map(todo => todo.position ?? 0));
+      const last = Math.max(...ordered.map(todo => todo.position ?? 0));
+      const [start, step] = get().nextCursor && last > first
+        ? [first, (last - first) / (ordered.length - 1)]
+        : [POSITION_GAP, POSITION_GAP];
+      // Las tareas que aún se están creando (ID temporal) no existen en el servidor
+      items = ordered
+        .map((todo, index) => ({ id: todo.id, position: start + index * step }))
+        .filter(item => !isTempId(item.id));
+    } else {
+      let position;
+      if (before && after) {
+        position = (before.position + after.position) / 2;
+      } else if (before) {
+        position = before.position + POSITION_GAP;
+      } else if (after) {
+        position = after.position - POSITION_GAP;
+      } else {
+        return;
+      }
+      items = [{ id, position }];
+    }
+
+    // Guardar las posiciones anteriores para poder revertir
+    const previous = Object.fromEntries(todos.map(todo => [todo.id, todo.position]));
+    const applyPositions = (positions) => {
+      set(state => ({
+        todos: state.todos.map(todo =>
+          positions[todo.id] !== undefined ? { ...todo, position: positions[todo.id] } : todo
+        )
+      }));
+    };
+
+    const newPositions = Object.fromEntries(items.map(item => [item.id, item.position]));
+    applyPositions(newPositions);
+    set(state => ({ pendingPositions: { ...state.pendingPositions, ...newPositions } }));
+
+    try {
+      await todoService.reorderTodos(items);
+      shareTodos(items.map(item => get().getTodoById(item.id)));
+    } catch (error) {
+      applyPositions(Object.fromEntries(items.map(item => [item.id, previous[item.id]])));
+      toast.error(error.message || 'Error al reordenar tareas');
+    } finally {
+      // Dejar de proteger las posiciones que siguen siendo las de esta operación
+      set(state => {
+        const pendingPositions = { ...state.pendingPositions };
+        for (const item of items) {
+          if (pendingPositions[item.id] === item.position) delete pendingPositions[item.id];
+        }
+        return { pendingPositions };
+      });
+    }
+  },
+
+  /**
+   * Aplicar un cambio a las subtareas de una tarea en el estado local
+   * 
+   * @param {string} todoId - ID de la tarea padre
+   * @param {Function} updater - Recibe el arreglo de subtareas y devuelve el nuevo arreglo
+   */
+  updateSubtasksInState: (todoId, updater) => {
+    set(state => ({
+      todos: state.todos.map(todo =>
+        todo.id === todoId
+          ? { ...todo, subtasks: updater(todo.subtasks || []) }
+          : todo
+      )
+    }));
+  },
+
+  /**
+   * Agregar una subtarea al final del checklist de una tarea
+   * 
+   * @param {string} todoId - ID de la tarea padre
+   * @param {string} title - Título de la subtarea
+   */
+  addSubtask: async (todoId, title) => {
+    try {
+      const subtasks = get().getTodoById(todoId)?.subtasks || [];
+      const position = subtasks.reduce((max, subtask) => Math.max(max, subtask.position + 1), 0);
+
+      const newSubtask = await subtaskService.createSubtask(todoId, title, position);
+      get().updateSubtasksInState(todoId, list => [...list, newSubtask]);
+      shareTodos([get().getTodoById(todoId)]);
+      return newSubtask;
+    } catch (error) {
+      toast.error(error.message || 'Error al crear subtarea');
+      throw error;
+    }
+  },
+
+  /**
+   * Cambiar estado de completado de una subtarea
+   * 
+   * @param {string} todoId - ID de la tarea padre
+   * @param {string} subtaskId - ID de la subtarea
+   * @param {boolean} completed - Nuevo estado de completado
+   */
+  toggleSubtask: async (todoId, subtaskId, completed) => {
+    try {
+      const updatedSubtask = await subtaskService.updateSubtask(subtaskId, { completed });
+      get().updateSubtasksInState(todoId, list =>
+        list.map(subtask => subtask.id === subtaskId ? updatedSubtask : subtask)
+      );
+      shareTodos([get().getTodoById(todoId)]);
+      return updatedSubtask;
+    } catch (error) {
+      toast.error(error.message || 'Error al actualizar subtarea');
+      throw error;
+    }
+  },
+
+  /**
+   * Eliminar una subtarea
+   * 
+   * @param {string} todoId - ID de la tarea padre
+   * @param {string} subtaskId - ID de la subtarea
+   */
+  deleteSubtask: async (todoId, subtaskId) => {
+    try {
+      await subtaskService.deleteSubtask(subtaskId);
+      get().updateSubtasksInState(todoId, list =>
+        list.filter(subtask => subtask.id !== subtaskId)
+      );
+      shareTodos([get().getTodoById(todoId)]);
+    } catch (error) {
+      toast.error(error.message || 'Error al eliminar subtarea');
+      throw error;
+    }
+  },
+
+  /**
+   * Aplicar un cambio de etiqueta a todas las tareas que la tienen
+   * (se usa al renombrar o eliminar una etiqueta desde el gestor de etiquetas)
+   * 
+   * @param {string} tagId - ID de la etiqueta
+   * @param {Object|null} tag - Etiqueta actualizada, o null si se eliminó
+   */
+  updateTagInTodos: (tagId, tag) => {
+    set(state => ({
+      todos: state.todos.map(todo => {
+        if (!todo.tags?.some(t => t.id === tagId)) return todo;
+        return {
+          ...todo,
+          tags: tag
+            ? todo.tags.map(t => t.id === tagId ? tag : t)
+            : todo.tags.filter(t => t.id !== tagId)
+        };
+      })
+    }));
+  },
+
+  /**
+   * Actualizar estadísticas de tareas
+   * Calcula estadísticas basadas en el estado actual
+   */
+  updateStats: async () => {
+    try {
+      const { activeListId, assignedToMe } = get();
+      const stats = await todoService.getTodoStats(activeListId, { assignedToMe });
+      set({ stats });
+    } catch (error) {
+      console.error('Error al actualizar estadísticas:', error);
+    }
+  },
+
+  /**
+   * Cambiar la lista activa
+   * Recarga las tareas y rehace la suscripción en tiempo real con el nuevo alcance
+   * 
+   * @param {string|null} listId - ID de la lista (null = todas las tareas)
+   */
+  setActiveList: async (listId) => {
+    const { activeListId, realtimeStatus } = get();
+    if (activeListId === listId) return;
+
+    set({ activeListId: listId, todos: [], nextCursor: null });
+
+    if (realtimeStatus !== 'idle') {
+      get().unsubscribeFromRealtime();
+      get().subscribeToRealtime();
+    }
+
+    try {
+      await get().fetchTodos();
+    } catch (error) {
+      toast.error(error.message || 'Error al cargar la lista');
+    }
+  },
+
+  /**
+   * Activar o desactivar la vista "Asignadas a mí"
+   * Recarga las tareas y rehace la suscripción en tiempo real con el nuevo alcance
+   *
+   * @param {boolean} value - True para ver solo las tareas asignadas al usuario
    */
-  searchTodos: (searchTerm) => {
+  setAssignedToMe: async (value) => {
+    const { assignedToMe, realtimeStatus } = get();
+    if (assignedToMe === value) return;
+
+    set({ assignedToMe: value, todos: [], nextCursor: null });
+
+    if (realtimeStatus !== 'idle') {
+      get().unsubscribeFromRealtime();
+      get().subscribeToRealtime();
+    }
+
+    try {
+      await get().fetchTodos();
+    } catch (error) {
+      toast.error(error.message || 'Error al cargar las tareas asignadas');
+    }
+  },
+
+  /**
+   * Verificar si una tarea pertenece a la lista activa
+   * Las tareas archivadas no se muestran en ninguna lista y, en la vista
+   * "Asignadas a mí", solo se muestran las asignadas al usuario.
+   * 
+   * @param {Object} todo - Tarea a verificar
+   * @returns {boolean} True si no está archivada y no hay lista activa o la tarea pertenece a ella
+   */
+  isInActiveList: (todo) => {
+    const { activeListId, assignedToMe } = get();
+    if (todo.archived_at) return false;
+    if (activeListId && todo.list_id !== activeListId) return false;
+    return !assignedToMe || todo.assignee_id === useAuthStore.getState().user?.id;
+  },
+
+  /**
+   * Limpiar error
+   */
+  clearError: () => {
+    set({ error: null });
+  },
+
+  /**
+   * Establecer estado de carga manualmente
+   * 
+   * @param {boolean} loading - Estado de carga
+   */
+  setLoading: (loading) => {
+    set({ loading });
+  },
+
+  /**
+   * Obtener tarea por ID
+   * 
+   * @param {string} id - ID de la tarea
+   * @returns {Object|null} Tarea encontrada o null
+   */
+  getTodoById: (id) => {
     const { todos } = get();
+    return todos.find(todo => todo.id === id) || null;
+  },
+
+  /**
+   * Filtrar tareas por estado y prioridad
+   * 
+   * @param {string} filter - Filtro a aplicar ('all', 'completed', 'pending')
+   * @param {string} priority - Prioridad a mostrar ('all', 'high', 'medium', 'low')
+   * @param {Array} todos - Tareas a filtrar (por defecto, todas las cargadas)
+   * @returns {Array} Tareas filtradas
+   */
+  getFilteredTodos: (filter = 'all', priority = 'all', todos = get().todos) => {
+    const byPriority = priority === 'all'
+      ? todos
+      : todos.filter(todo => todo.priority === priority);
     
+    switch (filter) {
+      case 'completed':
+        return byPriority.filter(todo => todo.completed);
+      case 'pending':
+        return byPriority.filter(todo => !todo.completed);
+      case 'all':
+      default:
+        return byPriority;
+    }
+  },
+
+  /**
+   * Filtrar tareas que tengan todas las etiquetas seleccionadas
+   * 
+   * @param {Array} todos - Tareas a filtrar
+   * @param {string[]} tagIds - IDs de las etiquetas seleccionadas
+   * @returns {Array} Tareas que tienen todas las etiquetas (todas si no hay selección)
+   */
+  filterByTags: (todos, tagIds = []) => {
+    if (tagIds.length === 0) return todos;
+    return todos.filter(todo =>
+      tagIds.every(tagId => todo.tags?.some(tag => tag.id === tagId))
+    );
+  },
+
+  /**
+   * Ordenar una lista de tareas
+   * No modifica el arreglo recibido
+   * 
+   * @param {Array} todos - Tareas a ordenar
+   * @param {string} sortBy - Criterio ('manual', 'created', 'priority', 'due', 'title')
+   * @returns {Array} Nueva lista ordenada
+   */
+  sortTodos: (todos, sortBy = 'manual') => {
+    const byCreatedDesc = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+    const byDueAsc = (a, b) => {
+      // Las tareas sin fecha límite van al final
+      if (!a.due_at && !b.due_at) return 0;
+      if (!a.due_at) return 1;
+      if (!b.due_at) return -1;
+      return new Date(a.due_at) - new Date(b.due_at);
+    };
+    const rank = (todo) => PRIORITIES[todo.priority]?.rank ?? PRIORITIES.medium.rank;
+
+    const sorted = [...todos];
+    switch (sortBy) {
+      case 'priority':
+        return sorted.sort((a, b) => rank(a) - rank(b) || byDueAsc(a, b) || byCreatedDesc(a, b));
+      case 'due':
+        return sorted.sort((a, b) => byDueAsc(a, b) || byCreatedDesc(a, b));
+      case 'title':
+        return sorted.sort((a, b) => a.title.localeCompare(b.title, 'es', { sensitivity: 'base' }));
+      case 'created':
+        return sorted.sort(byCreatedDesc);
+      case 'manual':
+      default:
+        return sorted.sort(byPosition);
+    }
+  },
+
+  /**
+   * Buscar tareas por texto entre las ya cargadas (búsqueda local, sin servidor)
+   * 
+   * @param {string} searchTerm - Término de búsqueda
+   * @param {Array} todos - Tareas donde buscar (por defecto, todas las cargadas)
+   * @returns {Array} Tareas que coinciden con la búsqueda
+   */
+  searchTodos: (searchTerm, todos = get().todos) => {
     if (!searchTerm || searchTerm.trim().length === 0) {
       return todos;
     }
@@ -249,103 +1327,577 @@ export const useTodoStore = create((set, get) => ({
     const term = searchTerm.toLowerCase().trim();
     return todos.filter(todo => 
       todo.title.toLowerCase().includes(term) ||
-      todo.description.toLowerCase().includes(term)
+      (todo.description || '').toLowerCase().includes(term)
     );
   },
 
+  /**
+   * Buscar tareas por texto completo en el servidor (en la lista activa, si hay una)
+   * Guarda los resultados ordenados por relevancia, con sus fragmentos resaltados.
+   * Si llega una búsqueda más nueva antes de terminar, la respuesta anterior se descarta.
+   * 
+   * @param {string} query - Texto a buscar (vacío = quitar la búsqueda)
+   * @returns {Promise<Array|null>} Resultados de la búsqueda
+   */
+  runSearch: async (query) => {
+    const term = query.trim();
+    if (!term) {
+      get().clearSearch();
+      return null;
+    }
+
+    const { activeListId } = get();
+    set({ searchQuery: term, searching: true });
+    try {
+      const results = await todoService.searchTodos(term, activeListId);
+
+      // Ignorar la respuesta si ya se buscó otra cosa o se cambió de lista
+      if (get().searchQuery !== term || get().activeListId !== activeListId) {
+        return results;
+      }
+
+      // En la vista "Asignadas a mí" solo cuentan las tareas asignadas al usuario
+      const visibleResults = results.filter(todo => get().isInActiveList(todo));
+      set({ searchResults: visibleResults, searching: false });
+      return visibleResults;
+    } catch (error) {
+      if (get().searchQuery === term) {
+        set({ searchResults: [], searching: false });
+      }
+      toast.error(error.message || 'Error al buscar tareas');
+      return null;
+    }
+  },
+
+  /**
+   * Quitar la búsqueda activa y sus resultados
+   */
+  clearSearch: () => {
+    set({ searchQuery: '', searchResults: null, searching: false });
+  },
+
+  /**
+   * Registrar una acción en el historial para poder deshacerla / rehacerla
+   * Muestra un aviso con el botón "Deshacer". Registrar una acción nueva descarta
+   * las que se podían rehacer.
+   * 
+   * @param {string} message - Texto del aviso (p. ej. 'Tarea eliminada')
+   * @param {Object} action - Acción realizada
+   * @param {string} action.label - Descripción corta (p. ej. 'eliminar "Comprar pan"')
+   * @param {Function} action.undo - Función async que deshace la acción
+   * @param {Function} action.redo - Función async que la vuelve a aplicar
+   */
+  recordHistory: (message, { label, undo, redo }) => {
+    const entry = { id: crypto.randomUUID(), label, undo, redo };
+    set(state => ({
+      undoStack: [...state.undoStack, entry].slice(-HISTORY_LIMIT),
+      redoStack: []
+    }));
+
+    toast(
+      (t) => createElement(UndoToast, {
+        message,
+        onUndo: () => {
+          toast.dismiss(t.id);
+          get().undo(entry.id);
+        }
+      }),
+      { duration: UNDO_TOAST_DURATION }
+    );
+  },
+
+  /**
+   * Deshacer una acción del historial
+   * 
+   * @param {string|null} entryId - Acción a deshacer (por defecto, la última); el botón
+   *                                del aviso deshace su propia acción aunque haya otras después
+   */
+  undo: async (entryId = null) => {
+    const { undoStack, historyBusy } = get();
+    const entry = entryId
+      ? undoStack.find(item => item.id === entryId)
+      : undoStack[undoStack.length - 1];
+    if (!entry || historyBusy) return;
+
+    set(state => ({
+      undoStack: state.undoStack.filter(item => item !== entry),
+      historyBusy: true
+    }));
+    try {
+      await entry.undo();
+      set(state => ({ redoStack: [...state.redoStack, entry] }));
+      toast.success(`Deshecho: ${entry.label}`);
+    } catch {
+      // El error ya se notificó en la acción; se puede volver a intentar
+      set(state => ({ undoStack: [...state.undoStack, entry] }));
+    } finally {
+      set({ historyBusy: false });
+    }
+  },
+
+  /**
+   * Rehacer la última acción deshecha
+   */
+  redo: async () => {
+    const { redoStack, historyBusy } = get();
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry || historyBusy) return;
+
+    set(state => ({
+      redoStack: state.redoStack.slice(0, -1),
+      historyBusy: true
+    }));
+    try {
+      await entry.redo();
+      set(state => ({ undoStack: [...state.undoStack, entry] }));
+      toast.success(`Rehecho: ${entry.label}`);
+    } catch {
+      // El error ya se notificó en la acción; se puede volver a intentar
+      set(state => ({ redoStack: [...state.redoStack, entry] }));
+    } finally {
+      set({ historyBusy: false });
+    }
+  },
+
+  /**
+   * Guardar un cambio hecho sin conexión y aplicarlo en el estado local
+   * Se envía al servidor al recuperar la conexión (ver syncPendingOperations).
+   * Eliminar una tarea creada sin conexión simplemente descarta sus cambios pendientes.
+   * 
+   * @param {string} type - 'create', 'update', 'toggle' o 'delete'
+   * @param {string} todoId - ID de la tarea (temporal si se creó sin conexión)
+   * @param {Object} payload - Datos de la operación
+   * @returns {Promise<Object|null>} Tarea resultante en el estado local (null al eliminar)
+   */
+  queueOfflineOperation: async (type, todoId, payload = {}) => {
+    const current = get().getTodoById(todoId);
+
+    if (type === 'delete' && isLocalId(todoId)) {
+      const discarded = get().pendingOperations.filter(op => op.todoId === todoId);
+      await offlineCache.removeOperations(discarded.map(op => op.seq));
+      set(state => ({
+        todos: state.todos.filter(todo => todo.id !== todoId),
+        pendingOperations: state.pendingOperations.filter(op => op.todoId !== todoId)
+      }));
+      toast.success('Tarea eliminada');
+      return null;
+    }
+
+    let result = null;
+    if (type === 'create') {
+      result = buildLocalTodo(todoId, payload);
+    } else if (type !== 'delete' && current) {
+      result = applyOperationLocally(current, type, payload);
+    }
+
+    try {
+      const operation = await offlineCache.enqueue({
+        type,
+        todoId,
+        payload,
+        // Versión del servidor sobre la que se hizo el cambio (para detectar conflictos)
+        baseUpdatedAt: isLocalId(todoId) ? null : current?.updated_at ?? null,
+        createdAt: new Date().toISOString()
+      });
+
+      set(state => {
+        const others = state.todos.filter(todo => todo.id !== todoId);
+        const showResult = result && state.isInActiveList(result);
+        return {
+          todos: showResult
+            ? (current ? state.todos.map(todo => todo.id === todoId ? result : todo) : [result, ...others])
+            : others,
+          pendingOperations: [...state.pendingOperations, operation]
+        };
+      });
+    } catch (error) {
+      console.error('Error al guardar cambio sin conexión:', error);
+      toast.error('No se pudo guardar el cambio sin conexión');
+      throw error;
+    }
+
+    if (get().online) {
+      // Cambio sobre una tarea aún no creada en el servidor: se envía detrás de su creación
+      get().syncPendingOperations();
+    } else {
+      toast('Sin conexión: el cambio se sincronizará al reconectar', { icon: '📴' });
+    }
+    return result;
+  },
+
+  /**
+   * Enviar al servidor, en orden, los cambios hechos sin conexión
+   * - Las tareas creadas sin conexión reciben su ID real y los cambios posteriores lo usan
+   * - Si una tarea se modificó en el servidor después de la versión sobre la que se hizo
+   *   el cambio, el cambio se descarta y se conserva la versión del servidor (conflicto)
+   * - Si se vuelve a perder la conexión, se detiene y los cambios restantes siguen en cola
+   * Al terminar recarga las tareas para reflejar el estado del servidor.
+   */
+  syncPendingOperations: async () => {
+    const { syncing, pendingOperations } = get();
+    if (syncing || pendingOperations.length === 0 || !isBrowserOnline()) return;
+
+    set({ syncing: true });
+    const realIds = {};         // ID temporal -> ID asignado por el servidor
+    const serverVersions = {};  // ID -> updated_at tras aplicar nuestros propios cambios
+    let synced = 0;
+    let conflicts = 0;
+    let failed = 0;
+    let connectionLost = false;
+
+    for (const operation of pendingOperations) {
+      const todoId = realIds[operation.todoId] ?? operation.todoId;
+      try {
+        // Si la creación de la tarea falló, sus cambios posteriores ya no tienen destino
+        if (isLocalId(todoId) && operation.type !== 'create') {
+          failed++;
+        } else {
+          const { todo, conflict } = await replayOperation(
+            { ...operation, todoId },
+            serverVersions[todoId] ?? operation.baseUpdatedAt
+          );
+          if (conflict) {
+            conflicts++;
+          } else {
+            synced++;
+            if (operation.type === 'create') realIds[operation.todoId] = todo.id;
+            if (todo) serverVersions[todo.id] = todo.updated_at;
+          }
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          connectionLost = true;
+          break;
+        }
+        console.error('Error al sincronizar cambio sin conexión:', error);
+        failed++;
+      }
+
+      await offlineCache.removeOperations([operation.seq]);
+      set(state => ({
+        pendingOperations: state.pendingOperations.filter(op => op.seq !== operation.seq)
+      }));
+    }
+
+    set({ syncing: false, online: !connectionLost });
+
+    if (synced + conflicts + failed > 0) {
+      try {
+        await get().fetchTodos();
+      } catch (error) {
+        console.error('Error al recargar tareas tras sincronizar:', error);
+      }
+    }
+
+    if (synced > 0) {
+      toast.success(`${synced} cambio(s) sincronizado(s)`);
+      // Las demás pestañas recargan para ver los cambios sincronizados
+      tabSync.post({ type: 'todos:refresh', userId: useAuthStore.getState().user?.id });
+    }
+    if (conflicts > 0) {
+      toast.error(
+        `${conflicts} cambio(s) descartado(s): la tarea se modificó en otro dispositivo mientras estabas sin conexión`,
+        { duration: 6000 }
+      );
+    }
+    if (failed > 0) {
+      toast.error(`${failed} cambio(s) no se pudieron sincronizar`);
+    }
+
+    // Cambios hechos mientras se sincronizaba
+    if (!connectionLost && get().pendingOperations.length > 0) {
+      get().syncPendingOperations();
+    }
+  },
+
+  /**
+   * Vigilar la conexión del navegador
+   * Carga la cola guardada en IndexedDB, sincroniza al recuperar la conexión y
+   * reintenta periódicamente mientras queden cambios pendientes.
+   * 
+   * @returns {Function} Función para dejar de vigilar la conexión
+   */
+  watchConnection: () => {
+    const handleOnline = () => {
+      set({ online: true });
+      get().syncPendingOperations();
+
+      // Reconectar Realtime sin esperar al siguiente reintento programado
+      if (get().realtimeStatus === 'degraded') {
+        get().unsubscribeFromRealtime();
+        get().subscribeToRealtime();
+      }
+    };
+    const handleOffline = () => {
+      set({ online: false });
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const retryTimer = setInterval(() => {
+      if (get().pendingOperations.length > 0) {
+        get().syncPendingOperations();
+      }
+    }, SYNC_RETRY_MS);
+
+    // Cambios que quedaron pendientes en una sesión anterior
+    offlineCache.getQueue().then(operations => {
+      set(state => {
+        const known = new Set(state.pendingOperations.map(op => op.seq));
+        return {
+          pendingOperations: [...operations.filter(op => !known.has(op.seq)), ...state.pendingOperations]
+        };
+      });
+      get().syncPendingOperations();
+    });
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(retryTimer);
+    };
+  },
+
   /**
    * Suscribirse a cambios en tiempo real de Supabase
    * Maneja INSERT, UPDATE y DELETE events
+   *
+   * Primero resuelve el usuario (el canal y el filtro dependen de su ID). Si el canal
+   * falla (CHANNEL_ERROR, TIMED_OUT o se cierra) pasa a 'degraded' y reintenta con
+   * backoff exponencial; al reconectar recarga las tareas para recuperar los cambios
+   * perdidos durante el corte.
    * 
    * @returns {Function} Función para desuscribirse
    */
   subscribeToRealtime: () => {
-    const { channel } = get();
-    
-    // Si ya hay una suscripción activa, retornar
-    if (channel) {
+    // Si ya hay una suscripción activa (o conectándose), retornar
+    if (get().realtimeStatus !== 'idle') {
       return () => {};
     }
 
-    console.log('🔴 Suscribiéndose a cambios en tiempo real...');
-    
-    // Crear nuevo canal
-    const newChannel = supabase
-      .channel('todos-changes')
-      .on(
-        'postgres_changes',
-        {
-          event: '*',
-          schema: 'public',
-          table: 'todos',
-          filter: 'user_id=eq.' + (supabase.auth.getUser() || {})?.data?.user?.id
-        },
-        async (payload) => {
-          console.log('📡 Cambio en tiempo real recibido:', payload);
-          
-          // Actualizar estado local según el evento
-          switch (payload.eventType) {
-            case 'INSERT': {
-              // Agregar nueva tarea
-              set(state => ({
-                todos: [payload.new, ...state.todos]
-              }));
-              // Actualizar estadísticas
-              await get().updateStats();
-              break;
-            }
-            
-            case 'UPDATE': {
-              // Actualizar tarea existente
-              set(state => ({
-                todos: state.todos.map(todo =>
-                  todo.id === payload.new.id ? payload.new : todo
-                )
-              }));
-              // Actualizar estadísticas
-              await get().updateStats();
-              break;
-            }
-            
-            case 'DELETE': {
-              // Eliminar tarea
-              set(state => ({
-                todos: state.todos.filter(todo => todo.id !== payload.old.id)
-              }));
-              // Actualizar estadísticas
-              await get().updateStats();
-              break;
-            }
-          }
-        }
-      )
-      .subscribe((status) => {
+    const generation = realtimeGeneration;
+    set({ realtimeStatus: 'connecting' });
+
+    /**
+     * Descartar el canal que falló y programar el siguiente intento
+     */
+    const scheduleReconnect = () => {
+      const { channel } = get();
+      set({ channel: null, realtimeStatus: 'degraded' });
+      if (channel) supabase.removeChannel(channel);
+
+      realtimeNeedsResync = true;
+      const delay = getRealtimeRetryDelay(realtimeAttempt);
+      realtimeAttempt += 1;
+      console.warn(`📡 Realtime sin conexión, reintentando en ${Math.round(delay / 1000)} s...`);
+
+      clearTimeout(realtimeRetryTimer);
+      realtimeRetryTimer = setTimeout(connect, delay);
+    };
+
+    /**
+     * Recargar las tareas tras un corte
+     * Si hay cambios sin conexión pendientes no hace falta: la sincronización ya recarga al terminar.
+     */
+    const resync = async () => {
+      realtimeNeedsResync = false;
+      if (get().pendingOperations.length > 0) return;
+      try {
+        await get().fetchTodos();
+      } catch (error) {
+        console.error('Error al recargar las tareas tras reconectar Realtime:', error);
+      }
+    };
+
+    /**
+     * Crear el canal del usuario y suscribirse
+     */
+    const connect = async () => {
+      realtimeRetryTimer = null;
+
+      let userId;
+      try {
+        userId = await resolveCurrentUserId();
+      } catch (error) {
+        console.error('Error al obtener el usuario para Realtime:', error);
+      }
+
+      // Se desuscribió mientras se resolvía el usuario
+      if (generation !== realtimeGeneration) return;
+
+      if (!userId) {
+        scheduleReconnect();
+        return;
+      }
+
+      console.log('🔴 Suscribiéndose a cambios en tiempo real...');
+      const { activeListId, assignedToMe } = get();
+
+      // Crear nuevo canal (uno por usuario)
+      const newChannel = supabase
+        .channel(`todos-changes:${userId}`)
+        .on(
+          'postgres_changes',
+          {
+            event: '*',
+            schema: 'public',
+            table: 'todos',
+            // Con una lista activa solo se escuchan los cambios de esa lista y en
+            // "Asignadas a mí", los de las tareas asignadas al usuario. En la vista
+            // general no se filtra: RLS entrega las tareas propias, las de listas
+            // compartidas y las asignadas, igual que al cargarlas
+            ...(activeListId
+              ? { filter: `list_id=eq.${activeListId}` }
+              : assignedToMe
+                ? { filter: `assignee_id=eq.${userId}` }
+                : {})
+          },
+          (payload) => get().applyRealtimeChange(payload)
+        )
+        // Comentarios de las tareas: RLS solo entrega los de tareas que el usuario puede ver
+        .on(
+          'postgres_changes',
+          { event: '*', schema: 'public', table: 'comments' },
+          (payload) => useCommentStore.getState().applyRealtimeChange(payload)
+        );
+
+      // Guardar canal en el estado
+      set({ channel: newChannel });
+
+      newChannel.subscribe((status, error) => {
+        // Ignorar los avisos de un canal ya reemplazado o cerrado a propósito
+        if (generation !== realtimeGeneration || get().channel !== newChannel) return;
+
         console.log('📡 Estado de suscripción Realtime:', status);
         if (status === 'SUBSCRIBED') {
-          set({ realtimeEnabled: true });
+          realtimeAttempt = 0;
+          set({ realtimeStatus: 'connected' });
+          if (realtimeNeedsResync) resync();
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+          if (error) console.error('Error en el canal de Realtime:', error);
+          scheduleReconnect();
         }
       });
+    };
 
-    // Guardar canal en el estado
-    set({ channel: newChannel, realtimeEnabled: true });
+    connect();
 
     // Retornar función de cleanup
+    // (usa el canal vigente, que puede haber cambiado al cambiar de lista)
     return () => {
-      console.log('🔴 Desuscribiéndose de cambios en tiempo real...');
-      newChannel.unsubscribe();
-      set({ channel: null, realtimeEnabled: false });
+      get().unsubscribeFromRealtime();
     };
   },
 
+  /**
+   * Aplicar un cambio de la tabla todos recibido por Realtime
+   *
+   * @param {Object} payload - Evento de postgres_changes (eventType, new, old)
+   */
+  applyRealtimeChange: async (payload) => {
+    console.log('📡 Cambio en tiempo real recibido:', payload);
+
+    // Actualizar estado local según el evento
+    switch (payload.eventType) {
+      case 'INSERT': {
+        if (!get().isInActiveList(payload.new) || get().pendingDeletions[payload.new.id]) break;
+        if (wasRemovedInOtherTab(payload.new.id)) break;
+        set(state => {
+          // Ya está: la respuesta de createTodo llegó antes que el eco
+          if (state.todos.some(todo => todo.id === payload.new.id)) return state;
+
+          // Eco de una tarea creada aquí que aún espera respuesta del servidor (se reconoce
+          // por el ID que le asignó createTodo): ocupa el lugar de la tarea optimista
+          const tempId = state.pendingCreations[payload.new.id];
+          const optimisticTodo = tempId && state.todos.find(todo => todo.id === tempId);
+          return {
+            todos: optimisticTodo
+              // El payload no incluye subtareas ni etiquetas: conservar las de la tarea optimista
+              ? state.todos.map(todo => todo === optimisticTodo ? { ...optimisticTodo, ...payload.new } : todo)
+              : [payload.new, ...state.todos]
+          };
+        });
+        // Actualizar estadísticas
+        await get().updateStats();
+        break;
+      }
+
+      case 'UPDATE': {
+        // Otra pestaña ya la quitó: ignorar ecos atrasados
+        if (wasRemovedInOtherTab(payload.new.id)) break;
+        // Actualizar tarea existente; quitarla si salió de la lista activa
+        // o agregarla si se movió a ella desde otra lista
+        set(state => ({ todos: mergeRemoteTodo(state, state.todos, payload.new) }));
+        // Actualizar estadísticas
+        await get().updateStats();
+        break;
+      }
+
+      case 'DELETE': {
+        // Eliminar tarea
+        set(state => ({
+          todos: state.todos.filter(todo => todo.id !== payload.old.id)
+        }));
+        // Actualizar estadísticas
+        await get().updateStats();
+        break;
+      }
+    }
+  },
+
+  /**
+   * Aplicar un aviso de otra pestaña del navegador (ver services/tabSync.js)
+   * Las tareas llegan en su versión del servidor y se fusionan igual que los cambios
+   * de Realtime, así que el eco de Realtime que llegue después no las duplica.
+   *
+   * @param {Object} message - Mensaje ({ type: 'todos:upsert' | 'todos:remove' | 'todos:refresh', ... })
+   */
+  applyTabMessage: async (message) => {
+    switch (message.type) {
+      case 'todos:upsert':
+        message.todos.forEach(todo => remoteRemovals.delete(todo.id));
+        set(state => ({
+          todos: message.todos.reduce((todos, todo) => mergeRemoteTodo(state, todos, todo), state.todos)
+        }));
+        break;
+
+      case 'todos:remove': {
+        const removedAt = Date.now();
+        message.ids.forEach(id => remoteRemovals.set(id, removedAt));
+        set(state => ({ todos: state.todos.filter(todo => !message.ids.includes(todo.id)) }));
+        break;
+      }
+
+      case 'todos:refresh':
+        try {
+          await get().fetchTodos();
+        } catch (error) {
+          console.error('Error al recargar las tareas por aviso de otra pestaña:', error);
+        }
+        return;
+
+      default:
+        return;
+    }
+
+    await get().updateStats();
+  },
+
   /**
    * Desuscribirse de cambios en tiempo real
    */
   unsubscribeFromRealtime: () => {
+    // Invalidar la conexión en curso y los reintentos programados
+    realtimeGeneration += 1;
+    realtimeAttempt = 0;
+    clearTimeout(realtimeRetryTimer);
+    realtimeRetryTimer = null;
+
     const { channel } = get();
+    set({ channel: null, realtimeStatus: 'idle' });
     if (channel) {
       console.log('🔴 Desuscribiéndose de cambios en tiempo real...');
-      channel.unsubscribe();
-      set({ channel: null, realtimeEnabled: false });
+      supabase.removeChannel(channel);
     }
   },
 
@@ -355,25 +1907,61 @@ export const useTodoStore = create((set, get) => ({
    */
   reset: () => {
     // Desuscribirse de Realtime
-    const { channel } = get();
-    if (channel) {
-      channel.unsubscribe();
-    }
-    
+    get().unsubscribeFromRealtime();
+    realtimeNeedsResync = false;
+
     set({
       todos: [],
       loading: false,
       error: null,
-      realtimeEnabled: false,
+      realtimeStatus: 'idle',
       channel: null,
+      activeListId: null,
+      assignedToMe: false,
+      pendingPositions: {},
+      pendingDeletions: {},
+      pendingCreations: {},
+      nextCursor: null,
+      loadingMore: false,
+      searchQuery: '',
+      searchResults: null,
+      searching: false,
+      online: isBrowserOnline(),
+      pendingOperations: [],
+      syncing: false,
+      undoStack: [],
+      redoStack: [],
+      historyBusy: false,
       stats: {
         total: 0,
         completed: 0,
         pending: 0,
+        overdue: 0,
         completionRate: 0
       }
     });
+
+    // Borrar las tareas y cambios guardados para el modo sin conexión
+    clearTimeout(snapshotTimer);
+    offlineCache.clear();
   }
 }));
 
+/**
+ * Guardar en IndexedDB la vista actual de la lista activa cada vez que cambia,
+ * para poder mostrarla sin conexión (p. ej. al recargar la página)
+ */
+useTodoStore.subscribe((state, prevState) => {
+  if (state.todos === prevState.todos && state.stats === prevState.stats) return;
+
+  clearTimeout(snapshotTimer);
+  snapshotTimer = setTimeout(() => {
+    const { activeListId, assignedToMe, todos, stats, loading } = useTodoStore.getState();
+    // Durante una carga las tareas pueden estar vacías temporalmente (cambio de lista)
+    // y la vista "Asignadas a mí" no debe reemplazar la vista guardada de la lista
+    if (loading || assignedToMe) return;
+    offlineCache.saveSnapshot(activeListId, { todos, stats });
+  }, SNAPSHOT_DELAY_MS);
+});
+
 export default useTodoStore;
@@ -0,0 +1,103 @@
+import { create } from 'zustand';
+import toast from 'react-hot-toast';
+import { todoService } from '../services/todoService';
+import { useTodoStore } from './todoStore';
+
+/**
+ * Store de la papelera usando Zustand
+ *
+ * Maneja las tareas eliminadas del usuario: restaurarlas, borrarlas
+ * definitivamente y vaciar la papelera. Al restaurar se usa la acción de
+ * useTodoStore para que la tarea vuelva a la lista visible y se recalculen
+ * las estadísticas.
+ *
+ * Uso en componentes:
+ * import { useTrashStore } from '../store/trashStore';
+ *
+ * const { todos, fetchTrash, restoreTodo } = useTrashStore();
+ */
+export const useTrashStore = create((set, get) => ({
+  // Estado
+  todos: [],                   // Tareas eliminadas (la más reciente primero)
+  retentionDays: null,         // Días que se conservan antes de borrarse (null = desconocido)
+  loading: false,              // Estado de carga de la papelera
+  error: null,                 // Mensajes de error
+
+  /**
+   * Obtener las tareas de la papelera
+   */
+  fetchTrash: async () => {
+    set({ loading: true, error: null });
+    try {
+      const { data, retentionDays } = await todoService.getTrash();
+      set({ todos: data, retentionDays, loading: false });
+      return data;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Restaurar una tarea de la papelera
+   *
+   * @param {string} id - ID de la tarea
+   */
+  restoreTodo: async (id) => {
+    set({ error: null });
+    try {
+      const restoredTodo = await useTodoStore.getState().restoreTodo(id);
+      set(state => ({ todos: state.todos.filter(todo => todo.id !== id) }));
+      return restoredTodo;
+    } catch (error) {
+      // useTodoStore ya mostró el aviso de error
+      set({ error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Eliminar definitivamente una tarea de la papelera (no se puede deshacer)
+   *
+   * @param {string} id - ID de la tarea
+   */
+  deleteForever: async (id) => {
+    set({ error: null });
+    try {
+      await todoService.permanentDeleteTodo(id);
+      set(state => ({ todos: state.todos.filter(todo => todo.id !== id) }));
+      toast.success('Tarea eliminada definitivamente');
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al eliminar tarea');
+      throw error;
+    }
+  },
+
+  /**
+   * Vaciar la papelera (no se puede deshacer)
+   */
+  emptyTrash: async () => {
+    if (get().todos.length === 0) return;
+
+    set({ error: null });
+    try {
+      const count = await todoService.emptyTrash();
+      set({ todos: [] });
+      toast.success(`${count} tarea(s) eliminada(s) definitivamente`);
+    } catch (error) {
+      set({ error: error.message });
+      toast.error(error.message || 'Error al vaciar la papelera');
+      throw error;
+    }
+  },
+
+  /**
+   * Limpiar el estado (al cerrar sesión)
+   */
+  reset: () => {
+    set({ todos: [], retentionDays: null, loading: false, error: null });
+  }
+}));
+
+export default useTrashStore;
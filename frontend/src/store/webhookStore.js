@@ -0,0 +1,155 @@
+import { create } from 'zustand';
+import toast from 'react-hot-toast';
+import { webhookService } from '../services/webhookService';
+
+/**
+ * Store de los webhooks salientes usando Zustand
+ *
+ * Maneja los webhooks del usuario (página de ajustes) y el registro de
+ * entregas de cada uno, que se carga al desplegarlo.
+ *
+ * Uso en componentes:
+ * import { useWebhookStore } from '../store/webhookStore';
+ *
+ * const { webhooks, fetchWebhooks, createWebhook } = useWebhookStore();
+ */
+export const useWebhookStore = create((set, get) => ({
+  // Estado
+  webhooks: [],                // Webhooks del usuario (el más antiguo primero)
+  deliveriesByWebhook: {},     // Entregas cargadas (webhookId -> entregas, la más reciente primero)
+  loadingDeliveries: {},       // Registros cargándose (webhookId -> true)
+  loading: false,              // Estado de carga de los webhooks
+  error: null,                 // Mensajes de error
+
+  /**
+   * Obtener los webhooks del usuario
+   */
+  fetchWebhooks: async () => {
+    set({ loading: true, error: null });
+    try {
+      const webhooks = await webhookService.getWebhooks();
+      set({ webhooks, loading: false });
+      return webhooks;
+    } catch (error) {
+      set({ error: error.message, loading: false });
+      throw error;
+    }
+  },
+
+  /**
+   * Crear un webhook
+   *
+   * @param {Object} webhook - { url, events, description }
+   */
+  createWebhook: async (webhook) => {
+    try {
+      const newWebhook = await webhookService.createWebhook(webhook);
+      set(state => ({ webhooks: [...state.webhooks, newWebhook] }));
+      toast.success('Webhook creado');
+      return newWebhook;
+    } catch (error) {
+      toast.error(error.message || 'Error al crear el webhook');
+      throw error;
+    }
+  },
+
+  /**
+   * Actualizar un webhook (p. ej. activarlo o desactivarlo)
+   *
+   * @param {string} id - ID del webhook
+   * @param {Object} updates - Campos a cambiar
+   */
+  updateWebhook: async (id, updates) => {
+    try {
+      const updatedWebhook = await webhookService.updateWebhook(id, updates);
+      set(state => ({
+        webhooks: state.webhooks.map(webhook => webhook.id === id ? updatedWebhook : webhook)
+      }));
+      return updatedWebhook;
+    } catch (error) {
+      toast.error(error.message || 'Error al actualizar el webhook');
+      throw error;
+    }
+  },
+
+  /**
+   * Eliminar un webhook
+   *
+   * @param {string} id - ID del webhook
+   */
+  deleteWebhook: async (id) => {
+    try {
+      await webhookService.deleteWebhook(id);
+      set(state => {
+        const { [id]: _removed, ...deliveriesByWebhook } = state.deliveriesByWebhook;
+        return {
+          webhooks: state.webhooks.filter(webhook => webhook.id !== id),
+          deliveriesByWebhook
+        };
+      });
+      toast.success('Webhook eliminado');
+    } catch (error) {
+      toast.error(error.message || 'Error al eliminar el webhook');
+      throw error;
+    }
+  },
+
+  /**
+   * Cargar el registro de entregas de un webhook
+   *
+   * @param {string} id - ID del webhook
+   */
+  fetchDeliveries: async (id) => {
+    set(state => ({ loadingDeliveries: { ...state.loadingDeliveries, [id]: true } }));
+    try {
+      const deliveries = await webhookService.getDeliveries(id);
+      set(state => ({
+        deliveriesByWebhook: { ...state.deliveriesByWebhook, [id]: deliveries },
+        loadingDeliveries: { ...state.loadingDeliveries, [id]: false }
+      }));
+      return deliveries;
+    } catch (error) {
+      set(state => ({ loadingDeliveries: { ...state.loadingDeliveries, [id]: false } }));
+      toast.error(error.message || 'Error al cargar el registro de entregas');
+      throw error;
+    }
+  },
+
+  /**
+   * Enviar un evento de prueba
+   * Si el registro de entregas está abierto, la prueba se añade al principio.
+   *
+   * @param {string} id - ID del webhook
+   */
+  sendTest: async (id) => {
+    try {
+      const { delivery, message } = await webhookService.sendTest(id);
+      if (get().deliveriesByWebhook[id]) {
+        set(state => ({
+          deliveriesByWebhook: {
+            ...state.deliveriesByWebhook,
+            [id]: [delivery, ...state.deliveriesByWebhook[id]]
+          }
+        }));
+      }
+      if (delivery.status === 'success') {
+        toast.success(message || 'Evento de prueba entregado');
+      } else {
+        toast.error(message || 'El destino no aceptó el evento de prueba');
+      }
+      return delivery;
+    } catch (error) {
+      toast.error(error.message || 'Error al enviar el evento de prueba');
+      throw error;
+    }
+  },
+
+  /**
+   * Limpiar el estado (al cerrar sesión)
+   */
+  reset: () => {
+    set({ webhooks: [], deliveriesByWebhook: {}, loadingDeliveries: {}, loading: false, error: null });
+  }
+}));
+
+export default useWebhookStore;
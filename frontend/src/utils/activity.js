@@ -0,0 +1,82 @@
+/**
+ * Textos del historial de actividad de las tareas
+ *
+ * Las acciones y los campos coinciden con los que registra el backend en la
+ * tabla todo_activity (ver backend/utils/activityLog.js).
+ */
+
+import { PRIORITIES } from './priority';
+import { describeRecurrence } from './recurrence';
+
+/**
+ * Metadatos de cada acción
+ * - label: Verbo para la línea del historial ("Ana completó la tarea")
+ * - icon: Emoji del punto de la línea de tiempo
+ */
+export const ACTIVITY_ACTIONS = {
+  created: { label: 'creó la tarea', icon: '✨' },
+  updated: { label: 'modificó la tarea', icon: '✏️' },
+  completed: { label: 'completó la tarea', icon: '✅' },
+  reopened: { label: 'reabrió la tarea', icon: '↩️' },
+  archived: { label: 'archivó la tarea', icon: '📦' },
+  unarchived: { label: 'desarchivó la tarea', icon: '📤' },
+  deleted: { label: 'movió la tarea a la papelera', icon: '🗑️' },
+  restored: { label: 'restauró la tarea', icon: '♻️' }
+};
+
+// Nombre visible de cada campo registrado
+export const ACTIVITY_FIELD_LABELS = {
+  title: 'Título',
+  description: 'Descripción',
+  completed: 'Estado',
+  priority: 'Prioridad',
+  due_at: 'Fecha límite',
+  remind_at: 'Recordatorio',
+  list_id: 'Lista',
+  assignee_id: 'Asignada a',
+  recurrence: 'Repetición',
+  archived_at: 'Archivada',
+  tags: 'Etiquetas'
+};
+
+/**
+ * Formatear el valor de un campo del historial para mostrarlo
+ *
+ * @param {string} field - Campo (clave de ACTIVITY_FIELD_LABELS)
+ * @param {*} value - Valor registrado (null = vacío)
+ * @param {Object} lookups - Datos para traducir IDs
+ * @param {Function} lookups.listName - Recibe un ID de lista y devuelve su nombre
+ * @param {Function} lookups.userEmail - Recibe un ID de usuario y devuelve su email
+ * @returns {string} Valor legible
+ */
+export const formatActivityValue = (field, value, { listName, userEmail }) => {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+    return field === 'list_id' ? 'Sin lista' : '—';
+  }
+
+  switch (field) {
+    case 'completed':
+      return value ? 'Completada' : 'Pendiente';
+    case 'priority':
+      return PRIORITIES[value]?.label ?? value;
+    case 'due_at':
+    case 'remind_at':
+    case 'archived_at':
+      return new Date(value).toLocaleString('es-ES', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    case 'list_id':
+      return listName(value) ?? 'Lista compartida';
+    case 'assignee_id':
+      return userEmail(value) ?? 'Un colaborador';
+    case 'recurrence':
+      return describeRecurrence(value) ?? value;
+    case 'tags':
+      return value.map(name => `#${name}`).join(' ');
+    default:
+      return String(value);
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Textos de los tokens de acceso personal
+ *
+ * Los alcances coinciden con los del backend (ver backend/utils/apiTokens.js).
+ */
+
+// Alcances de un token
+export const API_TOKEN_SCOPES = [
+  { value: 'read', label: 'Solo lectura', description: 'Consultar tareas, listas y etiquetas (peticiones GET)' },
+  { value: 'write', label: 'Lectura y escritura', description: 'Todo lo que puedes hacer con tu sesión' }
+];
+
+/**
+ * Nombre visible de un alcance
+ *
+ * @param {string} scope - 'read' o 'write'
+ * @returns {string} Texto
+ */
+export const getApiTokenScopeLabel = (scope) =>
+  API_TOKEN_SCOPES.find(option => option.value === scope)?.label ?? scope;
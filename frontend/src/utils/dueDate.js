@@ -0,0 +1,68 @@
+/**
+ * Utilidades para fechas límite y recordatorios de tareas
+ *
+ * - Conversión entre fechas ISO (UTC) y el valor de un input datetime-local
+ * - Clasificación de una tarea según su fecha límite (vencida, hoy, próxima)
+ */
+
+/**
+ * Convertir una fecha ISO al formato que espera un input datetime-local
+ *
+ * @param {string|null} isoString - Fecha en formato ISO
+ * @returns {string} Fecha en hora local 'YYYY-MM-DDTHH:mm' o '' si no hay fecha
+ */
+export const toDateTimeLocal = (isoString) => {
+  if (!isoString) return '';
+
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) return '';
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Convertir el valor de un input datetime-local a fecha ISO (UTC)
+ *
+ * @param {string} localValue - Valor 'YYYY-MM-DDTHH:mm' en hora local
+ * @returns {string|null} Fecha en formato ISO o null si el input está vacío
+ */
+export const fromDateTimeLocal = (localValue) => {
+  if (!localValue) return null;
+
+  const date = new Date(localValue);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Verificar si una tarea está vencida
+ *
+ * @param {Object} task - Tarea con due_at y completed
+ * @param {Date} now - Fecha de referencia
+ * @returns {boolean} True si la fecha límite ya pasó y la tarea sigue pendiente
+ */
+export const isOverdue = (task, now = new Date()) => {
+  if (!task.due_at || task.completed) return false;
+  return new Date(task.due_at).getTime() < now.getTime();
+};
+
+/**
+ * Clasificar una tarea según su fecha límite
+ *
+ * @param {Object} task - Tarea con due_at y completed
+ * @param {Date} now - Fecha de referencia
+ * @returns {'overdue'|'today'|'upcoming'|null} Estado de la fecha límite o null si no aplica
+ */
+export const getDueStatus = (task, now = new Date()) => {
+  if (!task.due_at || task.completed) return null;
+
+  if (isOverdue(task, now)) return 'overdue';
+
+  const due = new Date(task.due_at);
+  const isSameDay =
+    due.getFullYear() === now.getFullYear() &&
+    due.getMonth() === now.getMonth() &&
+    due.getDate() === now.getDate();
+
+  return isSameDay ? 'today' : 'upcoming';
+};
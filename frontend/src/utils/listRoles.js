@@ -0,0 +1,30 @@
+/**
+ * Roles de los miembros de una lista compartida
+ *
+ * Los roles coinciden con la restricción CHECK de list_members.role en la
+ * base de datos ('viewer', 'editor', 'owner').
+ */
+
+// Roles de menor a mayor permiso
+export const LIST_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Metadatos de cada rol
+ * - label: Texto visible para el usuario
+ * - description: Qué puede hacer un miembro con ese rol
+ */
+export const LIST_ROLE_INFO = {
+  viewer: { label: 'Lector', description: 'Solo ve las tareas' },
+  editor: { label: 'Editor', description: 'Crea y modifica tareas' },
+  owner: { label: 'Propietario', description: 'Además gestiona la lista y sus miembros' }
+};
+
+/**
+ * Verificar si un rol alcanza el permiso requerido
+ *
+ * @param {string|null} role - Rol del usuario en la lista
+ * @param {string} requiredRole - Rol mínimo necesario
+ * @returns {boolean} True si el rol es igual o superior al requerido
+ */
+export const hasListRole = (role, requiredRole) =>
+  LIST_ROLES.includes(role) && LIST_ROLES.indexOf(role) >= LIST_ROLES.indexOf(requiredRole);
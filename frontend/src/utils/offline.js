@@ -0,0 +1,47 @@
+/**
+ * Utilidades para el modo sin conexión
+ *
+ * - Detectar si un error se debe a la falta de conexión (y no a una validación)
+ * - IDs temporales para las tareas creadas sin conexión, hasta que el servidor
+ *   les asigne su ID definitivo al sincronizar
+ */
+
+// Prefijo de los IDs temporales de tareas creadas sin conexión
+const LOCAL_ID_PREFIX = 'local-';
+
+// Mensajes de los errores de red de fetch según el navegador
+const NETWORK_ERROR_PATTERN = /failed to fetch|networkerror|load failed|network request failed/i;
+
+/**
+ * Saber si el navegador indica que hay conexión
+ *
+ * @returns {boolean} True si hay conexión (o no se puede saber)
+ */
+export const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Saber si un error se produjo por no poder conectar con el servidor
+ *
+ * @param {Error} error - Error lanzado por un servicio
+ * @returns {boolean} True si es un error de red
+ */
+export const isNetworkError = (error) =>
+  !isBrowserOnline() ||
+  // ApiError usa status 0 cuando no se pudo conectar con el backend
+  error?.status === 0 ||
+  NETWORK_ERROR_PATTERN.test(error?.message || '');
+
+/**
+ * Crear un ID temporal para una tarea creada sin conexión
+ *
+ * @returns {string} ID temporal
+ */
+export const createLocalId = () => `${LOCAL_ID_PREFIX}${crypto.randomUUID()}`;
+
+/**
+ * Saber si un ID es temporal (tarea aún no creada en el servidor)
+ *
+ * @param {string} id - ID de la tarea
+ * @returns {boolean} True si es un ID temporal
+ */
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
@@ -0,0 +1,24 @@
+/**
+ * Utilidades para las actualizaciones optimistas
+ *
+ * Una tarea creada se muestra al instante con un ID temporal; cuando el servidor
+ * responde (o llega su eco por tiempo real) se reemplaza por la tarea real.
+ */
+
+// Prefijo de los IDs temporales de tareas que se están creando
+const TEMP_ID_PREFIX = 'temp-';
+
+/**
+ * Crear un ID temporal para una tarea que se está creando
+ *
+ * @returns {string} ID temporal
+ */
+export const createTempId = () => `${TEMP_ID_PREFIX}${crypto.randomUUID()}`;
+
+/**
+ * Saber si un ID es temporal (tarea que el servidor aún no confirmó)
+ *
+ * @param {string} id - ID de la tarea
+ * @returns {boolean} True si es un ID temporal
+ */
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
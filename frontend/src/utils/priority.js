@@ -0,0 +1,32 @@
+/**
+ * Configuración de prioridades de tareas
+ *
+ * Las prioridades coinciden con la restricción CHECK de la columna
+ * todos.priority en la base de datos ('high', 'medium', 'low').
+ */
+
+/**
+ * Metadatos de cada prioridad
+ * - label: Texto visible para el usuario
+ * - rank: Orden al ordenar por prioridad (menor = más importante)
+ * - className: Clases de Tailwind para la insignia
+ */
+export const PRIORITIES = {
+  high: { label: 'Alta', rank: 0, className: 'bg-red-50 text-red-600 border-red-200' },
+  medium: { label: 'Media', rank: 1, className: 'bg-amber-50 text-amber-600 border-amber-200' },
+  low: { label: 'Baja', rank: 2, className: 'bg-slate-50 text-slate-500 border-slate-200' }
+};
+
+// Prioridades en orden de importancia, útil para selectores
+export const PRIORITY_OPTIONS = ['high', 'medium', 'low'];
+
+// Prioridad asignada cuando no se indica ninguna
+export const DEFAULT_PRIORITY = 'medium';
+
+/**
+ * Verificar si un valor es una prioridad válida
+ *
+ * @param {string} priority - Valor a verificar
+ * @returns {boolean} True si es 'high', 'medium' o 'low'
+ */
+export const isValidPriority = (priority) => PRIORITY_OPTIONS.includes(priority);
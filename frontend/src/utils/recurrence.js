@@ -0,0 +1,286 @@
+/**
+ * Utilidades para tareas recurrentes
+ *
+ * La recurrencia se guarda en todos.recurrence como un subconjunto de RRULE:
+ * FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (semanal),
+ * BYMONTHDAY (mensual), UNTIL y COUNT. Ejemplo: "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+ *
+ * - Lectura y escritura de reglas
+ * - Cálculo de la siguiente repetición (en hora local)
+ * - Resumen legible de una regla para mostrar en la interfaz
+ */
+
+// Frecuencias soportadas con sus textos (singular / plural)
+export const FREQUENCIES = {
+  DAILY: { label: 'Diaria', unit: ['día', 'días'] },
+  WEEKLY: { label: 'Semanal', unit: ['semana', 'semanas'] },
+  MONTHLY: { label: 'Mensual', unit: ['mes', 'meses'] },
+  YEARLY: { label: 'Anual', unit: ['año', 'años'] }
+};
+
+// Días de la semana RRULE en el orden de Date.getDay() (0 = domingo)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Días de la semana de lunes a domingo, para selectores
+export const WEEKDAY_OPTIONS = [
+  { value: 'MO', short: 'L', label: 'lunes' },
+  { value: 'TU', short: 'M', label: 'martes' },
+  { value: 'WE', short: 'X', label: 'miércoles' },
+  { value: 'TH', short: 'J', label: 'jueves' },
+  { value: 'FR', short: 'V', label: 'viernes' },
+  { value: 'SA', short: 'S', label: 'sábado' },
+  { value: 'SU', short: 'D', label: 'domingo' }
+];
+
+// Reglas predefinidas del editor de recurrencia
+export const RECURRENCE_PRESETS = [
+  { value: 'FREQ=DAILY', label: 'Cada día' },
+  { value: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Días laborables' },
+  { value: 'FREQ=WEEKLY', label: 'Cada semana' },
+  { value: 'FREQ=MONTHLY', label: 'Cada mes' },
+  { value: 'FREQ=YEARLY', label: 'Cada año' }
+];
+
+// Límite de iteraciones al buscar la siguiente fecha (evita bucles infinitos)
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Interpretar una regla de recurrencia
+ *
+ * @param {string|null} recurrence - Regla RRULE
+ * @returns {Object|null} Regla { freq, interval, byDay, byMonthDay, until, count } o null si es inválida
+ */
+export const parseRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: null, until: null, count: null };
+
+  for (const part of recurrence.toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+    switch (key) {
+      case 'FREQ':
+        rule.freq = FREQUENCIES[value] ? value : null;
+        break;
+      case 'INTERVAL':
+        rule.interval = Math.max(1, parseInt(value, 10) || 1);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').filter(day => WEEKDAYS.includes(day));
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseInt(value, 10) || null;
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+        if (match) {
+          const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+          rule.until = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+        }
+        break;
+      }
+      case 'COUNT':
+        rule.count = parseInt(value, 10) || null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return rule.freq ? rule : null;
+};
+
+/**
+ * Convertir una regla interpretada a texto RRULE
+ *
+ * @param {Object} rule - Regla devuelta por parseRecurrence
+ * @returns {string} Regla en formato RRULE
+ */
+export const serializeRecurrence = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    const order = WEEKDAY_OPTIONS.map(day => day.value);
+    parts.push(`BYDAY=${[...new Set(rule.byDay)].sort((a, b) => order.indexOf(a) - order.indexOf(b)).join(',')}`);
+  }
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+/**
+ * Sumar meses a una fecha fijando el día del mes (ajustado al último día si no existe)
+ */
+const addMonths = (date, months, day) => {
+  const result = new Date(date.getTime());
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Sumar días a una fecha conservando la hora local (también en cambios de horario)
+ */
+const addDays = (date, days) => {
+  const result = new Date(date.getTime());
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Calcular la fecha de la repetición siguiente a una fecha dada
+ */
+const nextDate = (rule, from) => {
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDays(from, rule.interval);
+
+    case 'WEEKLY': {
+      if (rule.byDay.length === 0) {
+        return addDays(from, 7 * rule.interval);
+      }
+      // Buscar el siguiente día marcado en una semana válida según INTERVAL (semanas de lunes a domingo)
+      const mondayOffset = (from.getDay() + 6) % 7;
+      for (let i = 1; i <= 7 * rule.interval + 7; i++) {
+        const candidate = addDays(from, i);
+        const weeks = Math.floor((mondayOffset + i) / 7);
+        if (weeks % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[candidate.getDay()])) {
+          return candidate;
+        }
+      }
+      return addDays(from, 7 * rule.interval);
+    }
+
+    case 'MONTHLY':
+      return addMonths(from, rule.interval, rule.byMonthDay ?? from.getDate());
+
+    case 'YEARLY':
+    default:
+      return addMonths(from, rule.interval * 12, from.getDate());
+  }
+};
+
+/**
+ * Saltar de una vez los ciclos completos de la regla que ya quedaron en el pasado
+ * (INTERVAL días, semanas, meses o años; cada uno con una repetición, o una por día
+ * de BYDAY), para que una serie muy atrasada no agote MAX_ITERATIONS.
+ * Deja un ciclo de margen antes de "now".
+ *
+ * @returns {{ date: Date, skipped: number }} Fecha desde la que seguir y repeticiones saltadas
+ */
+const skipPastCycles = (rule, from, now) => {
+  let cycles;
+  let date;
+
+  if (rule.freq === 'DAILY' || rule.freq === 'WEEKLY') {
+    const cycleDays = rule.interval * (rule.freq === 'DAILY' ? 1 : 7);
+    cycles = Math.floor((now - from) / (cycleDays * 24 * 60 * 60 * 1000)) - 1;
+    if (cycles <= 0) return { date: from, skipped: 0 };
+    date = addDays(from, cycles * cycleDays);
+  } else {
+    const cycleMonths = rule.interval * (rule.freq === 'MONTHLY' ? 1 : 12);
+    const months = (now.getFullYear() - from.getFullYear()) * 12 + now.getMonth() - from.getMonth();
+    cycles = Math.floor(months / cycleMonths) - 1;
+    if (cycles <= 0) return { date: from, skipped: 0 };
+    date = addMonths(from, cycles * cycleMonths, rule.byMonthDay ?? from.getDate());
+  }
+
+  const perCycle = rule.freq === 'WEEKLY' && rule.byDay.length > 0 ? new Set(rule.byDay).size : 1;
+  return { date, skipped: cycles * perCycle };
+};
+
+/**
+ * Calcular la siguiente repetición de una tarea recurrente
+ * Las repeticiones que ya quedaron en el pasado se saltan (y cuentan para COUNT).
+ *
+ * @param {string} recurrence - Regla RRULE de la tarea
+ * @param {string|null} dueAt - Fecha límite de la repetición actual (null = desde ahora)
+ * @param {Date} now - Momento de referencia
+ * @returns {{ dueAt: string, recurrence: string }|null} Fecha ISO y regla de la siguiente
+ *          repetición, o null si la serie terminó
+ */
+export const getNextOccurrence = (recurrence, dueAt, now = new Date()) => {
+  const rule = parseRecurrence(recurrence);
+  if (!rule) return null;
+
+  let current = dueAt ? new Date(dueAt) : now;
+
+  // Fijar el día del mes para que las repeticiones mensuales no se desplacen (31 -> 28 -> 28...)
+  if (rule.freq === 'MONTHLY' && !rule.byMonthDay) {
+    rule.byMonthDay = current.getDate();
+  }
+
+  const { date, skipped } = skipPastCycles(rule, current, now);
+  if (rule.count && skipped > 0) {
+    if (rule.count - skipped <= 1) return null;
+    rule.count -= skipped;
+  }
+  current = date;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (rule.count) {
+      if (rule.count <= 1) return null;
+      rule.count -= 1;
+    }
+
+    current = nextDate(rule, current);
+    if (rule.until && current > rule.until) return null;
+
+    if (current > now) {
+      return { dueAt: current.toISOString(), recurrence: serializeRecurrence(rule) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Unir una lista de textos en español ("a, b y c")
+ */
+const joinList = (items) =>
+  items.length > 1 ? `${items.slice(0, -1).join(', ')} y ${items[items.length - 1]}` : items[0];
+
+/**
+ * Resumen legible de una regla de recurrencia
+ *
+ * @param {string|null} recurrence - Regla RRULE
+ * @returns {string|null} Texto como "Cada 2 semanas los lunes y jueves" o null si no hay regla
+ */
+export const describeRecurrence = (recurrence) => {
+  const rule = parseRecurrence(recurrence);
+  if (!rule) return null;
+
+  const [singular, plural] = FREQUENCIES[rule.freq].unit;
+  let text = rule.interval === 1
+    ? `Cada ${singular}`
+    : `Cada ${rule.interval} ${plural}`;
+
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    const days = WEEKDAY_OPTIONS.filter(day => rule.byDay.includes(day.value));
+    const isWorkweek = days.length === 5 && !rule.byDay.includes('SA') && !rule.byDay.includes('SU');
+    if (isWorkweek && rule.interval === 1) {
+      text = 'Días laborables';
+    } else {
+      text += ` los ${joinList(days.map(day => day.label))}`;
+    }
+  }
+
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay) {
+    text += ` el día ${rule.byMonthDay}`;
+  }
+
+  if (rule.until) {
+    text += ` hasta el ${rule.until.toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  }
+
+  if (rule.count) {
+    // COUNT incluye la repetición actual
+    text += rule.count === 1 ? ' (última repetición)' : ` (quedan ${rule.count} repeticiones)`;
+  }
+
+  return text;
+};
@@ -0,0 +1,47 @@
+/**
+ * Utilidades para mostrar resultados de búsqueda
+ *
+ * La búsqueda de texto completo (search_todos) marca las coincidencias de los
+ * fragmentos entre los caracteres de control \u0002 (inicio) y \u0003 (fin).
+ * Se usan en lugar de etiquetas HTML para poder resaltar sin interpretar HTML.
+ */
+
+// Marcadores de inicio y fin de una coincidencia
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Tiempo de espera tras dejar de escribir antes de lanzar la búsqueda (ms)
+export const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Dividir un fragmento resaltado en partes con y sin coincidencia
+ *
+ * @param {string|null} text - Fragmento devuelto por la búsqueda
+ * @returns {Array<{ text: string, match: boolean }>} Partes en orden
+ */
+export const parseHighlight = (text) => {
+  if (!text) return [];
+
+  const parts = [];
+  for (const chunk of text.split(HIGHLIGHT_START)) {
+    const endIndex = chunk.indexOf(HIGHLIGHT_END);
+    if (endIndex === -1) {
+      if (chunk) parts.push({ text: chunk, match: false });
+      continue;
+    }
+    parts.push({ text: chunk.slice(0, endIndex), match: true });
+    if (endIndex < chunk.length - 1) {
+      parts.push({ text: chunk.slice(endIndex + 1), match: false });
+    }
+  }
+  return parts;
+};
+
+/**
+ * Quitar los marcadores de un fragmento resaltado
+ *
+ * @param {string|null} text - Fragmento devuelto por la búsqueda
+ * @returns {string} Texto sin marcadores
+ */
+export const stripHighlight = (text) =>
+  (text || '').replaceAll(HIGHLIGHT_START, '').replaceAll(HIGHLIGHT_END, '');
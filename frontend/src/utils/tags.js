@@ -0,0 +1,25 @@
+/**
+ * Utilidades para mostrar etiquetas
+ */
+
+// Colores disponibles para las etiquetas
+export const TAG_COLORS = ['#64748b', '#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#a855f7'];
+
+// Color usado cuando la etiqueta no tiene uno asignado
+export const DEFAULT_TAG_COLOR = TAG_COLORS[0];
+
+/**
+ * Estilos en línea del chip de una etiqueta según su color
+ * (fondo translúcido y texto del color de la etiqueta)
+ *
+ * @param {Object} tag - Etiqueta con su color (#RRGGBB o null)
+ * @returns {Object} Estilos para la propiedad style
+ */
+export const tagChipStyle = (tag) => {
+  const color = tag?.color || DEFAULT_TAG_COLOR;
+  return {
+    backgroundColor: `${color}1a`,
+    borderColor: `${color}55`,
+    color
+  };
+};
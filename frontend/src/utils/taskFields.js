@@ -0,0 +1,24 @@
+/**
+ * Utilidades para los campos de los formularios de tareas
+ *
+ * - Límites de longitud (los mismos que valida el backend)
+ * - Conversión de los errores de validación de la API ({ error, field }) en
+ *   errores por campo para mostrarlos junto al input correspondiente
+ */
+
+// Longitud máxima del título y la descripción de una tarea
+export const TITLE_MAX_LENGTH = 255;
+export const DESCRIPTION_MAX_LENGTH = 500;
+
+// Longitud máxima de un comentario (coincide con el CHECK de la tabla comments)
+export const COMMENT_MAX_LENGTH = 2000;
+
+/**
+ * Obtener los errores por campo de un error de la API
+ *
+ * @param {Error} error - Error lanzado por el servicio (ApiError incluye field)
+ * @param {string[]} fields - Campos que el formulario muestra
+ * @returns {Object} { [campo]: mensaje }, vacío si el error no es de un campo mostrado
+ */
+export const toFieldErrors = (error, fields) =>
+  error?.field && fields.includes(error.field) ? { [error.field]: error.message } : {};
@@ -0,0 +1,30 @@
+/**
+ * Textos de los webhooks salientes
+ *
+ * Los eventos coinciden con los que envía el backend (ver backend/utils/webhooks.js).
+ */
+
+// Eventos a los que se puede suscribir un webhook
+export const WEBHOOK_EVENTS = [
+  { value: 'todo.created', label: 'Tarea creada' },
+  { value: 'todo.updated', label: 'Tarea modificada' },
+  { value: 'todo.completed', label: 'Tarea completada' },
+  { value: 'todo.reopened', label: 'Tarea reabierta' },
+  { value: 'todo.deleted', label: 'Tarea eliminada' }
+];
+
+// Estado de cada entrega en el registro
+export const DELIVERY_STATUS = {
+  pending: { label: 'Reintentando', className: 'bg-amber-100 text-amber-700' },
+  success: { label: 'Entregado', className: 'bg-emerald-100 text-emerald-700' },
+  failed: { label: 'Fallido', className: 'bg-red-100 text-red-700' }
+};
+
+/**
+ * Nombre visible de un evento (el propio evento si no es conocido, p. ej. webhook.test)
+ *
+ * @param {string} event - Evento (p. ej. 'todo.completed')
+ * @returns {string} Texto
+ */
+export const getWebhookEventLabel = (event) =>
+  WEBHOOK_EVENTS.find(option => option.value === event)?.label ?? event;